@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+/**
+ * iran-hijri Command Line
+ * 
+ * Usage: iran-hijri <command> [options]
+ * 
+ * Commands:
+ *   h2j, h2g, j2h, g2h <date>            Convert a date (Hijri to Jalaali, Hijri to Gregorian,
+ *                                        Jalaali to Hijri, Gregorian to Hijri)
+ *   today                                Show today's date in all three calendars
+ *   verify [--margin <days>] [--json]    Check round-trips and continuity over the official range
+ *   export <months|days|ics> [options]   Export month starts, a day table or an iCalendar feed
+ * 
+ * Without a date and with input piped in, the converters read one date per
+ * line from stdin (or a column of a CSV file) and print each line back with
+ * the converted date and its source appended.
+ * 
+ * With --month, a year and month such as 1447/9 stand for the first day of
+ * the month.
+ */
+
+const readline = require('readline');
+const { verify, DEFAULT_MARGIN_DAYS } = require('../src/verify');
+const { exportMonthStarts, exportDayTable, exportICalendar } = require('../src/export');
+const { formatHijri, formatJalaali, formatGregorian } = require('../src/format');
+const { parseHijri, parseJalaali, parseGregorian } = require('../src/parse');
+const csv = require('../src/csv');
+const {
+  jalaaliToHijri,
+  gregorianToHijri,
+  hijriToJalaali,
+  hijriToGregorian,
+  getHijriMonthLength
+} = require('../src');
+const utils = require('../src/utils');
+
+const USAGE = `Usage: iran-hijri <command> [options]
+
+Commands:
+  h2j <date>                          Hijri to Jalaali, e.g. iran-hijri h2j 1447/3/12
+  h2g <date>                          Hijri to Gregorian
+  j2h <date>                          Jalaali to Hijri
+  g2h <date>                          Gregorian to Hijri
+  today                               Today's date in all three calendars
+  verify [--margin <days>] [--json]   Check round-trips and continuity over the
+                                      official range plus a margin (default ${DEFAULT_MARGIN_DAYS} days)
+  export months                       Month starts of the official data in all three calendars
+  export days <start> <end>           Day-by-day conversion table, dates in --calendar
+  export ics                          iCalendar feed of Hijri month starts and occasions
+
+Conversion options:
+  --json                Print JSON instead of text
+  --month               Print the whole month of the date (in its own calendar)
+                        with all three calendars side by side; the date can be
+                        a year and month, e.g. iran-hijri h2j --month 1447/9
+  --calendar <name>     Calendar of the month printed by 'today --month':
+                        hijri, jalaali (default) or gregorian
+  --locale <fa|en|ar>   Language of month and weekday names (default en)
+
+Export options:
+  --format <json|csv>   Format of 'export months' and 'export days' (default json)
+  --from <year>         First Hijri year of 'export months' (default: start of the
+                        official data) or 'export ics' (default: the current year)
+  --to <year>           Last Hijri year (default: end of the official data for
+                        months, the year after --from for ics)
+  --calendar <name>     Calendar of the 'export days' dates: hijri, jalaali
+                        (default) or gregorian
+  --locale <fa|en|ar>   Language of the 'export ics' event names (default en)
+  --months-only         Leave occasions and holidays out of 'export ics'
+
+Batch mode (date omitted or '-', dates piped to stdin):
+  --column <n>          Read the date from column n (1-based) of each row (default 1)
+  --delimiter <char>    Column delimiter (default ','); fields may be quoted
+  --header              Copy the first line through and name the added columns
+`;
+
+// Parser, formatter and conversion to Hijri per calendar
+const CALENDARS = {
+  hijri: {
+    label: 'Hijri',
+    parse: input => parseHijri(input, { strict: true }),
+    format: formatHijri,
+    fromParts: (year, month, day) => ({ hy: year, hm: month, hd: day }),
+    toParts: ({ hy, hm, hd }) => [hy, hm, hd],
+    getMonthDays: (year, month) => getHijriMonthLength(year, month).length,
+    toHijri: ({ hy, hm, hd }) => ({ hy, hm, hd })
+  },
+  jalaali: {
+    label: 'Jalaali',
+    parse: parseJalaali,
+    format: formatJalaali,
+    fromParts: (year, month, day) => ({ jy: year, jm: month, jd: day }),
+    toParts: ({ jy, jm, jd }) => [jy, jm, jd],
+    getMonthDays: utils.getJalaaliMonthDays,
+    toHijri: ({ jy, jm, jd }) => jalaaliToHijri(jy, jm, jd)
+  },
+  gregorian: {
+    label: 'Gregorian',
+    parse: parseGregorian,
+    format: formatGregorian,
+    fromParts: (year, month, day) => ({ gy: year, gm: month, gd: day }),
+    toParts: ({ gy, gm, gd }) => [gy, gm, gd],
+    getMonthDays: utils.getGregorianMonthDays,
+    toHijri: ({ gy, gm, gd }) => gregorianToHijri(gy, gm, gd)
+  }
+};
+
+const CONVERSIONS = {
+  h2j: { from: 'hijri', to: 'jalaali' },
+  h2g: { from: 'hijri', to: 'gregorian' },
+  j2h: { from: 'jalaali', to: 'hijri' },
+  g2h: { from: 'gregorian', to: 'hijri' }
+};
+
+const TABLE_ORDER = ['hijri', 'jalaali', 'gregorian'];
+
+// Flags that never take a value, so a date after them stays a positional
+const BOOLEAN_FLAGS = ['json', 'month', 'header', 'help', 'months-only'];
+
+// A year and month without a day, accepted with --month
+const YEAR_MONTH = /^\s*(\d+)\s*([/.-])\s*(\d+)\s*$/;
+
+/**
+ * Helper: Split arguments into positionals and --flags
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Object with positionals (array) and flags (name -> value or true)
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    
+    const [name, inlineValue] = arg.slice(2).split('=');
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (!BOOLEAN_FLAGS.includes(name) && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      flags[name] = args[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  
+  return { positionals, flags };
+}
+
+/**
+ * Helper: Parse a date in a calendar, throwing on invalid input
+ * @param {string} calendar - 'hijri', 'jalaali' or 'gregorian'
+ * @param {string} input - Date string such as '1447/3/12'
+ * @returns {Object} Parsed date
+ */
+function parseDate(calendar, input) {
+  const result = CALENDARS[calendar].parse(input);
+  if (!result.valid) {
+    throw new Error(result.error.message);
+  }
+  return result.date;
+}
+
+/**
+ * Helper: Describe a Hijri day in all three calendars
+ * @param {Object} date - Object with hy, hm, hd properties
+ * @returns {Object} Object with hijri, jalaali, gregorian, weekday, source and,
+ *   next to a gap in the official data, gapAdjacent
+ */
+function describeDay({ hy, hm, hd }) {
+  const { jy, jm, jd, weekday, source, confidence, uncertainty, gapAdjacent } = hijriToJalaali(hy, hm, hd);
+  const { gy, gm, gd } = hijriToGregorian(hy, hm, hd);
+  const day = {
+    hijri: { hy, hm, hd },
+    jalaali: { jy, jm, jd },
+    gregorian: { gy, gm, gd },
+    weekday,
+    source,
+    confidence,
+    uncertainty: { before: uncertainty.before, after: uncertainty.after, approximate: uncertainty.approximate }
+  };
+  
+  if (gapAdjacent) {
+    day.gapAdjacent = true;
+  }
+  return day;
+}
+
+/**
+ * Helper: Describe every day of the month containing a date, in the date's own calendar
+ * @param {string} calendar - 'hijri', 'jalaali' or 'gregorian'
+ * @param {Object} date - Date in that calendar
+ * @returns {Array<Object>} Results of describeDay
+ */
+function describeMonth(calendar, date) {
+  const { fromParts, toParts, getMonthDays, toHijri } = CALENDARS[calendar];
+  const [year, month] = toParts(date);
+  const days = [];
+  
+  for (let day = 1; day <= getMonthDays(year, month); day++) {
+    days.push(describeDay(toHijri(fromParts(year, month, day))));
+  }
+  return days;
+}
+
+/**
+ * Helper: Describe how far the solar dates of a day may be off
+ * @param {Object} day - Result of describeDay
+ * @returns {string} Text such as 'approximately: up to 1 day earlier or 2 days later, medium confidence'
+ */
+function describeUncertainty({ confidence, uncertainty }) {
+  const days = count => `${count} day${count === 1 ? '' : 's'}`;
+  const parts = [];
+  if (uncertainty.before > 0) {
+    parts.push(`${days(uncertainty.before)} earlier`);
+  }
+  if (uncertainty.after > 0) {
+    parts.push(`${days(uncertainty.after)} later`);
+  }
+  return `approximately: up to ${parts.join(' or ')}, ${confidence} confidence`;
+}
+
+/**
+ * Helper: Print a day in all three calendars
+ * @param {Object} day - Result of describeDay
+ * @param {string} locale - Locale of month names
+ */
+function printDay(day, locale) {
+  TABLE_ORDER.forEach(name => {
+    const { label, format } = CALENDARS[name];
+    console.log(`${label.padEnd(10)} ${format(day[name])}  ${format(day[name], 'D MMMM YYYY', { locale })}`);
+  });
+  console.log(`${'Weekday'.padEnd(10)} ${day.weekday.en} / ${day.weekday.fa} / ${day.weekday.ar}`);
+  console.log(`${'Source'.padEnd(10)} ${day.source}${day.gapAdjacent ? ' (next to a gap in the official data)' : ''}`);
+  if (day.uncertainty.approximate) {
+    console.log(`${''.padEnd(10)} ${describeUncertainty(day)}`);
+  }
+}
+
+/**
+ * Helper: Print a month as a table with all three calendars side by side
+ * @param {string} calendar - Calendar of the month
+ * @param {Object} date - Any date of the month in that calendar
+ * @param {Array<Object>} days - Result of describeMonth
+ * @param {string} locale - Locale of month and weekday names
+ */
+function printMonth(calendar, date, days, locale) {
+  const { label, format } = CALENDARS[calendar];
+  console.log(`${format(date, 'MMMM YYYY', { locale })} (${label})\n`);
+  
+  const columns = TABLE_ORDER.map(name => CALENDARS[name].label.padEnd(11));
+  console.log(`${columns.join(' ')} ${'Weekday'.padEnd(10)} Source`);
+  
+  days.forEach(day => {
+    const dates = TABLE_ORDER.map(name => CALENDARS[name].format(day[name]).padEnd(11));
+    const notes = [day.uncertainty.approximate ? 'approximately' : null, day.gapAdjacent ? 'next to a gap' : null]
+      .filter(Boolean);
+    const source = notes.length > 0 ? `${day.source} (${notes.join(', ')})` : day.source;
+    console.log(`${dates.join(' ')} ${day.weekday[locale].padEnd(10)} ${source}`);
+  });
+}
+
+/**
+ * Helper: Print a converted day, or its whole month with --month
+ * @param {string} calendar - Calendar of the input date
+ * @param {Object} date - Input date
+ * @param {Object} flags - Parsed flags
+ * @returns {number} Exit code
+ */
+function printResult(calendar, date, flags) {
+  const locale = typeof flags.locale === 'string' ? flags.locale : 'en';
+  const toJson = value => console.log(JSON.stringify(value, null, 2));
+  
+  if (flags.month) {
+    const days = describeMonth(calendar, date);
+    if (flags.json) {
+      toJson(days);
+    } else {
+      printMonth(calendar, date, days, locale);
+    }
+    return 0;
+  }
+  
+  const day = describeDay(CALENDARS[calendar].toHijri(date));
+  if (flags.json) {
+    toJson(day);
+  } else {
+    printDay(day, locale);
+  }
+  return 0;
+}
+
+/**
+ * Helper: Convert one date per row of stdin, or one column of a CSV file
+ * @param {string} from - Calendar of the input dates
+ * @param {string} to - Calendar of the added column
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<number>} Exit code, 1 if any line could not be converted
+ */
+function runBatch(from, to, flags) {
+  const column = flags.column === undefined ? 1 : Number(flags.column);
+  if (!Number.isInteger(column) || column < 1) {
+    throw new Error(`Invalid --column: ${flags.column} (expected a positive integer)`);
+  }
+  const delimiter = typeof flags.delimiter === 'string' ? flags.delimiter.replace('\\t', '\t') : ',';
+  if (delimiter.length !== 1 || delimiter === '"') {
+    throw new Error(`Invalid --delimiter: ${flags.delimiter} (expected a single character)`);
+  }
+  
+  const lines = readline.createInterface({ input: process.stdin });
+  let lineNumber = 0;
+  let failures = 0;
+  // A quoted field may contain line breaks, so a row can span several lines
+  let pending = null;
+  
+  return new Promise(resolve => {
+    lines.on('line', line => {
+      lineNumber++;
+      
+      const row = pending
+        ? { text: `${pending.text}\n${line}`, lineNumber: pending.lineNumber }
+        : { text: line, lineNumber };
+      if (csv.hasOpenQuote(row.text)) {
+        pending = row;
+        return;
+      }
+      pending = null;
+      
+      if (flags.header && row.lineNumber === 1) {
+        if (!flags.json) {
+          console.log([row.text, csv.formatRow([to, 'source'], delimiter)].join(delimiter));
+        }
+        return;
+      }
+      
+      // Blank lines are copied through so the output lines up with the input
+      if (row.text.trim() === '') {
+        if (!flags.json) {
+          console.log(row.text);
+        }
+        return;
+      }
+      
+      const fields = csv.parseCsv(row.text, delimiter)[0];
+      const input = (fields[column - 1] || '').trim();
+      try {
+        const day = describeDay(CALENDARS[from].toHijri(parseDate(from, input)));
+        if (flags.json) {
+          console.log(JSON.stringify(Object.assign({ line: row.lineNumber, input }, day)));
+        } else {
+          console.log([row.text, csv.formatRow([CALENDARS[to].format(day[to]), day.source], delimiter)].join(delimiter));
+        }
+      } catch (error) {
+        failures++;
+        process.stderr.write(`iran-hijri: line ${row.lineNumber}: ${error.message}\n`);
+        if (flags.json) {
+          console.log(JSON.stringify({ line: row.lineNumber, input, error: error.message }));
+        } else {
+          console.log([row.text, '', ''].join(delimiter));
+        }
+      }
+    });
+    
+    lines.on('close', () => {
+      if (pending) {
+        failures++;
+        process.stderr.write(`iran-hijri: line ${pending.lineNumber}: unterminated quoted field\n`);
+      }
+      resolve(failures === 0 ? 0 : 1);
+    });
+  });
+}
+
+/**
+ * Convert a date given on the command line, or dates piped to stdin
+ * @param {Object} conversion - Object with from and to calendar names
+ * @param {Object} flags - Parsed flags
+ * @param {Array<string>} positionals - Arguments after the command
+ * @returns {number|Promise<number>} Exit code
+ */
+function runConversion({ from, to }, flags, positionals) {
+  const input = positionals[0];
+  const yearMonth = flags.month && input !== undefined && YEAR_MONTH.exec(input);
+  
+  if (input === undefined || input === '-') {
+    if (input === undefined && process.stdin.isTTY) {
+      throw new Error(`Missing ${CALENDARS[from].label} date (or pipe dates to stdin)`);
+    }
+    return runBatch(from, to, flags);
+  }
+  
+  const dateInput = yearMonth ? [yearMonth[1], yearMonth[3], 1].join(yearMonth[2]) : input;
+  return printResult(from, parseDate(from, dateInput), flags);
+}
+
+/**
+ * Show today's date (by the system clock) in all three calendars
+ * @param {Object} flags - Parsed flags
+ * @returns {number} Exit code
+ */
+function runToday(flags) {
+  const calendar = typeof flags.calendar === 'string' ? flags.calendar : 'jalaali';
+  if (!CALENDARS[calendar]) {
+    throw new Error(`Unknown calendar: ${calendar} (expected hijri, jalaali or gregorian)`);
+  }
+  
+  const now = new Date();
+  const today = describeDay(gregorianToHijri(now.getFullYear(), now.getMonth() + 1, now.getDate()));
+  return printResult(calendar, today[calendar], flags);
+}
+
+/**
+ * Run the verifier and print its report
+ * @param {Object} flags - Parsed flags
+ * @returns {number} Exit code
+ */
+function runVerify(flags) {
+  const marginDays = flags.margin === undefined ? DEFAULT_MARGIN_DAYS : Number(flags.margin);
+  const report = verify({ marginDays });
+  
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.ok ? 0 : 1;
+  }
+  
+  const { from, to } = report;
+  console.log(`Verifying ${report.provider} data`);
+  if (from) {
+    console.log(`  ${report.daysChecked} days from ${formatGregorian(from.gregorian)} to ${formatGregorian(to.gregorian)}, ` +
+      `${report.monthsChecked} official months`);
+  }
+  
+  console.log('\nData boundaries');
+  report.boundaries.forEach(boundary => {
+    console.log(`  ${boundary.type.padEnd(5)} ${boundary.continuous ? 'continuous' : 'DISCONTINUOUS'}`);
+    console.log(`        ${boundary.before}`);
+    console.log(`        ${boundary.after}`);
+  });
+  
+  if (report.exceptions.length > 0) {
+    console.log('\nKnown exceptions');
+    report.exceptions.forEach(exception => {
+      console.log(`  Year ${exception.hy} has ${exception.days} days, source: ${exception.source}`);
+      console.log(`        ${exception.note}`);
+    });
+  }
+  
+  if (report.ok) {
+    console.log('\nOK: all checks passed');
+    return 0;
+  }
+  
+  console.log(`\nFAILED: ${report.failureCount} problem(s)`);
+  report.failures.forEach(failure => {
+    console.log(`  [${failure.type}] ${failure.message}`);
+  });
+  if (report.failureCount > report.failures.length) {
+    console.log(`  ... and ${report.failureCount - report.failures.length} more`);
+  }
+  return 1;
+}
+
+/**
+ * Helper: Read an optional Hijri year flag
+ * @param {Object} flags - Parsed flags
+ * @param {string} name - Flag name
+ * @returns {number|undefined} Year, or undefined when the flag is absent
+ */
+function readYearFlag(flags, name) {
+  if (flags[name] === undefined) {
+    return undefined;
+  }
+  const year = Number(flags[name]);
+  if (!Number.isInteger(year)) {
+    throw new Error(`Invalid --${name}: ${flags[name]} (expected a Hijri year)`);
+  }
+  return year;
+}
+
+/**
+ * Write month starts, a day table or an iCalendar feed to stdout
+ * @param {Object} flags - Parsed flags
+ * @param {Array<string>} positionals - What to export, then the dates of 'days'
+ * @returns {number} Exit code
+ */
+function runExport(flags, positionals) {
+  const [kind, start, end] = positionals;
+  const format = typeof flags.format === 'string' ? flags.format : 'json';
+  const from = readYearFlag(flags, 'from');
+  const to = readYearFlag(flags, 'to');
+  
+  if (kind === 'months') {
+    process.stdout.write(exportMonthStarts({ format, from, to }));
+    return 0;
+  }
+  
+  if (kind === 'days') {
+    const calendar = typeof flags.calendar === 'string' ? flags.calendar : 'jalaali';
+    if (!CALENDARS[calendar]) {
+      throw new Error(`Unknown calendar: ${calendar} (expected hijri, jalaali or gregorian)`);
+    }
+    if (start === undefined || end === undefined) {
+      throw new Error(`Missing ${start === undefined ? 'start' : 'end'} date for 'export days'`);
+    }
+    process.stdout.write(exportDayTable(parseDate(calendar, start), parseDate(calendar, end), { format }));
+    return 0;
+  }
+  
+  if (kind === 'ics') {
+    const locale = typeof flags.locale === 'string' ? flags.locale : 'en';
+    process.stdout.write(exportICalendar({ from, to, locale, occasions: !flags['months-only'] }));
+    return 0;
+  }
+  
+  throw new Error(`Unknown export: ${kind} (expected months, days or ics)`);
+}
+
+const COMMANDS = {
+  h2j: (flags, positionals) => runConversion(CONVERSIONS.h2j, flags, positionals),
+  h2g: (flags, positionals) => runConversion(CONVERSIONS.h2g, flags, positionals),
+  j2h: (flags, positionals) => runConversion(CONVERSIONS.j2h, flags, positionals),
+  g2h: (flags, positionals) => runConversion(CONVERSIONS.g2h, flags, positionals),
+  today: runToday,
+  verify: runVerify,
+  export: runExport
+};
+
+/**
+ * Run the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+function main(args) {
+  const { positionals, flags } = parseArgs(args);
+  const command = COMMANDS[positionals[0]];
+  
+  if (flags.help) {
+    process.stderr.write(USAGE);
+    return Promise.resolve(0);
+  }
+  if (!command) {
+    const name = positionals[0];
+    process.stderr.write(name === undefined ? 'iran-hijri: missing command\n' : `iran-hijri: unknown command: ${name}\n`);
+    process.stderr.write(USAGE);
+    return Promise.resolve(1);
+  }
+  
+  return Promise.resolve()
+    .then(() => command(flags, positionals.slice(1)))
+    .catch(error => {
+      process.stderr.write(`iran-hijri: ${error.message}\n`);
+      return 1;
+    });
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
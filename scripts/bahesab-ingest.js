@@ -0,0 +1,802 @@
+#!/usr/bin/env node
+/**
+ * Bahesab Data Ingestion
+ * 
+ * Node port of bahesab-hijri-scraper.cs that needs no .NET, Chrome or
+ * Selenium. It works the same way as the scraper's ProcessYear: it converts
+ * the 1st of every Hijri month in the range to Jalaali, plus the 1st of the
+ * month after the range, and takes each month's length as the difference
+ * between consecutive month starts.
+ * 
+ * Pages come from a fetcher, a function ({ hy, hm, hd }) => Promise<string>
+ * giving the HTML of the conversion result. Two are built in: one reads
+ * saved HTML files (fixtures), so the whole pipeline runs offline, and one
+ * requests a URL template, which may point at Bahesab or at a local stand-in
+ * server. Failed fetches are retried, and every month start is written to a
+ * checkpoint file as soon as it is known, so an interrupted run resumes where
+ * it stopped. The checkpoint records where its pages came from (the fixture
+ * directory or the URL template), is refused for any other origin, and is
+ * deleted once a run completes.
+ * 
+ * The result is diffed against src/officialData.js, and the module is only
+ * rewritten (with --write) when every month has 29 or 30 days and the new
+ * months continue the existing calendar: the first month starts where the
+ * current data places it, the month after the range too if it is in the
+ * data, and the merged table still matches both anchors. Changed and added
+ * months are recorded in the module's provenance as provisional Bahesab
+ * values retrieved that day; reconcile-sources.js can confirm them.
+ * 
+ * Usage:
+ *   node scripts/bahesab-ingest.js --from <hy[/hm]> --to <hy[/hm]> (--fixtures <dir> | --url <template>)
+ *     [--checkpoint <file>] [--record <dir>] [--retries <n>] [--delay <ms>] [--write] [--json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const utils = require('../src/utils');
+const locale = require('../src/locale');
+const monthIndex = require('../src/monthIndex');
+const officialData = require('../src/officialData');
+const { createProvider } = require('../src/provider');
+const { expandProvenance, compactProvenance } = require('../src/provenance');
+
+const OFFICIAL_DATA_PATH = path.join(__dirname, '..', 'src', 'officialData.js');
+const DEFAULT_CHECKPOINT = 'bahesab-checkpoint.json';
+const DEFAULT_DELAY = 500; // between requests, as in the C# scraper
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 2000; // doubled after each failed attempt
+const DEFAULT_TIMEOUT = 15000;
+
+// A date such as '۱۳  ⁄  ۶  ⁄  ۱۳۰۰' or '13 / 6 / 1300' (day / month / year)
+const RESULT_DATE_REGEX = /([۰-۹٠-٩\d]+)\s*[/⁄]\s*([۰-۹٠-٩\d]+)\s*[/⁄]\s*([۰-۹٠-٩\d]+)/;
+const DATE_DIV_REGEX = /<div[^>]*class\s*=\s*["'][^"']*date[^"']*["'][^>]*>([\s\S]*?)<\/div>/gi;
+
+const USAGE = `Usage: node scripts/bahesab-ingest.js --from <hy[/hm]> --to <hy[/hm]> (--fixtures <dir> | --url <template>)
+
+Options:
+  --from <hy[/hm]>      First Hijri month to collect (default month 1)
+  --to <hy[/hm]>        Last Hijri month to collect (default month 12)
+  --fixtures <dir>      Read result pages from saved files named 1447-01-01.html
+  --url <template>      Request result pages from a URL; {hy}, {hm} and {hd} are replaced
+  --method <name>       HTTP method for --url (default GET)
+  --body <template>     Request body for --url, with the same placeholders
+  --record <dir>        Save every fetched page as a fixture
+  --checkpoint <file>   Month starts collected so far (default ${DEFAULT_CHECKPOINT})
+  --retries <n>         Attempts after a failed fetch (default ${DEFAULT_RETRIES})
+  --delay <ms>          Pause between requests (default ${DEFAULT_DELAY})
+  --write               Rewrite src/officialData.js when the result is valid
+  --json                Print the report as JSON
+`;
+
+/**
+ * Helper: Format a Hijri month for messages
+ * @param {Object} month - Object with hy and hm properties
+ * @returns {string} Month as YYYY/MM
+ */
+function formatMonth({ hy, hm }) {
+  return `${hy}/${String(hm).padStart(2, '0')}`;
+}
+
+/**
+ * Helper: Format a Julian Day Number as a Jalaali date for messages
+ * @param {number} julianDay - Julian Day Number
+ * @returns {string} Date as YYYY/MM/DD
+ */
+function formatJulianDay(julianDay) {
+  const { jy, jm, jd } = utils.julianToJalaali(julianDay);
+  return `${jy}/${String(jm).padStart(2, '0')}/${String(jd).padStart(2, '0')}`;
+}
+
+/**
+ * Helper: Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise} Resolves after the wait
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read the Jalaali date from a Bahesab result page
+ * 
+ * Looks in the result's date divs first and then in the whole text, for
+ * the first day/month/year with Latin, Persian or Arabic digits whose year
+ * is plausibly Jalaali (1200-1500), like ParseJalaaliDate in the scraper.
+ * 
+ * @param {string} html - Result page or fragment
+ * @returns {Object|null} Object with jy, jm, jd, or null if no date is found
+ */
+function parseResult(html) {
+  const toText = fragment => fragment.replace(/<[^>]*>/g, '\n').replace(/&nbsp;/g, ' ');
+  const candidates = [];
+  let match;
+  
+  DATE_DIV_REGEX.lastIndex = 0;
+  while ((match = DATE_DIV_REGEX.exec(html)) !== null) {
+    candidates.push(toText(match[1]));
+  }
+  candidates.push(toText(html));
+  
+  for (const text of candidates) {
+    for (const line of text.split(/[\n|]/)) {
+      const date = line.match(RESULT_DATE_REGEX);
+      if (!date) {
+        continue;
+      }
+      const [jd, jm, jy] = date.slice(1).map(part => Number(locale.normalizeDigits(part)));
+      if (jy >= 1200 && jy <= 1500 && utils.isValidJalaaliDate(jy, jm, jd)) {
+        return { jy, jm, jd };
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Name of the fixture file for a Hijri date
+ * @param {Object} hijri - Object with hy, hm and hd
+ * @returns {string} File name such as '1447-01-01.html'
+ */
+function getFixtureName({ hy, hm, hd }) {
+  return `${hy}-${String(hm).padStart(2, '0')}-${String(hd).padStart(2, '0')}.html`;
+}
+
+/**
+ * Create a fetcher that reads saved result pages
+ * @param {string} directory - Directory of files named like '1447-01-01.html'
+ * @returns {Function} Fetcher ({ hy, hm, hd }) => Promise<string>, with origin 'fixtures:<directory>'
+ */
+function createFixtureFetcher(directory) {
+  const fetcher = hijri => new Promise((resolve, reject) => {
+    const file = path.join(directory, getFixtureName(hijri));
+    fs.readFile(file, 'utf8', (error, html) => {
+      if (error) {
+        reject(new Error(`No fixture for ${formatMonth(hijri)}/${String(hijri.hd).padStart(2, '0')}: ${file}`));
+      } else {
+        resolve(html);
+      }
+    });
+  });
+  fetcher.origin = `fixtures:${path.resolve(directory)}`;
+  return fetcher;
+}
+
+/**
+ * Create a fetcher that requests result pages over HTTP(S)
+ * @param {string} urlTemplate - URL with {hy}, {hm} and {hd} placeholders,
+ *   e.g. 'http://localhost:8080/convert?year={hy}&month={hm}&day={hd}'
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {string} [options.body] - Request body template with the same placeholders
+ * @param {Object} [options.headers] - Request headers
+ * @param {number} [options.timeout=15000] - Milliseconds to wait for a response
+ * @returns {Function} Fetcher ({ hy, hm, hd }) => Promise<string>, with origin '<method> <urlTemplate>'
+ *   (plus the body template, if any)
+ */
+function createHttpFetcher(urlTemplate, options = {}) {
+  const { method = 'GET', body, headers = {}, timeout = DEFAULT_TIMEOUT } = options;
+  const fill = (template, { hy, hm, hd }) => template
+    .replace(/\{hy\}/g, hy)
+    .replace(/\{hm\}/g, hm)
+    .replace(/\{hd\}/g, hd);
+  
+  const fetcher = hijri => new Promise((resolve, reject) => {
+    // url.parse and an options object, as request(url, options) needs Node 10.9
+    const target = url.parse(fill(urlTemplate, hijri));
+    const client = target.protocol === 'https:' ? https : http;
+    const payload = body === undefined ? null : fill(body, hijri);
+    const requestOptions = {
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      method,
+      headers
+    };
+    
+    const request = client.request(requestOptions, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new Error(`HTTP ${response.statusCode} for ${target.href}`));
+        } else {
+          resolve(Buffer.concat(chunks).toString('utf8'));
+        }
+      });
+    });
+    request.setTimeout(timeout, () => request.abort());
+    request.on('abort', () => reject(new Error(`Timeout after ${timeout} ms for ${target.href}`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+  fetcher.origin = `${method} ${urlTemplate}${body === undefined ? '' : ` ${body}`}`;
+  return fetcher;
+}
+
+/**
+ * Helper: Create a directory and any missing parents (mkdirSync's recursive option needs Node 10.12)
+ * @param {string} directory - Directory path
+ */
+function makeDirectory(directory) {
+  if (fs.existsSync(directory)) {
+    return;
+  }
+  makeDirectory(path.dirname(directory));
+  fs.mkdirSync(directory);
+}
+
+/**
+ * Wrap a fetcher so every page it fetches is also saved as a fixture
+ * @param {Function} fetcher - Fetcher to wrap
+ * @param {string} directory - Directory to save pages in (created if missing)
+ * @returns {Function} Fetcher
+ */
+function recordFixtures(fetcher, directory) {
+  const recorder = hijri => fetcher(hijri).then(html => {
+    makeDirectory(directory);
+    fs.writeFileSync(path.join(directory, getFixtureName(hijri)), html);
+    return html;
+  });
+  recorder.origin = fetcher.origin;
+  return recorder;
+}
+
+/**
+ * Helper: Fetch and parse the Jalaali date of a Hijri month's first day, retrying on failure
+ * @param {Function} fetcher - Fetcher
+ * @param {Object} month - Object with hy and hm
+ * @param {Object} options - Object with retries and retryDelay
+ * @returns {Promise<Object>} Object with jy, jm, jd
+ */
+function fetchMonthStart(fetcher, month, { retries, retryDelay }) {
+  const attempt = number => fetcher({ hy: month.hy, hm: month.hm, hd: 1 })
+    .then(html => {
+      const date = parseResult(html);
+      if (!date) {
+        throw new Error(`Could not parse the result for ${formatMonth(month)}/01`);
+      }
+      return date;
+    })
+    .catch(error => {
+      if (number >= retries) {
+        throw new Error(`${error.message} (after ${number + 1} attempts)`);
+      }
+      return wait(retryDelay * Math.pow(2, number)).then(() => attempt(number + 1));
+    });
+  
+  return attempt(0);
+}
+
+/**
+ * Read a checkpoint file
+ * @param {string} file - Checkpoint path
+ * @param {string} origin - Where the pages come from (the fetcher's origin)
+ * @returns {Object} Checkpoint ({ origin, monthStarts: { 'hy/hm': { jy, jm, jd } } }); empty if the
+ *   file does not exist
+ */
+function loadCheckpoint(file, origin) {
+  if (!fs.existsSync(file)) {
+    return { origin, monthStarts: {} };
+  }
+  
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!checkpoint || typeof checkpoint.monthStarts !== 'object') {
+    throw new Error(`Invalid checkpoint file: ${file}`);
+  }
+  
+  // Month starts from another origin could disagree with this one's, so they are not mixed
+  if (checkpoint.origin !== origin) {
+    throw new Error(
+      `Checkpoint ${file} was collected from ${checkpoint.origin || 'an unknown origin'}, not ${origin}; ` +
+      'delete it or use another --checkpoint'
+    );
+  }
+  return checkpoint;
+}
+
+/**
+ * Write a checkpoint file, replacing it in one step so an interrupted write leaves the old one
+ * @param {string} file - Checkpoint path
+ * @param {Object} checkpoint - Checkpoint
+ */
+function saveCheckpoint(file, checkpoint) {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Helper: Delete a checkpoint file if it exists
+ * @param {string} file - Checkpoint path
+ */
+function removeCheckpoint(file) {
+  if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+}
+
+/**
+ * Helper: List the months from one Hijri month to another, inclusive
+ * @param {Object} from - Object with hy and hm
+ * @param {Object} to - Object with hy and hm
+ * @returns {Array<Object>} Months ({ hy, hm })
+ */
+function listMonths(from, to) {
+  const months = [];
+  const last = monthIndex.toMonthNumber(to.hy, to.hm);
+  for (let number = monthIndex.toMonthNumber(from.hy, from.hm); number <= last; number++) {
+    months.push(monthIndex.fromMonthNumber(number));
+  }
+  return months;
+}
+
+/**
+ * Collect the Jalaali start of every month in a range and of the month after it
+ * 
+ * Months already in the checkpoint are not fetched again, and the
+ * checkpoint is saved after every fetched month. A checkpoint collected from
+ * another origin is refused.
+ * 
+ * @param {Object} options - Collection options
+ * @param {Object} options.from - First month ({ hy, hm })
+ * @param {Object} options.to - Last month ({ hy, hm })
+ * @param {Function} options.fetcher - Fetcher
+ * @param {string} [options.origin] - Where the pages come from; defaults to fetcher.origin, and is
+ *   required with a checkpoint
+ * @param {string} [options.checkpoint] - Checkpoint path; none is kept when omitted
+ * @param {number} [options.delay=500] - Milliseconds between requests
+ * @param {number} [options.retries=3] - Attempts after a failed fetch
+ * @param {number} [options.retryDelay=2000] - Milliseconds before the first retry
+ * @param {Function} [options.onMonth] - Called with (month, date, cached) for every month
+ * @returns {Promise<Object>} Month starts by 'hy/hm'
+ */
+function collectMonthStarts(options) {
+  const {
+    from,
+    to,
+    fetcher,
+    origin = fetcher.origin,
+    checkpoint: checkpointFile,
+    delay = DEFAULT_DELAY,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    onMonth = () => {}
+  } = options;
+  
+  if (checkpointFile && !origin) {
+    throw new Error('A checkpoint needs the origin of the pages (options.origin or fetcher.origin)');
+  }
+  
+  const checkpoint = checkpointFile ? loadCheckpoint(checkpointFile, origin) : { origin, monthStarts: {} };
+  const following = monthIndex.fromMonthNumber(monthIndex.toMonthNumber(to.hy, to.hm) + 1);
+  const months = listMonths(from, to).concat([following]);
+  let fetched = 0;
+  
+  const next = position => {
+    if (position === months.length) {
+      return Promise.resolve(checkpoint.monthStarts);
+    }
+    
+    const month = months[position];
+    const key = `${month.hy}/${month.hm}`;
+    if (checkpoint.monthStarts[key]) {
+      onMonth(month, checkpoint.monthStarts[key], true);
+      return next(position + 1);
+    }
+    
+    return wait(fetched++ > 0 ? delay : 0)
+      .then(() => fetchMonthStart(fetcher, month, { retries, retryDelay }))
+      .then(date => {
+        checkpoint.monthStarts[key] = date;
+        if (checkpointFile) {
+          saveCheckpoint(checkpointFile, checkpoint);
+        }
+        onMonth(month, date, false);
+        return next(position + 1);
+      });
+  };
+  
+  return next(0);
+}
+
+/**
+ * Turn month starts into month lengths by differencing consecutive starts
+ * @param {Object} from - First month ({ hy, hm })
+ * @param {Object} to - Last month ({ hy, hm })
+ * @param {Object} monthStarts - Jalaali month starts by 'hy/hm', including the month after the range
+ * @returns {Object} Object with data (month lengths by year, like officialData) and
+ *   months ({ hy, hm, julianDay, length } for each month of the range)
+ */
+function toMonthLengths(from, to, monthStarts) {
+  const getStart = ({ hy, hm }) => {
+    const date = monthStarts[`${hy}/${hm}`];
+    if (!date) {
+      throw new Error(`Missing month start for ${formatMonth({ hy, hm })}`);
+    }
+    return utils.jalaaliToJulian(date.jy, date.jm, date.jd);
+  };
+  
+  const data = {};
+  const months = listMonths(from, to).map(month => {
+    const julianDay = getStart(month);
+    const following = monthIndex.fromMonthNumber(monthIndex.toMonthNumber(month.hy, month.hm) + 1);
+    const length = getStart(following) - julianDay;
+    
+    data[month.hy] = (data[month.hy] || []).concat([length]);
+    return { hy: month.hy, hm: month.hm, julianDay, length };
+  });
+  
+  return { data, months };
+}
+
+/**
+ * Merge collected month lengths into a table of month lengths
+ * @param {Object} current - Month lengths by year
+ * @param {Array<Object>} months - Collected months ({ hy, hm, length })
+ * @returns {Object} New table; collected months replace or extend the current ones
+ */
+function mergeData(current, months) {
+  const merged = {};
+  Object.keys(current).forEach(year => {
+    merged[year] = current[year].slice();
+  });
+  months.forEach(({ hy, hm, length }) => {
+    merged[hy] = merged[hy] || [];
+    merged[hy][hm - 1] = length;
+  });
+  return merged;
+}
+
+/**
+ * Compare two tables of month lengths
+ * @param {Object} before - Month lengths by year
+ * @param {Object} after - Month lengths by year
+ * @returns {Object} Object with changed ({ hy, hm, before, after }), added ({ hy, hm, length }),
+ *   removed ({ hy, hm, length }) and unchanged (count)
+ */
+function diffData(before, after) {
+  const diff = { changed: [], added: [], removed: [], unchanged: 0 };
+  const years = Array.from(new Set(Object.keys(before).concat(Object.keys(after)).map(Number)))
+    .sort((a, b) => a - b);
+  
+  years.forEach(hy => {
+    const old = before[hy] || [];
+    const next = after[hy] || [];
+    for (let i = 0; i < Math.max(old.length, next.length); i++) {
+      const hm = i + 1;
+      if (old[i] === undefined) {
+        diff.added.push({ hy, hm, length: next[i] });
+      } else if (next[i] === undefined) {
+        diff.removed.push({ hy, hm, length: old[i] });
+      } else if (old[i] !== next[i]) {
+        diff.changed.push({ hy, hm, before: old[i], after: next[i] });
+      } else {
+        diff.unchanged++;
+      }
+    }
+  });
+  
+  return diff;
+}
+
+/**
+ * Check that a new table of month lengths, with its provenance, still fits the official anchors
+ * @param {Object} data - Month lengths by year
+ * @param {Array<Object>} provenance - Provenance runs for the table
+ * @returns {Array<Object>} Problems ({ type: 'anchor', hy, hm, message }); empty when the table fits
+ */
+function checkAnchors(data, provenance) {
+  const { anchors } = officialData;
+  try {
+    createProvider({
+      name: officialData.provider.name,
+      data,
+      anchor: anchors.start.jalaali,
+      endAnchor: { hy: anchors.end.hy, hm: anchors.end.hm, date: anchors.end.jalaali },
+      provenance
+    });
+    return [];
+  } catch (error) {
+    return [{ type: 'anchor', hy: anchors.end.hy, hm: anchors.end.hm, message: error.message }];
+  }
+}
+
+/**
+ * Check collected months before they replace or extend the current data
+ * @param {Array<Object>} months - Collected months ({ hy, hm, julianDay, length })
+ * @param {Object} merged - Result of mergeData
+ * @param {Array<Object>} [provenance] - Provenance runs for the merged table
+ * @returns {Array<Object>} Problems ({ type, hy, hm, message }, type being 'monthLength',
+ *   'continuity' or 'anchor'); empty when the data may be written
+ */
+function validate(months, merged, provenance = []) {
+  const problems = [];
+  const report = (type, month, message) => {
+    problems.push({ type, hy: month.hy, hm: month.hm, message });
+  };
+  
+  months.forEach(month => {
+    if (month.length !== 29 && month.length !== 30) {
+      report('monthLength', month, `Month ${formatMonth(month)} has ${month.length} days (expected 29 or 30)`);
+    }
+  });
+  
+  // Where the current data places a month, or the month right after its last one
+  const index = monthIndex.createMonthIndex(officialData.provider);
+  const getPlacedStart = ({ hy, hm }) => {
+    const start = monthIndex.getMonthStart(index, hy, hm);
+    if (start !== null) {
+      return start;
+    }
+    const previous = monthIndex.fromMonthNumber(monthIndex.toMonthNumber(hy, hm) - 1);
+    const previousStart = monthIndex.getMonthStart(index, previous.hy, previous.hm);
+    return previousStart === null ? null : previousStart + monthIndex.getMonthLength(index, previous.hy, previous.hm);
+  };
+  
+  if (months.length > 0) {
+    const first = months[0];
+    const last = months[months.length - 1];
+    const expectedFirst = getPlacedStart(first);
+    
+    if (expectedFirst === null) {
+      report('continuity', first,
+        `Month ${formatMonth(first)} neither is in the current data nor follows it, so the new months cannot be joined to it`);
+    } else if (expectedFirst !== first.julianDay) {
+      report('continuity', first,
+        `Month ${formatMonth(first)} starts on ${formatJulianDay(first.julianDay)}, ` +
+        `but the current data starts it on ${formatJulianDay(expectedFirst)}`);
+    }
+    
+    const following = monthIndex.fromMonthNumber(monthIndex.toMonthNumber(last.hy, last.hm) + 1);
+    const expectedFollowing = monthIndex.getMonthStart(index, following.hy, following.hm);
+    const followingStart = last.julianDay + last.length;
+    if (expectedFollowing !== null && expectedFollowing !== followingStart) {
+      report('continuity', following,
+        `Month ${formatMonth(following)} starts on ${formatJulianDay(followingStart)} after the new months, ` +
+        `but the current data starts it on ${formatJulianDay(expectedFollowing)}`);
+    }
+  }
+  
+  // The merged table must still fit both anchors
+  return problems.length === 0 ? checkAnchors(merged, provenance) : problems;
+}
+
+/**
+ * Helper: Write a provenance run as a line of JavaScript
+ * @param {Object} entry - Provenance run
+ * @returns {string} Object literal
+ */
+function renderProvenanceEntry({ from, to, source, retrieved, status, sources }) {
+  const quote = value => (value === null ? 'null' : `'${value}'`);
+  const fields = [
+    `from: { hy: ${from.hy}, hm: ${from.hm} }`,
+    `to: { hy: ${to.hy}, hm: ${to.hm} }`,
+    `source: ${quote(source)}`,
+    `retrieved: ${quote(retrieved)}`,
+    `status: ${quote(status)}`
+  ];
+  if (sources) {
+    fields.push(`sources: [${sources.map(quote).join(', ')}]`);
+  }
+  return `{ ${fields.join(', ')} }`;
+}
+
+/**
+ * Replace the officialData table, and its provenance, in the source of src/officialData.js
+ * @param {string} source - Current module source
+ * @param {Object} data - Month lengths by year
+ * @param {Array<Object>} [provenance] - Provenance runs; the current ones are kept when omitted
+ * @returns {string} New module source
+ */
+function renderOfficialData(source, data, provenance) {
+  const tablePattern = /const officialData = \{\n[\s\S]*?\n\};/;
+  const provenancePattern = /const provenance = \[\n[\s\S]*?\n\];/;
+  if (!tablePattern.test(source) || (provenance && !provenancePattern.test(source))) {
+    throw new Error('Could not find the officialData table or its provenance in src/officialData.js');
+  }
+  
+  const rows = Object.keys(data)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(hy => `  ${hy}: [${data[hy].join(', ')}],`);
+  const rendered = source.replace(tablePattern, () => `const officialData = {\n${rows.join('\n')}\n};`);
+  if (!provenance) {
+    return rendered;
+  }
+  
+  const entries = provenance.map(entry => `  ${renderProvenanceEntry(entry)}`);
+  return rendered.replace(provenancePattern, () => `const provenance = [\n${entries.join(',\n')}\n];`);
+}
+
+/**
+ * Collect, check and optionally write official month lengths
+ * 
+ * The checkpoint, if any, is deleted once the report is ready.
+ * 
+ * @param {Object} options - Options of collectMonthStarts, plus:
+ * @param {boolean} [options.write=false] - Rewrite src/officialData.js when the result is valid and differs
+ * @param {string} [options.target] - Module to rewrite instead of src/officialData.js
+ * @param {string} [options.source='bahesab'] - Source name recorded in the provenance of changed months
+ * @param {string} [options.retrieved] - Retrieval date recorded with it (YYYY-MM-DD, default today)
+ * @returns {Promise<Object>} Object with ok, from, to, data (collected lengths by year), diff,
+ *   provenance, problems and written
+ */
+function ingest(options) {
+  const {
+    from,
+    to,
+    write = false,
+    target = OFFICIAL_DATA_PATH,
+    source = 'bahesab',
+    retrieved = new Date().toISOString().slice(0, 10)
+  } = options;
+  if (monthIndex.toMonthNumber(to.hy, to.hm) < monthIndex.toMonthNumber(from.hy, from.hm)) {
+    throw new Error(`Invalid range: ${formatMonth(to)} is before ${formatMonth(from)}`);
+  }
+  
+  return Promise.resolve().then(() => collectMonthStarts(options)).then(monthStarts => {
+    const { data, months } = toMonthLengths(from, to, monthStarts);
+    const merged = mergeData(officialData.officialData, months);
+    const diff = diffData(officialData.officialData, merged);
+    
+    // Months whose value is new are provisional until another source confirms them
+    const records = expandProvenance(officialData.provenance);
+    const record = { source, retrieved, status: 'provisional' };
+    diff.changed.concat(diff.added).forEach(({ hy, hm }) => {
+      records.set(monthIndex.toMonthNumber(hy, hm), record);
+    });
+    const provenance = compactProvenance(records);
+    
+    const problems = validate(months, merged, provenance);
+    const ok = problems.length === 0;
+    const changed = diff.changed.length > 0 || diff.added.length > 0;
+    
+    const written = write && ok && changed;
+    if (written) {
+      fs.writeFileSync(target, renderOfficialData(fs.readFileSync(target, 'utf8'), merged, provenance));
+    }
+    
+    // The run is complete, so a later one starts from fresh pages
+    if (options.checkpoint) {
+      removeCheckpoint(options.checkpoint);
+    }
+    
+    return { ok, from, to, data, diff, provenance, problems, written };
+  });
+}
+
+/**
+ * Helper: Read a Hijri month given as 'hy' or 'hy/hm'
+ * @param {string} input - Month
+ * @param {number} defaultMonth - Month used when only the year is given
+ * @returns {Object} Object with hy and hm
+ */
+function parseMonth(input, defaultMonth) {
+  const match = String(input).match(/^(\d+)(?:[/-](\d+))?$/);
+  const month = match ? { hy: Number(match[1]), hm: match[2] ? Number(match[2]) : defaultMonth } : null;
+  if (!month || month.hm < 1 || month.hm > 12) {
+    throw new Error(`Invalid month: ${input} (expected a Hijri year or year/month, e.g. 1448/10)`);
+  }
+  return month;
+}
+
+/**
+ * Helper: Print an ingestion report as text
+ * @param {Object} report - Result of ingest
+ * @param {boolean} write - Whether --write was given
+ */
+function printReport(report, write) {
+  const { diff } = report;
+  console.log(`\nCollected ${formatMonth(report.from)}-${formatMonth(report.to)}`);
+  Object.keys(report.data).forEach(hy => {
+    console.log(`  ${hy}: [${report.data[hy].join(', ')}]`);
+  });
+  
+  console.log(`\nDiff against src/officialData.js: ${diff.unchanged} unchanged, ` +
+    `${diff.changed.length} changed, ${diff.added.length} added`);
+  diff.changed.forEach(({ hy, hm, before, after }) => {
+    console.log(`  changed ${formatMonth({ hy, hm })}: ${before} -> ${after}`);
+  });
+  diff.added.forEach(({ hy, hm, length }) => {
+    console.log(`  added   ${formatMonth({ hy, hm })}: ${length}`);
+  });
+  
+  if (!report.ok) {
+    console.log(`\nFAILED: ${report.problems.length} problem(s), src/officialData.js left unchanged`);
+    report.problems.forEach(problem => {
+      console.log(`  [${problem.type}] ${problem.message}`);
+    });
+  } else if (report.written) {
+    console.log('\nOK: src/officialData.js updated; run `npm test` and review the diff');
+  } else if (write) {
+    console.log('\nOK: nothing to update');
+  } else {
+    console.log('\nOK: run again with --write to update src/officialData.js');
+  }
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+function main(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (['write', 'json', 'help'].includes(name)) {
+      flags[name] = true;
+    } else {
+      flags[name] = args[++i];
+    }
+  }
+  
+  if (flags.help || !flags.from || !flags.to || (!flags.fixtures && !flags.url)) {
+    process.stderr.write(USAGE);
+    return Promise.resolve(flags.help ? 0 : 1);
+  }
+  
+  return Promise.resolve()
+    .then(() => {
+      let fetcher = flags.fixtures
+        ? createFixtureFetcher(flags.fixtures)
+        : createHttpFetcher(flags.url, { method: flags.method, body: flags.body });
+      if (flags.record) {
+        fetcher = recordFixtures(fetcher, flags.record);
+      }
+      
+      return ingest({
+        from: parseMonth(flags.from, 1),
+        to: parseMonth(flags.to, 12),
+        fetcher,
+        checkpoint: flags.checkpoint || DEFAULT_CHECKPOINT,
+        delay: flags.delay === undefined ? DEFAULT_DELAY : Number(flags.delay),
+        retries: flags.retries === undefined ? DEFAULT_RETRIES : Number(flags.retries),
+        write: Boolean(flags.write),
+        onMonth: flags.json ? undefined : (month, date, cached) => {
+          const jalaali = `${date.jy}/${String(date.jm).padStart(2, '0')}/${String(date.jd).padStart(2, '0')}`;
+          console.log(`  ${formatMonth(month)} starts ${jalaali}${cached ? ' (checkpoint)' : ''}`);
+        }
+      });
+    })
+    .then(report => {
+      if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printReport(report, flags.write);
+      }
+      return report.ok ? 0 : 1;
+    })
+    .catch(error => {
+      process.stderr.write(`bahesab-ingest: ${error.message}\n`);
+      return 1;
+    });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  parseResult,
+  createFixtureFetcher,
+  createHttpFetcher,
+  recordFixtures,
+  loadCheckpoint,
+  saveCheckpoint,
+  collectMonthStarts,
+  toMonthLengths,
+  mergeData,
+  diffData,
+  validate,
+  checkAnchors,
+  renderOfficialData,
+  ingest
+};
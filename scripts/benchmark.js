@@ -0,0 +1,149 @@
+/**
+ * Official Conversion Benchmark
+ * 
+ * Compares the month start index used by the converters (src/monthIndex.js)
+ * with the previous linear walk over the official table, which summed every
+ * year from the start of the data on each call, and jalaaliToHijri called
+ * date by date with convertMany over the same dates in order (src/bulk.js).
+ * 
+ * Usage: node scripts/benchmark.js [iterations]
+ */
+
+const officialData = require('../src/officialData');
+const conversion = require('../src/conversion');
+const utils = require('../src/utils');
+const { jalaaliToHijri, convertMany } = require('../src');
+
+const { provider } = officialData;
+const iterations = Number(process.argv[2]) || 200000;
+
+/**
+ * Linear Hijri -> Julian Day, as computed before the index
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ * @param {number} hd - Hijri day
+ * @returns {number} Julian Day Number
+ */
+function linearHijriToJulian(hy, hm, hd) {
+  const range = provider.getRange();
+  let days = 0;
+  
+  for (let y = range.minYear; y < hy; y++) {
+    days += provider.getMonthLengths(y).reduce((sum, length) => sum + length, 0);
+  }
+  for (let m = 1; m < hm; m++) {
+    days += provider.getMonthLengths(hy)[m - 1];
+  }
+  
+  return provider.anchorJulianDay + days + hd - 1;
+}
+
+/**
+ * Linear Julian Day -> Hijri, as computed before the index
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object|null} Object with hy, hm, hd properties
+ */
+function linearJulianToHijri(julianDay) {
+  const range = provider.getRange();
+  let days = julianDay - provider.anchorJulianDay;
+  
+  for (let hy = range.minYear; hy <= range.maxYear; hy++) {
+    const lengths = provider.getMonthLengths(hy);
+    const yearLength = lengths.reduce((sum, length) => sum + length, 0);
+    
+    if (days < yearLength) {
+      for (let hm = 1; hm <= lengths.length; hm++) {
+        if (days < lengths[hm - 1]) {
+          return { hy, hm, hd: days + 1 };
+        }
+        days -= lengths[hm - 1];
+      }
+    }
+    days -= yearLength;
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Time a function over every input
+ * @param {string} label - Name to print
+ * @param {Array} inputs - Arguments for each call
+ * @param {Function} fn - Function to time
+ * @returns {number} Milliseconds taken
+ */
+function time(label, inputs, fn) {
+  const start = process.hrtime();
+  let checksum = 0;
+  
+  for (let i = 0; i < inputs.length; i++) {
+    const result = fn(inputs[i]);
+    checksum += typeof result === 'number' ? result : result.hd;
+  }
+  
+  const [seconds, nanoseconds] = process.hrtime(start);
+  const milliseconds = seconds * 1000 + nanoseconds / 1e6;
+  console.log(`  ${label.padEnd(8)} ${milliseconds.toFixed(1).padStart(9)} ms  (checksum ${checksum})`);
+  return milliseconds;
+}
+
+// Deterministic dates spread over the official range (complete years only)
+const range = provider.getRange();
+const firstDay = provider.anchorJulianDay;
+const lastDay = linearHijriToJulian(range.maxYear, 1, 1) - 1;
+const julianDays = [];
+const hijriDates = [];
+let seed = 1;
+
+for (let i = 0; i < iterations; i++) {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  const julianDay = firstDay + (seed % (lastDay - firstDay + 1));
+  julianDays.push(julianDay);
+  hijriDates.push(linearJulianToHijri(julianDay));
+}
+
+// Both paths must agree before their timings mean anything
+for (let i = 0; i < iterations; i++) {
+  const { hy, hm, hd } = hijriDates[i];
+  const indexed = conversion.julianToHijri(julianDays[i]);
+  if (indexed.hy !== hy || indexed.hm !== hm || indexed.hd !== hd ||
+      conversion.hijriToJulian(hy, hm, hd).julianDay !== julianDays[i]) {
+    throw new Error(`Index and linear walk disagree on Julian Day ${julianDays[i]}`);
+  }
+}
+
+console.log(`${iterations} conversions over Hijri ${range.minYear}-${range.maxYear - 1}\n`);
+
+console.log('Hijri -> Julian Day');
+const linearToJulian = time('linear', hijriDates, ({ hy, hm, hd }) => linearHijriToJulian(hy, hm, hd));
+const indexedToJulian = time('indexed', hijriDates, ({ hy, hm, hd }) => conversion.hijriToJulian(hy, hm, hd).julianDay);
+console.log(`  speedup  ${(linearToJulian / indexedToJulian).toFixed(1)}x\n`);
+
+console.log('Julian Day -> Hijri');
+const linearToHijri = time('linear', julianDays, linearJulianToHijri);
+const indexedToHijri = time('indexed', julianDays, julianDay => conversion.julianToHijri(julianDay));
+console.log(`  speedup  ${(linearToHijri / indexedToHijri).toFixed(1)}x\n`);
+
+// Every day of the official range in order, as an ETL job would read a sorted table
+const jalaaliDates = [];
+for (let julianDay = firstDay; julianDay <= lastDay; julianDay++) {
+  jalaaliDates.push(utils.julianToJalaali(julianDay));
+}
+
+// Several passes after an untimed one, so that warm-up does not dominate
+const passes = new Array(20).fill(jalaaliDates);
+const convertSingly = dates => {
+  const results = dates.map(({ jy, jm, jd }) => jalaaliToHijri(jy, jm, jd));
+  return results[results.length - 1];
+};
+const convertInBulk = dates => {
+  const { results } = convertMany(dates, { from: 'jalaali', to: 'hijri' });
+  return results[results.length - 1];
+};
+convertSingly(jalaaliDates);
+convertInBulk(jalaaliDates);
+
+console.log(`Jalaali -> Hijri, ${jalaaliDates.length} days in order, ${passes.length} passes`);
+const single = time('single', passes, convertSingly);
+const bulk = time('bulk', passes, convertInBulk);
+console.log(`  speedup  ${(single / bulk).toFixed(1)}x`);
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+/**
+ * Official Data Reconciliation
+ * 
+ * Merges month lengths from several sources (e.g. Bahesab, the Geophysics
+ * Institute calendar and the official calendar PDFs typed up as JSON) into
+ * src/officialData.js and its provenance. Each source is a JSON file:
+ * 
+ * { "name": "geophysics", "retrieved": "2025-12-01", "status": "verified",
+ *   "data": { "1401": [30, 29, ...] } }
+ * 
+ * with data in the officialData.js format, or with "monthStarts": [{ "hy",
+ * "hm", "date": { jy, jm, jd } or { gy, gm, gd } }] for sources that list the
+ * first day of each month (lengths are the differences between consecutive
+ * starts). status defaults to 'provisional'.
+ * 
+ * The current table takes part too: each month votes under the sources its
+ * provenance names, unless a file with the same name replaces them. For
+ * every month:
+ * 
+ * - when all sources agree, the value is kept and is 'verified' if two or
+ *   more sources give it, otherwise it keeps the status of its one source
+ * - when they disagree, the disagreement is flagged and the maintainer's
+ *   choice for the month (--choose) wins, 'verified'; failing that the first
+ *   source in --prefer that has the month wins, 'provisional'. Without
+ *   either the disagreement is unresolved and nothing is written.
+ * 
+ * Like bahesab-ingest.js, the module is only rewritten (with --write) when
+ * the merged table has no gaps and still matches both anchors.
+ * 
+ * Usage:
+ *   node scripts/reconcile-sources.js <source.json>... [--prefer <name,...>]
+ *     [--choose <hy/hm=name,...>] [--write] [--json]
+ */
+
+const fs = require('fs');
+const utils = require('../src/utils');
+const monthIndex = require('../src/monthIndex');
+const officialData = require('../src/officialData');
+const { STATUSES, expandProvenance, compactProvenance } = require('../src/provenance');
+const { diffData, checkAnchors, renderOfficialData } = require('./bahesab-ingest');
+
+const OFFICIAL_DATA_PATH = require.resolve('../src/officialData');
+
+const USAGE = `Usage: node scripts/reconcile-sources.js <source.json>... [options]
+
+Options:
+  --prefer <name,...>       Sources in order of preference for disagreements
+  --choose <hy/hm=name,...> Source that wins a month, e.g. 1401/5=geophysics
+  --write                   Rewrite src/officialData.js when the result is valid
+  --json                    Print the report as JSON
+`;
+
+/**
+ * Helper: Format a Hijri month for messages
+ * @param {Object} month - Object with hy and hm properties
+ * @returns {string} Month as YYYY/MM
+ */
+function formatMonth({ hy, hm }) {
+  return `${hy}/${String(hm).padStart(2, '0')}`;
+}
+
+/**
+ * Helper: Check a month length given by a source
+ * @param {string} name - Source name, for error messages
+ * @param {number} number - Month number
+ * @param {number} length - Number of days
+ */
+function assertMonthLength(name, number, length) {
+  if (length !== 29 && length !== 30) {
+    const month = monthIndex.fromMonthNumber(number);
+    throw new Error(`Source ${name}: month ${formatMonth(month)} has ${length} days (expected 29 or 30)`);
+  }
+}
+
+/**
+ * Read a source of month lengths
+ * @param {Object} source - { name, retrieved?, status?, data } or { name, retrieved?, status?, monthStarts }
+ * @returns {Object} Object with name, retrieved, status and months (month number -> length)
+ */
+function readSource(source) {
+  const { name, retrieved = null, status = 'provisional', data, monthStarts } = source || {};
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Source name is required');
+  }
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Source ${name}: invalid status ${status} (expected 'verified' or 'provisional')`);
+  }
+  
+  const months = new Map();
+  if (data) {
+    Object.keys(data).forEach(year => {
+      data[year].forEach((length, index) => {
+        const number = monthIndex.toMonthNumber(Number(year), index + 1);
+        assertMonthLength(name, number, length);
+        months.set(number, length);
+      });
+    });
+  } else if (Array.isArray(monthStarts)) {
+    const starts = new Map();
+    monthStarts.forEach(({ hy, hm, date }) => {
+      starts.set(monthIndex.toMonthNumber(hy, hm), utils.solarDateToJulian(date));
+    });
+    starts.forEach((julianDay, number) => {
+      if (starts.has(number + 1)) {
+        const length = starts.get(number + 1) - julianDay;
+        assertMonthLength(name, number, length);
+        months.set(number, length);
+      }
+    });
+  } else {
+    throw new Error(`Source ${name}: expected data (year -> month lengths) or monthStarts`);
+  }
+  
+  return { name, retrieved, status, months };
+}
+
+/**
+ * Helper: Turn the current table and its provenance into sources, one per source name
+ * @returns {Array<Object>} Sources as from readSource, plus records (month number -> provenance
+ *   record), since the current months of one source may differ in retrieval date and status
+ */
+function readCurrentSources() {
+  const records = expandProvenance(officialData.provenance);
+  const sources = new Map();
+  
+  Object.keys(officialData.officialData).forEach(year => {
+    officialData.officialData[year].forEach((length, index) => {
+      const number = monthIndex.toMonthNumber(Number(year), index + 1);
+      const record = records.get(number) || { source: officialData.provider.name, retrieved: null, status: 'provisional' };
+      
+      (record.sources || [record.source]).forEach(name => {
+        if (!sources.has(name)) {
+          sources.set(name, { name, retrieved: null, status: 'provisional', months: new Map(), records: new Map() });
+        }
+        sources.get(name).months.set(number, length);
+        sources.get(name).records.set(number, record);
+      });
+    });
+  });
+  
+  return Array.from(sources.values());
+}
+
+/**
+ * Reconcile the month lengths of several sources
+ * @param {Array<Object>} sources - Sources as from readSource
+ * @param {Object} [options] - Reconciliation options
+ * @param {Array<string>} [options.prefer=[]] - Source names in order of preference for disagreements
+ * @param {Object} [options.choices={}] - Source name that wins a month, by 'hy/hm'
+ * @returns {Object} Object with months ({ hy, hm, length, provenance }, null length when unresolved)
+ *   and disagreements ({ hy, hm, values (source name -> length), chosen, resolvedBy }, resolvedBy
+ *   being 'choice', 'prefer' or null)
+ */
+function reconcile(sources, options = {}) {
+  const { prefer = [], choices = {} } = options;
+  const byName = new Map(sources.map(source => [source.name, source]));
+  const assertKnown = name => {
+    if (!byName.has(name)) {
+      throw new Error(`Unknown source: ${name} (expected one of ${Array.from(byName.keys()).join(', ')})`);
+    }
+  };
+  prefer.forEach(assertKnown);
+  Object.keys(choices).forEach(key => assertKnown(choices[key]));
+  
+  const numbers = new Set();
+  sources.forEach(source => source.months.forEach((length, number) => numbers.add(number)));
+  
+  const months = [];
+  const disagreements = [];
+  Array.from(numbers).sort((a, b) => a - b).forEach(number => {
+    const { hy, hm } = monthIndex.fromMonthNumber(number);
+    const values = {};
+    sources.forEach(source => {
+      if (source.months.has(number)) {
+        values[source.name] = source.months.get(number);
+      }
+    });
+    const names = Object.keys(values);
+    const agreed = new Set(names.map(name => values[name])).size === 1;
+    
+    let chosen = null;
+    let resolvedBy = null;
+    const choice = choices[`${hy}/${hm}`];
+    if (choice !== undefined) {
+      if (values[choice] === undefined) {
+        throw new Error(`Source ${choice} has no value for ${formatMonth({ hy, hm })}`);
+      }
+      chosen = choice;
+      resolvedBy = 'choice';
+    } else if (agreed) {
+      chosen = prefer.find(name => values[name] !== undefined) || names[0];
+    } else {
+      chosen = prefer.find(name => values[name] !== undefined) || null;
+      resolvedBy = chosen ? 'prefer' : null;
+    }
+    
+    if (!agreed) {
+      disagreements.push({ hy, hm, values, chosen, resolvedBy });
+    }
+    if (chosen === null) {
+      months.push({ hy, hm, length: null, provenance: null });
+      return;
+    }
+    
+    const length = values[chosen];
+    const supporting = names.filter(name => values[name] === length);
+    const source = byName.get(chosen);
+    const { retrieved, status: sourceStatus } = (source.records && source.records.get(number)) || source;
+    let status = sourceStatus;
+    if (resolvedBy === 'choice' || (agreed && supporting.length > 1)) {
+      status = 'verified';
+    } else if (!agreed) {
+      status = 'provisional';
+    }
+    
+    const provenance = { source: chosen, retrieved, status };
+    if (supporting.length > 1) {
+      provenance.sources = supporting;
+    }
+    months.push({ hy, hm, length, provenance });
+  });
+  
+  return { months, disagreements };
+}
+
+/**
+ * Helper: Check that a table has no missing months between its first and last
+ * @param {Object} data - Month lengths by year
+ * @returns {Array<Object>} Problems ({ type: 'continuity', hy, hm, message })
+ */
+function findGaps(data) {
+  const years = Object.keys(data).map(Number).sort((a, b) => a - b);
+  const hasMonth = number => {
+    const { hy, hm } = monthIndex.fromMonthNumber(number);
+    return !!data[hy] && data[hy][hm - 1] !== undefined;
+  };
+  const problems = [];
+  if (years.length === 0) {
+    return problems;
+  }
+  
+  // Report the first month of every run of missing months
+  const lastYear = years[years.length - 1];
+  const first = monthIndex.toMonthNumber(years[0], 1);
+  const last = monthIndex.toMonthNumber(lastYear, data[lastYear].length);
+  for (let number = first; number <= last; number++) {
+    if (!hasMonth(number) && (number === first || hasMonth(number - 1))) {
+      const month = monthIndex.fromMonthNumber(number);
+      problems.push({
+        type: 'continuity',
+        hy: month.hy,
+        hm: month.hm,
+        message: `Month ${formatMonth(month)} is missing, leaving a gap in the data`
+      });
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Reconcile sources with the current data and optionally write the result
+ * @param {Array<Object>} sources - Source objects (see readSource)
+ * @param {Object} [options] - Options of reconcile, plus:
+ * @param {boolean} [options.write=false] - Rewrite src/officialData.js when the result is valid and differs
+ * @param {string} [options.target] - Module to rewrite instead of src/officialData.js
+ * @returns {Object} Object with ok, sources (names), months, disagreements, diff, provenance,
+ *   problems and written
+ */
+function reconcileSources(sources, options = {}) {
+  const { write = false, target = OFFICIAL_DATA_PATH } = options;
+  const files = sources.map(readSource);
+  const fileNames = files.map(source => source.name);
+  const current = readCurrentSources().filter(source => !fileNames.includes(source.name));
+  const { months, disagreements } = reconcile(current.concat(files), options);
+  
+  const data = {};
+  Object.keys(officialData.officialData).forEach(year => {
+    data[year] = officialData.officialData[year].slice();
+  });
+  const records = expandProvenance(officialData.provenance);
+  months.forEach(({ hy, hm, length, provenance }) => {
+    if (length !== null) {
+      data[hy] = data[hy] || [];
+      data[hy][hm - 1] = length;
+      records.set(monthIndex.toMonthNumber(hy, hm), provenance);
+    }
+  });
+  const provenance = compactProvenance(records);
+  
+  const unresolved = disagreements
+    .filter(disagreement => disagreement.resolvedBy === null)
+    .map(({ hy, hm, values }) => ({
+      type: 'disagreement',
+      hy,
+      hm,
+      message: `Sources disagree on ${formatMonth({ hy, hm })} (` +
+        Object.keys(values).map(name => `${name}: ${values[name]}`).join(', ') + '); use --choose or --prefer'
+    }));
+  const gaps = findGaps(data);
+  const problems = unresolved.concat(gaps);
+  if (problems.length === 0) {
+    problems.push(...checkAnchors(data, provenance));
+  }
+  
+  const ok = problems.length === 0;
+  const diff = diffData(officialData.officialData, data);
+  const written = write && ok;
+  if (written) {
+    fs.writeFileSync(target, renderOfficialData(fs.readFileSync(target, 'utf8'), data, provenance));
+  }
+  
+  return {
+    ok,
+    sources: current.concat(files).map(source => source.name),
+    months,
+    disagreements,
+    diff,
+    provenance,
+    problems,
+    written
+  };
+}
+
+/**
+ * Helper: Read --choose values such as '1401/5=geophysics,1402/1=bahesab'
+ * @param {string} input - Choices
+ * @returns {Object} Source name by 'hy/hm'
+ */
+function parseChoices(input) {
+  const choices = {};
+  String(input).split(',').forEach(item => {
+    const match = item.trim().match(/^(\d+)\/(\d+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid --choose: ${item} (expected hy/hm=source, e.g. 1401/5=geophysics)`);
+    }
+    choices[`${Number(match[1])}/${Number(match[2])}`] = match[3];
+  });
+  return choices;
+}
+
+/**
+ * Helper: Print a reconciliation report as text
+ * @param {Object} report - Result of reconcileSources
+ * @param {boolean} write - Whether --write was given
+ */
+function printReport(report, write) {
+  const count = status => report.months.filter(month => month.provenance && month.provenance.status === status).length;
+  console.log(`Reconciled ${report.months.length} months from ${report.sources.join(', ')}: ` +
+    `${count('verified')} verified, ${count('provisional')} provisional`);
+  
+  console.log(`\nDisagreements: ${report.disagreements.length}`);
+  report.disagreements.forEach(({ hy, hm, values, chosen, resolvedBy }) => {
+    const listed = Object.keys(values).map(name => `${name}: ${values[name]}`).join(', ');
+    console.log(`  ${formatMonth({ hy, hm })}  ${listed}  -> ${chosen ? `${chosen} (${resolvedBy})` : 'UNRESOLVED'}`);
+  });
+  
+  const { diff } = report;
+  console.log(`\nDiff against src/officialData.js: ${diff.unchanged} unchanged, ` +
+    `${diff.changed.length} changed, ${diff.added.length} added`);
+  diff.changed.forEach(({ hy, hm, before, after }) => {
+    console.log(`  changed ${formatMonth({ hy, hm })}: ${before} -> ${after}`);
+  });
+  diff.added.forEach(({ hy, hm, length }) => {
+    console.log(`  added   ${formatMonth({ hy, hm })}: ${length}`);
+  });
+  
+  if (!report.ok) {
+    console.log(`\nFAILED: ${report.problems.length} problem(s), src/officialData.js left unchanged`);
+    report.problems.forEach(problem => {
+      console.log(`  [${problem.type}] ${problem.message}`);
+    });
+  } else if (report.written) {
+    console.log('\nOK: src/officialData.js and its provenance updated; run `npm test` and review the diff');
+  } else {
+    console.log(`\nOK: ${write ? 'nothing written' : 'run again with --write to update src/officialData.js'}`);
+  }
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const files = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].slice(2);
+    if (!args[i].startsWith('--')) {
+      files.push(args[i]);
+    } else if (['write', 'json', 'help'].includes(name)) {
+      flags[name] = true;
+    } else if (['prefer', 'choose'].includes(name) && i + 1 < args.length) {
+      flags[name] = args[++i];
+    } else {
+      const problem = ['prefer', 'choose'].includes(name) ? `${args[i]} needs a value` : `unknown option ${args[i]}`;
+      process.stderr.write(`reconcile-sources: ${problem}\n${USAGE}`);
+      return 1;
+    }
+  }
+  
+  if (flags.help || files.length === 0) {
+    process.stderr.write(USAGE);
+    return flags.help ? 0 : 1;
+  }
+  
+  try {
+    const sources = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    const report = reconcileSources(sources, {
+      prefer: flags.prefer ? String(flags.prefer).split(',').map(name => name.trim()) : [],
+      choices: flags.choose ? parseChoices(flags.choose) : {},
+      write: Boolean(flags.write)
+    });
+    
+    if (flags.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report, flags.write);
+    }
+    return report.ok ? 0 : 1;
+  } catch (error) {
+    process.stderr.write(`reconcile-sources: ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  readSource,
+  reconcile,
+  reconcileSources
+};
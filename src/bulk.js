@@ -0,0 +1,392 @@
+/**
+ * Bulk Conversion
+ * 
+ * Converts arrays and streams of dates for ETL jobs, where calling
+ * jalaaliToHijri row by row would build a new weekday object per date and
+ * binary-search the month index for every row:
+ * 
+ * - weekday objects are built once per weekday and shared (they are frozen)
+ * - days are looked up through a cursor that walks forward from the month of
+ *   the previous date (see monthIndex.createCursor), so sorted input costs a
+ *   step per month; unsorted input still works and falls back to binary search
+ * - the start of the last Jalaali year is kept, so sorted input does not
+ *   search the leap year table for every date
+ * 
+ * Each date that cannot be converted is handled by the onError option:
+ * 'throw' (default) stops with an error naming the date, 'skip' leaves it out
+ * and 'annotate' puts { error, input } in its place. Both entry points count
+ * the results by source, so a job can report how much of its output rests on
+ * official data.
+ */
+
+const { Transform } = require('stream');
+const utils = require('./utils');
+const conversion = require('./conversion');
+const parse = require('./parse');
+
+const ERROR_MODES = ['throw', 'skip', 'annotate'];
+
+/**
+ * Helper: Create Jalaali <-> Julian Day converters that remember the last year
+ * they saw, so dates in order skip the leap year search of utils.jalaaliToJulian
+ * @returns {Object} Object with toJulian(jy, jm, jd) and fromJulian(julianDay)
+ */
+function createJalaaliDayConverter() {
+  let year = null;
+  let yearStart = 0;
+  let nextYearStart = 0;
+  
+  const useYear = jy => {
+    year = jy;
+    yearStart = utils.jalaaliToJulian(jy, 1, 1);
+    nextYearStart = utils.jalaaliToJulian(jy + 1, 1, 1);
+  };
+  
+  return {
+    toJulian(jy, jm, jd) {
+      if (jy !== year) {
+        useYear(jy);
+      }
+      return yearStart + (jm <= 7 ? (jm - 1) * 31 : (jm - 7) * 30 + 186) + jd - 1;
+    },
+    fromJulian(julianDay) {
+      if (year === null || julianDay < yearStart || julianDay >= nextYearStart) {
+        useYear(utils.julianToJalaali(julianDay).jy);
+      }
+      
+      const dayOfYear = julianDay - yearStart;
+      if (dayOfYear < 186) {
+        return { jy: year, jm: Math.floor(dayOfYear / 31) + 1, jd: (dayOfYear % 31) + 1 };
+      }
+      return { jy: year, jm: Math.floor((dayOfYear - 186) / 30) + 7, jd: ((dayOfYear - 186) % 30) + 1 };
+    }
+  };
+}
+
+/**
+ * Helper: Add the optional fields to a result, in the order the single-date functions give them
+ * @param {Object} result - Result with the date fields and source
+ * @param {Object|null} estimate - Confidence and uncertainty (see uncertainty.js), or null to leave them out
+ * @param {Object|null} weekday - Shared weekday object, or null to leave it out
+ * @returns {Object} The result
+ */
+function addResultFields(result, estimate, weekday) {
+  if (estimate) {
+    result.confidence = estimate.confidence;
+    result.uncertainty = estimate.uncertainty;
+  }
+  if (weekday) {
+    result.weekday = weekday;
+  }
+  return result;
+}
+
+// Field names, parsers, Julian Day converters (Hijri goes through the converter's core) and result builders per calendar
+const CALENDARS = {
+  hijri: {
+    label: 'Hijri',
+    fields: ['hy', 'hm', 'hd'],
+    parse: parse.parseHijri,
+    toResult: (date, source, estimate, weekday) =>
+      addResultFields({ hy: date.hy, hm: date.hm, hd: date.hd, source }, estimate, weekday)
+  },
+  jalaali: {
+    label: 'Jalaali',
+    fields: ['jy', 'jm', 'jd'],
+    parse: parse.parseJalaali,
+    isValid: utils.isValidJalaaliDate,
+    createDayConverter: createJalaaliDayConverter,
+    toResult: (date, source, estimate, weekday) =>
+      addResultFields({ jy: date.jy, jm: date.jm, jd: date.jd, source }, estimate, weekday)
+  },
+  gregorian: {
+    label: 'Gregorian',
+    fields: ['gy', 'gm', 'gd'],
+    parse: parse.parseGregorian,
+    isValid: utils.isValidGregorianDate,
+    createDayConverter: () => ({ toJulian: utils.gregorianToJulian, fromJulian: utils.julianToGregorian }),
+    toResult: (date, source, estimate, weekday) =>
+      addResultFields({ gy: date.gy, gm: date.gm, gd: date.gd, source }, estimate, weekday)
+  }
+};
+
+// Shared weekday objects, indexed by weekday number
+const WEEKDAYS = [];
+
+/**
+ * Helper: Get the shared weekday object for a day
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object} Frozen object with ar, fa, en and number properties
+ */
+function getWeekday(julianDay) {
+  const number = utils.getWeekdayNumber(julianDay);
+  if (!WEEKDAYS[number]) {
+    WEEKDAYS[number] = Object.freeze(conversion.getWeekdayInfo(julianDay));
+  }
+  return WEEKDAYS[number];
+}
+
+/**
+ * Helper: Create an empty set of counts
+ * @returns {Object} Object with total, official, override, astronomical, tabular, gapAdjacent and failed
+ */
+function createCounts() {
+  return { total: 0, official: 0, override: 0, astronomical: 0, tabular: 0, gapAdjacent: 0, failed: 0 };
+}
+
+/**
+ * Helper: Check the calendars and error mode of a bulk conversion
+ * @param {Object} options - Object with from, to and onError
+ */
+function checkOptions({ from, to, onError }) {
+  [from, to].forEach(calendar => {
+    if (!CALENDARS[calendar]) {
+      throw new Error(`Unknown calendar: ${calendar} (expected 'hijri', 'jalaali' or 'gregorian')`);
+    }
+  });
+  if (from === to || (from !== 'hijri' && to !== 'hijri')) {
+    throw new Error(`Cannot convert ${from} to ${to}: one side must be Hijri and the other Jalaali or Gregorian`);
+  }
+  if (!ERROR_MODES.includes(onError)) {
+    throw new Error(`Invalid onError option: ${onError} (expected ${ERROR_MODES.map(mode => `'${mode}'`).join(', ')})`);
+  }
+}
+
+/**
+ * Helper: Read a date given as a string, a [year, month, day] array or a date object
+ * @param {string} calendar - Calendar of the date
+ * @param {string|Array<number>|Object} input - Date to read
+ * @returns {Array<number>} [year, month, day]
+ */
+function readDate(calendar, input) {
+  const { label, fields, parse: parseDate } = CALENDARS[calendar];
+  
+  if (typeof input === 'string') {
+    // Hijri days are checked against the month length by the converter, as strict asks
+    const result = parseDate(input, { strict: false });
+    if (!result.valid) {
+      throw new Error(result.error.message);
+    }
+    return fields.map(field => result.date[field]);
+  }
+  if (Array.isArray(input) && input.length === 3) {
+    return input;
+  }
+  if (input && typeof input === 'object' && input[fields[0]] !== undefined) {
+    return [input[fields[0]], input[fields[1]], input[fields[2]]];
+  }
+  
+  throw new Error(`Unrecognized ${label} date: expected a string, [year, month, day] or { ${fields.join(', ')} }`);
+}
+
+/**
+ * Create the bulk conversion functions for a converter's core conversion
+ * @param {Object} core - Result of conversion.createConversion
+ * @param {Object} estimates - Result of uncertainty.createUncertainty for the same core
+ * @returns {Object} Object with convertMany and createConvertStream
+ */
+function createBulkConversion(core, estimates) {
+  /**
+   * Helper: Create a function converting single dates between two calendars,
+   * with its own cursor so each sequence of dates walks forward independently
+   * @param {Object} options - Object with from, to, strict, weekday and uncertainty
+   * @returns {Function} Function taking a date and returning a conversion result (throws on invalid dates)
+   */
+  function createDateConverter({ from, to, strict, weekday, uncertainty }) {
+    const julianToHijri = core.createSequentialJulianToHijri();
+    const source = CALENDARS[from];
+    const target = CALENDARS[to];
+    const days = (from === 'hijri' ? target : source).createDayConverter();
+    
+    return input => {
+      const parts = readDate(from, input);
+      const year = parts[0];
+      const month = parts[1];
+      const day = parts[2];
+      let julianDay;
+      let hijri;
+      
+      if (from === 'hijri') {
+        if (strict) {
+          const validation = core.validateHijriDate(year, month, day);
+          if (!validation.valid) {
+            throw new Error(validation.error);
+          }
+        } else if (!utils.isValidHijriDate(year, month, day)) {
+          throw new Error(`Invalid Hijri date: ${year}/${month}/${day}`);
+        }
+        
+        const julian = core.hijriToJulian(year, month, day);
+        julianDay = julian.julianDay;
+        hijri = { hy: year, hm: month, hd: day, source: julian.source, gapAdjacent: julian.gapAdjacent };
+      } else {
+        if (!source.isValid(year, month, day)) {
+          throw new Error(`Invalid ${source.label} date: ${year}/${month}/${day}`);
+        }
+        
+        julianDay = days.toJulian(year, month, day);
+        hijri = julianToHijri(julianDay);
+      }
+      
+      const date = to === 'hijri' ? hijri : days.fromJulian(julianDay);
+      const estimate = uncertainty
+        ? estimates.describe(julianDay, hijri, from === 'hijri' ? days.fromJulian : null)
+        : null;
+      const result = target.toResult(date, hijri.source, estimate, weekday ? getWeekday(julianDay) : null);
+      if (hijri.gapAdjacent) {
+        result.gapAdjacent = true;
+      }
+      return result;
+    };
+  }
+  
+  /**
+   * Helper: Convert one date and count the result
+   * @param {Function} convert - Result of createDateConverter
+   * @param {*} input - Date to convert
+   * @param {Object} counts - Counts to update
+   * @returns {Object} Conversion result, or { error, input } if the date could not be converted
+   */
+  function convertAndCount(convert, input, counts) {
+    counts.total++;
+    try {
+      const result = convert(input);
+      counts[result.source]++;
+      if (result.gapAdjacent) {
+        counts.gapAdjacent++;
+      }
+      return result;
+    } catch (error) {
+      counts.failed++;
+      return { error: error.message, input };
+    }
+  }
+  
+  /**
+   * Convert many dates from one calendar to another
+   * 
+   * Dates may be strings ('1404/06/13'), [year, month, day] arrays or date
+   * objects of the source calendar. Input sorted by date converts fastest.
+   * 
+   * @param {Iterable} dates - Dates to convert
+   * @param {Object} options - Conversion options
+   * @param {string} options.from - Calendar of the dates: 'hijri', 'jalaali' or 'gregorian'
+   * @param {string} options.to - Calendar to convert to; one of from and to must be 'hijri'
+   * @param {string} [options.onError='throw'] - Dates that cannot be converted: 'throw', 'skip' or 'annotate'
+   * @param {boolean} [options.strict=false] - Reject Hijri days beyond the actual month length
+   * @param {boolean} [options.weekday=true] - Include the weekday object (shared between results)
+   * @param {boolean} [options.uncertainty=true] - Include confidence and the uncertainty window
+   * @returns {Object} Object with results (the converted dates, as returned by the single-date
+   *   functions) and counts ({ total, official, override, astronomical, tabular, gapAdjacent, failed })
+   */
+  function convertMany(dates, options = {}) {
+    const { from, to, onError = 'throw', strict = false, weekday = true, uncertainty = true } = options;
+    checkOptions({ from, to, onError });
+    if (!dates || typeof dates[Symbol.iterator] !== 'function') {
+      throw new Error('convertMany expects an array or other iterable of dates');
+    }
+    
+    const convert = createDateConverter({ from, to, strict, weekday, uncertainty });
+    const counts = createCounts();
+    const results = [];
+    let index = 0;
+    
+    for (const input of dates) {
+      const result = convertAndCount(convert, input, counts);
+      if (result.error === undefined || onError === 'annotate') {
+        results.push(result);
+      } else if (onError === 'throw') {
+        throw new Error(`Date at index ${index}: ${result.error}`);
+      }
+      index++;
+    }
+    
+    return { results, counts };
+  }
+  
+  /**
+   * Create a Transform stream (object mode) that converts date fields of each record
+   * 
+   * Each field gets its own cursor, so columns sorted by date convert fastest.
+   * With onError 'skip', a record with any unconvertible field is dropped;
+   * with 'annotate', the field is set to { error, input }. The counts are
+   * available as stream.counts and emitted as a 'counts' event before 'end'.
+   * 
+   * @param {Object} options - Stream options
+   * @param {Array<string>|Object} options.fields - Field names, or an object mapping field names to
+   *   { from?, to?, as? } to override the calendars per field and write the result to another field
+   * @param {string} [options.from] - Calendar of the fields (default for every field)
+   * @param {string} [options.to] - Calendar to convert to (default for every field)
+   * @param {string} [options.onError='throw'] - Fields that cannot be converted: 'throw', 'skip' or 'annotate'
+   * @param {boolean} [options.strict=false] - Reject Hijri days beyond the actual month length
+   * @param {boolean} [options.weekday=true] - Include the weekday object (shared between results)
+   * @param {boolean} [options.uncertainty=true] - Include confidence and the uncertainty window
+   * @returns {Transform} Stream of converted records (copies; input records are not modified)
+   */
+  function createConvertStream(options = {}) {
+    const { fields, onError = 'throw', strict = false, weekday = true, uncertainty = true } = options;
+    if (!fields || typeof fields !== 'object') {
+      throw new Error('createConvertStream requires fields: an array of field names or an object of field options');
+    }
+    
+    const fieldOptions = Array.isArray(fields)
+      ? fields.map(name => ({ name }))
+      : Object.keys(fields).map(name => Object.assign({ name }, fields[name]));
+    if (fieldOptions.length === 0) {
+      throw new Error('createConvertStream requires at least one field');
+    }
+    
+    const converters = fieldOptions.map(field => {
+      const from = field.from || options.from;
+      const to = field.to || options.to;
+      checkOptions({ from, to, onError });
+      return {
+        name: field.name,
+        as: field.as || field.name,
+        convert: createDateConverter({ from, to, strict, weekday, uncertainty })
+      };
+    });
+    
+    const counts = createCounts();
+    let recordNumber = 0;
+    
+    const stream = new Transform({
+      objectMode: true,
+      transform(record, encoding, callback) {
+        const output = Object.assign({}, record);
+        let failed = false;
+        
+        for (const { name, as, convert } of converters) {
+          const result = convertAndCount(convert, record[name], counts);
+          if (result.error !== undefined) {
+            if (onError === 'throw') {
+              callback(new Error(`Record ${recordNumber}, field ${name}: ${result.error}`));
+              return;
+            }
+            failed = true;
+          }
+          output[as] = result;
+        }
+        
+        recordNumber++;
+        callback(null, failed && onError === 'skip' ? undefined : output);
+      },
+      flush(callback) {
+        this.emit('counts', counts);
+        callback();
+      }
+    });
+    
+    stream.counts = counts;
+    return stream;
+  }
+  
+  return {
+    convertMany,
+    createConvertStream
+  };
+}
+
+module.exports = {
+  createBulkConversion
+};
@@ -0,0 +1,151 @@
+/**
+ * Month Calendar Grids
+ * 
+ * Builds month views as weeks of day cells, each cell holding the equivalent
+ * Hijri, Jalaali and Gregorian dates. Weeks start on Saturday by default, as
+ * on Iranian calendars; weekStart uses the getWeekdayNumber convention
+ * (0 = Monday ... 5 = Saturday, 6 = Sunday).
+ */
+
+const utils = require('./utils');
+const conversion = require('./conversion');
+
+const SATURDAY = 5;
+
+/**
+ * Helper: Build a calendar cell for a day
+ * @param {number} julianDay - Julian Day Number
+ * @param {Object} hijriDate - Object with hy, hm, hd and source properties
+ * @returns {Object} Cell with hijri, jalaali, gregorian, julianDay, weekday and source
+ */
+function createCell(julianDay, hijriDate) {
+  return {
+    hijri: { hy: hijriDate.hy, hm: hijriDate.hm, hd: hijriDate.hd },
+    jalaali: utils.julianToJalaali(julianDay),
+    gregorian: utils.julianToGregorian(julianDay),
+    julianDay,
+    weekday: conversion.getWeekdayInfo(julianDay),
+    source: hijriDate.source
+  };
+}
+
+/**
+ * Helper: Lay out consecutive days as weeks, padding with null outside the month
+ * @param {number} firstJulianDay - Julian Day Number of the first day of the month
+ * @param {number} monthLength - Number of days in the month
+ * @param {number} weekStart - Weekday number the weeks start on
+ * @param {Function} cellForDay - Builds a cell from (julianDay, dayIndex)
+ * @returns {Array<Array<Object|null>>} Weeks of 7 cells
+ */
+function buildWeeks(firstJulianDay, monthLength, weekStart, cellForDay) {
+  const leadingBlanks = (utils.getWeekdayNumber(firstJulianDay) - weekStart + 7) % 7;
+  const cells = [];
+  
+  for (let i = 0; i < leadingBlanks; i++) {
+    cells.push(null);
+  }
+  for (let i = 0; i < monthLength; i++) {
+    cells.push(cellForDay(firstJulianDay + i, i));
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+  
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+}
+
+/**
+ * Helper: Weekday header names in display order
+ * @param {number} weekStart - Weekday number the weeks start on
+ * @returns {Array<Object>} Seven objects with ar, fa, en and number properties
+ */
+function getWeekdayHeaders(weekStart) {
+  const headers = [];
+  for (let i = 0; i < 7; i++) {
+    // Julian Day i + weekStart has weekday number (i + weekStart) % 7
+    headers.push(conversion.getWeekdayInfo(weekStart + i));
+  }
+  return headers;
+}
+
+/**
+ * Helper: Read and check the weekStart option
+ * @param {Object} options - Calendar options
+ * @returns {number} Weekday number the weeks start on
+ */
+function getWeekStart(options) {
+  const { weekStart = SATURDAY } = options;
+  if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+    throw new Error('Invalid weekStart: must be a weekday number between 0 (Monday) and 6 (Sunday)');
+  }
+  return weekStart;
+}
+
+/**
+ * Get a Hijri month as weeks of cells with Jalaali and Gregorian equivalents
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @param {Object} [options] - Calendar options
+ * @param {number} [options.weekStart=5] - First weekday of each week (5 = Saturday)
+ * @returns {Object} Object with hy, hm, monthLength, source, weekStart, weekdays and weeks
+ */
+function getHijriMonthCalendar(hy, hm, options = {}) {
+  if (!utils.isValidHijriDate(hy, hm, 1)) {
+    throw new Error(`Invalid Hijri month: ${hy}/${hm}`);
+  }
+  
+  const weekStart = getWeekStart(options);
+  const monthLength = conversion.getHijriMonthLength(hy, hm);
+  const { julianDay, source } = conversion.hijriToJulian(hy, hm, 1);
+  
+  return {
+    hy,
+    hm,
+    monthLength: monthLength.length,
+    source,
+    weekStart,
+    weekdays: getWeekdayHeaders(weekStart),
+    weeks: buildWeeks(julianDay, monthLength.length, weekStart, (day, index) =>
+      createCell(day, { hy, hm, hd: index + 1, source })
+    )
+  };
+}
+
+/**
+ * Get a Jalaali month as weeks of cells with Hijri and Gregorian overlays
+ * @param {number} jy - Jalaali year
+ * @param {number} jm - Jalaali month (1-12)
+ * @param {Object} [options] - Calendar options
+ * @param {number} [options.weekStart=5] - First weekday of each week (5 = Saturday)
+ * @returns {Object} Object with jy, jm, monthLength, weekStart, weekdays and weeks
+ */
+function getJalaaliMonthCalendar(jy, jm, options = {}) {
+  if (!utils.isValidJalaaliDate(jy, jm, 1)) {
+    throw new Error(`Invalid Jalaali month: ${jy}/${jm}`);
+  }
+  
+  const weekStart = getWeekStart(options);
+  const monthLength = utils.getJalaaliMonthDays(jy, jm);
+  const firstJulianDay = utils.jalaaliToJulian(jy, jm, 1);
+  
+  return {
+    jy,
+    jm,
+    monthLength,
+    weekStart,
+    weekdays: getWeekdayHeaders(weekStart),
+    weeks: buildWeeks(firstJulianDay, monthLength, weekStart, day =>
+      createCell(day, conversion.julianToHijri(day))
+    )
+  };
+}
+
+module.exports = {
+  createCell,
+  getHijriMonthCalendar,
+  getJalaaliMonthCalendar
+};
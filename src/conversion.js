@@ -0,0 +1,702 @@
+/**
+ * Core Hijri Conversion
+ * 
+ * Resolves Hijri dates to Julian Day Numbers and back, preferring the month
+ * lengths of a data provider and falling back to the tabular calendar.
+ * createConversion binds these functions to a provider; the module itself
+ * exports them for the bundled Iranian data plus its runtime overrides (see
+ * overrides.js), which the formatting, parsing and arithmetic modules build on.
+ * 
+ * After the provider's last month, the tabular calendar is shifted to start on
+ * the next day, so conversions stay continuous across the end of the data
+ * (including months added by overrides).
+ * 
+ * With the astronomical option, months the provider lacks within the
+ * astronomical calendar's range take predicted starts (see astronomical.js)
+ * before the tabular calendar is used. Each run of such months is pinned to
+ * the months on either side: it starts where the month before it ends (the
+ * last official month, or the tabular month before the range) and ends where
+ * the month after it starts, so every month keeps 29 or 30 days.
+ */
+
+const officialData = require('./officialData');
+const tabular = require('./tabular');
+const utils = require('./utils');
+const monthIndex = require('./monthIndex');
+const astronomical = require('./astronomical');
+const { createOverrideLayer } = require('./overrides');
+
+// How validation errors name the source of a month length
+const SOURCE_LABELS = {
+  official: 'official data',
+  override: 'a registered override',
+  astronomical: 'astronomical prediction',
+  tabular: 'tabular calculation'
+};
+
+/**
+ * Helper: Create the astronomical calendar for the astronomical option
+ * @param {boolean|Object} option - true for the defaults, or options for createAstronomicalCalendar
+ * @returns {Object|null} Astronomical calendar, or null when the option is off
+ */
+function readAstronomicalOption(option) {
+  if (!option) {
+    return null;
+  }
+  return astronomical.createAstronomicalCalendar(option === true ? {} : option);
+}
+
+/**
+ * Create the conversion functions for a data provider
+ * @param {Object} provider - Data provider (see provider.js)
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.gaps='warn'] - Tabular dates in a gap in the provider's data:
+ *   'warn' marks them gapAdjacent, 'throw' refuses them
+ * @param {string} [options.tabularScheme='leap16-civil'] - Tabular scheme for dates the provider
+ *   lacks (see tabular.js)
+ * @param {boolean|Object} [options.astronomical=false] - Predict the months the provider lacks from
+ *   crescent visibility: true for Tehran and the defaults, or options for createAstronomicalCalendar
+ * @returns {Object} Conversion functions bound to the provider
+ */
+function createConversion(provider, options = {}) {
+  const { gaps = 'warn', tabularScheme = tabular.DEFAULT_SCHEME } = options;
+  if (gaps !== 'warn' && gaps !== 'throw') {
+    throw new Error(`Invalid gaps option: ${gaps} (expected 'warn' or 'throw')`);
+  }
+  tabular.getTabularScheme(tabularScheme);
+  const astronomicalCalendar = readAstronomicalOption(options.astronomical);
+  
+  // Month start index, built on first use
+  let index = null;
+  let indexRevision;
+  let indexBuilt = false;
+  
+  /**
+   * Get the month start index, rebuilding it when the provider's data has changed
+   * 
+   * The same object is returned until the data changes, so callers can key
+   * their own caches on it.
+   * 
+   * @returns {Object|null} Month start index (see monthIndex.js)
+   */
+  function getMonthIndex() {
+    if (!indexBuilt || provider.revision !== indexRevision) {
+      index = monthIndex.createMonthIndex(provider);
+      indexRevision = provider.revision;
+      indexBuilt = true;
+    }
+    return index;
+  }
+  
+  // Runs of months predicted astronomically, rebuilt with the index
+  let astronomicalRuns = null;
+  let astronomicalRunsIndex;
+  
+  /**
+   * Helper: Get the runs of consecutive months the astronomical calendar fills
+   * 
+   * Month numbers count from 1 Muharram 1 AH (hy * 12 + hm - 1). Each run
+   * has fixed ends, startDay and endDay (exclusive), and starts holds the
+   * first days of its months as far as they have been predicted.
+   * 
+   * @returns {Array<Object>} Runs with firstMonth, months, startDay, endDay and starts
+   */
+  function getAstronomicalRuns() {
+    const currentIndex = getMonthIndex();
+    if (astronomicalRuns && astronomicalRunsIndex === currentIndex) {
+      return astronomicalRuns;
+    }
+    
+    const { minYear, maxYear } = astronomicalCalendar.range;
+    const rangeEnd = (maxYear + 1) * 12;
+    const tabularStart = monthNumber => tabularToJulian(Math.floor(monthNumber / 12), (monthNumber % 12) + 1, 1);
+    const placed = currentIndex
+      ? currentIndex.segments
+        .filter(segment => segment.placed)
+        .map(segment => {
+          const firstMonth = segment.start.hy * 12 + segment.start.hm - 1;
+          return {
+            firstMonth,
+            endMonth: firstMonth + segment.months,
+            startDay: segment.startJulianDay,
+            endDay: segment.endJulianDay
+          };
+        })
+      : [];
+    
+    const runs = [];
+    let firstMonth = minYear * 12;
+    let startDay = tabularStart(firstMonth);
+    let endDay = tabularStart(rangeEnd);
+    
+    placed.forEach(segment => {
+      if (segment.endMonth <= firstMonth) {
+        // Data ending where the range starts places the range's first month
+        if (segment.endMonth === firstMonth) {
+          startDay = segment.endDay;
+        }
+        return;
+      }
+      if (segment.firstMonth >= rangeEnd) {
+        if (segment.firstMonth === rangeEnd) {
+          endDay = segment.startDay;
+        }
+        return;
+      }
+      if (segment.firstMonth > firstMonth) {
+        const months = segment.firstMonth - firstMonth;
+        runs.push({ firstMonth, months, startDay, endDay: segment.startDay, starts: [startDay] });
+      }
+      firstMonth = segment.endMonth;
+      startDay = segment.endDay;
+    });
+    
+    if (firstMonth < rangeEnd) {
+      runs.push({ firstMonth, months: rangeEnd - firstMonth, startDay, endDay, starts: [startDay] });
+    }
+    
+    astronomicalRuns = runs;
+    astronomicalRunsIndex = currentIndex;
+    return runs;
+  }
+  
+  /**
+   * Helper: Predict the starts of a run's months up to a position
+   * 
+   * Each start is the predicted one, moved if needed to keep the month
+   * before it at 29 or 30 days and to leave the rest of the run between 29
+   * and 30 days a month up to its fixed end.
+   * 
+   * @param {Object} run - Astronomical run
+   * @param {number} position - Position of the month in the run
+   * @returns {number} Julian Day Number of the month's first day
+   */
+  function getRunMonthStart(run, position) {
+    while (run.starts.length <= position) {
+      const i = run.starts.length;
+      const previous = run.starts[i - 1];
+      const remaining = run.months - i;
+      const monthNumber = run.firstMonth + i;
+      const { julianDay: predicted } = astronomicalCalendar.getMonthPrediction(
+        Math.floor(monthNumber / 12),
+        (monthNumber % 12) + 1
+      );
+      
+      let earliest = Math.max(previous + 29, run.endDay - 30 * remaining);
+      let latest = Math.min(previous + 30, run.endDay - 29 * remaining);
+      
+      // A run too short or too long for its ends can only keep the month before at 29 or 30 days
+      if (earliest > latest) {
+        earliest = previous + 29;
+        latest = previous + 30;
+      }
+      run.starts.push(Math.min(Math.max(predicted, earliest), latest));
+    }
+    return run.starts[position];
+  }
+  
+  /**
+   * Helper: Get the first day and length of a month the astronomical calendar fills
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {Object|null} Object with julianDay and length, or null if no run contains the month
+   */
+  function getAstronomicalMonth(hy, hm) {
+    if (!astronomicalCalendar || !astronomicalCalendar.coversYear(hy)) {
+      return null;
+    }
+    
+    const monthNumber = hy * 12 + hm - 1;
+    const run = getAstronomicalRuns()
+      .find(item => monthNumber >= item.firstMonth && monthNumber < item.firstMonth + item.months);
+    if (!run) {
+      return null;
+    }
+    
+    const position = monthNumber - run.firstMonth;
+    const julianDay = getRunMonthStart(run, position);
+    const end = position + 1 < run.months ? getRunMonthStart(run, position + 1) : run.endDay;
+    return { julianDay, length: end - julianDay };
+  }
+  
+  /**
+   * Helper: Find the astronomically predicted Hijri date of a day
+   * @param {number} julianDay - Julian Day Number
+   * @returns {Object|null} Object with hy, hm, hd properties, or null if no run contains the day
+   */
+  function julianToHijriAstronomical(julianDay) {
+    if (!astronomicalCalendar) {
+      return null;
+    }
+    
+    const run = getAstronomicalRuns().find(item => julianDay >= item.startDay && julianDay < item.endDay);
+    if (!run) {
+      return null;
+    }
+    
+    // Start from the mean month length and step to the month containing the day
+    let position = Math.min(Math.floor((julianDay - run.startDay) / 29.530588861), run.months - 1);
+    while (position > 0 && getRunMonthStart(run, position) > julianDay) {
+      position--;
+    }
+    while (position + 1 < run.months && getRunMonthStart(run, position + 1) <= julianDay) {
+      position++;
+    }
+    
+    const monthNumber = run.firstMonth + position;
+    return {
+      hy: Math.floor(monthNumber / 12),
+      hm: (monthNumber % 12) + 1,
+      hd: julianDay - getRunMonthStart(run, position) + 1
+    };
+  }
+  
+  /**
+   * Helper: Check if the provider has placed data for a Hijri year/month
+   * 
+   * Months in a segment without an anchor (see monthIndex.js) are not placed,
+   * so they are converted like months in a gap.
+   * 
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {boolean} True if the provider defines and places the month
+   */
+  function hasProviderData(hy, hm = 1) {
+    const currentIndex = getMonthIndex();
+    return !!currentIndex && monthIndex.getMonthStart(currentIndex, hy, hm) !== null;
+  }
+  
+  /**
+   * Helper: Get a month length from the provider
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {number|null} Number of days, or null if the provider lacks the month
+   */
+  function getProviderMonthLength(hy, hm) {
+    const currentIndex = getMonthIndex();
+    return currentIndex ? monthIndex.getMonthLength(currentIndex, hy, hm) : null;
+  }
+  
+  /**
+   * Helper: Get the source of a month the provider defines
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {string} 'override' for months set at runtime (see overrides.js), 'official' otherwise
+   */
+  function getProviderMonthSource(hy, hm) {
+    return provider.getMonthSource ? provider.getMonthSource(hy, hm) : 'official';
+  }
+  
+  /**
+   * Helper: Check for a tabular month inside the provider's data span, and
+   * refuse it when gaps are configured to throw
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {boolean} [dayInGap=false] - True if the day being converted falls between placed segments
+   * @returns {boolean} True if the tabular result borders or fills a gap in the provider's data
+   */
+  function checkGap(hy, hm, dayInGap = false) {
+    if (!dayInGap && !isInGap(hy, hm)) {
+      return false;
+    }
+    
+    if (gaps === 'throw') {
+      throw new Error(
+        `Hijri ${hy}/${hm} falls in a gap in ${provider.name} data; ` +
+        'the tabular calendar may not join up with the months on either side'
+      );
+    }
+    return true;
+  }
+  
+  /**
+   * Get the number of days in a Hijri month and the source that defines it
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {Object} Object with length (29 or 30) and source ('official', 'override',
+   *   'astronomical' or 'tabular')
+   */
+  function getHijriMonthLength(hy, hm) {
+    if (hasProviderData(hy, hm)) {
+      return {
+        length: getProviderMonthLength(hy, hm),
+        source: getProviderMonthSource(hy, hm)
+      };
+    }
+    
+    const predicted = getAstronomicalMonth(hy, hm);
+    if (predicted) {
+      return { length: predicted.length, source: 'astronomical' };
+    }
+    
+    return {
+      length: tabular.getTabularMonthLength(hy, hm, tabularScheme),
+      source: 'tabular'
+    };
+  }
+  
+  /**
+   * Validate a Hijri date against the actual length of its month
+   * 
+   * Uses official month lengths when available and tabular lengths otherwise,
+   * so day 30 is rejected for months that only have 29 days.
+   * 
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @returns {Object} Object with valid, source, monthLength and error properties
+   */
+  function validateHijriDate(hy, hm, hd) {
+    if (!utils.isValidHijriDate(hy, hm, hd)) {
+      return {
+        valid: false,
+        source: null,
+        monthLength: null,
+        error: `Invalid Hijri date: ${hy}/${hm}/${hd}`
+      };
+    }
+    
+    const monthLength = getHijriMonthLength(hy, hm);
+    
+    if (hd > monthLength.length) {
+      const sourceLabel = SOURCE_LABELS[monthLength.source];
+      return {
+        valid: false,
+        source: monthLength.source,
+        monthLength: monthLength.length,
+        error: `Invalid Hijri date: ${hy}/${hm}/${hd} (month ${hm} of ${hy} has ${monthLength.length} days according to ${sourceLabel})`
+      };
+    }
+    
+    return {
+      valid: true,
+      source: monthLength.source,
+      monthLength: monthLength.length,
+      error: null
+    };
+  }
+  
+  /**
+   * Check if a Hijri date exists, taking the actual month length into account
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @returns {boolean} True if valid
+   */
+  function isValidHijriDateStrict(hy, hm, hd) {
+    return validateHijriDate(hy, hm, hd).valid;
+  }
+  
+  // End of the data, found again with the index
+  let dataEnd = null;
+  let dataEndIndex;
+  
+  /**
+   * Helper: Find the month after the provider's data and how far the tabular
+   * calendar must shift for that month to start the day after the data ends
+   * @returns {Object|null} Object with hy, hm, julianDay (its first day) and offset (days),
+   *   or null if the provider has no data or its last segment is not placed
+   */
+  function getDataEnd() {
+    const currentIndex = getMonthIndex();
+    if (dataEndIndex === currentIndex) {
+      return dataEnd;
+    }
+    
+    const lastSegment = currentIndex && currentIndex.segments[currentIndex.segments.length - 1];
+    dataEnd = null;
+    dataEndIndex = currentIndex;
+    if (lastSegment && lastSegment.placed) {
+      const { hy, hm } = monthIndex.fromMonthNumber(currentIndex.lastMonth + 1);
+      dataEnd = {
+        hy,
+        hm,
+        julianDay: lastSegment.endJulianDay,
+        offset: lastSegment.endJulianDay - tabular.hijriToJulianTabular(hy, hm, 1, tabularScheme)
+      };
+    }
+    return dataEnd;
+  }
+  
+  /**
+   * Helper: Convert a Hijri date to Julian Day Number with the tabular calendar,
+   * shifted to continue from the end of the data
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @returns {number} Julian Day Number
+   */
+  function tabularToJulian(hy, hm, hd) {
+    const end = getDataEnd();
+    const offset = end && monthIndex.toMonthNumber(hy, hm) >= monthIndex.toMonthNumber(end.hy, end.hm)
+      ? end.offset
+      : 0;
+    return tabular.hijriToJulianTabular(hy, hm, hd, tabularScheme) + offset;
+  }
+  
+  /**
+   * Helper: Convert a Julian Day Number to a Hijri date with the tabular calendar,
+   * shifted to continue from the end of the data
+   * @param {number} julianDay - Julian Day Number
+   * @returns {Object} Object with hy, hm, hd properties
+   */
+  function julianToTabular(julianDay) {
+    const end = getDataEnd();
+    const offset = end && julianDay >= end.julianDay ? end.offset : 0;
+    return tabular.julianToHijriTabular(julianDay - offset, tabularScheme);
+  }
+  
+  /**
+   * Helper: Convert Hijri date to Julian Day using official data
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month
+   * @param {number} hd - Hijri day
+   * @returns {number} Julian Day Number
+   */
+  function hijriToJulianWithOfficialData(hy, hm, hd) {
+    const range = provider.getRange();
+    if (!range || hy < range.minYear || hy > range.maxYear) {
+      throw new Error(`No official data for Hijri year ${hy}`);
+    }
+    
+    // The index counts from the provider's anchor, 1 Muharram of its first year
+    const monthStart = monthIndex.getMonthStart(getMonthIndex(), hy, hm);
+    if (monthStart === null) {
+      throw new Error(`No placed official data for Hijri ${hy}/${hm} (it is in a gap or an unanchored segment)`);
+    }
+    
+    return monthStart + hd - 1;
+  }
+  
+  /**
+   * Helper: Convert Julian Day to Hijri date using official data
+   * @param {number} julianDay - Julian Day Number
+   * @returns {Object|null} Hijri date object or null if outside official range
+   */
+  function julianToHijriWithOfficialData(julianDay) {
+    const currentIndex = getMonthIndex();
+    return currentIndex ? monthIndex.findMonth(currentIndex, julianDay) : null;
+  }
+  
+  /**
+   * Convert a Hijri date to Julian Day Number, preferring official data
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @returns {Object} Object with julianDay and source ('official', 'override', 'astronomical' or
+   *   'tabular'), plus gapAdjacent: true when a month the provider lacks falls in a gap in its data
+   */
+  function hijriToJulian(hy, hm, hd) {
+    // Check if we have official data for this Hijri date
+    if (hasProviderData(hy, hm)) {
+      return {
+        julianDay: hijriToJulianWithOfficialData(hy, hm, hd),
+        source: getProviderMonthSource(hy, hm)
+      };
+    }
+    
+    // Use the astronomical prediction, or else tabular calculation
+    const predicted = getAstronomicalMonth(hy, hm);
+    const result = predicted
+      ? { julianDay: predicted.julianDay + hd - 1, source: 'astronomical' }
+      : { julianDay: tabularToJulian(hy, hm, hd), source: 'tabular' };
+    if (checkGap(hy, hm)) {
+      result.gapAdjacent = true;
+    }
+    return result;
+  }
+  
+  /**
+   * Helper: Build a julianToHijri result from the official month found for a day
+   * @param {number} julianDay - Julian Day Number
+   * @param {Object|null} hijriDate - Official Hijri date of the day, or null if the data lacks it
+   * @returns {Object} Result of julianToHijri
+   */
+  function toHijriResult(julianDay, hijriDate) {
+    if (hijriDate) {
+      return {
+        hy: hijriDate.hy,
+        hm: hijriDate.hm,
+        hd: hijriDate.hd,
+        source: getProviderMonthSource(hijriDate.hy, hijriDate.hm)
+      };
+    }
+    
+    // Outside the official data, use the astronomical prediction or the tabular calendar
+    const predictedDate = julianToHijriAstronomical(julianDay);
+    const fallbackDate = predictedDate || julianToTabular(julianDay);
+    const currentIndex = getMonthIndex();
+    const dayInGap = !!currentIndex && monthIndex.isDayInGap(currentIndex, julianDay);
+    
+    const result = {
+      hy: fallbackDate.hy,
+      hm: fallbackDate.hm,
+      hd: fallbackDate.hd,
+      source: predictedDate ? 'astronomical' : 'tabular'
+    };
+    if (checkGap(fallbackDate.hy, fallbackDate.hm, dayInGap)) {
+      result.gapAdjacent = true;
+    }
+    return result;
+  }
+  
+  /**
+   * Convert a Julian Day Number to a Hijri date, preferring official data
+   * @param {number} julianDay - Julian Day Number
+   * @returns {Object} Object with hy, hm, hd and source properties, plus gapAdjacent: true
+   *   when a result the provider lacks falls in or next to a gap in its data
+   */
+  function julianToHijri(julianDay) {
+    return toHijriResult(julianDay, julianToHijriWithOfficialData(julianDay));
+  }
+  
+  /**
+   * Create a julianToHijri for runs of days in ascending order, which answers
+   * days in the month it found last without a lookup and otherwise walks
+   * forward from that month (see monthIndex.createCursor)
+   * @returns {Function} Function with the same argument and result as julianToHijri
+   */
+  function createSequentialJulianToHijri() {
+    let cursor = null;
+    // Month found last, official or after the data: hy, hm, source and its first and last Julian Day
+    let lastMonth = null;
+    
+    return julianDay => {
+      const currentIndex = getMonthIndex();
+      if (!currentIndex) {
+        return toHijriResult(julianDay, null);
+      }
+      
+      // A new index means the data changed, and with it possibly the sources
+      if (!cursor || cursor.index !== currentIndex) {
+        cursor = monthIndex.createCursor(currentIndex);
+        lastMonth = null;
+      }
+      
+      if (lastMonth && julianDay >= lastMonth.firstDay && julianDay <= lastMonth.lastDay) {
+        return { hy: lastMonth.hy, hm: lastMonth.hm, hd: julianDay - lastMonth.firstDay + 1, source: lastMonth.source };
+      }
+      
+      const hijriDate = cursor.findMonth(julianDay);
+      const result = toHijriResult(julianDay, hijriDate);
+      const firstDay = julianDay - result.hd + 1;
+      const end = getDataEnd();
+      if (hijriDate) {
+        lastMonth = {
+          hy: result.hy,
+          hm: result.hm,
+          source: result.source,
+          firstDay,
+          lastDay: firstDay + monthIndex.getMonthLength(currentIndex, result.hy, result.hm) - 1
+        };
+      } else if (end && firstDay >= end.julianDay) {
+        // Months after the end of the data lie wholly outside it
+        lastMonth = {
+          hy: result.hy,
+          hm: result.hm,
+          source: result.source,
+          firstDay,
+          lastDay: firstDay + getHijriMonthLength(result.hy, result.hm).length - 1
+        };
+      }
+      return result;
+    };
+  }
+  
+  /**
+   * Convert a date object of any supported calendar to a Julian Day Number
+   * 
+   * Accepts { hy, hm, hd }, { jy, jm, jd } or { gy, gm, gd }, which includes
+   * conversion results and HijriDate objects.
+   * 
+   * @param {Object} date - Hijri, Jalaali or Gregorian date object
+   * @returns {number} Julian Day Number
+   */
+  function dateToJulian(date) {
+    if (date && date.hy !== undefined) {
+      if (!utils.isValidHijriDate(date.hy, date.hm, date.hd)) {
+        throw new Error(`Invalid Hijri date: ${date.hy}/${date.hm}/${date.hd}`);
+      }
+      return hijriToJulian(date.hy, date.hm, date.hd).julianDay;
+    }
+    
+    if (date && date.jy !== undefined) {
+      if (!utils.isValidJalaaliDate(date.jy, date.jm, date.jd)) {
+        throw new Error(`Invalid Jalaali date: ${date.jy}/${date.jm}/${date.jd}`);
+      }
+      return utils.jalaaliToJulian(date.jy, date.jm, date.jd);
+    }
+    
+    if (date && date.gy !== undefined) {
+      if (!utils.isValidGregorianDate(date.gy, date.gm, date.gd)) {
+        throw new Error(`Invalid Gregorian date: ${date.gy}/${date.gm}/${date.gd}`);
+      }
+      return utils.gregorianToJulian(date.gy, date.gm, date.gd);
+    }
+    
+    throw new Error('Unrecognized date: expected { hy, hm, hd }, { jy, jm, jd } or { gy, gm, gd }');
+  }
+  
+  /**
+   * Check if a Hijri month falls in a gap in the provider's data, where
+   * conversions use the tabular calendar between official months
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {boolean} True if the month is in a gap or an unanchored segment
+   */
+  function isInGap(hy, hm) {
+    const currentIndex = getMonthIndex();
+    return !!currentIndex && monthIndex.isInGap(currentIndex, hy, hm);
+  }
+  
+  /**
+   * Get the provider's coverage as segments of consecutive months
+   * @returns {Array<Object>} Segments with start, end ({ hy, hm }), months, anchored, placed,
+   *   startJulianDay and endJulianDay (exclusive; null when not anchored)
+   */
+  function getCoverage() {
+    const currentIndex = getMonthIndex();
+    return currentIndex ? currentIndex.segments.map(segment => Object.assign({}, segment)) : [];
+  }
+  
+  return {
+    tabularScheme,
+    astronomicalCalendar,
+    getMonthIndex,
+    getCoverage,
+    isInGap,
+    getHijriMonthLength,
+    validateHijriDate,
+    isValidHijriDateStrict,
+    hijriToJulian,
+    julianToHijri,
+    createSequentialJulianToHijri,
+    hijriToJulianWithOfficialData,
+    julianToHijriWithOfficialData,
+    dateToJulian
+  };
+}
+
+/**
+ * Build the weekday metadata attached to conversion results
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object} Object with ar, fa, en and number properties
+ */
+function getWeekdayInfo(julianDay) {
+  return {
+    ar: utils.getArabicWeekday(julianDay),
+    fa: utils.getPersianWeekday(julianDay),
+    en: utils.getEnglishWeekday(julianDay),
+    number: utils.getWeekdayNumber(julianDay)
+  };
+}
+
+// Conversion functions for the bundled Iranian data, including runtime overrides
+const overrides = createOverrideLayer(officialData.provider);
+const defaultConversion = createConversion(overrides.provider);
+
+module.exports = Object.assign({
+  createConversion,
+  getWeekdayInfo,
+  overrides
+}, defaultConversion);
@@ -0,0 +1,311 @@
+/**
+ * Converter Factory
+ * 
+ * Builds the public conversion API on top of a data provider. The bundled
+ * Iranian data is the default; pass another provider (e.g. Umm al-Qura month
+ * lengths) to run several calendars side by side in one process.
+ * 
+ * Each converter also carries an override layer (see overrides.js) for month
+ * starts announced after the data was published.
+ */
+
+const officialData = require('./officialData');
+const utils = require('./utils');
+const tabular = require('./tabular');
+const conversion = require('./conversion');
+const { createOverrideLayer } = require('./overrides');
+const { createBulkConversion } = require('./bulk');
+const { createUncertainty } = require('./uncertainty');
+const { createInstantConversion } = require('./instant');
+const { createInterop } = require('./interop');
+
+/**
+ * Helper: Describe a month start anchor with its Jalaali and Gregorian dates
+ * @param {Object} monthStart - Object with hy, hm and julianDay properties
+ * @returns {Object} Object with hy, hm, hd, julianDay, jalaali and gregorian properties
+ */
+function describeMonthStart({ hy, hm, julianDay }) {
+  return {
+    hy,
+    hm,
+    hd: 1,
+    julianDay,
+    jalaali: utils.julianToJalaali(julianDay),
+    gregorian: utils.julianToGregorian(julianDay)
+  };
+}
+
+/**
+ * Helper: Describe the anchors that place a provider's data on the calendar
+ * @param {Object} provider - Data provider
+ * @returns {Object|null} Object with start and end (null if the provider has no end anchor),
+ *   or null if the provider has no data
+ */
+function describeAnchors(provider) {
+  const range = provider.getRange();
+  if (!range) {
+    return null;
+  }
+  
+  // Providers other than createProvider ones may only have anchorJulianDay
+  const anchors = provider.anchors || {};
+  const start = anchors.start || { hy: range.minYear, hm: 1, julianDay: provider.anchorJulianDay };
+  
+  return {
+    start: describeMonthStart(start),
+    end: anchors.end ? describeMonthStart(anchors.end) : null
+  };
+}
+
+/**
+ * Helper: Copy the gapAdjacent warning of a core conversion onto a result
+ * @param {Object} result - Public conversion result
+ * @param {Object} coreResult - Result of hijriToJulian or julianToHijri
+ * @returns {Object} The result
+ */
+function withGapWarning(result, coreResult) {
+  if (coreResult.gapAdjacent) {
+    result.gapAdjacent = true;
+  }
+  return result;
+}
+
+/**
+ * Create a converter bound to a data provider
+ * @param {Object} [options] - Converter options
+ * @param {Object} [options.provider] - Data provider (see provider.js); defaults to the bundled Iranian data
+ * @param {string} [options.gaps='warn'] - Tabular dates in a gap in the provider's data:
+ *   'warn' marks results gapAdjacent, 'throw' refuses them
+ * @param {string} [options.tabularScheme='leap16-civil'] - Tabular scheme for dates outside the
+ *   provider's data (see tabular.js)
+ * @param {boolean|Object} [options.astronomical=false] - Predict months outside the provider's data from
+ *   crescent visibility before falling back to the tabular scheme: true for Tehran and the
+ *   defaults, or options for createAstronomicalCalendar (see astronomical.js)
+ * @returns {Object} Object with jalaaliToHijri, gregorianToHijri, hijriToJalaali, hijriToGregorian,
+ *   getSourceInfo, getHijriMonthLength, validateHijriDate, isValidHijriDateStrict, convertMany,
+ *   createConvertStream, instantToHijri, getHijriDayInterval, fromDate, toDate, today, toTemporal,
+ *   fromTemporal, getCalendarDate, the override
+ *   functions (registerMonthStart, setMonthLength, exportOverrides, loadOverrides, clearOverrides) and provider
+ */
+function createConverter(options = {}) {
+  const {
+    provider = officialData.provider,
+    gaps = 'warn',
+    tabularScheme = tabular.DEFAULT_SCHEME,
+    astronomical = false
+  } = options;
+  const isDefault = provider === officialData.provider && gaps === 'warn' &&
+    tabularScheme === tabular.DEFAULT_SCHEME && !astronomical;
+  // Only the default converter shares the top-level overrides; any other keeps its own
+  const overrides = isDefault ? conversion.overrides : createOverrideLayer(provider);
+  const core = isDefault
+    ? conversion
+    : conversion.createConversion(overrides.provider, { gaps, tabularScheme, astronomical });
+  const anchor = describeAnchors(provider);
+  const estimates = createUncertainty(core);
+  const bulk = createBulkConversion(core, estimates);
+  const instants = createInstantConversion({ gregorianToHijri, hijriToGregorian });
+  const interop = createInterop({ gregorianToHijri, hijriToGregorian, getHijriDayInterval: instants.getHijriDayInterval });
+  
+  /**
+   * Convert Jalaali date to Hijri date
+   * @param {number} jy - Jalaali year
+   * @param {number} jm - Jalaali month (1-12)
+   * @param {number} jd - Jalaali day
+   * @returns {Object} Object with hy, hm, hd properties and metadata
+   */
+  function jalaaliToHijri(jy, jm, jd) {
+    if (!utils.isValidJalaaliDate(jy, jm, jd)) {
+      throw new Error(`Invalid Jalaali date: ${jy}/${jm}/${jd}`);
+    }
+    
+    // Convert Jalaali to Julian Day Number
+    const julianDay = utils.jalaaliToJulian(jy, jm, jd);
+    const hijriDate = core.julianToHijri(julianDay);
+    const { confidence, uncertainty } = estimates.describe(julianDay, hijriDate, null);
+    
+    return withGapWarning({
+      hy: hijriDate.hy,
+      hm: hijriDate.hm,
+      hd: hijriDate.hd,
+      source: hijriDate.source,
+      confidence,
+      uncertainty,
+      weekday: conversion.getWeekdayInfo(julianDay)
+    }, hijriDate);
+  }
+  
+  /**
+   * Convert Gregorian date to Hijri date
+   * @param {number} gy - Gregorian year
+   * @param {number} gm - Gregorian month (1-12)
+   * @param {number} gd - Gregorian day
+   * @returns {Object} Object with hy, hm, hd properties and metadata
+   */
+  function gregorianToHijri(gy, gm, gd) {
+    if (!utils.isValidGregorianDate(gy, gm, gd)) {
+      throw new Error(`Invalid Gregorian date: ${gy}/${gm}/${gd}`);
+    }
+    
+    // Convert Gregorian to Julian Day Number
+    const julianDay = utils.gregorianToJulian(gy, gm, gd);
+    const hijriDate = core.julianToHijri(julianDay);
+    const { confidence, uncertainty } = estimates.describe(julianDay, hijriDate, null);
+    
+    return withGapWarning({
+      hy: hijriDate.hy,
+      hm: hijriDate.hm,
+      hd: hijriDate.hd,
+      source: hijriDate.source,
+      confidence,
+      uncertainty,
+      weekday: conversion.getWeekdayInfo(julianDay)
+    }, hijriDate);
+  }
+  
+  /**
+   * Convert Hijri date to Jalaali date
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @param {Object} [options] - Conversion options
+   * @param {boolean} [options.strict=false] - Reject days beyond the actual month length
+   * @returns {Object} Object with jy, jm, jd properties and metadata
+   */
+  function hijriToJalaali(hy, hm, hd, options = {}) {
+    assertValidHijriDate(hy, hm, hd, options.strict);
+    
+    const julian = core.hijriToJulian(hy, hm, hd);
+    const { julianDay, source } = julian;
+    
+    // Convert Julian Day to Jalaali
+    const jalaaliDate = utils.julianToJalaali(julianDay);
+    const { confidence, uncertainty } = estimates.describe(julianDay, { hy, hm, hd, source }, utils.julianToJalaali);
+    
+    return withGapWarning({
+      jy: jalaaliDate.jy,
+      jm: jalaaliDate.jm,
+      jd: jalaaliDate.jd,
+      source,
+      confidence,
+      uncertainty,
+      weekday: conversion.getWeekdayInfo(julianDay)
+    }, julian);
+  }
+  
+  /**
+   * Convert Hijri date to Gregorian date
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @param {Object} [options] - Conversion options
+   * @param {boolean} [options.strict=false] - Reject days beyond the actual month length
+   * @returns {Object} Object with gy, gm, gd properties and metadata
+   */
+  function hijriToGregorian(hy, hm, hd, options = {}) {
+    assertValidHijriDate(hy, hm, hd, options.strict);
+    
+    const julian = core.hijriToJulian(hy, hm, hd);
+    const { julianDay, source } = julian;
+    
+    // Convert Julian Day to Gregorian
+    const gregorianDate = utils.julianToGregorian(julianDay);
+    const { confidence, uncertainty } = estimates.describe(julianDay, { hy, hm, hd, source }, utils.julianToGregorian);
+    
+    return withGapWarning({
+      gy: gregorianDate.gy,
+      gm: gregorianDate.gm,
+      gd: gregorianDate.gd,
+      source,
+      confidence,
+      uncertainty,
+      weekday: conversion.getWeekdayInfo(julianDay)
+    }, julian);
+  }
+  
+  /**
+   * Helper: Throw if a Hijri date is invalid
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month
+   * @param {number} hd - Hijri day
+   * @param {boolean} strict - Check the day against the actual month length
+   */
+  function assertValidHijriDate(hy, hm, hd, strict) {
+    if (strict) {
+      const validation = core.validateHijriDate(hy, hm, hd);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+      return;
+    }
+    
+    if (!utils.isValidHijriDate(hy, hm, hd)) {
+      throw new Error(`Invalid Hijri date: ${hy}/${hm}/${hd}`);
+    }
+  }
+  
+  /**
+   * Get information about the conversion source for a date
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (optional)
+   * @returns {Object} Information about data source, with provenance ({ source, retrieved, status,
+   *   sources? }) for a month from the provider's data that records it, null otherwise
+   */
+  function getSourceInfo(hy, hm = 1) {
+    const { source } = core.getHijriMonthLength(hy, hm);
+    const range = overrides.provider.getRange();
+    const calendar = core.astronomicalCalendar;
+    const fromProvider = source === 'official' || source === 'override';
+    
+    return {
+      hasOfficialData: source === 'official',
+      source,
+      provenance: fromProvider && overrides.provider.getMonthProvenance
+        ? overrides.provider.getMonthProvenance(hy, hm)
+        : null,
+      officialDataRange: range,
+      provider: provider.name,
+      tabularScheme: core.tabularScheme,
+      astronomical: calendar ? {
+        location: calendar.location,
+        criterion: calendar.criterion,
+        visibility: calendar.visibility,
+        range: calendar.range
+      } : null,
+      anchor,
+      gapAdjacent: core.isInGap(hy, hm)
+    };
+  }
+  
+  return {
+    jalaaliToHijri,
+    gregorianToHijri,
+    hijriToJalaali,
+    hijriToGregorian,
+    getSourceInfo,
+    getHijriMonthLength: core.getHijriMonthLength,
+    validateHijriDate: core.validateHijriDate,
+    isValidHijriDateStrict: core.isValidHijriDateStrict,
+    getCoverage: core.getCoverage,
+    convertMany: bulk.convertMany,
+    createConvertStream: bulk.createConvertStream,
+    instantToHijri: instants.instantToHijri,
+    getHijriDayInterval: instants.getHijriDayInterval,
+    fromDate: interop.fromDate,
+    toDate: interop.toDate,
+    today: interop.today,
+    toTemporal: interop.toTemporal,
+    fromTemporal: interop.fromTemporal,
+    getCalendarDate: interop.getCalendarDate,
+    registerMonthStart: overrides.registerMonthStart,
+    setMonthLength: overrides.setMonthLength,
+    exportOverrides: overrides.exportOverrides,
+    loadOverrides: overrides.loadOverrides,
+    clearOverrides: overrides.clearOverrides,
+    provider
+  };
+}
+
+module.exports = {
+  createConverter
+};
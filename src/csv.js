@@ -0,0 +1,106 @@
+/**
+ * CSV Reading and Writing
+ * 
+ * The comma-separated files read and written by this package follow RFC 4180:
+ * a field containing the delimiter, a quote or a line break is enclosed in
+ * quotes, and a quote inside a quoted field is doubled. Any single character
+ * can stand in for the comma.
+ */
+
+/**
+ * Helper: Throw unless a delimiter is a single character other than a quote or line break
+ * @param {string} delimiter - Field delimiter
+ */
+function assertDelimiter(delimiter) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)} (expected a single character)`);
+  }
+}
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {*} value - Field value (null and undefined become empty)
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} Field text
+ */
+function formatField(value, delimiter = ',') {
+  assertDelimiter(delimiter);
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text);
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write one CSV row
+ * @param {Array} values - Field values
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} Row text, without a line break
+ */
+function formatRow(values, delimiter = ',') {
+  return values.map(value => formatField(value, delimiter)).join(delimiter);
+}
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+function parseCsv(text, delimiter = ',') {
+  assertDelimiter(delimiter);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  
+  return rows.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+}
+
+/**
+ * Check if CSV text ends inside a quoted field, i.e. a line break so far
+ * belongs to a field and the row continues on the next line
+ * @param {string} text - CSV text
+ * @returns {boolean} True if a quoted field is still open
+ */
+function hasOpenQuote(text) {
+  // Quotes inside quoted fields are doubled, so an odd count means one is open
+  return (text.match(/"/g) || []).length % 2 === 1;
+}
+
+module.exports = {
+  formatField,
+  formatRow,
+  parseCsv,
+  hasOpenQuote
+};
@@ -0,0 +1,526 @@
+/**
+ * Data Export
+ * 
+ * Writes the month data and conversions in formats other tools read: the
+ * month starts of the official table as JSON or CSV, with every month's first
+ * day in all three calendars, a day-by-day conversion table for any range,
+ * and an iCalendar (.ics) feed of Hijri month starts and Iranian occasions
+ * for Google Calendar, Outlook and the like.
+ * 
+ * A month-start export loads back as a data provider (loadProvider), so a
+ * table exported here, or edited by hand and re-imported, can be passed to
+ * createConverter. Only months that came from data (source 'official' or
+ * 'override') are loaded; the estimates an export of explicit years holds
+ * outside the data are left out.
+ */
+
+const utils = require('./utils');
+const monthIndex = require('./monthIndex');
+const conversion = require('./conversion');
+const occasions = require('./occasions');
+const { eachDay } = require('./ranges');
+const { formatHijri } = require('./format');
+const { createProvider } = require('./provider');
+const { compactProvenance } = require('./provenance');
+const { formatRow, parseCsv } = require('./csv');
+const { DEFAULT_TIME_ZONE, getWallClock } = require('./instant');
+
+const EXPORT_FORMAT = 'iran-hijri/month-starts';
+const EXPORT_VERSION = 1;
+
+const FORMATS = ['json', 'csv'];
+
+const DATA_SOURCES = ['official', 'override'];
+
+const MONTH_COLUMNS = [
+  'hy', 'hm', 'days', 'source', 'julian_day', 'jy', 'jm', 'jd', 'gy', 'gm', 'gd',
+  'provenance_source', 'retrieved', 'status', 'sources'
+];
+
+const DAY_COLUMNS = ['julian_day', 'weekday', 'hy', 'hm', 'hd', 'jy', 'jm', 'jd', 'gy', 'gm', 'gd', 'source'];
+
+// Longest iCalendar content line in octets, before folding
+const ICS_LINE_OCTETS = 75;
+
+/**
+ * Helper: Check the format option
+ * @param {string} format - Requested format
+ * @returns {string} The format
+ */
+function readFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format} (expected 'json' or 'csv')`);
+  }
+  return format;
+}
+
+/**
+ * Helper: Check a range of Hijri years
+ * @param {number} from - First year
+ * @param {number} to - Last year
+ */
+function assertYearRange(from, to) {
+  [from, to].forEach(year => {
+    if (!utils.isValidHijriDate(year, 1, 1)) {
+      throw new Error(`Invalid Hijri year: ${year}`);
+    }
+  });
+  if (to < from) {
+    throw new Error(`Invalid range: year ${to} is before ${from}`);
+  }
+}
+
+/**
+ * Helper: Write rows as CSV with a header line
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Array>} rows - Field values per row
+ * @returns {string} CSV text, ending in a newline
+ */
+function toCsv(columns, rows) {
+  return [columns].concat(rows).map(row => formatRow(row)).join('\n') + '\n';
+}
+
+/**
+ * Helper: Write a JSON document with one line per record of its list
+ * @param {Object} fields - Fields before the list
+ * @param {string} key - Name of the list
+ * @param {Array<Object>} records - Records of the list
+ * @returns {string} JSON text, ending in a newline
+ */
+function toJsonDocument(fields, key, records) {
+  const lines = Object.keys(fields).map(name => `  ${JSON.stringify(name)}: ${JSON.stringify(fields[name])},`);
+  const items = records.map((record, index) => `    ${JSON.stringify(record)}${index < records.length - 1 ? ',' : ''}`);
+  return ['{'].concat(lines, [`  ${JSON.stringify(key)}: [`], items, ['  ]', '}']).join('\n') + '\n';
+}
+
+/**
+ * Helper: List the months of a month-start export
+ * @param {number} [from] - First Hijri year; all data months of the provider when omitted
+ * @param {number} [to] - Last Hijri year
+ * @returns {Array<Object>} Months with hy and hm
+ */
+function listMonths(from, to) {
+  const provider = conversion.overrides.provider;
+  const range = provider.getRange();
+  const months = [];
+  
+  if (from === undefined && to === undefined) {
+    for (let hy = range.minYear; hy <= range.maxYear; hy++) {
+      const lengths = provider.getMonthLengths(hy) || [];
+      lengths.forEach((length, index) => months.push({ hy, hm: index + 1 }));
+    }
+    return months;
+  }
+  
+  const first = from === undefined ? range.minYear : from;
+  const last = to === undefined ? range.maxYear : to;
+  assertYearRange(first, last);
+  for (let hy = first; hy <= last; hy++) {
+    for (let hm = 1; hm <= 12; hm++) {
+      months.push({ hy, hm });
+    }
+  }
+  return months;
+}
+
+/**
+ * Get the start, length and source of every month in a range of Hijri years
+ * @param {Object} [options] - Options
+ * @param {number} [options.from] - First Hijri year (default: first year of the official data)
+ * @param {number} [options.to] - Last Hijri year (default: last year of the official data)
+ * @returns {Array<Object>} Months with hy, hm, days, source, julianDay (first day), jalaali,
+ *   gregorian and provenance (null outside the official data and overrides)
+ */
+function getMonthStarts(options = {}) {
+  const provider = conversion.overrides.provider;
+  
+  return listMonths(options.from, options.to).map(({ hy, hm }) => {
+    const { julianDay } = conversion.hijriToJulian(hy, hm, 1);
+    const { length, source } = conversion.getHijriMonthLength(hy, hm);
+    const fromProvider = DATA_SOURCES.includes(source);
+    return {
+      hy,
+      hm,
+      days: length,
+      source,
+      julianDay,
+      jalaali: utils.julianToJalaali(julianDay),
+      gregorian: utils.julianToGregorian(julianDay),
+      provenance: fromProvider && provider.getMonthProvenance ? provider.getMonthProvenance(hy, hm) : null
+    };
+  });
+}
+
+/**
+ * Export the month starts of the official data as JSON or CSV
+ * 
+ * With no years given, the export holds exactly the months of the data,
+ * runtime overrides included. The result loads back with loadProvider.
+ * 
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='json'] - 'json' or 'csv'
+ * @param {number} [options.from] - First Hijri year (default: first year of the official data)
+ * @param {number} [options.to] - Last Hijri year (default: last year of the official data)
+ * @returns {string} JSON document ({ format, version, provider, months }) or CSV text
+ */
+function exportMonthStarts(options = {}) {
+  const format = readFormat(options.format || 'json');
+  const months = getMonthStarts(options);
+  
+  if (format === 'json') {
+    return toJsonDocument({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      provider: conversion.overrides.provider.name
+    }, 'months', months);
+  }
+  
+  return toCsv(MONTH_COLUMNS, months.map(({ hy, hm, days, source, julianDay, jalaali, gregorian, provenance }) => {
+    const record = provenance || {};
+    return [
+      hy, hm, days, source, julianDay,
+      jalaali.jy, jalaali.jm, jalaali.jd,
+      gregorian.gy, gregorian.gm, gregorian.gd,
+      record.source, record.retrieved, record.status, record.sources ? record.sources.join(';') : null
+    ];
+  }));
+}
+
+/**
+ * Export a day-by-day conversion table as JSON or CSV
+ * 
+ * Dates may be given in any calendar ({ hy, hm, hd }, { jy, jm, jd } or
+ * { gy, gm, gd }), as for eachDay.
+ * 
+ * @param {Object} start - First day
+ * @param {Object} end - Last day (inclusive)
+ * @param {Object} [options] - Options
+ * @param {string} [options.format='json'] - 'json' or 'csv'
+ * @returns {string} JSON array of the eachDay days, one per line, or CSV text
+ */
+function exportDayTable(start, end, options = {}) {
+  const format = readFormat(options.format || 'json');
+  const days = Array.from(eachDay(start, end));
+  
+  if (format === 'json') {
+    return `[\n${days.map(day => `  ${JSON.stringify(day)}`).join(',\n')}\n]\n`;
+  }
+  
+  return toCsv(DAY_COLUMNS, days.map(({ julianDay, weekday, hijri, jalaali, gregorian, source }) => [
+    julianDay, weekday.en,
+    hijri.hy, hijri.hm, hijri.hd,
+    jalaali.jy, jalaali.jm, jalaali.jd,
+    gregorian.gy, gregorian.gm, gregorian.gd,
+    source
+  ]));
+}
+
+/**
+ * Helper: Escape text for an iCalendar property value
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Helper: Fold an iCalendar content line into lines of at most 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+function foldLine(line) {
+  const parts = [];
+  let part = '';
+  let octets = 0;
+  
+  // Fold between characters, never inside a multi-byte one
+  Array.from(line).forEach(char => {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(part);
+      part = '';
+      octets = 0;
+    }
+    part += char;
+    octets += size;
+  });
+  parts.push(part);
+  
+  return parts.join('\r\n ');
+}
+
+/**
+ * Helper: Write a Gregorian date as an iCalendar DATE value
+ * @param {number} julianDay - Julian Day Number
+ * @returns {string} Date such as 20260219
+ */
+function toIcsDate(julianDay) {
+  const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+  return `${gy}${String(gm).padStart(2, '0')}${String(gd).padStart(2, '0')}`;
+}
+
+/**
+ * Helper: Write the lines of an all-day event
+ * @param {Object} event - Object with uid, julianDay, summary, description and category
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Content lines
+ */
+function toEventLines({ uid, julianDay, summary, description, category }, stamp) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toIcsDate(julianDay)}`,
+    `DTEND;VALUE=DATE:${toIcsDate(julianDay + 1)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(category)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Helper: Describe where the date of a Hijri day comes from, for event descriptions
+ * @param {string} source - Source of the Hijri date
+ * @returns {string} Text such as 'official data' or 'tabular estimate'
+ */
+function describeSource(source) {
+  return DATA_SOURCES.includes(source) ? `${source} data` : `${source} estimate`;
+}
+
+/**
+ * Export an iCalendar (.ics) feed of Hijri month starts and Iranian occasions
+ * 
+ * Every event is an all-day event on the civil (Gregorian) date. Month starts
+ * are named after the Hijri date, e.g. '1 Ramadan 1447'; occasions after the
+ * occasion, holidays in the category 'Holiday'. Event UIDs name the Hijri
+ * month or the occasion and its year rather than the civil date, so a
+ * calendar app subscribed to the feed moves events in place when a month
+ * start changes.
+ * 
+ * @param {Object} [options] - Options
+ * @param {number} [options.from] - First Hijri year (default: the current year in Tehran)
+ * @param {number} [options.to] - Last Hijri year (default: the year after from)
+ * @param {boolean} [options.occasions=true] - Include occasions and holidays
+ * @param {string} [options.locale='en'] - Language of event names ('fa', 'ar' or 'en';
+ *   occasions have Persian and English names, Arabic uses the Persian ones)
+ * @param {string} [options.name='Iranian Hijri Calendar'] - Calendar name shown by calendar apps
+ * @param {Date} [options.now] - Time stamp of the events (default: now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function exportICalendar(options = {}) {
+  const {
+    occasions: includeOccasions = true,
+    locale = 'en',
+    name = 'Iranian Hijri Calendar',
+    now = new Date()
+  } = options;
+  
+  let { from, to } = options;
+  if (from === undefined) {
+    const { gy, gm, gd } = getWallClock(now, DEFAULT_TIME_ZONE);
+    from = conversion.julianToHijri(utils.gregorianToJulian(gy, gm, gd)).hy;
+  }
+  if (to === undefined) {
+    to = from + 1;
+  }
+  assertYearRange(from, to);
+  
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lastDay = conversion.getHijriMonthLength(to, 12).length;
+  const events = [];
+  
+  for (const day of eachDay({ hy: from, hm: 1, hd: 1 }, { hy: to, hm: 12, hd: lastDay })) {
+    const { hijri, julianDay, source } = day;
+    
+    if (hijri.hd === 1) {
+      const { length } = conversion.getHijriMonthLength(hijri.hy, hijri.hm);
+      events.push({
+        uid: `hijri-${hijri.hy}-${String(hijri.hm).padStart(2, '0')}@iran-hijri`,
+        julianDay,
+        summary: formatHijri(hijri, 'D MMMM YYYY', { locale }),
+        description: `Hijri month ${formatHijri(hijri, 'YYYY/MM')}, ${length} days (${describeSource(source)})`,
+        category: 'Hijri month'
+      });
+    }
+    
+    if (includeOccasions) {
+      occasions.getOccasions(hijri).forEach(occasion => {
+        const dateNote = occasion.calendar === 'hijri'
+          ? `Hijri ${formatHijri(hijri)} (${describeSource(source)})`
+          : `Jalaali ${day.jalaali.jy}/${String(day.jalaali.jm).padStart(2, '0')}/${String(day.jalaali.jd).padStart(2, '0')}`;
+        events.push({
+          uid: `${occasion.id}-${occasion.calendar === 'hijri' ? hijri.hy : day.jalaali.jy}@iran-hijri`,
+          julianDay,
+          summary: occasion.names[locale] || occasion.names.fa,
+          description: occasion.holiday ? `Public holiday in Iran. ${dateNote}` : dateNote,
+          category: occasion.holiday ? 'Holiday' : 'Occasion'
+        });
+      });
+    }
+  }
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//iran-hijri//Iranian Hijri Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ].concat(...events.map(event => toEventLines(event, stamp)), ['END:VCALENDAR']);
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Helper: Read the months of a CSV month-start export
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Months in the JSON export's shape
+ */
+function readCsvMonths(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  ['hy', 'hm', 'days', 'julian_day'].forEach(column => {
+    if (!columns.includes(column)) {
+      throw new Error(`Invalid month-start export: CSV has no ${column} column`);
+    }
+  });
+  
+  return rows.map(fields => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = (fields[index] || '').trim();
+    });
+    
+    const month = {
+      hy: Number(row.hy),
+      hm: Number(row.hm),
+      days: Number(row.days),
+      julianDay: Number(row.julian_day),
+      source: row.source || undefined,
+      provenance: null
+    };
+    if (row.provenance_source) {
+      month.provenance = { source: row.provenance_source, retrieved: row.retrieved || null, status: row.status };
+      if (row.sources) {
+        month.provenance.sources = row.sources.split(';');
+      }
+    }
+    return month;
+  });
+}
+
+/**
+ * Helper: Read the months of a month-start export in either format
+ * @param {string|Object} input - JSON or CSV text, or the parsed JSON document
+ * @returns {Object} Object with provider (name in the export, or null) and months
+ */
+function readExport(input) {
+  if (typeof input === 'string' && !/^\s*\{/.test(input)) {
+    return { provider: null, months: readCsvMonths(input) };
+  }
+  
+  const document = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!document || document.format !== EXPORT_FORMAT || !Array.isArray(document.months)) {
+    throw new Error(`Invalid month-start export: expected a JSON document with format '${EXPORT_FORMAT}', or CSV text`);
+  }
+  if (document.version !== EXPORT_VERSION) {
+    throw new Error(`Unsupported month-start export version: ${document.version} (expected ${EXPORT_VERSION})`);
+  }
+  return { provider: document.provider || null, months: document.months };
+}
+
+/**
+ * Create a data provider from a month-start export
+ * 
+ * Months with a source other than 'official' or 'override' are estimates,
+ * not data, and are skipped; months without a source (a hand-written table)
+ * are loaded. The first month loaded must be Muharram, since a provider's
+ * anchor is 1 Muharram of its first year. Each month's start must follow from the one before it
+ * and its length; after a gap (missing months), the next exported start
+ * anchors the data again. The last month start becomes the end anchor, and
+ * provenance is kept where the export has it.
+ * 
+ * @param {string|Object} input - Output of exportMonthStarts (JSON or CSV), or the parsed JSON
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Provider name (default: the name in a JSON export, or 'imported')
+ * @returns {Object} Provider for createConverter
+ */
+function loadProvider(input, options = {}) {
+  const exported = readExport(input);
+  const name = options.name || exported.provider || 'imported';
+  const months = exported.months
+    .filter(month => month.source === undefined || DATA_SOURCES.includes(month.source))
+    .sort((a, b) => monthIndex.toMonthNumber(a.hy, a.hm) - monthIndex.toMonthNumber(b.hy, b.hm));
+  
+  months.forEach(month => {
+    if (!utils.isValidHijriDate(month.hy, month.hm, 1) || !Number.isInteger(month.julianDay)) {
+      throw new Error(`Invalid month-start export: bad month ${month.hy}/${month.hm}`);
+    }
+  });
+  if (months.length === 0 || months[0].hm !== 1) {
+    throw new Error('Invalid month-start export: the first month must be Muharram (hm 1)');
+  }
+  
+  const data = {};
+  const segmentAnchors = [];
+  const provenance = new Map();
+  
+  months.forEach((month, index) => {
+    const number = monthIndex.toMonthNumber(month.hy, month.hm);
+    const previous = months[index - 1];
+    
+    if (previous) {
+      const previousNumber = monthIndex.toMonthNumber(previous.hy, previous.hm);
+      if (number === previousNumber) {
+        throw new Error(`Invalid month-start export: ${month.hy}/${month.hm} appears twice`);
+      }
+      if (number === previousNumber + 1 && previous.julianDay + previous.days !== month.julianDay) {
+        throw new Error(
+          `Invalid month-start export: ${previous.hy}/${previous.hm} starts on Julian Day ${previous.julianDay} ` +
+          `with ${previous.days} days, but ${month.hy}/${month.hm} starts on ${month.julianDay}`
+        );
+      }
+      if (number !== previousNumber + 1) {
+        segmentAnchors.push({ hy: month.hy, hm: month.hm, julianDay: month.julianDay });
+      }
+    }
+    
+    data[month.hy] = data[month.hy] || [];
+    data[month.hy][month.hm - 1] = month.days;
+    if (month.provenance) {
+      provenance.set(number, month.provenance);
+    }
+  });
+  
+  // Months missing inside a year cannot be stored in a year table
+  Object.keys(data).forEach(hy => {
+    const lengths = data[hy];
+    if (lengths.length !== lengths.filter(length => length !== undefined).length) {
+      throw new Error(`Invalid month-start export: year ${hy} has a gap between months`);
+    }
+  });
+  
+  // The end anchor is counted from the first month, which a gap makes impossible
+  const last = months[months.length - 1];
+  return createProvider({
+    name,
+    data,
+    anchorJulianDay: months[0].julianDay,
+    endAnchor: segmentAnchors.length === 0 ? { hy: last.hy, hm: last.hm, julianDay: last.julianDay } : undefined,
+    segmentAnchors,
+    provenance: compactProvenance(provenance)
+  });
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  getMonthStarts,
+  exportMonthStarts,
+  exportDayTable,
+  exportICalendar,
+  loadProvider
+};
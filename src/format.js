@@ -0,0 +1,151 @@
+/**
+ * Date Formatting
+ * 
+ * Formats Hijri, Jalaali and Gregorian dates with pattern tokens and
+ * localized month, weekday and era names.
+ * 
+ * Pattern tokens:
+ * - YYYY: year, padded to 4 digits      - YY: last two digits of the year
+ * - MMMM: month name                    - MM: month, 2 digits    - M: month
+ * - DD: day, 2 digits                   - D: day
+ * - dddd: weekday name                  - E: era suffix (ه‍.ق / AH)
+ * 
+ * Text inside square brackets is copied as-is, e.g. 'D MMMM YYYY [at noon]'.
+ */
+
+const utils = require('./utils');
+const locale = require('./locale');
+const conversion = require('./conversion');
+
+const DEFAULT_PATTERN = 'YYYY/MM/DD';
+
+const TOKEN_REGEX = /\[([^\]]*)\]|YYYY|YY|MMMM|MM|M|DD|D|dddd|E/g;
+
+// Field names, validators and Julian Day converters per calendar
+const CALENDARS = {
+  hijri: {
+    label: 'Hijri',
+    fields: ['hy', 'hm', 'hd'],
+    isValid: utils.isValidHijriDate,
+    toJulian: (year, month, day) => conversion.hijriToJulian(year, month, day).julianDay
+  },
+  jalaali: {
+    label: 'Jalaali',
+    fields: ['jy', 'jm', 'jd'],
+    isValid: utils.isValidJalaaliDate,
+    toJulian: utils.jalaaliToJulian
+  },
+  gregorian: {
+    label: 'Gregorian',
+    fields: ['gy', 'gm', 'gd'],
+    isValid: utils.isValidGregorianDate,
+    toJulian: utils.gregorianToJulian
+  }
+};
+
+/**
+ * Helper: Left-pad a number with zeros
+ * @param {number} value - Number to pad
+ * @param {number} length - Minimum length
+ * @returns {string} Padded number
+ */
+function pad(value, length) {
+  let text = String(value);
+  while (text.length < length) {
+    text = '0' + text;
+  }
+  return text;
+}
+
+/**
+ * Helper: Format a date of any supported calendar
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {Object} date - Date object, e.g. { hy, hm, hd } or a conversion result
+ * @param {string} pattern - Format pattern
+ * @param {Object} options - Formatting options
+ * @returns {string} Formatted date
+ */
+function formatDate(calendar, date, pattern, options) {
+  const { locale: localeCode = 'en', spelling = 'standard', numerals = 'latn' } = options;
+  const definition = CALENDARS[calendar];
+  const [yearField, monthField, dayField] = definition.fields;
+  const year = date[yearField];
+  const month = date[monthField];
+  const day = date[dayField];
+  
+  if (!definition.isValid(year, month, day)) {
+    throw new Error(`Invalid ${definition.label} date: ${year}/${month}/${day}`);
+  }
+  
+  // Conversion results already carry the weekday; compute it only when missing
+  const getWeekdayNumber = () => {
+    if (date.weekday && typeof date.weekday.number === 'number') {
+      return date.weekday.number;
+    }
+    return utils.getWeekdayNumber(definition.toJulian(year, month, day));
+  };
+  
+  const digits = value => locale.toLocaleDigits(value, numerals);
+  
+  return pattern.replace(TOKEN_REGEX, (token, literal) => {
+    if (literal !== undefined) {
+      return literal;
+    }
+    
+    switch (token) {
+      case 'YYYY': return digits(pad(year, 4));
+      case 'YY': return digits(pad(year % 100, 2));
+      case 'MMMM': return locale.getMonthName(calendar, month, localeCode, spelling);
+      case 'MM': return digits(pad(month, 2));
+      case 'M': return digits(month);
+      case 'DD': return digits(pad(day, 2));
+      case 'D': return digits(day);
+      case 'dddd': return locale.getWeekdayName(getWeekdayNumber(), localeCode);
+      case 'E': return locale.getEraName(calendar, localeCode);
+      default: return token;
+    }
+  });
+}
+
+/**
+ * Format a Hijri date
+ * @param {Object} date - Object with hy, hm, hd properties (e.g. a jalaaliToHijri result)
+ * @param {string} [pattern='YYYY/MM/DD'] - Format pattern
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale='en'] - Locale for names ('fa', 'ar' or 'en')
+ * @param {string} [options.spelling='standard'] - Month name spelling ('standard' or 'iranian')
+ * @param {string} [options.numerals='latn'] - Digits ('latn', 'arabext' for Persian or 'arab' for Arabic-Indic)
+ * @returns {string} Formatted date
+ */
+function formatHijri(date, pattern = DEFAULT_PATTERN, options = {}) {
+  return formatDate('hijri', date, pattern, options);
+}
+
+/**
+ * Format a Jalaali date
+ * @param {Object} date - Object with jy, jm, jd properties (e.g. a hijriToJalaali result)
+ * @param {string} [pattern='YYYY/MM/DD'] - Format pattern
+ * @param {Object} [options] - Formatting options (see formatHijri)
+ * @returns {string} Formatted date
+ */
+function formatJalaali(date, pattern = DEFAULT_PATTERN, options = {}) {
+  return formatDate('jalaali', date, pattern, options);
+}
+
+/**
+ * Format a Gregorian date
+ * @param {Object} date - Object with gy, gm, gd properties (e.g. a hijriToGregorian result)
+ * @param {string} [pattern='YYYY/MM/DD'] - Format pattern
+ * @param {Object} [options] - Formatting options (see formatHijri)
+ * @returns {string} Formatted date
+ */
+function formatGregorian(date, pattern = DEFAULT_PATTERN, options = {}) {
+  return formatDate('gregorian', date, pattern, options);
+}
+
+module.exports = {
+  DEFAULT_PATTERN,
+  formatHijri,
+  formatJalaali,
+  formatGregorian
+};
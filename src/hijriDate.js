@@ -0,0 +1,295 @@
+/**
+ * HijriDate Value Object
+ * 
+ * An immutable Hijri date with day, month and year arithmetic that follows the
+ * real month lengths: official Iranian data when available, tabular otherwise.
+ * 
+ * Every date carries its source ('official', 'override' or 'tabular'). Dates
+ * produced by arithmetic also report crossedSourceBoundary, which is true when
+ * the result and the starting date come from different sources, e.g. adding
+ * months to a date in 1447 (official) that lands in 1449 (tabular).
+ */
+
+const utils = require('./utils');
+const conversion = require('./conversion');
+const format = require('./format');
+const { createUncertainty } = require('./uncertainty');
+
+// Confidence and uncertainty of conversions, measured as for hijriToJalaali and hijriToGregorian
+const estimates = createUncertainty(conversion);
+
+/**
+ * Helper: Create a frozen HijriDate without re-validating it
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ * @param {number} hd - Hijri day
+ * @param {number} julianDay - Julian Day Number of the date
+ * @param {string} source - 'official', 'override' or 'tabular'
+ * @param {HijriDate} [origin] - Date this one was calculated from
+ * @returns {HijriDate} New date
+ */
+function createDate(hy, hm, hd, julianDay, source, origin) {
+  const date = Object.create(HijriDate.prototype);
+  date.hy = hy;
+  date.hm = hm;
+  date.hd = hd;
+  date.julianDay = julianDay;
+  date.source = source;
+  date.crossedSourceBoundary = origin ? origin.source !== source : false;
+  return Object.freeze(date);
+}
+
+/**
+ * Helper: Create a HijriDate from a Julian Day Number
+ * @param {number} julianDay - Julian Day Number
+ * @param {HijriDate} [origin] - Date this one was calculated from
+ * @returns {HijriDate} New date
+ */
+function fromJulian(julianDay, origin) {
+  const hijriDate = conversion.julianToHijri(julianDay);
+  return createDate(hijriDate.hy, hijriDate.hm, hijriDate.hd, julianDay, hijriDate.source, origin);
+}
+
+class HijriDate {
+  /**
+   * Create a Hijri date
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day; must exist in the month (see validateHijriDate)
+   */
+  constructor(hy, hm, hd) {
+    const validation = conversion.validateHijriDate(hy, hm, hd);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+    
+    const { julianDay, source } = conversion.hijriToJulian(hy, hm, hd);
+    
+    this.hy = hy;
+    this.hm = hm;
+    this.hd = hd;
+    this.julianDay = julianDay;
+    this.source = source;
+    this.crossedSourceBoundary = false;
+    Object.freeze(this);
+  }
+  
+  /**
+   * Create a Hijri date from a Julian Day Number
+   * @param {number} julianDay - Julian Day Number
+   * @returns {HijriDate} New date
+   */
+  static fromJulianDay(julianDay) {
+    return fromJulian(julianDay);
+  }
+  
+  /**
+   * Create a Hijri date from a Jalaali date
+   * @param {number} jy - Jalaali year
+   * @param {number} jm - Jalaali month (1-12)
+   * @param {number} jd - Jalaali day
+   * @returns {HijriDate} New date
+   */
+  static fromJalaali(jy, jm, jd) {
+    if (!utils.isValidJalaaliDate(jy, jm, jd)) {
+      throw new Error(`Invalid Jalaali date: ${jy}/${jm}/${jd}`);
+    }
+    return fromJulian(utils.jalaaliToJulian(jy, jm, jd));
+  }
+  
+  /**
+   * Create a Hijri date from a Gregorian date
+   * @param {number} gy - Gregorian year
+   * @param {number} gm - Gregorian month (1-12)
+   * @param {number} gd - Gregorian day
+   * @returns {HijriDate} New date
+   */
+  static fromGregorian(gy, gm, gd) {
+    if (!utils.isValidGregorianDate(gy, gm, gd)) {
+      throw new Error(`Invalid Gregorian date: ${gy}/${gm}/${gd}`);
+    }
+    return fromJulian(utils.gregorianToJulian(gy, gm, gd));
+  }
+  
+  /**
+   * Compare two Hijri dates, e.g. for Array.prototype.sort
+   * @param {HijriDate} a - First date
+   * @param {HijriDate} b - Second date
+   * @returns {number} -1, 0 or 1
+   */
+  static compare(a, b) {
+    return Math.sign(a.julianDay - b.julianDay);
+  }
+  
+  /**
+   * Weekday metadata in the same shape as conversion results
+   * @returns {Object} Object with ar, fa, en and number properties
+   */
+  get weekday() {
+    return conversion.getWeekdayInfo(this.julianDay);
+  }
+  
+  /**
+   * Add (or subtract) days
+   * @param {number} days - Number of days, may be negative
+   * @returns {HijriDate} New date
+   */
+  addDays(days) {
+    return fromJulian(this.julianDay + days, this);
+  }
+  
+  /**
+   * Add (or subtract) Hijri months
+   * 
+   * When the day does not exist in the target month (day 30 of a 29-day
+   * month), the result is clamped to the last day of that month.
+   * 
+   * @param {number} months - Number of months, may be negative
+   * @returns {HijriDate} New date
+   */
+  addMonths(months) {
+    const monthIndex = this.hy * 12 + (this.hm - 1) + months;
+    const hy = Math.floor(monthIndex / 12);
+    const hm = (monthIndex % 12) + 1;
+    const hd = Math.min(this.hd, conversion.getHijriMonthLength(hy, hm).length);
+    
+    if (!utils.isValidHijriDate(hy, hm, hd)) {
+      throw new Error(`Invalid Hijri date: ${hy}/${hm}/${hd}`);
+    }
+    
+    const { julianDay, source } = conversion.hijriToJulian(hy, hm, hd);
+    return createDate(hy, hm, hd, julianDay, source, this);
+  }
+  
+  /**
+   * Add (or subtract) Hijri years, clamping day 30 like addMonths
+   * @param {number} years - Number of years, may be negative
+   * @returns {HijriDate} New date
+   */
+  addYears(years) {
+    return this.addMonths(years * 12);
+  }
+  
+  /**
+   * Number of days from another date to this one
+   * @param {HijriDate} other - Date to compare with
+   * @returns {number} Days; positive when this date is later
+   */
+  diffInDays(other) {
+    return this.julianDay - other.julianDay;
+  }
+  
+  /**
+   * Compare with another date
+   * @param {HijriDate} other - Date to compare with
+   * @returns {number} -1 if earlier, 0 if same day, 1 if later
+   */
+  compare(other) {
+    return HijriDate.compare(this, other);
+  }
+  
+  /**
+   * @param {HijriDate} other - Date to compare with
+   * @returns {boolean} True if both are the same day
+   */
+  equals(other) {
+    return this.julianDay === other.julianDay;
+  }
+  
+  /**
+   * @param {HijriDate} other - Date to compare with
+   * @returns {boolean} True if this date is earlier
+   */
+  isBefore(other) {
+    return this.julianDay < other.julianDay;
+  }
+  
+  /**
+   * @param {HijriDate} other - Date to compare with
+   * @returns {boolean} True if this date is later
+   */
+  isAfter(other) {
+    return this.julianDay > other.julianDay;
+  }
+  
+  /**
+   * Convert to Jalaali
+   * @returns {Object} Object with jy, jm, jd properties and metadata, like hijriToJalaali
+   */
+  toJalaali() {
+    const jalaaliDate = utils.julianToJalaali(this.julianDay);
+    const { confidence, uncertainty } = estimates.describe(this.julianDay, this, utils.julianToJalaali);
+    return {
+      jy: jalaaliDate.jy,
+      jm: jalaaliDate.jm,
+      jd: jalaaliDate.jd,
+      source: this.source,
+      confidence,
+      uncertainty,
+      weekday: this.weekday
+    };
+  }
+  
+  /**
+   * Convert to Gregorian
+   * @returns {Object} Object with gy, gm, gd properties and metadata, like hijriToGregorian
+   */
+  toGregorian() {
+    const gregorianDate = utils.julianToGregorian(this.julianDay);
+    const { confidence, uncertainty } = estimates.describe(this.julianDay, this, utils.julianToGregorian);
+    return {
+      gy: gregorianDate.gy,
+      gm: gregorianDate.gm,
+      gd: gregorianDate.gd,
+      source: this.source,
+      confidence,
+      uncertainty,
+      weekday: this.weekday
+    };
+  }
+  
+  /**
+   * Format with formatHijri pattern tokens
+   * @param {string} [pattern] - Format pattern
+   * @param {Object} [options] - Formatting options (see formatHijri)
+   * @returns {string} Formatted date
+   */
+  format(pattern, options) {
+    return format.formatHijri(this, pattern, options);
+  }
+  
+  /**
+   * @returns {string} Date as YYYY/MM/DD
+   */
+  toString() {
+    return format.formatHijri(this);
+  }
+  
+  /**
+   * @returns {Object} Plain object with hy, hm, hd and source
+   */
+  toJSON() {
+    return { hy: this.hy, hm: this.hm, hd: this.hd, source: this.source };
+  }
+  
+  /**
+   * Julian Day Number, so dates compare with < and >
+   * @returns {number} Julian Day Number
+   */
+  valueOf() {
+    return this.julianDay;
+  }
+  
+  /**
+   * Behave like Date: a number in numeric contexts, a string otherwise
+   * @param {string} hint - 'number', 'string' or 'default'
+   * @returns {number|string} Julian Day Number or YYYY/MM/DD
+   */
+  [Symbol.toPrimitive](hint) {
+    return hint === 'number' ? this.julianDay : this.toString();
+  }
+}
+
+module.exports = {
+  HijriDate
+};
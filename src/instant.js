@@ -0,0 +1,284 @@
+/**
+ * Moments in Time
+ * 
+ * Converts moments (a JS Date or an ISO 8601 timestamp) rather than calendar
+ * days. The civil date of a moment depends on the time zone, Asia/Tehran by
+ * default, and in Islamic usage the Hijri day begins at sunset (maghrib), not
+ * at midnight: an event on the evening of 9 Muharram already falls on 10
+ * Muharram. With the 'sunset' day boundary (the default), a moment after
+ * sunset at the location (Tehran by default; see astronomical.getSunset)
+ * takes the Hijri date, and weekday, of the next civil day. The 'midnight'
+ * boundary keeps the civil day.
+ * 
+ * Timestamps without an offset ('2025-07-05T20:30') are wall-clock times in
+ * the time zone. Time zones use the Intl API, so any IANA name works.
+ */
+
+const utils = require('./utils');
+const astronomical = require('./astronomical');
+
+const DEFAULT_TIME_ZONE = 'Asia/Tehran';
+const DAY_BOUNDARIES = ['sunset', 'midnight'];
+
+// Julian Date of the Unix epoch, 1970-01-01T00:00Z
+const UNIX_EPOCH_JULIAN_DATE = 2440587.5;
+const MS_PER_DAY = 86400000;
+
+const ISO_TIMESTAMP_REGEX =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Intl formatters per time zone, created on first use
+const formatters = new Map();
+
+/**
+ * Helper: Get the formatter that splits moments into wall-clock parts in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the wall-clock date and time of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} Object with gy, gm, gd, hour, minute and second
+ */
+function getWallClock(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  
+  // Some Intl versions write midnight as 24:00 of the same day
+  return {
+    gy: parts.year,
+    gm: parts.month,
+    gd: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Helper: Get a time zone's offset from UTC at a moment
+ * @param {number} time - Milliseconds since the Unix epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of Greenwich)
+ */
+function getOffset(time, timeZone) {
+  const wall = getWallClock(new Date(time), timeZone);
+  const wallTime = Date.UTC(wall.gy, wall.gm - 1, wall.gd, wall.hour, wall.minute, wall.second);
+  return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Helper: Find the moment a wall-clock time occurs in a time zone
+ * 
+ * Times skipped by a daylight saving change resolve to the moment after the
+ * gap; repeated times resolve to the first of the two.
+ * 
+ * @param {Object} wall - Object with gy, gm, gd, hour, minute, second and millisecond
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Moment
+ */
+function fromWallClock(wall, timeZone) {
+  const wallTime = Date.UTC(wall.gy, wall.gm - 1, wall.gd, wall.hour, wall.minute, wall.second, wall.millisecond);
+  
+  // Offsets change at most once a day, so the offsets a day either side are the only candidates
+  const offsetBefore = getOffset(wallTime - MS_PER_DAY, timeZone);
+  const offsetAfter = getOffset(wallTime + MS_PER_DAY, timeZone);
+  const matches = [wallTime - offsetBefore, wallTime - offsetAfter]
+    .filter(time => time + getOffset(time, timeZone) === wallTime);
+  
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallTime - offsetBefore);
+}
+
+/**
+ * Read a moment from a Date or an ISO 8601 timestamp
+ * @param {Date|string} input - Date, or timestamp such as '2025-07-05T20:30:00+03:30',
+ *   '2025-07-05T17:00Z' or '2025-07-05T20:30' (wall-clock time in the time zone)
+ * @param {string} [timeZone='Asia/Tehran'] - Time zone of timestamps without an offset
+ * @returns {Date} Moment
+ */
+function readInstant(input, timeZone = DEFAULT_TIME_ZONE) {
+  if (input instanceof Date) {
+    if (isNaN(input.getTime())) {
+      throw new Error('Invalid Date');
+    }
+    return input;
+  }
+  
+  const match = typeof input === 'string' ? input.trim().match(ISO_TIMESTAMP_REGEX) : null;
+  if (!match) {
+    throw new Error(`Invalid timestamp: ${input} (expected a Date or an ISO 8601 string such as 2025-07-05T20:30:00+03:30)`);
+  }
+  
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', offset] = match;
+  const wall = {
+    gy: Number(year),
+    gm: Number(month),
+    gd: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    millisecond: Number(fraction.padEnd(3, '0'))
+  };
+  if (!utils.isValidGregorianDate(wall.gy, wall.gm, wall.gd) || wall.hour > 23 || wall.minute > 59 || wall.second > 59) {
+    throw new Error(`Invalid timestamp: ${input}`);
+  }
+  
+  if (!offset) {
+    return fromWallClock(wall, timeZone);
+  }
+  
+  const wallTime = Date.UTC(wall.gy, wall.gm - 1, wall.gd, wall.hour, wall.minute, wall.second, wall.millisecond);
+  if (offset.toUpperCase() === 'Z') {
+    return new Date(wallTime);
+  }
+  const sign = offset[0] === '-' ? -1 : 1;
+  const digits = offset.slice(1).replace(':', '');
+  return new Date(wallTime - sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000);
+}
+
+/**
+ * Convert a moment to a Julian Date (UT)
+ * @param {Date} date - Moment
+ * @returns {number} Julian Date
+ */
+function toJulianDate(date) {
+  return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DATE;
+}
+
+/**
+ * Convert a Julian Date (UT) to a moment
+ * @param {number} julianDate - Julian Date
+ * @returns {Date} Moment, rounded to the millisecond
+ */
+function fromJulianDate(julianDate) {
+  return new Date(Math.round((julianDate - UNIX_EPOCH_JULIAN_DATE) * MS_PER_DAY));
+}
+
+/**
+ * Helper: Check the options of the moment conversions
+ * @param {Object} options - Object with timeZone, dayBoundary and location
+ * @returns {Object} The options with defaults filled in
+ */
+function readOptions({ timeZone = DEFAULT_TIME_ZONE, dayBoundary = 'sunset', location = astronomical.TEHRAN } = {}) {
+  if (!DAY_BOUNDARIES.includes(dayBoundary)) {
+    throw new Error(`Invalid dayBoundary option: ${dayBoundary} (expected 'sunset' or 'midnight')`);
+  }
+  getFormatter(timeZone);
+  
+  return { timeZone, dayBoundary, location };
+}
+
+/**
+ * Create the moment conversions for a converter
+ * @param {Object} converter - Object with the converter's gregorianToHijri and hijriToGregorian
+ * @returns {Object} Object with instantToHijri and getHijriDayInterval
+ */
+function createInstantConversion({ gregorianToHijri, hijriToGregorian }) {
+  /**
+   * Convert a moment to the Hijri date it falls on
+   * 
+   * The result is that of gregorianToHijri for the Hijri day (its weekday
+   * included), plus the civil date and time in the time zone and, with the
+   * sunset boundary, the sunset of the civil day.
+   * 
+   * @param {Date|string} input - Date or ISO 8601 timestamp
+   * @param {Object} [options] - Conversion options
+   * @param {string} [options.timeZone='Asia/Tehran'] - Time zone of the civil date, and of timestamps without an offset
+   * @param {string} [options.dayBoundary='sunset'] - When the Hijri day begins: 'sunset' or 'midnight'
+   * @param {Object} [options.location] - { latitude, longitude } in degrees, east positive, for sunset; defaults to Tehran
+   * @returns {Object} Object with hy, hm, hd and the other gregorianToHijri fields, plus civil
+   *   ({ gy, gm, gd, hour, minute, second }), timeZone, dayBoundary, sunset (Date, null with the
+   *   midnight boundary) and afterSunset
+   */
+  function instantToHijri(input, options = {}) {
+    const { timeZone, dayBoundary, location } = readOptions(options);
+    const date = readInstant(input, timeZone);
+    const civil = getWallClock(date, timeZone);
+    let julianDay = utils.gregorianToJulian(civil.gy, civil.gm, civil.gd);
+    let sunset = null;
+    let afterSunset = false;
+    
+    if (dayBoundary === 'sunset') {
+      // Compared to the millisecond, so the sunset given here and by getHijriDayInterval is the boundary
+      sunset = fromJulianDate(astronomical.getSunset(julianDay, location));
+      afterSunset = date.getTime() >= sunset.getTime();
+      if (afterSunset) {
+        julianDay++;
+      }
+    }
+    
+    const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+    return Object.assign(gregorianToHijri(gy, gm, gd), { civil, timeZone, dayBoundary, sunset, afterSunset });
+  }
+  
+  /**
+   * Get the moments a Hijri day begins and ends
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} hd - Hijri day
+   * @param {Object} [options] - Same options as instantToHijri
+   * @returns {Object} Object with start and end (Dates; end is the start of the next day), timeZone,
+   *   dayBoundary and source
+   */
+  function getHijriDayInterval(hy, hm, hd, options = {}) {
+    const { timeZone, dayBoundary, location } = readOptions(options);
+    const { gy, gm, gd, source } = hijriToGregorian(hy, hm, hd);
+    const julianDay = utils.gregorianToJulian(gy, gm, gd);
+    
+    // The Hijri day runs from the sunset before its civil day to the sunset of that day
+    if (dayBoundary === 'sunset') {
+      return {
+        start: fromJulianDate(astronomical.getSunset(julianDay - 1, location)),
+        end: fromJulianDate(astronomical.getSunset(julianDay, location)),
+        timeZone,
+        dayBoundary,
+        source
+      };
+    }
+    
+    const midnight = day => fromWallClock(
+      Object.assign(utils.julianToGregorian(day), { hour: 0, minute: 0, second: 0, millisecond: 0 }),
+      timeZone
+    );
+    return { start: midnight(julianDay), end: midnight(julianDay + 1), timeZone, dayBoundary, source };
+  }
+  
+  return {
+    instantToHijri,
+    getHijriDayInterval
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  readInstant,
+  getWallClock,
+  toJulianDate,
+  fromJulianDate,
+  createInstantConversion
+};
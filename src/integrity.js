@@ -0,0 +1,103 @@
+/**
+ * Data Integrity Check
+ * 
+ * Confirms that a provider's coverage segments (see monthIndex.js) join up
+ * into one continuous calendar. Between two segments, conversions use the
+ * tabular calendar, so a gap is only seamless when the tabular months start
+ * exactly where the segment before ends and end exactly where the segment
+ * after begins. Every place where that fails is reported, as are segments
+ * that cannot be placed at all.
+ */
+
+const conversion = require('./conversion');
+const monthIndex = require('./monthIndex');
+const tabular = require('./tabular');
+
+/**
+ * Helper: Format a Hijri month for messages
+ * @param {Object} month - Object with hy and hm properties
+ * @returns {string} Month as YYYY/MM
+ */
+function formatMonth({ hy, hm }) {
+  return `${hy}/${String(hm).padStart(2, '0')}`;
+}
+
+/**
+ * Check that a provider's data forms a continuous calendar
+ * @param {Object} [provider] - Data provider; defaults to the bundled Iranian data with its overrides
+ * @param {Object} [options] - Check options
+ * @param {string} [options.tabularScheme='leap16-civil'] - Tabular scheme that fills the gaps (see tabular.js)
+ * @returns {Object} Object with ok, provider (name), segments, gaps ({ from, to, months }) and
+ *   problems ({ type, hy, hm, message }, type being 'unanchored', 'overlap', 'gapLength' or 'discontinuity')
+ */
+function checkDataIntegrity(provider = conversion.overrides.provider, options = {}) {
+  const { tabularScheme = tabular.DEFAULT_SCHEME } = options;
+  const index = monthIndex.createMonthIndex(provider);
+  const segments = index ? index.segments : [];
+  const gaps = [];
+  const problems = [];
+  
+  const report = (type, month, message) => {
+    problems.push({ type, hy: month.hy, hm: month.hm, message });
+  };
+  
+  for (let i = 1; i < segments.length; i++) {
+    const before = segments[i - 1];
+    const after = segments[i];
+    const from = monthIndex.fromMonthNumber(monthIndex.toMonthNumber(before.end.hy, before.end.hm) + 1);
+    const to = monthIndex.fromMonthNumber(monthIndex.toMonthNumber(after.start.hy, after.start.hm) - 1);
+    const months = monthIndex.toMonthNumber(to.hy, to.hm) - monthIndex.toMonthNumber(from.hy, from.hm) + 1;
+    
+    gaps.push({ from, to, months });
+    
+    if (!after.anchored) {
+      report('unanchored', after.start,
+        `Segment ${formatMonth(after.start)}-${formatMonth(after.end)} follows a gap and has no anchor, ` +
+        'so it is not used for conversions');
+      continue;
+    }
+    if (before.endJulianDay === null) {
+      continue;
+    }
+    
+    const gapDays = after.startJulianDay - before.endJulianDay;
+    if (gapDays < 0) {
+      report('overlap', after.start,
+        `Segment ${formatMonth(after.start)} is anchored ${-gapDays} day(s) before the end of ` +
+        `${formatMonth(before.end)}`);
+      continue;
+    }
+    if (gapDays < months * 29 || gapDays > months * 30) {
+      report('gapLength', from,
+        `Gap ${formatMonth(from)}-${formatMonth(to)} spans ${gapDays} days, ` +
+        `impossible for ${months} month(s) of 29 or 30 days`);
+    }
+    
+    // Where the tabular months filling the gap start and end compared with the segments around it
+    const tabularStart = tabular.hijriToJulianTabular(from.hy, from.hm, 1, tabularScheme);
+    const tabularEnd = tabular.hijriToJulianTabular(after.start.hy, after.start.hm, 1, tabularScheme);
+    
+    if (tabularStart !== before.endJulianDay) {
+      report('discontinuity', from,
+        `Tabular ${formatMonth(from)} starts ${Math.abs(tabularStart - before.endJulianDay)} day(s) ` +
+        `${tabularStart > before.endJulianDay ? 'after' : 'before'} the end of ${formatMonth(before.end)}`);
+    }
+    if (tabularEnd !== after.startJulianDay) {
+      report('discontinuity', after.start,
+        `Tabular months in the gap end ${Math.abs(tabularEnd - after.startJulianDay)} day(s) ` +
+        `${tabularEnd > after.startJulianDay ? 'after' : 'before'} the start of ${formatMonth(after.start)}`);
+    }
+  }
+  
+  return {
+    ok: problems.length === 0,
+    provider: provider.name,
+    segments,
+    gaps,
+    problems
+  };
+}
+
+module.exports = {
+  checkDataIntegrity
+};
@@ -0,0 +1,230 @@
+/**
+ * Date and Temporal Interop
+ * 
+ * Bridges JS Dates and Temporal objects to Hijri dates without the usual
+ * getFullYear()/getMonth() + 1 dance, which silently uses the machine's own
+ * time zone. Every helper takes the civil date in an explicit time zone,
+ * Asia/Tehran by default.
+ * 
+ * Iranian Hijri is exposed as the calendar 'islamic-iran', next to the
+ * built-in Intl calendars: getCalendarDate gives { calendar, year, month, day }
+ * for 'islamic-iran' and for the Intl calendars it is compared with (the
+ * Islamic variants, 'persian' and 'gregory'), and fromTemporal accepts
+ * property bags in the 'islamic-iran' calendar. Temporal.PlainDate cannot carry a calendar of its
+ * own, so toTemporal gives the ISO date of a Hijri day.
+ * 
+ * Temporal is used when it is a global or passed as options.temporal (e.g. a
+ * polyfill); without it, toTemporal returns the property bag that
+ * Temporal.PlainDate.from accepts.
+ */
+
+const { DEFAULT_TIME_ZONE, readInstant, getWallClock } = require('./instant');
+
+const CALENDAR_ID = 'islamic-iran';
+
+// Calendar ids whose dates are read as Gregorian
+const ISO_CALENDARS = ['iso8601', 'gregory'];
+
+// Intl calendars getCalendarDate reads; their dates are a numbered year, month and day
+const INTL_CALENDARS = [
+  'gregory',
+  'iso8601',
+  'persian',
+  'islamic',
+  'islamic-civil',
+  'islamic-tbla',
+  'islamic-umalqura',
+  'islamic-rgsa'
+];
+
+// Intl formatters per calendar and time zone, created on first use
+const calendarFormatters = new Map();
+
+/**
+ * Helper: Get the calendar id of a Temporal object or property bag
+ * @param {Object} value - Temporal object or property bag
+ * @returns {string} Calendar id ('iso8601' when none is given)
+ */
+function getCalendarId(value) {
+  if (typeof value.calendarId === 'string') {
+    return value.calendarId;
+  }
+  if (typeof value.calendar === 'string') {
+    return value.calendar;
+  }
+  return value.calendar && typeof value.calendar.id === 'string' ? value.calendar.id : 'iso8601';
+}
+
+/**
+ * Helper: Read a Hijri date given as { hy, hm, hd } or as { year, month, day } in the 'islamic-iran' calendar
+ * @param {Object} hijri - Hijri date, conversion result, HijriDate or property bag
+ * @returns {Array<number>} [hy, hm, hd]
+ */
+function readHijri(hijri) {
+  if (hijri && hijri.hy !== undefined) {
+    return [hijri.hy, hijri.hm, hijri.hd];
+  }
+  if (hijri && hijri.year !== undefined && getCalendarId(hijri) === CALENDAR_ID) {
+    return [hijri.year, hijri.month, hijri.day];
+  }
+  
+  throw new Error(`Unrecognized Hijri date: expected { hy, hm, hd } or { calendar: '${CALENDAR_ID}', year, month, day }`);
+}
+
+/**
+ * Helper: Get the formatter that reads dates of a built-in Intl calendar
+ * @param {string} calendar - Intl calendar id (one of INTL_CALENDARS)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getCalendarFormatter(calendar, timeZone) {
+  if (!INTL_CALENDARS.includes(calendar)) {
+    throw new Error(`Unsupported calendar: ${calendar} (expected '${CALENDAR_ID}' or one of ${INTL_CALENDARS.join(', ')})`);
+  }
+  
+  const key = `${calendar} ${timeZone}`;
+  if (!calendarFormatters.has(key)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat(`en-u-ca-${calendar}`, { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' });
+    } catch (error) {
+      throw new Error(`Invalid calendar or time zone: ${calendar}, ${timeZone}`);
+    }
+    if (formatter.resolvedOptions().calendar !== calendar) {
+      throw new Error(`Unsupported calendar: ${calendar} (this runtime's Intl does not support it)`);
+    }
+    calendarFormatters.set(key, formatter);
+  }
+  return calendarFormatters.get(key);
+}
+
+/**
+ * Create the Date and Temporal helpers for a converter
+ * @param {Object} converter - Object with the converter's gregorianToHijri, hijriToGregorian and
+ *   getHijriDayInterval
+ * @returns {Object} Object with fromDate, toDate, today, toTemporal, fromTemporal and getCalendarDate
+ */
+function createInterop({ gregorianToHijri, hijriToGregorian, getHijriDayInterval }) {
+  /**
+   * Convert the civil date of a moment in a time zone to Hijri
+   * @param {Date|string} date - Date or ISO 8601 timestamp
+   * @param {Object} [options] - Conversion options
+   * @param {string} [options.timeZone='Asia/Tehran'] - Time zone of the civil date
+   * @returns {Object} Result of gregorianToHijri for the civil date
+   */
+  function fromDate(date, options = {}) {
+    const { timeZone = DEFAULT_TIME_ZONE } = options;
+    const { gy, gm, gd } = getWallClock(readInstant(date, timeZone), timeZone);
+    return gregorianToHijri(gy, gm, gd);
+  }
+  
+  /**
+   * Get the Date at which a Hijri day's civil date begins (midnight) in a time zone
+   * @param {Object} hijri - { hy, hm, hd } (a conversion result or HijriDate) or
+   *   { calendar: 'islamic-iran', year, month, day }
+   * @param {Object} [options] - Conversion options
+   * @param {string} [options.timeZone='Asia/Tehran'] - Time zone of the civil date
+   * @returns {Date} Midnight starting the day
+   */
+  function toDate(hijri, options = {}) {
+    const { timeZone = DEFAULT_TIME_ZONE } = options;
+    const [hy, hm, hd] = readHijri(hijri);
+    return getHijriDayInterval(hy, hm, hd, { timeZone, dayBoundary: 'midnight' }).start;
+  }
+  
+  /**
+   * Get today's Hijri date
+   * @param {Object} [options] - Same options as fromDate
+   * @returns {Object} Result of gregorianToHijri for today's civil date in the time zone
+   */
+  function today(options = {}) {
+    return fromDate(new Date(), options);
+  }
+  
+  /**
+   * Get the ISO date of a Hijri day as a Temporal.PlainDate
+   * @param {Object} hijri - Same as for toDate
+   * @param {Object} [options] - Conversion options
+   * @param {Object} [options.temporal] - Temporal namespace to use instead of the global one
+   * @returns {Object} Temporal.PlainDate, or { year, month, day, calendar: 'iso8601' } without Temporal
+   */
+  function toTemporal(hijri, options = {}) {
+    const [hy, hm, hd] = readHijri(hijri);
+    const { gy, gm, gd } = hijriToGregorian(hy, hm, hd);
+    const fields = { year: gy, month: gm, day: gd, calendar: 'iso8601' };
+    
+    const temporal = options.temporal || global.Temporal;
+    return temporal ? temporal.PlainDate.from(fields) : fields;
+  }
+  
+  /**
+   * Convert a Temporal date, or a property bag, to Hijri
+   * 
+   * Accepts Temporal.PlainDate, PlainDateTime and ZonedDateTime in any
+   * calendar, and { year, month, day, calendar? } bags in 'iso8601' (the
+   * default), 'gregory' or 'islamic-iran'.
+   * 
+   * @param {Object} value - Temporal object or property bag
+   * @returns {Object} Result of gregorianToHijri for the date
+   */
+  function fromTemporal(value) {
+    if (!value || typeof value !== 'object') {
+      throw new Error('Unrecognized Temporal date: expected a Temporal.PlainDate or { year, month, day, calendar? }');
+    }
+    
+    const plainDate = typeof value.toPlainDate === 'function' ? value.toPlainDate() : value;
+    const calendar = getCalendarId(plainDate);
+    
+    if (calendar === CALENDAR_ID) {
+      const [hy, hm, hd] = readHijri(plainDate);
+      const { gy, gm, gd } = hijriToGregorian(hy, hm, hd, { strict: true });
+      return gregorianToHijri(gy, gm, gd);
+    }
+    
+    const isoDate = typeof plainDate.withCalendar === 'function' ? plainDate.withCalendar('iso8601') : plainDate;
+    if (isoDate !== plainDate || ISO_CALENDARS.includes(calendar)) {
+      return gregorianToHijri(isoDate.year, isoDate.month, isoDate.day);
+    }
+    
+    throw new Error(`Unsupported calendar: ${calendar} (expected 'iso8601', 'gregory' or '${CALENDAR_ID}', or a Temporal object)`);
+  }
+  
+  /**
+   * Get the date of a moment in the 'islamic-iran' calendar or a built-in Intl calendar
+   * @param {Date|string} date - Date or ISO 8601 timestamp
+   * @param {Object} [options] - Options
+   * @param {string} [options.calendar='islamic-iran'] - Calendar id: 'islamic-iran', 'gregory', 'iso8601',
+   *   'persian', 'islamic', 'islamic-civil', 'islamic-tbla', 'islamic-umalqura' or 'islamic-rgsa'
+   * @param {string} [options.timeZone='Asia/Tehran'] - Time zone of the civil date
+   * @returns {Object} Object with calendar, year, month and day ('islamic-iran' dates also with source)
+   */
+  function getCalendarDate(date, options = {}) {
+    const { calendar = CALENDAR_ID, timeZone = DEFAULT_TIME_ZONE } = options;
+    
+    if (calendar === CALENDAR_ID) {
+      const { hy, hm, hd, source } = fromDate(date, { timeZone });
+      return { calendar, year: hy, month: hm, day: hd, source };
+    }
+    
+    const parts = {};
+    getCalendarFormatter(calendar, timeZone).formatToParts(readInstant(date, timeZone)).forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+    return { calendar, year: parts.year, month: parts.month, day: parts.day };
+  }
+  
+  return {
+    fromDate,
+    toDate,
+    today,
+    toTemporal,
+    fromTemporal,
+    getCalendarDate
+  };
+}
+
+module.exports = {
+  CALENDAR_ID,
+  INTL_CALENDARS,
+  createInterop
+};
@@ -0,0 +1,238 @@
+/**
+ * Locale Data
+ * 
+ * Weekday, month and era names for the Hijri, Jalaali and Gregorian calendars
+ * in Persian (fa), Arabic (ar) and English (en), plus digit sets for
+ * Persian and Arabic-Indic numerals.
+ * 
+ * Hijri month names come in two spellings:
+ * - standard: the classical Arabic forms (e.g. Rabi al-Awwal, ربيع الأول)
+ * - iranian: the forms used on Iranian calendars (e.g. Rabi-ol-Avval, ربیع‌الاول)
+ */
+
+const SUPPORTED_LOCALES = ['fa', 'ar', 'en'];
+
+// Weekday names indexed by Julian Day % 7 (0 = Monday)
+const WEEKDAY_NAMES = {
+  fa: [
+    'دوشنبه',      // Monday (JD % 7 = 0)
+    'سه‌شنبه',     // Tuesday
+    'چهارشنبه',    // Wednesday
+    'پنج‌شنبه',    // Thursday
+    'جمعه',        // Friday
+    'شنبه',        // Saturday
+    'یکشنبه'       // Sunday
+  ],
+  ar: [
+    'الاثنين',     // Monday (JD % 7 = 0)
+    'الثلاثاء',    // Tuesday
+    'الأربعاء',    // Wednesday
+    'الخميس',      // Thursday
+    'الجمعة',      // Friday
+    'السبت',       // Saturday
+    'الأحد'        // Sunday
+  ],
+  en: [
+    'Monday',      // JD % 7 = 0
+    'Tuesday',
+    'Wednesday',
+    'Thursday',
+    'Friday',
+    'Saturday',
+    'Sunday'
+  ]
+};
+
+// Month names per calendar and spelling, indexed by month - 1
+const MONTH_NAMES = {
+  hijri: {
+    standard: {
+      fa: ['محرم', 'صفر', 'ربیع‌الاول', 'ربیع‌الآخر', 'جمادی‌الأولی', 'جمادی‌الآخرة', 'رجب', 'شعبان', 'رمضان', 'شوال', 'ذی‌القعدة', 'ذی‌الحجة'],
+      ar: ['محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر', 'جمادى الأولى', 'جمادى الآخرة', 'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'],
+      en: ['Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Awwal', 'Jumada al-Thani', 'Rajab', 'Shaban', 'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah']
+    },
+    iranian: {
+      fa: ['محرم', 'صفر', 'ربیع‌الاول', 'ربیع‌الثانی', 'جمادی‌الاول', 'جمادی‌الثانی', 'رجب', 'شعبان', 'رمضان', 'شوال', 'ذی‌القعده', 'ذی‌الحجه'],
+      ar: ['محرم', 'صفر', 'ربيع الأول', 'ربيع الثاني', 'جمادى الأولى', 'جمادى الثانية', 'رجب', 'شعبان', 'رمضان', 'شوال', 'ذي القعدة', 'ذي الحجة'],
+      en: ['Moharram', 'Safar', 'Rabi-ol-Avval', 'Rabi-ol-Sani', 'Jamadi-ol-Avval', 'Jamadi-ol-Sani', 'Rajab', 'Shaban', 'Ramezan', 'Shavval', 'Zi-ol-Qadeh', 'Zi-ol-Hajjeh']
+    }
+  },
+  jalaali: {
+    standard: {
+      fa: ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'],
+      ar: ['فروردين', 'أرديبهشت', 'خرداد', 'تير', 'مرداد', 'شهريور', 'مهر', 'آبان', 'آذر', 'دي', 'بهمن', 'إسفند'],
+      en: ['Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Mordad', 'Shahrivar', 'Mehr', 'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand']
+    }
+  },
+  gregorian: {
+    standard: {
+      fa: ['ژانویه', 'فوریه', 'مارس', 'آوریل', 'مه', 'ژوئن', 'ژوئیه', 'اوت', 'سپتامبر', 'اکتبر', 'نوامبر', 'دسامبر'],
+      ar: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'],
+      en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+    }
+  }
+};
+
+// Alternative month spellings accepted when parsing, indexed by month - 1
+const MONTH_ALIASES = {
+  hijri: [
+    ['Moharam', 'Muharam'],
+    ['Saffar'],
+    ['Rabi I', 'Rabi al-Awal', 'Rabi ul-Awwal', 'Rabiul Awwal', 'Rabi al-Avval', 'ربیع‌الأوّل'],
+    ['Rabi II', 'Rabi al-Akhir', 'Rabi ul-Akhir', 'Rabi al-Sani', 'ربیع‌الثانیه'],
+    ['Jumada I', 'Jumada al-Ula', 'Jumada al-Oula', 'Jamadi al-Awwal', 'Jamadi al-Avval', 'جمادی‌الاولی', 'جمادی‌الأول'],
+    ['Jumada II', 'Jumada al-Akhirah', 'Jumada al-Akhira', 'Jamadi al-Sani', 'Jamadi al-Thani', 'جمادی‌الثانیه', 'جمادی‌الآخر'],
+    ['Rajjab'],
+    ['Shaaban', 'Shabaan'],
+    ['Ramazan', 'Ramadhan', 'Ramzan'],
+    ['Shawal', 'Shaval'],
+    ['Dhul-Qadah', 'Dhu al-Qidah', 'Dhul Qidah', 'Zul Qadah', 'Zi al-Qadeh', 'Zilqadeh', 'ذیقعده', 'ذوالقعده'],
+    ['Dhul-Hijjah', 'Dhu al-Hijja', 'Dhul Hijja', 'Zul Hijjah', 'Zi al-Hajjeh', 'Zilhajjeh', 'ذیحجه', 'ذوالحجه']
+  ],
+  jalaali: [
+    ['Farvardeen'],
+    [],
+    ['Khordaad'],
+    [],
+    ['Amordad', 'Amordaad', 'امرداد'],
+    [],
+    [],
+    ['Abaan'],
+    ['Aazar'],
+    ['Dei'],
+    [],
+    ['Espand', 'اسپند']
+  ],
+  gregorian: [
+    ['Jan', 'ژانویهٔ'],
+    ['Feb'],
+    ['Mar'],
+    ['Apr', 'آپریل'],
+    ['مئی', 'می'],
+    ['Jun', 'جون'],
+    ['Jul', 'ژوئیهٔ', 'جولای'],
+    ['Aug', 'آگوست'],
+    ['Sep', 'Sept'],
+    ['Oct'],
+    ['Nov'],
+    ['Dec']
+  ]
+};
+
+// Era suffixes per calendar
+const ERA_NAMES = {
+  hijri: { fa: 'ه‍.ق', ar: 'هـ', en: 'AH' },
+  jalaali: { fa: 'ه‍.ش', ar: 'هـ.ش', en: 'SH' },
+  gregorian: { fa: 'م', ar: 'م', en: 'CE' }
+};
+
+// Era suffixes accepted when parsing, in addition to ERA_NAMES
+const ERA_ALIASES = {
+  hijri: ['هجری قمری', 'ه.ق', 'هـ.ق', 'ق', 'A.H.', 'AH', 'هجري'],
+  jalaali: ['هجری شمسی', 'ه.ش', 'ش', 'AP', 'SH'],
+  gregorian: ['میلادی', 'ميلادي', 'AD', 'CE']
+};
+
+// Digit sets, named after the Unicode CLDR numbering systems
+const DIGITS = {
+  latn: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+  arabext: ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'],
+  arab: ['٠', '١', '٢', '٣', '٤', '٥', '٦', '٧', '٨', '٩']
+};
+
+/**
+ * Helper: Throw if a locale is not supported
+ * @param {string} locale - Locale code
+ */
+function assertLocale(locale) {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new Error(`Unsupported locale: ${locale} (expected one of ${SUPPORTED_LOCALES.join(', ')})`);
+  }
+}
+
+/**
+ * Get a weekday name
+ * @param {number} weekdayNumber - Weekday number (0-6, where 0 is Monday)
+ * @param {string} locale - Locale code ('fa', 'ar' or 'en')
+ * @returns {string} Weekday name
+ */
+function getWeekdayName(weekdayNumber, locale = 'en') {
+  assertLocale(locale);
+  return WEEKDAY_NAMES[locale][weekdayNumber];
+}
+
+/**
+ * Get a month name
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {number} month - Month (1-12)
+ * @param {string} locale - Locale code ('fa', 'ar' or 'en')
+ * @param {string} spelling - Spelling ('standard' or 'iranian'); calendars without
+ *   an Iranian variant use their standard names
+ * @returns {string} Month name
+ */
+function getMonthName(calendar, month, locale = 'en', spelling = 'standard') {
+  assertLocale(locale);
+  const calendarNames = MONTH_NAMES[calendar];
+  if (!calendarNames) {
+    throw new Error(`Unknown calendar: ${calendar}`);
+  }
+  if (month < 1 || month > 12) {
+    throw new Error('Invalid month: must be between 1 and 12');
+  }
+  const names = calendarNames[spelling] || calendarNames.standard;
+  return names[locale][month - 1];
+}
+
+/**
+ * Get the era suffix of a calendar
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {string} locale - Locale code ('fa', 'ar' or 'en')
+ * @returns {string} Era suffix
+ */
+function getEraName(calendar, locale = 'en') {
+  assertLocale(locale);
+  if (!ERA_NAMES[calendar]) {
+    throw new Error(`Unknown calendar: ${calendar}`);
+  }
+  return ERA_NAMES[calendar][locale];
+}
+
+/**
+ * Replace Latin digits with the digits of a numbering system
+ * @param {string} text - Text containing Latin digits
+ * @param {string} numerals - Numbering system ('latn', 'arabext' or 'arab')
+ * @returns {string} Text with replaced digits
+ */
+function toLocaleDigits(text, numerals = 'latn') {
+  const digits = DIGITS[numerals];
+  if (!digits) {
+    throw new Error(`Unknown numbering system: ${numerals}`);
+  }
+  return String(text).replace(/[0-9]/g, d => digits[d]);
+}
+
+/**
+ * Replace Persian and Arabic-Indic digits with Latin digits
+ * @param {string} text - Text that may contain ۰-۹ or ٠-٩
+ * @returns {string} Text with Latin digits only
+ */
+function normalizeDigits(text) {
+  return String(text)
+    .replace(/[۰-۹]/g, d => String(DIGITS.arabext.indexOf(d)))
+    .replace(/[٠-٩]/g, d => String(DIGITS.arab.indexOf(d)));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  WEEKDAY_NAMES,
+  MONTH_NAMES,
+  MONTH_ALIASES,
+  ERA_NAMES,
+  ERA_ALIASES,
+  DIGITS,
+  getWeekdayName,
+  getMonthName,
+  getEraName,
+  toLocaleDigits,
+  normalizeDigits
+};
@@ -0,0 +1,288 @@
+/**
+ * Month Start Index
+ * 
+ * Compiles a provider's month lengths into a sorted list of month starts
+ * (Julian Day Numbers), so that official conversions are a lookup in one
+ * direction and a binary search in the other instead of a walk over every
+ * year since the start of the data.
+ * 
+ * Coverage is modelled as segments: runs of consecutive months the provider
+ * defines, separated by gaps (missing years, or the missing end of an
+ * incomplete year). The first segment is placed by the provider's anchor;
+ * a segment after a gap is placed only by its own anchor in
+ * provider.anchors.segments, and is left out of the index otherwise, since
+ * its position cannot be derived from the data before the gap.
+ * 
+ * Conversions rebuild the index when the provider's revision changes (see
+ * overrides.js); providers without a revision are indexed once.
+ * 
+ * Bulk conversions (see bulk.js) look days up through a cursor, which walks
+ * forward from the month it found last, so sorted input costs a step per
+ * month instead of a binary search per date.
+ */
+
+// Months a cursor walks forward before falling back to binary search
+const CURSOR_MAX_STEPS = 12;
+
+/**
+ * Helper: Count months from 1 Muharram 1 AH, so consecutive months differ by one
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ * @returns {number} Month number
+ */
+function toMonthNumber(hy, hm) {
+  return hy * 12 + hm - 1;
+}
+
+/**
+ * Helper: Inverse of toMonthNumber
+ * @param {number} monthNumber - Month number
+ * @returns {Object} Object with hy and hm properties
+ */
+function fromMonthNumber(monthNumber) {
+  return { hy: Math.floor(monthNumber / 12), hm: (monthNumber % 12) + 1 };
+}
+
+/**
+ * Helper: Split a provider's data into segments of consecutive months
+ * @param {Object} provider - Data provider
+ * @param {Object} range - Object with minYear and maxYear
+ * @returns {Array<Object>} Segments with firstMonth, lengths and startJulianDay (null if not anchored)
+ */
+function findSegments(provider, range) {
+  const segmentAnchors = (provider.anchors && provider.anchors.segments) || [];
+  const segments = [];
+  let current = null;
+  
+  for (let hy = range.minYear; hy <= range.maxYear; hy++) {
+    const lengths = provider.getMonthLengths(hy) || [];
+    
+    for (let hm = 1; hm <= 12; hm++) {
+      if (hm > lengths.length) {
+        current = null;
+        continue;
+      }
+      
+      if (!current) {
+        const monthNumber = toMonthNumber(hy, hm);
+        const anchor = segmentAnchors.find(item => toMonthNumber(item.hy, item.hm) === monthNumber);
+        current = {
+          firstMonth: monthNumber,
+          lengths: [],
+          startJulianDay: segments.length === 0 ? provider.anchorJulianDay : (anchor ? anchor.julianDay : null)
+        };
+        segments.push(current);
+      }
+      current.lengths.push(lengths[hm - 1]);
+    }
+  }
+  
+  return segments;
+}
+
+/**
+ * Build the month start index for a provider
+ * @param {Object} provider - Data provider (see provider.js)
+ * @returns {Object|null} Index with segments, starts, lengths, monthNumbers, positions, firstMonth
+ *   and lastMonth, or null if the provider has no data
+ */
+function createMonthIndex(provider) {
+  const range = provider.getRange();
+  if (!range) {
+    return null;
+  }
+  
+  // starts[i] is the first day of the i-th placed month, lengths[i] its length
+  // and monthNumbers[i] its toMonthNumber; positions maps month numbers back to i
+  const starts = [];
+  const lengths = [];
+  const monthNumbers = [];
+  const positions = new Map();
+  let previousEnd = -Infinity;
+  
+  const segments = findSegments(provider, range).map(segment => {
+    const first = fromMonthNumber(segment.firstMonth);
+    const last = fromMonthNumber(segment.firstMonth + segment.lengths.length - 1);
+    const days = segment.lengths.reduce((sum, length) => sum + length, 0);
+    
+    // A segment anchored inside the previous one cannot be placed; the integrity check reports it
+    const placed = segment.startJulianDay !== null && segment.startJulianDay >= previousEnd;
+    
+    if (placed) {
+      let julianDay = segment.startJulianDay;
+      segment.lengths.forEach((length, index) => {
+        positions.set(segment.firstMonth + index, starts.length);
+        starts.push(julianDay);
+        lengths.push(length);
+        monthNumbers.push(segment.firstMonth + index);
+        julianDay += length;
+      });
+      previousEnd = julianDay;
+    }
+    
+    return {
+      start: { hy: first.hy, hm: first.hm },
+      end: { hy: last.hy, hm: last.hm },
+      months: segment.lengths.length,
+      anchored: segment.startJulianDay !== null,
+      placed,
+      startJulianDay: segment.startJulianDay,
+      endJulianDay: segment.startJulianDay === null ? null : segment.startJulianDay + days
+    };
+  });
+  
+  return {
+    segments,
+    starts,
+    lengths,
+    monthNumbers,
+    positions,
+    firstMonth: toMonthNumber(segments[0].start.hy, segments[0].start.hm),
+    lastMonth: toMonthNumber(segments[segments.length - 1].end.hy, segments[segments.length - 1].end.hm)
+  };
+}
+
+/**
+ * Find the Julian Day of the start of a month in the index
+ * @param {Object} index - Result of createMonthIndex
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {number|null} Julian Day Number, or null if the month is not placed
+ */
+function getMonthStart(index, hy, hm) {
+  const position = index.positions.get(toMonthNumber(hy, hm));
+  return position === undefined ? null : index.starts[position];
+}
+
+/**
+ * Get the length of a placed month
+ * @param {Object} index - Result of createMonthIndex
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {number|null} Number of days, or null if the month is not placed
+ */
+function getMonthLength(index, hy, hm) {
+  const position = index.positions.get(toMonthNumber(hy, hm));
+  return position === undefined ? null : index.lengths[position];
+}
+
+/**
+ * Find the Hijri month containing a Julian Day with binary search
+ * @param {Object} index - Result of createMonthIndex
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object|null} Object with hy, hm, hd properties, or null if no placed month contains the day
+ */
+function findMonth(index, julianDay) {
+  const { starts } = index;
+  if (starts.length === 0 || julianDay < starts[0]) {
+    return null;
+  }
+  
+  // Last month starting on or before julianDay
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (starts[middle] <= julianDay) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  
+  // Past the end of that month: after the data, or in a gap between segments
+  if (julianDay >= starts[low] + index.lengths[low]) {
+    return null;
+  }
+  
+  const { hy, hm } = fromMonthNumber(index.monthNumbers[low]);
+  return { hy, hm, hd: julianDay - starts[low] + 1 };
+}
+
+/**
+ * Create a cursor that finds months like findMonth, starting from the month it found last
+ * @param {Object} index - Result of createMonthIndex
+ * @returns {Object} Object with index and findMonth(julianDay)
+ */
+function createCursor(index) {
+  const { starts, lengths } = index;
+  let position = 0;
+  
+  /**
+   * Find the Hijri month containing a Julian Day, walking forward for sorted input
+   * @param {number} julianDay - Julian Day Number
+   * @returns {Object|null} Object with hy, hm, hd properties, or null if no placed month contains the day
+   */
+  function findMonthFromCursor(julianDay) {
+    let steps = 0;
+    while (position + 1 < starts.length && starts[position + 1] <= julianDay && steps < CURSOR_MAX_STEPS) {
+      position++;
+      steps++;
+    }
+    
+    // Earlier days and long jumps fall back to binary search
+    const atMonth = starts.length > 0 && starts[position] <= julianDay &&
+      (position + 1 === starts.length || starts[position + 1] > julianDay);
+    if (!atMonth) {
+      const result = findMonth(index, julianDay);
+      if (result) {
+        position = index.positions.get(toMonthNumber(result.hy, result.hm));
+      }
+      return result;
+    }
+    
+    // Past the end of the month: after the data, or in a gap between segments
+    if (julianDay >= starts[position] + lengths[position]) {
+      return null;
+    }
+    
+    const { hy, hm } = fromMonthNumber(index.monthNumbers[position]);
+    return { hy, hm, hd: julianDay - starts[position] + 1 };
+  }
+  
+  return {
+    index,
+    findMonth: findMonthFromCursor
+  };
+}
+
+/**
+ * Check if a month lies inside the provider's data span without being placed,
+ * i.e. in a gap or in a segment that has no anchor
+ * @param {Object} index - Result of createMonthIndex
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {boolean} True if the month is in a gap
+ */
+function isInGap(index, hy, hm) {
+  const monthNumber = toMonthNumber(hy, hm);
+  return monthNumber >= index.firstMonth && monthNumber <= index.lastMonth && !index.positions.has(monthNumber);
+}
+
+/**
+ * Check if a Julian Day lies between the first and last placed month without being in one
+ * @param {Object} index - Result of createMonthIndex
+ * @param {number} julianDay - Julian Day Number
+ * @returns {boolean} True if the day falls in a gap between placed segments
+ */
+function isDayInGap(index, julianDay) {
+  const { starts } = index;
+  if (starts.length === 0) {
+    return false;
+  }
+  
+  const last = starts.length - 1;
+  return julianDay > starts[0] && julianDay < starts[last] + index.lengths[last] && !findMonth(index, julianDay);
+}
+
+module.exports = {
+  toMonthNumber,
+  fromMonthNumber,
+  createMonthIndex,
+  getMonthStart,
+  getMonthLength,
+  findMonth,
+  createCursor,
+  isInGap,
+  isDayInGap
+};
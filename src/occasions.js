@@ -0,0 +1,207 @@
+/**
+ * Iranian Occasions and Official Holidays
+ * 
+ * Religious occasions are defined by Hijri month/day and resolved through the
+ * official Iranian month lengths, so Ashura and the other observances land on
+ * the day Iran actually observed them. National occasions are fixed Jalaali
+ * dates (Nowruz, 22 Bahman, ...).
+ * 
+ * Each rule has an id, a holiday flag (official public holiday in Iran) and
+ * names in Persian and English. A Hijri rule's hd may be 'last' for
+ * observances on the last day of a month, which is the 29th or the 30th
+ * depending on the month length.
+ */
+
+const utils = require('./utils');
+const conversion = require('./conversion');
+
+const HIJRI_OCCASIONS = [
+  { id: 'tasua', hm: 1, hd: 9, holiday: true, names: { fa: 'تاسوعای حسینی', en: 'Tasua' } },
+  { id: 'ashura', hm: 1, hd: 10, holiday: true, names: { fa: 'عاشورای حسینی', en: 'Ashura' } },
+  { id: 'martyrdom-imam-sajjad', hm: 1, hd: 25, holiday: false, names: { fa: 'شهادت امام زین‌العابدین (ع)', en: 'Martyrdom of Imam Sajjad' } },
+  { id: 'birth-imam-kazim', hm: 2, hd: 7, holiday: false, names: { fa: 'ولادت امام موسی کاظم (ع)', en: 'Birth of Imam Musa al-Kazim' } },
+  { id: 'arbaeen', hm: 2, hd: 20, holiday: true, names: { fa: 'اربعین حسینی', en: 'Arbaeen' } },
+  { id: 'demise-prophet', hm: 2, hd: 28, holiday: true, names: { fa: 'رحلت رسول اکرم (ص) و شهادت امام حسن مجتبی (ع)', en: 'Demise of the Prophet Muhammad and Martyrdom of Imam Hasan' } },
+  { id: 'martyrdom-imam-reza', hm: 2, hd: 'last', holiday: true, names: { fa: 'شهادت امام رضا (ع)', en: 'Martyrdom of Imam Reza' } },
+  { id: 'martyrdom-imam-askari', hm: 3, hd: 8, holiday: true, names: { fa: 'شهادت امام حسن عسکری (ع)', en: 'Martyrdom of Imam Hasan al-Askari' } },
+  { id: 'birth-prophet', hm: 3, hd: 17, holiday: true, names: { fa: 'میلاد رسول اکرم (ص) و امام جعفر صادق (ع)', en: 'Birth of the Prophet Muhammad and Imam Jafar al-Sadiq' } },
+  { id: 'birth-imam-askari', hm: 4, hd: 8, holiday: false, names: { fa: 'ولادت امام حسن عسکری (ع)', en: 'Birth of Imam Hasan al-Askari' } },
+  { id: 'birth-zaynab', hm: 5, hd: 5, holiday: false, names: { fa: 'ولادت حضرت زینب (س)', en: 'Birth of Lady Zaynab' } },
+  { id: 'martyrdom-fatima', hm: 6, hd: 3, holiday: true, names: { fa: 'شهادت حضرت فاطمه زهرا (س)', en: 'Martyrdom of Lady Fatima' } },
+  { id: 'birth-fatima', hm: 6, hd: 20, holiday: false, names: { fa: 'ولادت حضرت فاطمه زهرا (س)', en: 'Birth of Lady Fatima' } },
+  { id: 'birth-imam-baqir', hm: 7, hd: 1, holiday: false, names: { fa: 'ولادت امام محمد باقر (ع)', en: 'Birth of Imam Muhammad al-Baqir' } },
+  { id: 'martyrdom-imam-hadi', hm: 7, hd: 3, holiday: false, names: { fa: 'شهادت امام علی النقی الهادی (ع)', en: 'Martyrdom of Imam Ali al-Hadi' } },
+  { id: 'birth-imam-jawad', hm: 7, hd: 10, holiday: false, names: { fa: 'ولادت امام محمد تقی (ع)', en: 'Birth of Imam Muhammad al-Jawad' } },
+  { id: 'birth-imam-ali', hm: 7, hd: 13, holiday: true, names: { fa: 'ولادت امام علی (ع)', en: 'Birth of Imam Ali' } },
+  { id: 'martyrdom-imam-kazim', hm: 7, hd: 25, holiday: false, names: { fa: 'شهادت امام موسی کاظم (ع)', en: 'Martyrdom of Imam Musa al-Kazim' } },
+  { id: 'mabath', hm: 7, hd: 27, holiday: true, names: { fa: 'مبعث رسول اکرم (ص)', en: 'Mabath' } },
+  { id: 'birth-imam-hussein', hm: 8, hd: 3, holiday: false, names: { fa: 'ولادت امام حسین (ع)', en: 'Birth of Imam Hussein' } },
+  { id: 'birth-imam-sajjad', hm: 8, hd: 5, holiday: false, names: { fa: 'ولادت امام زین‌العابدین (ع)', en: 'Birth of Imam Sajjad' } },
+  { id: 'birth-imam-mahdi', hm: 8, hd: 15, holiday: true, names: { fa: 'ولادت حضرت قائم (عج)', en: 'Birth of Imam Mahdi' } },
+  { id: 'birth-imam-hasan', hm: 9, hd: 15, holiday: false, names: { fa: 'ولادت امام حسن مجتبی (ع)', en: 'Birth of Imam Hasan' } },
+  { id: 'wounding-imam-ali', hm: 9, hd: 19, holiday: false, names: { fa: 'ضربت خوردن امام علی (ع)', en: 'Wounding of Imam Ali' } },
+  { id: 'martyrdom-imam-ali', hm: 9, hd: 21, holiday: true, names: { fa: 'شهادت امام علی (ع)', en: 'Martyrdom of Imam Ali' } },
+  { id: 'eid-al-fitr', hm: 10, hd: 1, holiday: true, names: { fa: 'عید سعید فطر', en: 'Eid al-Fitr' } },
+  { id: 'eid-al-fitr-holiday', hm: 10, hd: 2, holiday: true, names: { fa: 'تعطیل به مناسبت عید سعید فطر', en: 'Eid al-Fitr holiday' } },
+  { id: 'martyrdom-imam-sadiq', hm: 10, hd: 25, holiday: true, names: { fa: 'شهادت امام جعفر صادق (ع)', en: 'Martyrdom of Imam Jafar al-Sadiq' } },
+  { id: 'birth-imam-reza', hm: 11, hd: 11, holiday: false, names: { fa: 'ولادت امام رضا (ع)', en: 'Birth of Imam Reza' } },
+  { id: 'martyrdom-imam-jawad', hm: 11, hd: 'last', holiday: false, names: { fa: 'شهادت امام محمد تقی (ع)', en: 'Martyrdom of Imam Muhammad al-Jawad' } },
+  { id: 'martyrdom-imam-baqir', hm: 12, hd: 7, holiday: false, names: { fa: 'شهادت امام محمد باقر (ع)', en: 'Martyrdom of Imam Muhammad al-Baqir' } },
+  { id: 'arafah', hm: 12, hd: 9, holiday: false, names: { fa: 'روز عرفه', en: 'Day of Arafah' } },
+  { id: 'eid-al-adha', hm: 12, hd: 10, holiday: true, names: { fa: 'عید سعید قربان', en: 'Eid al-Adha' } },
+  { id: 'birth-imam-hadi', hm: 12, hd: 15, holiday: false, names: { fa: 'ولادت امام علی النقی الهادی (ع)', en: 'Birth of Imam Ali al-Hadi' } },
+  { id: 'eid-al-ghadir', hm: 12, hd: 18, holiday: true, names: { fa: 'عید سعید غدیر خم', en: 'Eid al-Ghadir' } },
+  { id: 'mubahala', hm: 12, hd: 24, holiday: false, names: { fa: 'روز مباهله', en: 'Day of Mubahala' } }
+];
+
+const JALAALI_OCCASIONS = [
+  { id: 'nowruz-1', jm: 1, jd: 1, holiday: true, names: { fa: 'عید نوروز', en: 'Nowruz' } },
+  { id: 'nowruz-2', jm: 1, jd: 2, holiday: true, names: { fa: 'عید نوروز', en: 'Nowruz' } },
+  { id: 'nowruz-3', jm: 1, jd: 3, holiday: true, names: { fa: 'عید نوروز', en: 'Nowruz' } },
+  { id: 'nowruz-4', jm: 1, jd: 4, holiday: true, names: { fa: 'عید نوروز', en: 'Nowruz' } },
+  { id: 'islamic-republic-day', jm: 1, jd: 12, holiday: true, names: { fa: 'روز جمهوری اسلامی', en: 'Islamic Republic Day' } },
+  { id: 'nature-day', jm: 1, jd: 13, holiday: true, names: { fa: 'روز طبیعت', en: 'Nature Day' } },
+  { id: 'demise-khomeini', jm: 3, jd: 14, holiday: true, names: { fa: 'رحلت امام خمینی', en: 'Demise of Imam Khomeini' } },
+  { id: 'khordad-15-uprising', jm: 3, jd: 15, holiday: true, names: { fa: 'قیام ۱۵ خرداد', en: '15 Khordad Uprising' } },
+  { id: 'revolution-day', jm: 11, jd: 22, holiday: true, names: { fa: 'پیروزی انقلاب اسلامی', en: 'Islamic Revolution Victory Day' } },
+  { id: 'oil-nationalization-day', jm: 12, jd: 29, holiday: true, names: { fa: 'روز ملی شدن صنعت نفت', en: 'Oil Nationalization Day' } }
+];
+
+const FRIDAY = 4;
+
+/**
+ * Helper: Public view of an occasion rule
+ * @param {Object} rule - Hijri or Jalaali occasion rule
+ * @param {string} calendar - 'hijri' or 'jalaali'
+ * @returns {Object} Object with id, calendar, holiday and names
+ */
+function toOccasion(rule, calendar) {
+  return {
+    id: rule.id,
+    calendar,
+    holiday: rule.holiday,
+    names: rule.names
+  };
+}
+
+/**
+ * Helper: Get the occasions falling on a Julian Day
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Array<Object>} Occasions, Hijri ones first
+ */
+function getOccasionsOnJulianDay(julianDay) {
+  const hijriDate = conversion.julianToHijri(julianDay);
+  const jalaaliDate = utils.julianToJalaali(julianDay);
+  const monthLength = conversion.getHijriMonthLength(hijriDate.hy, hijriDate.hm).length;
+  
+  const hijriOccasions = HIJRI_OCCASIONS
+    .filter(rule => rule.hm === hijriDate.hm &&
+      (rule.hd === 'last' ? hijriDate.hd === monthLength : rule.hd === hijriDate.hd))
+    .map(rule => toOccasion(rule, 'hijri'));
+  
+  const jalaaliOccasions = JALAALI_OCCASIONS
+    .filter(rule => rule.jm === jalaaliDate.jm && rule.jd === jalaaliDate.jd)
+    .map(rule => toOccasion(rule, 'jalaali'));
+  
+  return hijriOccasions.concat(jalaaliOccasions);
+}
+
+/**
+ * Get the occasions falling on a date
+ * @param {Object} date - { hy, hm, hd }, { jy, jm, jd } or { gy, gm, gd }
+ * @returns {Array<Object>} Occasions with id, calendar, holiday and names (fa, en)
+ */
+function getOccasions(date) {
+  return getOccasionsOnJulianDay(conversion.dateToJulian(date));
+}
+
+/**
+ * Check if a date is a public holiday in Iran
+ * @param {Object} date - { hy, hm, hd }, { jy, jm, jd } or { gy, gm, gd }
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeFridays=true] - Count Fridays (the weekly holiday) as holidays
+ * @returns {boolean} True if holiday
+ */
+function isHoliday(date, options = {}) {
+  const { includeFridays = true } = options;
+  const julianDay = conversion.dateToJulian(date);
+  
+  if (includeFridays && utils.getWeekdayNumber(julianDay) === FRIDAY) {
+    return true;
+  }
+  
+  return getOccasionsOnJulianDay(julianDay).some(occasion => occasion.holiday);
+}
+
+/**
+ * Get all occasions in a Jalaali year, in date order
+ * @param {number} jy - Jalaali year
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.holidaysOnly=false] - Only return days with a public holiday
+ * @returns {Array<Object>} Days with jalaali, hijri, gregorian, julianDay, source,
+ *   holiday and occasions properties
+ */
+function getOccasionsInJalaaliYear(jy, options = {}) {
+  const { holidaysOnly = false } = options;
+  if (!utils.isValidJalaaliDate(jy, 1, 1)) {
+    throw new Error(`Invalid Jalaali year: ${jy}`);
+  }
+  
+  const firstDay = utils.jalaaliToJulian(jy, 1, 1);
+  const lastDay = utils.jalaaliToJulian(jy, 12, utils.getJalaaliMonthDays(jy, 12));
+  const days = new Set();
+  
+  JALAALI_OCCASIONS.forEach(rule => {
+    if (utils.isValidJalaaliDate(jy, rule.jm, rule.jd)) {
+      days.add(utils.jalaaliToJulian(jy, rule.jm, rule.jd));
+    }
+  });
+  
+  // A Jalaali year overlaps two or three Hijri years
+  const firstHijriYear = conversion.julianToHijri(firstDay).hy;
+  const lastHijriYear = conversion.julianToHijri(lastDay).hy;
+  for (let hy = firstHijriYear; hy <= lastHijriYear; hy++) {
+    HIJRI_OCCASIONS.forEach(rule => {
+      const hd = rule.hd === 'last' ? conversion.getHijriMonthLength(hy, rule.hm).length : rule.hd;
+      const { julianDay } = conversion.hijriToJulian(hy, rule.hm, hd);
+      if (julianDay >= firstDay && julianDay <= lastDay) {
+        days.add(julianDay);
+      }
+    });
+  }
+  
+  return Array.from(days)
+    .sort((a, b) => a - b)
+    .map(julianDay => {
+      const hijriDate = conversion.julianToHijri(julianDay);
+      const occasions = getOccasionsOnJulianDay(julianDay);
+      return {
+        jalaali: utils.julianToJalaali(julianDay),
+        hijri: { hy: hijriDate.hy, hm: hijriDate.hm, hd: hijriDate.hd },
+        gregorian: utils.julianToGregorian(julianDay),
+        julianDay,
+        source: hijriDate.source,
+        holiday: occasions.some(occasion => occasion.holiday),
+        occasions
+      };
+    })
+    .filter(day => !holidaysOnly || day.holiday);
+}
+
+/**
+ * Get the official (non-Friday) public holidays in a Jalaali year, in date order
+ * @param {number} jy - Jalaali year
+ * @returns {Array<Object>} Days in the same shape as getOccasionsInJalaaliYear
+ */
+function getHolidaysInJalaaliYear(jy) {
+  return getOccasionsInJalaaliYear(jy, { holidaysOnly: true });
+}
+
+module.exports = {
+  HIJRI_OCCASIONS,
+  JALAALI_OCCASIONS,
+  getOccasions,
+  isHoliday,
+  getOccasionsInJalaaliYear,
+  getHolidaysInJalaaliYear
+};
@@ -7,8 +7,22 @@
  * Structure:
  * - Each entry represents a Hijri year with an array of 12 month lengths (29 or 30 days)
  * - The array is automatically sorted and indexed for efficient lookups
+ * 
+ * The table is also exposed as `provider`, the default data provider used by
+ * the converters (see provider.js). Its position on the calendar comes from
+ * `anchors`, the independently verified first day of the first year, checked
+ * against a second anchor near the end of the range, rather than from the
+ * tabular calendar.
+ * 
+ * `provenance` records where each month length came from (see provenance.js).
+ * The table was collected from Bahesab (scripts/README.md; the retrieval
+ * date of the 1448 months was not recorded), and months not yet confirmed
+ * by a second source are provisional. scripts/reconcile-sources.js updates
+ * it.
  */
 
+const { createProvider } = require('./provider');
+
 const officialData = {
   1340: [29, 30, 29, 30, 30, 30, 29, 30, 30, 29, 29, 30],
   1341: [29, 29, 30, 29, 30, 29, 30, 30, 30, 29, 30, 29],
@@ -121,6 +135,12 @@ const officialData = {
   1448: [30, 29, 30, 29, 30, 30, 30, 29, 30, 29],
 };
 
+// Where the month lengths came from, as runs of months
+const provenance = [
+  { from: { hy: 1340, hm: 1 }, to: { hy: 1447, hm: 12 }, source: 'bahesab', retrieved: '2025-11-11', status: 'provisional' },
+  { from: { hy: 1448, hm: 1 }, to: { hy: 1448, hm: 10 }, source: 'bahesab', retrieved: null, status: 'provisional' }
+];
+
 /**
  * Get the minimum and maximum Hijri years available in official data
  * @returns {Object} Object with min and max year numbers, or null if no data
@@ -221,8 +241,28 @@ function getDaysFromEpochOfficial(year, month, day) {
   return totalDays;
 }
 
+// First days of the range as published by Bahesab, independent of the tabular
+// calendar: 1 Muharram 1340 is 13 Shahrivar 1300 (4 September 1921) and
+// 1 Muharram 1448 is 26 Khordad 1405 (16 June 2026)
+const anchors = {
+  start: { hy: 1340, hm: 1, jalaali: { jy: 1300, jm: 6, jd: 13 } },
+  end: { hy: 1448, hm: 1, jalaali: { jy: 1405, jm: 3, jd: 26 } }
+};
+
+// Default provider for conversions; creating it checks the month lengths against both anchors
+const provider = createProvider({
+  name: 'iran-official',
+  data: officialData,
+  anchor: anchors.start.jalaali,
+  endAnchor: { hy: anchors.end.hy, hm: anchors.end.hm, date: anchors.end.jalaali },
+  provenance
+});
+
 module.exports = {
   officialData,
+  anchors,
+  provenance,
+  provider,
   getOfficialDataRange,
   hasOfficialData,
   getOfficialMonthLength,
@@ -0,0 +1,488 @@
+/**
+ * Month Overrides
+ * 
+ * Iran announces the start of a month only after moon sighting, usually a day
+ * ahead, so the bundled table can lag behind. An override layer wraps a data
+ * provider and lets callers correct or extend its month lengths at runtime:
+ * 
+ * - registerMonthStart(hy, hm, date) records the announced first day of a
+ *   month, which fixes the length of the month before it. A month that the
+ *   table does not have yet is added with a provisional length of 30 days
+ *   until its own length is known.
+ * - setMonthLength(hy, hm, length) sets a month to 29 or 30 days.
+ * 
+ * Every change is checked against the neighbouring months: the table may only
+ * have the gaps the provider's data has (see monthIndex.js), registered month
+ * starts and the provider's end and segment anchors must not move, and no
+ * override may create a run of same-length months longer than the official
+ * table has (three 29-day or five 30-day months). Months defined by an
+ * override report source 'override', and provenance with status
+ * 'provisional' while their length is the provisional guess, 'verified' once
+ * it is fixed by the next month's start or set directly.
+ * exportOverrides/loadOverrides turn the overrides into plain JSON and back,
+ * so they can be saved and restored on startup.
+ */
+
+const utils = require('./utils');
+const monthIndex = require('./monthIndex');
+
+// Longest runs of 29-day and 30-day months found in the official table
+const MAX_RUN = { 29: 3, 30: 5 };
+
+// Length assumed for a registered month until its own length is known
+const PROVISIONAL_LENGTH = 30;
+
+/**
+ * Helper: Key for a Hijri month in the override maps
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ * @returns {string} Key such as '1448/11'
+ */
+function monthKey(hy, hm) {
+  return `${hy}/${hm}`;
+}
+
+/**
+ * Helper: Get the month before a Hijri month
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ * @returns {Object} Object with hy and hm properties
+ */
+function previousMonth(hy, hm) {
+  return hm === 1 ? { hy: hy - 1, hm: 12 } : { hy, hm: hm - 1 };
+}
+
+/**
+ * Helper: Throw unless hy/hm is a valid Hijri month
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ */
+function assertValidMonth(hy, hm) {
+  if (!utils.isValidHijriDate(hy, hm, 1)) {
+    throw new Error(`Invalid Hijri month: ${hy}/${hm}`);
+  }
+}
+
+/**
+ * Create an override layer on top of a data provider
+ * @param {Object} baseProvider - Data provider to extend (see provider.js)
+ * @returns {Object} Object with provider, registerMonthStart, setMonthLength,
+ *   exportOverrides, loadOverrides and clearOverrides
+ */
+function createOverrideLayer(baseProvider) {
+  // Current overrides: month key -> { hy, hm, length, provisional } and month key -> { hy, hm, julianDay }
+  let state = { months: new Map(), starts: new Map() };
+  let lengthsCache = new Map();
+  let range = baseProvider.getRange();
+  // Changes whenever the overrides do, so conversions know to rebuild their month index
+  let revision = 0;
+  
+  /**
+   * Helper: Merge the base month lengths of a year with a set of overrides
+   * @param {Object} candidate - Override state
+   * @param {number} hy - Hijri year
+   * @returns {Array<number>|null} Month lengths, or null if neither defines the year
+   */
+  function mergeMonthLengths(candidate, hy) {
+    const base = baseProvider.getMonthLengths(hy);
+    const lengths = base ? base.slice() : [];
+    
+    for (let hm = 1; hm <= 12; hm++) {
+      const override = candidate.months.get(monthKey(hy, hm));
+      if (override) {
+        lengths[hm - 1] = override.length;
+      }
+    }
+    
+    return lengths.length > 0 ? lengths : null;
+  }
+  
+  /**
+   * Helper: Get the year range covered by the base data and a set of overrides
+   * @param {Object} candidate - Override state
+   * @returns {Object|null} Object with minYear and maxYear
+   */
+  function mergeRange(candidate) {
+    const baseRange = baseProvider.getRange();
+    let minYear = baseRange ? baseRange.minYear : Infinity;
+    let maxYear = baseRange ? baseRange.maxYear : -Infinity;
+    
+    candidate.months.forEach(({ hy }) => {
+      minYear = Math.min(minYear, hy);
+      maxYear = Math.max(maxYear, hy);
+    });
+    
+    return maxYear >= minYear ? { minYear, maxYear } : null;
+  }
+  
+  /**
+   * Helper: Index the month starts of a candidate table
+   * @param {Object} candidate - Override state
+   * @returns {Object|null} Result of createMonthIndex, or null if the table is empty
+   */
+  function indexMonths(candidate) {
+    const candidateRange = mergeRange(candidate);
+    return monthIndex.createMonthIndex({
+      anchorJulianDay: baseProvider.anchorJulianDay,
+      anchors: baseProvider.anchors,
+      getRange: () => candidateRange,
+      getMonthLengths: hy => mergeMonthLengths(candidate, hy)
+    });
+  }
+  
+  /**
+   * Helper: Julian Day of the first day of a month in a candidate table
+   * @param {Object} candidate - Override state
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month
+   * @returns {number|null} Julian Day Number, or null if the month is not in a placed segment
+   */
+  function getMonthStart(candidate, hy, hm) {
+    const index = indexMonths(candidate);
+    return index && monthIndex.getMonthStart(index, hy, hm);
+  }
+  
+  /**
+   * Helper: Check that a candidate table is consistent before it replaces the current one
+   * @param {Object} candidate - Override state
+   */
+  function assertConsistent(candidate) {
+    const candidateRange = mergeRange(candidate);
+    const baseRange = baseProvider.getRange();
+    
+    candidate.months.forEach(({ hy, hm, length }) => {
+      if (length !== 29 && length !== 30) {
+        throw new Error(`Invalid month length for ${hy}/${hm}: ${length} (expected 29 or 30)`);
+      }
+      if (baseRange && hy < baseRange.minYear) {
+        throw new Error(`Cannot override ${hy}/${hm}: ${baseProvider.name} data starts in ${baseRange.minYear}`);
+      }
+    });
+    
+    if (!candidateRange) {
+      return;
+    }
+    
+    // Each year must have every month up to its last one
+    for (let hy = candidateRange.minYear; hy <= candidateRange.maxYear; hy++) {
+      const lengths = mergeMonthLengths(candidate, hy) || [];
+      for (let hm = 1; hm <= lengths.length; hm++) {
+        if (lengths[hm - 1] === undefined) {
+          throw new Error(`Gap in month data: ${hy}/${hm} is missing but later months are defined`);
+        }
+      }
+    }
+    
+    // Gaps are allowed only where the provider's own data has them: every segment
+    // must start where one of the provider's segments does, and stay placed if it was
+    const index = indexMonths(candidate);
+    const baseIndex = monthIndex.createMonthIndex(baseProvider);
+    const baseSegments = new Map((baseIndex ? baseIndex.segments : []).map(segment => [
+      monthIndex.toMonthNumber(segment.start.hy, segment.start.hm),
+      segment
+    ]));
+    
+    index.segments.forEach((segment, position) => {
+      const baseSegment = baseSegments.get(monthIndex.toMonthNumber(segment.start.hy, segment.start.hm));
+      if (position > 0 && !baseSegment) {
+        const missing = previousMonth(segment.start.hy, segment.start.hm);
+        throw new Error(`Gap in month data: ${missing.hy}/${missing.hm} is missing but later months are defined`);
+      }
+      if (baseSegment && baseSegment.placed && !segment.placed) {
+        throw new Error(
+          `Inconsistent with the ${baseProvider.name} segment anchor of ${segment.start.hy}/${segment.start.hm}: ` +
+          'the months before it would overlap it'
+        );
+      }
+    });
+    
+    // Registered month starts and the provider's anchors must stay where they are
+    const pinnedStarts = Array.from(candidate.starts.values())
+      .map(start => Object.assign({ label: 'registered start' }, start));
+    if (baseProvider.anchors && baseProvider.anchors.end) {
+      pinnedStarts.push(Object.assign({ label: `${baseProvider.name} end anchor` }, baseProvider.anchors.end));
+    }
+    ((baseProvider.anchors && baseProvider.anchors.segments) || []).forEach(anchor => {
+      // An anchor the provider itself cannot place is reported by the integrity check instead
+      if (!baseIndex || monthIndex.getMonthStart(baseIndex, anchor.hy, anchor.hm) === null) {
+        return;
+      }
+      pinnedStarts.push(Object.assign({ label: `${baseProvider.name} segment anchor` }, anchor));
+    });
+    
+    pinnedStarts.forEach(({ hy, hm, julianDay, label }) => {
+      const actual = monthIndex.getMonthStart(index, hy, hm);
+      if (actual === null) {
+        throw new Error(`The ${label} of ${hy}/${hm} is outside the month data`);
+      }
+      
+      if (actual !== julianDay) {
+        const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+        const announced = [gy, gm, gd].map(value => String(value).padStart(2, '0')).join('-');
+        throw new Error(
+          `Inconsistent with the ${label} of ${hy}/${hm} (${announced}), ` +
+          `which would move by ${actual - julianDay} day(s)`
+        );
+      }
+    });
+    
+    // Overridden months must not create runs longer than the official table has
+    let run = [];
+    let previousComplete = true;
+    for (let hy = candidateRange.minYear; hy <= candidateRange.maxYear; hy++) {
+      const lengths = mergeMonthLengths(candidate, hy) || [];
+      
+      // A gap (a missing or incomplete year before this one) ends a run
+      if (!previousComplete) {
+        run = [];
+      }
+      previousComplete = lengths.length === 12;
+      for (let hm = 1; hm <= lengths.length; hm++) {
+        const override = candidate.months.get(monthKey(hy, hm));
+        
+        // Provisional lengths are guesses, so they end a run instead of extending it
+        if (override && override.provisional) {
+          run = [];
+          continue;
+        }
+        
+        const length = lengths[hm - 1];
+        if (run.length > 0 && run[0].length !== length) {
+          run = [];
+        }
+        run.push({ hy, hm, length, overridden: !!override });
+        
+        if (run.length > MAX_RUN[length] && run.some(month => month.overridden)) {
+          const first = run[0];
+          throw new Error(
+            `Inconsistent month lengths: ${run.length} consecutive ${length}-day months ` +
+            `from ${first.hy}/${first.hm} to ${hy}/${hm} (at most ${MAX_RUN[length]} expected)`
+          );
+        }
+      }
+    }
+  }
+  
+  /**
+   * Helper: Copy the current override state
+   * @returns {Object} Override state that can be changed without affecting conversions
+   */
+  function cloneState() {
+    return { months: new Map(state.months), starts: new Map(state.starts) };
+  }
+  
+  /**
+   * Helper: Validate a candidate state and make it current
+   * @param {Object} candidate - Override state
+   */
+  function commit(candidate) {
+    assertConsistent(candidate);
+    state = candidate;
+    lengthsCache = new Map();
+    range = mergeRange(state);
+    revision++;
+  }
+  
+  /**
+   * Helper: Set a month length in a candidate state, dropping overrides equal to the base data
+   * @param {Object} candidate - Override state
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month
+   * @param {number} length - Number of days
+   * @param {boolean} provisional - True if the length is assumed rather than announced
+   */
+  function putMonthLength(candidate, hy, hm, length, provisional) {
+    const key = monthKey(hy, hm);
+    const base = baseProvider.getMonthLengths(hy);
+    
+    if (!provisional && base && base[hm - 1] === length) {
+      candidate.months.delete(key);
+    } else {
+      candidate.months.set(key, { hy, hm, length, provisional });
+    }
+  }
+  
+  /**
+   * Helper: Check if a candidate state has data for a month
+   * @param {Object} candidate - Override state
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month
+   * @returns {boolean} True if the base data or an override defines the month
+   */
+  function hasMonth(candidate, hy, hm) {
+    const lengths = mergeMonthLengths(candidate, hy);
+    return !!lengths && hm <= lengths.length;
+  }
+  
+  const provider = Object.freeze({
+    name: baseProvider.name,
+    anchorJulianDay: baseProvider.anchorJulianDay,
+    anchors: baseProvider.anchors,
+    get revision() {
+      return revision;
+    },
+    getRange() {
+      return range;
+    },
+    getMonthLengths(hy) {
+      if (!lengthsCache.has(hy)) {
+        const lengths = mergeMonthLengths(state, hy);
+        lengthsCache.set(hy, lengths && Object.freeze(lengths));
+      }
+      return lengthsCache.get(hy);
+    },
+    getMonthSource(hy, hm) {
+      return state.months.has(monthKey(hy, hm)) ? 'override' : 'official';
+    },
+    getMonthProvenance(hy, hm) {
+      const override = state.months.get(monthKey(hy, hm));
+      if (override) {
+        return { source: 'override', retrieved: null, status: override.provisional ? 'provisional' : 'verified' };
+      }
+      return baseProvider.getMonthProvenance ? baseProvider.getMonthProvenance(hy, hm) : null;
+    }
+  });
+  
+  /**
+   * Register the announced first day of a Hijri month
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {Object} date - First day as a Jalaali { jy, jm, jd } or Gregorian { gy, gm, gd } date
+   * @returns {Object} Object with hy, hm, julianDay and previousMonth ({ hy, hm, length })
+   */
+  function registerMonthStart(hy, hm, date) {
+    assertValidMonth(hy, hm);
+    const julianDay = utils.solarDateToJulian(date);
+    const previous = previousMonth(hy, hm);
+    const candidate = cloneState();
+    
+    if (!hasMonth(candidate, previous.hy, previous.hm)) {
+      throw new Error(
+        `Cannot register the start of ${hy}/${hm}: ${previous.hy}/${previous.hm} has no official or override data`
+      );
+    }
+    
+    const previousStart = getMonthStart(candidate, previous.hy, previous.hm);
+    if (previousStart === null) {
+      throw new Error(
+        `Cannot register the start of ${hy}/${hm}: ${previous.hy}/${previous.hm} is in data that has no anchor`
+      );
+    }
+    
+    const previousLength = julianDay - previousStart;
+    if (previousLength !== 29 && previousLength !== 30) {
+      throw new Error(
+        `Cannot register the start of ${hy}/${hm}: ${previous.hy}/${previous.hm} would have ${previousLength} days`
+      );
+    }
+    
+    putMonthLength(candidate, previous.hy, previous.hm, previousLength, false);
+    if (!hasMonth(candidate, hy, hm)) {
+      putMonthLength(candidate, hy, hm, PROVISIONAL_LENGTH, true);
+    }
+    candidate.starts.set(monthKey(hy, hm), { hy, hm, julianDay });
+    
+    commit(candidate);
+    
+    return {
+      hy,
+      hm,
+      julianDay,
+      previousMonth: { hy: previous.hy, hm: previous.hm, length: previousLength }
+    };
+  }
+  
+  /**
+   * Set the length of a Hijri month
+   * 
+   * The month must already be in the table or directly follow its last month.
+   * 
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {number} length - Number of days (29 or 30)
+   */
+  function setMonthLength(hy, hm, length) {
+    assertValidMonth(hy, hm);
+    if (length !== 29 && length !== 30) {
+      throw new Error(`Invalid month length for ${hy}/${hm}: ${length} (expected 29 or 30)`);
+    }
+    
+    const candidate = cloneState();
+    const previous = previousMonth(hy, hm);
+    if (!hasMonth(candidate, hy, hm) && !hasMonth(candidate, previous.hy, previous.hm)) {
+      throw new Error(
+        `Cannot set the length of ${hy}/${hm}: ${previous.hy}/${previous.hm} has no official or override data`
+      );
+    }
+    
+    putMonthLength(candidate, hy, hm, length, false);
+    commit(candidate);
+  }
+  
+  /**
+   * Get the current overrides as plain JSON-serializable data
+   * @returns {Object} Object with provider, months ({ hy, hm, length, provisional }) and starts ({ hy, hm, gy, gm, gd })
+   */
+  function exportOverrides() {
+    const byMonth = (a, b) => a.hy - b.hy || a.hm - b.hm;
+    
+    return {
+      provider: baseProvider.name,
+      months: Array.from(state.months.values()).sort(byMonth).map(month => Object.assign({}, month)),
+      starts: Array.from(state.starts.values()).sort(byMonth).map(({ hy, hm, julianDay }) => {
+        const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+        return { hy, hm, gy, gm, gd };
+      })
+    };
+  }
+  
+  /**
+   * Replace the current overrides with previously exported ones
+   * @param {Object} data - Result of exportOverrides (or its parsed JSON)
+   */
+  function loadOverrides(data) {
+    if (!data || !Array.isArray(data.months) || !Array.isArray(data.starts)) {
+      throw new Error('Invalid overrides: expected an object with months and starts arrays');
+    }
+    if (data.provider !== undefined && data.provider !== baseProvider.name) {
+      throw new Error(`Overrides are for provider ${data.provider}, not ${baseProvider.name}`);
+    }
+    
+    const candidate = { months: new Map(), starts: new Map() };
+    
+    data.months.forEach(({ hy, hm, length, provisional = false }) => {
+      assertValidMonth(hy, hm);
+      candidate.months.set(monthKey(hy, hm), { hy, hm, length, provisional: !!provisional });
+    });
+    data.starts.forEach(start => {
+      assertValidMonth(start.hy, start.hm);
+      candidate.starts.set(monthKey(start.hy, start.hm), {
+        hy: start.hy,
+        hm: start.hm,
+        julianDay: utils.solarDateToJulian(start)
+      });
+    });
+    
+    commit(candidate);
+  }
+  
+  /**
+   * Remove all overrides, returning to the provider's own data
+   */
+  function clearOverrides() {
+    commit({ months: new Map(), starts: new Map() });
+  }
+  
+  return {
+    provider,
+    registerMonthStart,
+    setMonthLength,
+    exportOverrides,
+    loadOverrides,
+    clearOverrides
+  };
+}
+
+module.exports = {
+  createOverrideLayer
+};
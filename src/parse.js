@@ -0,0 +1,261 @@
+/**
+ * Date Parsing
+ * 
+ * Parses Hijri, Jalaali and Gregorian date strings such as:
+ * - '1447/03/12', '1447-3-12', '12/03/1447' (year first or year last)
+ * - '۱۴۴۷/۰۳/۱۲' (Persian digits) or '١٤٤٧-٠٣-١٢' (Arabic-Indic digits)
+ * - '12 Rabi al-Awwal 1447', '۱۲ ربیع‌الاول ۱۴۴۷ ه‍.ق', 'Rabi al-Awwal 12, 1447'
+ * 
+ * Parsers never throw on bad input. They return { valid, date, error }, where
+ * error is { code, message, input } and code is one of:
+ * - EMPTY_INPUT: nothing to parse
+ * - UNRECOGNIZED_FORMAT: the text is not a numeric or month-name date
+ * - UNKNOWN_MONTH: the month name is not recognized
+ * - INVALID_DATE: the parts do not form a valid date
+ */
+
+const utils = require('./utils');
+const locale = require('./locale');
+const conversion = require('./conversion');
+
+const NUMERIC_DATE_REGEX = /^(\d+)\s*[/\-.⁄]\s*(\d+)\s*[/\-.⁄]\s*(\d+)$/;
+
+// Field names and labels per calendar
+const CALENDARS = {
+  hijri: { label: 'Hijri', fields: ['hy', 'hm', 'hd'] },
+  jalaali: { label: 'Jalaali', fields: ['jy', 'jm', 'jd'] },
+  gregorian: { label: 'Gregorian', fields: ['gy', 'gm', 'gd'] }
+};
+
+// Normalized month name -> month number, built on first use per calendar
+const monthLookups = {};
+
+/**
+ * Helper: Reduce a name to a comparable key
+ * 
+ * Lowercases, strips diacritics, punctuation, spaces and joiners, and unifies
+ * Arabic and Persian letter variants (ي/ی, ك/ک, ة/ه, أ/إ/آ/ا).
+ * 
+ * @param {string} text - Name to normalize
+ * @returns {string} Normalized key
+ */
+function normalizeName(text) {
+  return text
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, '')
+    .replace(/[يى]/g, 'ی')
+    .replace(/ك/g, 'ک')
+    .replace(/[ةۀ]/g, 'ه')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/[^a-z\u0600-\u06ff]/g, '');
+}
+
+/**
+ * Helper: Get the month name lookup for a calendar
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @returns {Map} Map of normalized month names to month numbers
+ */
+function getMonthLookup(calendar) {
+  if (!monthLookups[calendar]) {
+    const lookup = new Map();
+    const spellings = locale.MONTH_NAMES[calendar];
+    
+    Object.keys(spellings).forEach(spelling => {
+      locale.SUPPORTED_LOCALES.forEach(localeCode => {
+        spellings[spelling][localeCode].forEach((name, index) => {
+          lookup.set(normalizeName(name), index + 1);
+        });
+      });
+    });
+    
+    locale.MONTH_ALIASES[calendar].forEach((aliases, index) => {
+      aliases.forEach(alias => lookup.set(normalizeName(alias), index + 1));
+    });
+    
+    monthLookups[calendar] = lookup;
+  }
+  return monthLookups[calendar];
+}
+
+/**
+ * Helper: Find the month number for a month name, ignoring a trailing era suffix
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {string} text - Month name, possibly followed by an era suffix
+ * @returns {number|null} Month number, or null if not recognized
+ */
+function findMonth(calendar, text) {
+  const lookup = getMonthLookup(calendar);
+  const key = normalizeName(text);
+  
+  if (lookup.has(key)) {
+    return lookup.get(key);
+  }
+  
+  const eraNames = locale.SUPPORTED_LOCALES
+    .map(localeCode => locale.ERA_NAMES[calendar][localeCode])
+    .concat(locale.ERA_ALIASES[calendar])
+    .map(normalizeName);
+  
+  for (const era of eraNames) {
+    if (key.length > era.length && key.endsWith(era)) {
+      const withoutEra = key.slice(0, -era.length);
+      if (lookup.has(withoutEra)) {
+        return lookup.get(withoutEra);
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Build a failed parse result
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {*} input - Original input
+ * @returns {Object} Parse result
+ */
+function failure(code, message, input) {
+  return {
+    valid: false,
+    date: null,
+    error: { code, message, input }
+  };
+}
+
+/**
+ * Helper: Split a string into year, month and day numbers
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {string} text - Date text with Latin digits
+ * @returns {Object} Object with year, month, day, or with error code and message
+ */
+function splitDate(calendar, text) {
+  const numeric = text.match(NUMERIC_DATE_REGEX);
+  if (numeric) {
+    const [, first, second, third] = numeric;
+    if (first.length >= 3) {
+      return { year: Number(first), month: Number(second), day: Number(third) };
+    }
+    if (third.length >= 3) {
+      return { year: Number(third), month: Number(second), day: Number(first) };
+    }
+    return { code: 'UNRECOGNIZED_FORMAT', message: `Cannot tell the year apart in "${text}"` };
+  }
+  
+  // Month-name form: exactly two numbers (day and year) around a month name
+  const numbers = text.match(/\d+/g) || [];
+  const monthText = text.replace(/\d+/g, ' ').trim();
+  if (numbers.length !== 2 || monthText === '') {
+    return { code: 'UNRECOGNIZED_FORMAT', message: `Unrecognized date format: "${text}"` };
+  }
+  
+  const yearIndex = numbers.findIndex(n => n.length >= 3);
+  if (yearIndex === -1 || numbers[1 - yearIndex].length >= 3) {
+    return { code: 'UNRECOGNIZED_FORMAT', message: `Cannot tell the year apart in "${text}"` };
+  }
+  
+  const month = findMonth(calendar, monthText);
+  if (month === null) {
+    return { code: 'UNKNOWN_MONTH', message: `Unknown ${CALENDARS[calendar].label} month name: "${monthText}"` };
+  }
+  
+  return { year: Number(numbers[yearIndex]), month, day: Number(numbers[1 - yearIndex]) };
+}
+
+/**
+ * Helper: Validate parsed parts with the same rules as the converters
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {number} year - Year
+ * @param {number} month - Month
+ * @param {number} day - Day
+ * @param {boolean} strict - For Hijri dates, check the day against the actual month length
+ *   (official data where available) instead of only the 1-30 range
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateParts(calendar, year, month, day, strict) {
+  const label = CALENDARS[calendar].label;
+  
+  if (calendar === 'hijri') {
+    if (strict) {
+      return conversion.validateHijriDate(year, month, day).error;
+    }
+    return utils.isValidHijriDate(year, month, day) ? null : `Invalid Hijri date: ${year}/${month}/${day}`;
+  }
+  
+  const isValid = calendar === 'jalaali' ? utils.isValidJalaaliDate : utils.isValidGregorianDate;
+  return isValid(year, month, day) ? null : `Invalid ${label} date: ${year}/${month}/${day}`;
+}
+
+/**
+ * Helper: Parse a date string of any supported calendar
+ * @param {string} calendar - Calendar ('hijri', 'jalaali' or 'gregorian')
+ * @param {string} input - Date string
+ * @param {Object} options - Parsing options
+ * @returns {Object} Parse result
+ */
+function parseDate(calendar, input, options) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    return failure('EMPTY_INPUT', 'No date to parse', input);
+  }
+  
+  const text = locale.normalizeDigits(input).replace(/[\u200e\u200f]/g, '').trim();
+  const parts = splitDate(calendar, text);
+  if (parts.code) {
+    return failure(parts.code, parts.message, input);
+  }
+  
+  const error = validateParts(calendar, parts.year, parts.month, parts.day, options.strict);
+  if (error) {
+    return failure('INVALID_DATE', error, input);
+  }
+  
+  const [yearField, monthField, dayField] = CALENDARS[calendar].fields;
+  return {
+    valid: true,
+    date: {
+      [yearField]: parts.year,
+      [monthField]: parts.month,
+      [dayField]: parts.day
+    },
+    error: null
+  };
+}
+
+/**
+ * Parse a Hijri date string
+ * @param {string} input - Date string, e.g. '1447/03/12' or '12 Rabi al-Awwal 1447'
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.strict=true] - Reject days beyond the actual month length, like
+ *   validateHijriDate; false only checks that the day is 1-30
+ * @returns {Object} { valid, date: { hy, hm, hd } | null, error: { code, message, input } | null }
+ */
+function parseHijri(input, options = {}) {
+  const { strict = true } = options;
+  return parseDate('hijri', input, { strict });
+}
+
+/**
+ * Parse a Jalaali date string
+ * @param {string} input - Date string, e.g. '۱۴۰۴/۰۶/۱۴' or '14 Shahrivar 1404'
+ * @returns {Object} { valid, date: { jy, jm, jd } | null, error: { code, message, input } | null }
+ */
+function parseJalaali(input) {
+  return parseDate('jalaali', input, {});
+}
+
+/**
+ * Parse a Gregorian date string
+ * @param {string} input - Date string, e.g. '2025-09-05' or '5 September 2025'
+ * @returns {Object} { valid, date: { gy, gm, gd } | null, error: { code, message, input } | null }
+ */
+function parseGregorian(input) {
+  return parseDate('gregorian', input, {});
+}
+
+module.exports = {
+  parseHijri,
+  parseJalaali,
+  parseGregorian
+};
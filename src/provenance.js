@@ -0,0 +1,136 @@
+/**
+ * Month Provenance
+ * 
+ * Records where a provider's month lengths came from. Provenance is kept as
+ * runs of months that share one record, in the order given, a later run
+ * overriding an earlier one:
+ * 
+ * [
+ *   { from: { hy: 1340, hm: 1 }, to: { hy: 1447, hm: 12 },
+ *     source: 'bahesab', retrieved: '2025-11-11', status: 'provisional' },
+ *   { from: { hy: 1401, hm: 5 }, to: { hy: 1401, hm: 5 },
+ *     source: 'geophysics', retrieved: '2025-12-01', status: 'verified', sources: ['geophysics', 'calendar-pdf'] }
+ * ]
+ * 
+ * source names where the value came from, retrieved the day it was taken
+ * (YYYY-MM-DD, or null if unknown) and status whether it is 'verified'
+ * (confirmed by a second source or by a maintainer) or 'provisional'. The
+ * optional sources lists every source that gives the same value.
+ */
+
+const monthIndex = require('./monthIndex');
+
+const STATUSES = ['verified', 'provisional'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Helper: Check a month of a provenance run
+ * @param {Object} month - Object with hy and hm
+ * @param {string} label - Name of the field, for error messages
+ * @returns {number} Month number (see monthIndex.toMonthNumber)
+ */
+function readMonth(month, label) {
+  const valid = month && Number.isInteger(month.hy) && month.hy >= 1 &&
+    Number.isInteger(month.hm) && month.hm >= 1 && month.hm <= 12;
+  if (!valid) {
+    throw new Error(`Invalid provenance ${label}: expected { hy, hm }`);
+  }
+  return monthIndex.toMonthNumber(month.hy, month.hm);
+}
+
+/**
+ * Helper: Check a provenance record and copy its fields
+ * @param {Object} entry - Provenance run
+ * @returns {Object} Frozen record with source, retrieved, status and, if given, sources
+ */
+function readRecord(entry) {
+  const { source, retrieved = null, status, sources } = entry;
+  if (typeof source !== 'string' || source === '') {
+    throw new Error('Invalid provenance: source must be a non-empty string');
+  }
+  if (retrieved !== null && !DATE_REGEX.test(retrieved)) {
+    throw new Error(`Invalid provenance retrieved date: ${retrieved} (expected YYYY-MM-DD or null)`);
+  }
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Invalid provenance status: ${status} (expected 'verified' or 'provisional')`);
+  }
+  if (sources !== undefined && (!Array.isArray(sources) || sources.some(name => typeof name !== 'string'))) {
+    throw new Error('Invalid provenance: sources must be an array of source names');
+  }
+  
+  const record = { source, retrieved, status };
+  if (sources !== undefined) {
+    record.sources = Object.freeze(sources.slice());
+  }
+  return Object.freeze(record);
+}
+
+/**
+ * Expand provenance runs into a record per month
+ * @param {Array<Object>} entries - Provenance runs
+ * @returns {Map} Month number -> frozen record ({ source, retrieved, status, sources? })
+ */
+function expandProvenance(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Provenance must be an array of { from, to, source, retrieved, status } runs');
+  }
+  
+  const months = new Map();
+  entries.forEach(entry => {
+    const first = readMonth(entry && entry.from, 'from');
+    const last = readMonth(entry.to, 'to');
+    if (last < first) {
+      throw new Error(`Invalid provenance run: ${entry.to.hy}/${entry.to.hm} is before ${entry.from.hy}/${entry.from.hm}`);
+    }
+    
+    const record = readRecord(entry);
+    for (let number = first; number <= last; number++) {
+      months.set(number, record);
+    }
+  });
+  
+  return months;
+}
+
+/**
+ * Helper: Check if two provenance records are the same
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {boolean} True if all fields match
+ */
+function isSameRecord(a, b) {
+  return a.source === b.source && a.retrieved === b.retrieved && a.status === b.status &&
+    JSON.stringify(a.sources) === JSON.stringify(b.sources);
+}
+
+/**
+ * Join per-month records into the fewest runs
+ * @param {Map} months - Month number -> record, as from expandProvenance
+ * @returns {Array<Object>} Provenance runs in month order
+ */
+function compactProvenance(months) {
+  const entries = [];
+  let current = null;
+  
+  Array.from(months.keys()).sort((a, b) => a - b).forEach(number => {
+    const record = months.get(number);
+    if (current && current.last === number - 1 && isSameRecord(current.record, record)) {
+      current.last = number;
+      return;
+    }
+    current = { first: number, last: number, record };
+    entries.push(current);
+  });
+  
+  return entries.map(({ first, last, record }) => Object.assign(
+    { from: monthIndex.fromMonthNumber(first), to: monthIndex.fromMonthNumber(last) },
+    record
+  ));
+}
+
+module.exports = {
+  STATUSES,
+  expandProvenance,
+  compactProvenance
+};
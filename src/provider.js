@@ -0,0 +1,233 @@
+/**
+ * Calendar Data Providers
+ * 
+ * A provider supplies the month lengths that conversions use before falling
+ * back to the tabular calendar, plus the Julian Day Number of 1 Muharram of
+ * its first year (the anchor). Any object with this shape can be passed to
+ * createConverter:
+ * 
+ * {
+ *   name: 'iran-official',
+ *   anchorJulianDay: 2422937,
+ *   getRange() { return { minYear, maxYear } or null },
+ *   getMonthLengths(hy) { return [29, 30, ...] (1-12 entries) or null }
+ * }
+ * 
+ * A provider may also implement getMonthSource(hy, hm), returning the source
+ * reported for months it defines; without it they are 'official'. It may
+ * also implement getMonthProvenance(hy, hm), returning where the month's
+ * length came from (see provenance.js) or null. Providers
+ * whose data can change expose a revision number that changes with it, so
+ * conversions rebuild their month index (see monthIndex.js).
+ * 
+ * createProvider builds one from a table in the officialData.js format. Its
+ * anchor can be given as a Julian Day or as a Jalaali/Gregorian date, and an
+ * optional end anchor (a later month start known independently) is checked
+ * against the month lengths, so a wrong anchor or a miscounted month is
+ * caught when the provider is created. Data with gaps (missing years) needs
+ * a segment anchor for the first month after each gap, since its position
+ * cannot be counted across the gap. All anchors are kept in provider.anchors.
+ * Provenance runs, if given, must only cover months in the data.
+ */
+
+const utils = require('./utils');
+const monthIndex = require('./monthIndex');
+const { expandProvenance } = require('./provenance');
+
+/**
+ * Helper: Count the days from 1 Muharram of the first year to the start of a month
+ * @param {Object} table - Year -> month lengths
+ * @param {number} minYear - First year in the table
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month
+ * @returns {number|null} Number of days, or null if the table lacks a month before hy/hm
+ */
+function getDaysToMonthStart(table, minYear, hy, hm) {
+  let days = 0;
+  
+  for (let y = minYear; y <= hy; y++) {
+    const lengths = table[y];
+    const monthCount = y === hy ? hm - 1 : 12;
+    if (!lengths || lengths.length < monthCount) {
+      return null;
+    }
+    for (let m = 0; m < monthCount; m++) {
+      days += lengths[m];
+    }
+  }
+  
+  return days;
+}
+
+/**
+ * Create a data provider from a year -> month lengths table
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name, e.g. 'iran-official' or 'umm-al-qura'
+ * @param {Object} options.data - Table of Hijri year -> array of 1-12 month lengths (29 or 30)
+ * @param {number} [options.anchorJulianDay] - Julian Day Number of 1 Muharram of the first year in data
+ * @param {Object} [options.anchor] - The same day as a Jalaali { jy, jm, jd } or Gregorian { gy, gm, gd } date
+ * @param {Object} [options.endAnchor] - A later month start to check the data against:
+ *   { hy, hm, date } with date as in anchor, or { hy, hm, julianDay }
+ * @param {Array<Object>} [options.segmentAnchors] - Starts of the first month after each gap in data,
+ *   in the same form as endAnchor; months after a gap without one are not used for conversions
+ * @param {Array<Object>} [options.provenance] - Where the month lengths came from, as runs of months
+ *   (see provenance.js)
+ * @returns {Object} Provider
+ */
+function createProvider({ name, data, anchorJulianDay, anchor, endAnchor, segmentAnchors = [], provenance = [] } = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Provider name is required');
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Provider ${name}: data must be an object of year -> month lengths`);
+  }
+  if (anchor !== undefined) {
+    if (anchorJulianDay !== undefined) {
+      throw new Error(`Provider ${name}: give either anchor or anchorJulianDay, not both`);
+    }
+    anchorJulianDay = utils.solarDateToJulian(anchor);
+  }
+  if (!Number.isInteger(anchorJulianDay)) {
+    throw new Error(`Provider ${name}: anchorJulianDay must be an integer Julian Day Number`);
+  }
+  
+  // Copy and check the table so later changes to the caller's object have no effect
+  const table = {};
+  Object.keys(data).forEach(key => {
+    const year = Number(key);
+    const lengths = data[key];
+    if (!Number.isInteger(year) || year < 1) {
+      throw new Error(`Provider ${name}: invalid Hijri year ${key}`);
+    }
+    if (!Array.isArray(lengths) || lengths.length < 1 || lengths.length > 12) {
+      throw new Error(`Provider ${name}: year ${year} must have 1 to 12 month lengths`);
+    }
+    lengths.forEach((length, index) => {
+      if (length !== 29 && length !== 30) {
+        throw new Error(`Provider ${name}: month ${index + 1} of ${year} has ${length} days (expected 29 or 30)`);
+      }
+    });
+    table[year] = Object.freeze(lengths.slice());
+  });
+  
+  const years = Object.keys(table).map(Number);
+  const range = years.length === 0 ? null : Object.freeze({
+    minYear: Math.min(...years),
+    maxYear: Math.max(...years)
+  });
+  
+  const provenanceByMonth = readProvenance(name, table, provenance);
+  
+  const anchors = Object.freeze({
+    start: range && Object.freeze({ hy: range.minYear, hm: 1, julianDay: anchorJulianDay }),
+    end: endAnchor === undefined ? null : Object.freeze(checkEndAnchor(name, table, range, anchorJulianDay, endAnchor)),
+    segments: Object.freeze(segmentAnchors.map(segmentAnchor => Object.freeze(readSegmentAnchor(name, table, segmentAnchor))))
+  });
+  
+  return Object.freeze({
+    name,
+    anchorJulianDay,
+    anchors,
+    getRange() {
+      return range;
+    },
+    getMonthLengths(hy) {
+      return table[hy] || null;
+    },
+    getMonthProvenance(hy, hm) {
+      return provenanceByMonth.get(monthIndex.toMonthNumber(hy, hm)) || null;
+    }
+  });
+}
+
+/**
+ * Helper: Read provenance runs and check that they only cover months in the data
+ * @param {string} name - Provider name, for error messages
+ * @param {Object} table - Year -> month lengths
+ * @param {Array<Object>} provenance - Provenance runs
+ * @returns {Map} Month number -> provenance record
+ */
+function readProvenance(name, table, provenance) {
+  let months;
+  try {
+    months = expandProvenance(provenance);
+  } catch (error) {
+    throw new Error(`Provider ${name}: ${error.message}`);
+  }
+  
+  months.forEach((record, number) => {
+    const { hy, hm } = monthIndex.fromMonthNumber(number);
+    if (!table[hy] || hm > table[hy].length) {
+      throw new Error(`Provider ${name}: provenance covers ${hy}/${hm}, which is not in data`);
+    }
+  });
+  return months;
+}
+
+/**
+ * Helper: Read a month start anchor given as { hy, hm, date } or { hy, hm, julianDay }
+ * @param {string} name - Provider name, for error messages
+ * @param {Object} monthStart - Anchor to read
+ * @returns {Object} Object with hy, hm and julianDay
+ */
+function readMonthStart(name, monthStart) {
+  const { hy, hm = 1 } = monthStart;
+  const julianDay = monthStart.julianDay !== undefined
+    ? monthStart.julianDay
+    : utils.solarDateToJulian(monthStart.date);
+  
+  if (!Number.isInteger(julianDay)) {
+    throw new Error(`Provider ${name}: anchor for ${hy}/${hm} must have an integer julianDay or a date`);
+  }
+  return { hy, hm, julianDay };
+}
+
+/**
+ * Helper: Read a segment anchor and check that it starts the data after a gap
+ * @param {string} name - Provider name, for error messages
+ * @param {Object} table - Year -> month lengths
+ * @param {Object} segmentAnchor - { hy, hm, date } or { hy, hm, julianDay }
+ * @returns {Object} Object with hy, hm and julianDay
+ */
+function readSegmentAnchor(name, table, segmentAnchor) {
+  const { hy, hm, julianDay } = readMonthStart(name, segmentAnchor);
+  const hasMonth = (year, month) => !!table[year] && month <= table[year].length;
+  const hasPreviousMonth = hm === 1 ? hasMonth(hy - 1, 12) : hasMonth(hy, hm - 1);
+  
+  if (!hasMonth(hy, hm) || hasPreviousMonth) {
+    throw new Error(`Provider ${name}: segment anchor ${hy}/${hm} is not the first month after a gap in data`);
+  }
+  return { hy, hm, julianDay };
+}
+
+/**
+ * Helper: Check that the month lengths lead from the anchor to the end anchor
+ * @param {string} name - Provider name, for error messages
+ * @param {Object} table - Year -> month lengths
+ * @param {Object|null} range - Object with minYear and maxYear
+ * @param {number} anchorJulianDay - Julian Day Number of 1 Muharram of the first year
+ * @param {Object} endAnchor - { hy, hm, date } or { hy, hm, julianDay }
+ * @returns {Object} Object with hy, hm and julianDay of the end anchor
+ */
+function checkEndAnchor(name, table, range, anchorJulianDay, endAnchor) {
+  const { hy, hm, julianDay } = readMonthStart(name, endAnchor);
+  
+  const days = range ? getDaysToMonthStart(table, range.minYear, hy, hm) : null;
+  if (days === null) {
+    throw new Error(`Provider ${name}: end anchor ${hy}/${hm} is outside the data`);
+  }
+  
+  const expected = anchorJulianDay + days;
+  if (expected !== julianDay) {
+    throw new Error(
+      `Provider ${name}: month lengths put ${hy}/${hm} on Julian Day ${expected}, ` +
+      `but the end anchor says ${julianDay} (off by ${expected - julianDay} day(s))`
+    );
+  }
+  
+  return { hy, hm, julianDay };
+}
+
+module.exports = {
+  createProvider
+};
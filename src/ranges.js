@@ -0,0 +1,227 @@
+/**
+ * Date Ranges
+ * 
+ * Iterates over days and maps whole months between calendars, e.g. all
+ * Gregorian days of Ramadan 1447 or the Hijri months that overlap Jalaali
+ * Esfand 1404. Hijri months take their actual length from the official data
+ * (29 or 30 days), and every range boundary carries the source of its Hijri
+ * date, so a caller can tell an official month end from a tabular estimate.
+ */
+
+const utils = require('./utils');
+const conversion = require('./conversion');
+const { createCell } = require('./calendar');
+
+/**
+ * Helper: Check a Hijri month and get its first day and length
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {Object} Object with julianDay (first day), length, startSource and lengthSource
+ */
+function getHijriMonthSpan(hy, hm) {
+  if (!utils.isValidHijriDate(hy, hm, 1)) {
+    throw new Error(`Invalid Hijri month: ${hy}/${hm}`);
+  }
+  
+  const { julianDay, source } = conversion.hijriToJulian(hy, hm, 1);
+  const monthLength = conversion.getHijriMonthLength(hy, hm);
+  
+  return { julianDay, length: monthLength.length, startSource: source, lengthSource: monthLength.source };
+}
+
+/**
+ * Helper: Describe the Hijri months overlapping a run of days
+ * @param {number} firstJulianDay - Julian Day Number of the first day
+ * @param {number} lastJulianDay - Julian Day Number of the last day (inclusive)
+ * @returns {Array<Object>} Months in order, each with hy, hm, length (days in the whole month),
+ *   from and to (first and last Hijri day inside the run), days and source
+ */
+function getOverlappingHijriMonths(firstJulianDay, lastJulianDay) {
+  const months = [];
+  let julianDay = firstJulianDay;
+  
+  while (julianDay <= lastJulianDay) {
+    const { hy, hm, hd } = conversion.julianToHijri(julianDay);
+    const { length, source } = conversion.getHijriMonthLength(hy, hm);
+    const lastDay = Math.min(lastJulianDay, julianDay + Math.max(length - hd, 0));
+    
+    months.push({
+      hy,
+      hm,
+      length,
+      from: hd,
+      to: hd + lastDay - julianDay,
+      days: lastDay - julianDay + 1,
+      source
+    });
+    julianDay = lastDay + 1;
+  }
+  
+  return months;
+}
+
+/**
+ * Helper: Describe a boundary day of a range with the source of its Hijri date
+ * @param {Object} date - Date in the range's target calendar
+ * @param {number} julianDay - Julian Day Number of the day
+ * @param {string} source - Source of the day's Hijri date ('official', 'override' or 'tabular')
+ * @returns {Object} The date's fields plus julianDay and source
+ */
+function createBoundary(date, julianDay, source) {
+  return Object.assign({}, date, { julianDay, source });
+}
+
+/**
+ * Helper: Yield the days of a run of Julian Day Numbers as calendar cells
+ * @param {number} firstJulianDay - Julian Day Number of the first day
+ * @param {number} lastJulianDay - Julian Day Number of the last day (inclusive)
+ * @param {Function} hijriForDay - Gets the Hijri date, with source, of a day
+ * @returns {Iterator<Object>} Calendar cells
+ */
+function* iterateDays(firstJulianDay, lastJulianDay, hijriForDay) {
+  for (let julianDay = firstJulianDay; julianDay <= lastJulianDay; julianDay++) {
+    yield createCell(julianDay, hijriForDay(julianDay));
+  }
+}
+
+/**
+ * Iterate over every day from one date to another, inclusive, in all three calendars
+ * 
+ * Dates may be given in any calendar ({ hy, hm, hd }, { jy, jm, jd } or
+ * { gy, gm, gd }), and start and end need not use the same one.
+ * 
+ * @param {Object} start - First day
+ * @param {Object} end - Last day (must not be before start)
+ * @returns {Iterator<Object>} Days with hijri, jalaali, gregorian, julianDay, weekday and source
+ */
+function eachDay(start, end) {
+  const firstJulianDay = conversion.dateToJulian(start);
+  const lastJulianDay = conversion.dateToJulian(end);
+  if (lastJulianDay < firstJulianDay) {
+    throw new Error('Invalid range: end is before start');
+  }
+  
+  return iterateDays(firstJulianDay, lastJulianDay, conversion.julianToHijri);
+}
+
+/**
+ * Iterate over every day of a Hijri month, using its actual length
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {Iterator<Object>} Days with hijri, jalaali, gregorian, julianDay, weekday and source
+ */
+function eachDayOfHijriMonth(hy, hm) {
+  const { julianDay, length, startSource } = getHijriMonthSpan(hy, hm);
+  
+  return iterateDays(julianDay, julianDay + length - 1, day => ({
+    hy,
+    hm,
+    hd: day - julianDay + 1,
+    source: startSource
+  }));
+}
+
+/**
+ * Helper: Map a Hijri month onto a solar calendar
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @param {Function} fromJulian - Converts a Julian Day Number to a date of the solar calendar
+ * @returns {Object} Range object (see hijriMonthToGregorianRange)
+ */
+function hijriMonthToRange(hy, hm, fromJulian) {
+  const { julianDay, length, startSource, lengthSource } = getHijriMonthSpan(hy, hm);
+  const lastJulianDay = julianDay + length - 1;
+  
+  return {
+    hy,
+    hm,
+    days: length,
+    source: lengthSource,
+    start: createBoundary(fromJulian(julianDay), julianDay, startSource),
+    end: createBoundary(fromJulian(lastJulianDay), lastJulianDay, lengthSource)
+  };
+}
+
+/**
+ * Get the Gregorian days a Hijri month spans
+ * 
+ * The start comes from the month's first day and the end from its length;
+ * each boundary's source says whether that came from official data.
+ * 
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {Object} Object with hy, hm, days, source, and start and end ({ gy, gm, gd, julianDay, source })
+ */
+function hijriMonthToGregorianRange(hy, hm) {
+  return hijriMonthToRange(hy, hm, utils.julianToGregorian);
+}
+
+/**
+ * Get the Jalaali days a Hijri month spans
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {Object} Object with hy, hm, days, source, and start and end ({ jy, jm, jd, julianDay, source })
+ */
+function hijriMonthToJalaaliRange(hy, hm) {
+  return hijriMonthToRange(hy, hm, utils.julianToJalaali);
+}
+
+/**
+ * Helper: Map a run of solar days onto the Hijri calendar
+ * @param {number} firstJulianDay - Julian Day Number of the first day
+ * @param {number} lastJulianDay - Julian Day Number of the last day
+ * @returns {Object} Object with days, start, end and months
+ */
+function solarDaysToHijriRange(firstJulianDay, lastJulianDay) {
+  const first = conversion.julianToHijri(firstJulianDay);
+  const last = conversion.julianToHijri(lastJulianDay);
+  
+  return {
+    days: lastJulianDay - firstJulianDay + 1,
+    start: createBoundary({ hy: first.hy, hm: first.hm, hd: first.hd }, firstJulianDay, first.source),
+    end: createBoundary({ hy: last.hy, hm: last.hm, hd: last.hd }, lastJulianDay, last.source),
+    months: getOverlappingHijriMonths(firstJulianDay, lastJulianDay)
+  };
+}
+
+/**
+ * Get the Hijri days a Jalaali month spans and the Hijri months it overlaps
+ * @param {number} jy - Jalaali year
+ * @param {number} jm - Jalaali month (1-12)
+ * @returns {Object} Object with jy, jm, days, start and end ({ hy, hm, hd, julianDay, source }) and
+ *   months ({ hy, hm, length, from, to, days, source } for each overlapping Hijri month)
+ */
+function jalaaliMonthToHijriRange(jy, jm) {
+  if (!utils.isValidJalaaliDate(jy, jm, 1)) {
+    throw new Error(`Invalid Jalaali month: ${jy}/${jm}`);
+  }
+  
+  const firstJulianDay = utils.jalaaliToJulian(jy, jm, 1);
+  const lastJulianDay = firstJulianDay + utils.getJalaaliMonthDays(jy, jm) - 1;
+  return Object.assign({ jy, jm }, solarDaysToHijriRange(firstJulianDay, lastJulianDay));
+}
+
+/**
+ * Get the Hijri days a Gregorian month spans and the Hijri months it overlaps
+ * @param {number} gy - Gregorian year
+ * @param {number} gm - Gregorian month (1-12)
+ * @returns {Object} Object with gy, gm, days, start, end and months (see jalaaliMonthToHijriRange)
+ */
+function gregorianMonthToHijriRange(gy, gm) {
+  if (!utils.isValidGregorianDate(gy, gm, 1)) {
+    throw new Error(`Invalid Gregorian month: ${gy}/${gm}`);
+  }
+  
+  const firstJulianDay = utils.gregorianToJulian(gy, gm, 1);
+  const lastJulianDay = firstJulianDay + utils.getGregorianMonthDays(gy, gm) - 1;
+  return Object.assign({ gy, gm }, solarDaysToHijriRange(firstJulianDay, lastJulianDay));
+}
+
+module.exports = {
+  eachDay,
+  eachDayOfHijriMonth,
+  hijriMonthToGregorianRange,
+  hijriMonthToJalaaliRange,
+  jalaaliMonthToHijriRange,
+  gregorianMonthToHijriRange
+};
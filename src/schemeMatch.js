@@ -0,0 +1,108 @@
+/**
+ * Tabular Scheme Matching
+ * 
+ * Compares a provider's month starts with each tabular scheme (see
+ * tabular.js), to find the arithmetic calendar that agrees best with a
+ * stretch of official data, e.g. when choosing the fallback for dates the
+ * data does not cover, or when identifying the scheme behind another
+ * system's dates.
+ */
+
+const conversion = require('./conversion');
+const monthIndex = require('./monthIndex');
+const tabular = require('./tabular');
+
+/**
+ * Helper: Compare the placed months of an index with one scheme
+ * @param {Array<Object>} months - Months with hy, hm, julianDay (first day) and length
+ * @param {string} scheme - Tabular scheme name
+ * @returns {Object} Object with scheme, matchingStarts, matchingLengths, meanOffset,
+ *   meanAbsoluteOffset and maxAbsoluteOffset
+ */
+function compareScheme(months, scheme) {
+  let matchingStarts = 0;
+  let matchingLengths = 0;
+  let offsetSum = 0;
+  let absoluteOffsetSum = 0;
+  let maxAbsoluteOffset = 0;
+  
+  months.forEach(({ hy, hm, julianDay, length }) => {
+    // Positive offsets: the scheme starts the month later than the data
+    const offset = tabular.hijriToJulianTabular(hy, hm, 1, scheme) - julianDay;
+    if (offset === 0) {
+      matchingStarts++;
+    }
+    if (tabular.getTabularMonthLength(hy, hm, scheme) === length) {
+      matchingLengths++;
+    }
+    offsetSum += offset;
+    absoluteOffsetSum += Math.abs(offset);
+    maxAbsoluteOffset = Math.max(maxAbsoluteOffset, Math.abs(offset));
+  });
+  
+  return {
+    scheme,
+    matchingStarts,
+    matchingLengths,
+    meanOffset: months.length ? offsetSum / months.length : 0,
+    meanAbsoluteOffset: months.length ? absoluteOffsetSum / months.length : 0,
+    maxAbsoluteOffset
+  };
+}
+
+/**
+ * Rank the tabular schemes by how well they match a provider's month starts
+ * 
+ * Schemes are ranked by the number of months whose first day they get right,
+ * then by the mean distance of their month starts from the data's.
+ * 
+ * @param {Object} [options] - Matching options
+ * @param {Object} [options.provider] - Data provider; defaults to the bundled Iranian data with its overrides
+ * @param {Object} [options.from] - First month to compare ({ hy, hm }); defaults to the start of the data
+ * @param {Object} [options.to] - Last month to compare ({ hy, hm }); defaults to the end of the data
+ * @param {Array<string>} [options.schemes] - Scheme names to compare; defaults to all
+ * @returns {Object} Object with provider, from, to, months (compared), best (scheme name, or null
+ *   without months to compare) and schemes (ranked results of each scheme: scheme, matchingStarts,
+ *   matchingLengths, meanOffset, meanAbsoluteOffset, maxAbsoluteOffset)
+ */
+function findBestTabularScheme(options = {}) {
+  const {
+    provider = conversion.overrides.provider,
+    schemes = Object.keys(tabular.TABULAR_SCHEMES)
+  } = options;
+  schemes.forEach(scheme => tabular.getTabularScheme(scheme));
+  
+  const index = monthIndex.createMonthIndex(provider);
+  const placed = index ? index.monthNumbers : [];
+  const from = options.from ? monthIndex.toMonthNumber(options.from.hy, options.from.hm) : -Infinity;
+  const to = options.to ? monthIndex.toMonthNumber(options.to.hy, options.to.hm) : Infinity;
+  if (from > to) {
+    throw new Error('Invalid range: from is after to');
+  }
+  
+  // Placed months only: months in gaps have no official start to compare
+  const months = [];
+  placed.forEach((monthNumber, position) => {
+    if (monthNumber >= from && monthNumber <= to) {
+      const { hy, hm } = monthIndex.fromMonthNumber(monthNumber);
+      months.push({ hy, hm, julianDay: index.starts[position], length: index.lengths[position] });
+    }
+  });
+  
+  const results = schemes
+    .map(scheme => compareScheme(months, scheme))
+    .sort((a, b) => b.matchingStarts - a.matchingStarts || a.meanAbsoluteOffset - b.meanAbsoluteOffset);
+  
+  return {
+    provider: provider.name,
+    from: months.length ? { hy: months[0].hy, hm: months[0].hm } : null,
+    to: months.length ? { hy: months[months.length - 1].hy, hm: months[months.length - 1].hm } : null,
+    months: months.length,
+    best: months.length ? results[0].scheme : null,
+    schemes: results
+  };
+}
+
+module.exports = {
+  findBestTabularScheme
+};
@@ -9,6 +9,20 @@
  * - 11 years are "leap" with 355 days (an extra day in Dhul-Hijjah, the 12th month)
  * 
  * Leap years in the cycle: 2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29
+ * 
+ * That is the most common variant, and the default. Other systems place the
+ * leap years differently or count from a day earlier, so the variants are
+ * available as named schemes, '<leap pattern>-<epoch>':
+ * 
+ * - leap15: 2, 5, 7, 10, 13, 15, 18, 21, 24, 26, 29
+ * - leap16: 2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29 (the default)
+ * - indian: 2, 5, 8, 10, 13, 16, 19, 21, 24, 27, 29
+ * - habash: 2, 5, 8, 11, 13, 16, 19, 21, 24, 27, 30 (Habash al-Hasib)
+ * 
+ * - civil: 1 Muharram 1 AH is Friday, July 16, 622 (Julian calendar)
+ * - astronomical: 1 Muharram 1 AH is Thursday, July 15, 622
+ * 
+ * Every function takes an optional scheme name as its last argument.
  */
 
 // Hijri epoch: July 19, 622 CE (Gregorian) - Using Iranian convention to match Bahesab
@@ -18,6 +32,50 @@ const HIJRI_EPOCH = 1948440; // Julian Day Number for 1 Muharram 1 AH
 // 30-year cycle: leap years (1-indexed within each 30-year cycle)
 const LEAP_YEARS_IN_CYCLE = [2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29];
 
+// Leap year patterns of the 30-year cycle
+const LEAP_PATTERNS = {
+  leap15: [2, 5, 7, 10, 13, 15, 18, 21, 24, 26, 29],
+  leap16: LEAP_YEARS_IN_CYCLE,
+  indian: [2, 5, 8, 10, 13, 16, 19, 21, 24, 27, 29],
+  habash: [2, 5, 8, 11, 13, 16, 19, 21, 24, 27, 30]
+};
+
+// Julian Day Number of 1 Muharram 1 AH per epoch
+const EPOCHS = {
+  civil: HIJRI_EPOCH,
+  astronomical: HIJRI_EPOCH - 1
+};
+
+const DEFAULT_SCHEME = 'leap16-civil';
+
+// Every combination of leap pattern and epoch, e.g. 'indian-astronomical'
+const TABULAR_SCHEMES = {};
+Object.keys(LEAP_PATTERNS).forEach(pattern => {
+  Object.keys(EPOCHS).forEach(epoch => {
+    const name = `${pattern}-${epoch}`;
+    TABULAR_SCHEMES[name] = Object.freeze({
+      name,
+      leapYears: Object.freeze(LEAP_PATTERNS[pattern].slice()),
+      epoch,
+      epochJulianDay: EPOCHS[epoch]
+    });
+  });
+});
+Object.freeze(TABULAR_SCHEMES);
+
+/**
+ * Get a tabular scheme by name
+ * @param {string} [name='leap16-civil'] - Scheme name, e.g. 'leap15-astronomical'
+ * @returns {Object} Object with name, leapYears, epoch ('civil' or 'astronomical') and epochJulianDay
+ */
+function getTabularScheme(name = DEFAULT_SCHEME) {
+  const scheme = TABULAR_SCHEMES[name];
+  if (!scheme) {
+    throw new Error(`Unknown tabular scheme: ${name} (expected one of ${Object.keys(TABULAR_SCHEMES).join(', ')})`);
+  }
+  return scheme;
+}
+
 // Month lengths in tabular calendar
 // First 11 months alternate between 30 and 29 days
 // 12th month is 29 days (30 in leap years)
@@ -26,20 +84,22 @@ const TABULAR_MONTH_LENGTHS = [30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29];
 /**
  * Check if a Hijri year is a leap year in the tabular system
  * @param {number} year - Hijri year
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {boolean} True if leap year
  */
-function isTabularLeapYear(year) {
+function isTabularLeapYear(year, scheme) {
   const yearInCycle = ((year - 1) % 30) + 1;
-  return LEAP_YEARS_IN_CYCLE.includes(yearInCycle);
+  return getTabularScheme(scheme).leapYears.includes(yearInCycle);
 }
 
 /**
  * Get the number of days in a specific Hijri month using tabular calculation
  * @param {number} year - Hijri year
  * @param {number} month - Hijri month (1-12)
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {number} Number of days (29 or 30)
  */
-function getTabularMonthLength(year, month) {
+function getTabularMonthLength(year, month, scheme) {
   if (month < 1 || month > 12) {
     throw new Error('Invalid month: must be between 1 and 12');
   }
@@ -50,16 +110,17 @@ function getTabularMonthLength(year, month) {
   }
   
   // For month 12 (Dhul-Hijjah), check if it's a leap year
-  return isTabularLeapYear(year) ? 30 : 29;
+  return isTabularLeapYear(year, scheme) ? 30 : 29;
 }
 
 /**
  * Get the total number of days in a Hijri year using tabular calculation
  * @param {number} year - Hijri year
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {number} Total days in year (354 or 355)
  */
-function getTabularYearLength(year) {
-  return isTabularLeapYear(year) ? 355 : 354;
+function getTabularYearLength(year, scheme) {
+  return isTabularLeapYear(year, scheme) ? 355 : 354;
 }
 
 /**
@@ -67,9 +128,10 @@ function getTabularYearLength(year) {
  * @param {number} year - Hijri year
  * @param {number} month - Hijri month (1-12)
  * @param {number} day - Hijri day (1-30)
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {number} Total days from epoch
  */
-function getDaysFromEpochTabular(year, month, day) {
+function getDaysFromEpochTabular(year, month, day, scheme) {
   if (year < 1 || year > 5000) {
     throw new Error('Year must be between 1 and 5000');
   }
@@ -86,12 +148,12 @@ function getDaysFromEpochTabular(year, month, day) {
   // Add days for remaining years in the incomplete cycle
   const remainingYears = completeYears % 30;
   for (let y = 1; y <= remainingYears; y++) {
-    totalDays += getTabularYearLength(y);
+    totalDays += getTabularYearLength(y, scheme);
   }
   
   // Add days for complete months in the target year
   for (let m = 1; m < month; m++) {
-    totalDays += getTabularMonthLength(year, m);
+    totalDays += getTabularMonthLength(year, m, scheme);
   }
   
   // Add the days in the current month
@@ -103,9 +165,10 @@ function getDaysFromEpochTabular(year, month, day) {
 /**
  * Convert days from Hijri epoch to a Hijri date
  * @param {number} daysFromEpoch - Number of days from Hijri epoch
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {Object} Object with hy, hm, hd properties
  */
-function daysFromEpochToHijri(daysFromEpoch) {
+function daysFromEpochToHijri(daysFromEpoch, scheme) {
   let remainingDays = daysFromEpoch;
   
   // Calculate the number of complete 30-year cycles
@@ -115,15 +178,15 @@ function daysFromEpochToHijri(daysFromEpoch) {
   
   // Find the year within the current cycle
   let year = completeCycles * 30 + 1;
-  while (remainingDays >= getTabularYearLength(year)) {
-    remainingDays -= getTabularYearLength(year);
+  while (remainingDays >= getTabularYearLength(year, scheme)) {
+    remainingDays -= getTabularYearLength(year, scheme);
     year++;
   }
   
   // Find the month within the year
   let month = 1;
-  while (month <= 12 && remainingDays >= getTabularMonthLength(year, month)) {
-    remainingDays -= getTabularMonthLength(year, month);
+  while (month <= 12 && remainingDays >= getTabularMonthLength(year, month, scheme)) {
+    remainingDays -= getTabularMonthLength(year, month, scheme);
     month++;
   }
   
@@ -138,31 +201,36 @@ function daysFromEpochToHijri(daysFromEpoch) {
  * @param {number} year - Hijri year
  * @param {number} month - Hijri month (1-12)
  * @param {number} day - Hijri day (1-30)
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {number} Julian Day Number
  */
-function hijriToJulianTabular(year, month, day) {
-  const daysFromEpoch = getDaysFromEpochTabular(year, month, day);
-  return HIJRI_EPOCH + daysFromEpoch;
+function hijriToJulianTabular(year, month, day, scheme) {
+  const daysFromEpoch = getDaysFromEpochTabular(year, month, day, scheme);
+  return getTabularScheme(scheme).epochJulianDay + daysFromEpoch;
 }
 
 /**
  * Convert a Julian Day Number to Hijri date using tabular calculation
  * @param {number} julianDay - Julian Day Number
+ * @param {string} [scheme='leap16-civil'] - Tabular scheme
  * @returns {Object} Object with hy, hm, hd properties
  */
-function julianToHijriTabular(julianDay) {
-  const daysFromEpoch = julianDay - HIJRI_EPOCH;
+function julianToHijriTabular(julianDay, scheme) {
+  const daysFromEpoch = julianDay - getTabularScheme(scheme).epochJulianDay;
   
   if (daysFromEpoch < 0) {
     throw new Error('Julian Day is before Hijri epoch');
   }
   
-  return daysFromEpochToHijri(daysFromEpoch);
+  return daysFromEpochToHijri(daysFromEpoch, scheme);
 }
 
 module.exports = {
   HIJRI_EPOCH,
   LEAP_YEARS_IN_CYCLE,
+  DEFAULT_SCHEME,
+  TABULAR_SCHEMES,
+  getTabularScheme,
   isTabularLeapYear,
   getTabularMonthLength,
   getTabularYearLength,
@@ -0,0 +1,106 @@
+/**
+ * Umm al-Qura Calendar
+ * 
+ * Saudi Arabia's Umm al-Qura calendar as a data provider, with the month
+ * lengths read from the Intl API's 'islamic-umalqura' calendar. ICU keeps the
+ * Umm al-Qura table for Hijri years 1300-1600 (1882-2174 CE) and only
+ * approximates other years arithmetically, so the provider covers exactly
+ * those years. The table is read on first use; runtimes built without full
+ * ICU data lack the calendar, and getUmmAlQuraProvider then throws.
+ */
+
+const utils = require('./utils');
+const tabular = require('./tabular');
+const { createProvider } = require('./provider');
+
+const UMM_AL_QURA_RANGE = Object.freeze({ minYear: 1300, maxYear: 1600 });
+
+const INTL_CALENDAR = 'islamic-umalqura';
+
+// Provider built on first use
+let provider = null;
+
+/**
+ * Helper: Get the formatter that reads Umm al-Qura dates
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter() {
+  const formatter = new Intl.DateTimeFormat(`en-u-ca-${INTL_CALENDAR}`, {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  });
+  if (formatter.resolvedOptions().calendar !== INTL_CALENDAR) {
+    throw new Error(`The Umm al-Qura calendar needs Intl support for '${INTL_CALENDAR}' (full ICU data)`);
+  }
+  return formatter;
+}
+
+/**
+ * Helper: Read the Umm al-Qura date of a Julian Day
+ * @param {Intl.DateTimeFormat} formatter - Result of getFormatter
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object} Object with hy, hm, hd properties
+ */
+function readDate(formatter, julianDay) {
+  const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+  const parts = {};
+  formatter.formatToParts(new Date(Date.UTC(gy, gm - 1, gd, 12))).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  return { hy: parts.year, hm: parts.month, hd: parts.day };
+}
+
+/**
+ * Helper: Read the month lengths of the Umm al-Qura table
+ * @returns {Object} Object with anchorJulianDay (1 Muharram 1300) and data (year -> month lengths)
+ */
+function readTable() {
+  const formatter = getFormatter();
+  const { minYear, maxYear } = UMM_AL_QURA_RANGE;
+  
+  // The tabular calendar is within a few days of Umm al-Qura, so 1 Muharram is near its estimate
+  const estimate = tabular.hijriToJulianTabular(minYear, 1, 1);
+  let start = null;
+  for (let julianDay = estimate - 5; julianDay <= estimate + 5 && start === null; julianDay++) {
+    const { hy, hm, hd } = readDate(formatter, julianDay);
+    if (hy === minYear && hm === 1 && hd === 1) {
+      start = julianDay;
+    }
+  }
+  if (start === null) {
+    throw new Error(`Could not find 1 Muharram ${minYear} in the Intl '${INTL_CALENDAR}' calendar`);
+  }
+  
+  // A month has 30 days exactly when its 30th day is not the first of the next month
+  const data = {};
+  let julianDay = start;
+  for (let hy = minYear; hy <= maxYear; hy++) {
+    data[hy] = [];
+    for (let hm = 1; hm <= 12; hm++) {
+      const length = readDate(formatter, julianDay + 29).hd === 1 ? 29 : 30;
+      data[hy].push(length);
+      julianDay += length;
+    }
+  }
+  
+  return { anchorJulianDay: start, data };
+}
+
+/**
+ * Get the Umm al-Qura calendar as a data provider
+ * @returns {Object} Provider named 'umm-al-qura', covering Hijri years 1300-1600
+ */
+function getUmmAlQuraProvider() {
+  if (!provider) {
+    const { anchorJulianDay, data } = readTable();
+    provider = createProvider({ name: 'umm-al-qura', data, anchorJulianDay });
+  }
+  return provider;
+}
+
+module.exports = {
+  UMM_AL_QURA_RANGE,
+  getUmmAlQuraProvider
+};
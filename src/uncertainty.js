@@ -0,0 +1,232 @@
+/**
+ * Confidence and Uncertainty
+ * 
+ * Says how far to trust a conversion result. Dates from the provider's data
+ * (official or override) are exact. Dates the provider lacks come from the
+ * astronomical prediction or the tabular calendar, which start months a day
+ * or two early or late; how much is measured against the provider's own
+ * months, by comparing the month starts each tier gives for them with the
+ * real ones. The spread of those errors becomes the uncertainty window of a
+ * result: the earliest and latest dates the true date may be.
+ * 
+ * The errors were measured in the era of the data, so a date more than a
+ * tabular cycle (30 years) from the nearest month of the data gets a day of
+ * extra margin on each side and low confidence.
+ */
+
+const tabular = require('./tabular');
+
+// Months from the nearest provider month beyond which results get low confidence and a wider window
+const DISTANT_MONTHS = 360;
+
+// Window used when the provider has no months to measure errors against
+const UNMEASURED_ERROR = Object.freeze({ min: -2, max: 2 });
+
+/**
+ * Helper: Widen an error range so it includes zero
+ * @param {number} min - Smallest error seen
+ * @param {number} max - Largest error seen
+ * @returns {Object} Object with min (at most 0) and max (at least 0)
+ */
+function toErrorRange(min, max) {
+  return { min: Math.min(min, 0), max: Math.max(max, 0) };
+}
+
+/**
+ * Create the uncertainty estimates for a converter's core conversion
+ * @param {Object} core - Result of conversion.createConversion
+ * @returns {Object} Object with getErrorRanges() and describe(julianDay, hijri, fromJulian)
+ */
+function createUncertainty(core) {
+  // Placed months and measured errors, rebuilt when the core's month index changes
+  let placedIndex;
+  let placed = null;
+  let errors = null;
+  
+  /**
+   * Helper: Get the placed segments as month number ranges
+   * @returns {Array<Object>} Segments with firstMonth and endMonth
+   */
+  function getPlacedMonths() {
+    const currentIndex = core.getMonthIndex();
+    if (placed && placedIndex === currentIndex) {
+      return placed;
+    }
+    
+    placed = (currentIndex ? currentIndex.segments : [])
+      .filter(segment => segment.placed)
+      .map(segment => {
+        const firstMonth = segment.start.hy * 12 + segment.start.hm - 1;
+        return { firstMonth, endMonth: firstMonth + segment.months };
+      });
+    placedIndex = currentIndex;
+    errors = null;
+    return placed;
+  }
+  
+  /**
+   * Measure how far the astronomical and tabular tiers start the provider's months from their real starts
+   * 
+   * A positive error means the tier starts the month late.
+   * 
+   * @returns {Object} Object with months (the number measured), tabular and astronomical
+   *   ({ min, max } in days, including zero; astronomical is null without an astronomical tier)
+   */
+  function getErrorRanges() {
+    const segments = getPlacedMonths();
+    if (errors) {
+      return errors;
+    }
+    
+    const calendar = core.astronomicalCalendar;
+    const tabularErrors = { min: Infinity, max: -Infinity };
+    const astronomicalErrors = { min: Infinity, max: -Infinity };
+    let months = 0;
+    
+    segments.forEach(({ firstMonth, endMonth }) => {
+      for (let monthNumber = firstMonth; monthNumber < endMonth; monthNumber++) {
+        const hy = Math.floor(monthNumber / 12);
+        const hm = (monthNumber % 12) + 1;
+        const { julianDay } = core.hijriToJulian(hy, hm, 1);
+        months++;
+        
+        const tabularError = tabular.hijriToJulianTabular(hy, hm, 1, core.tabularScheme) - julianDay;
+        tabularErrors.min = Math.min(tabularErrors.min, tabularError);
+        tabularErrors.max = Math.max(tabularErrors.max, tabularError);
+        
+        if (calendar && calendar.coversYear(hy)) {
+          const astronomicalError = calendar.getMonthPrediction(hy, hm).julianDay - julianDay;
+          astronomicalErrors.min = Math.min(astronomicalErrors.min, astronomicalError);
+          astronomicalErrors.max = Math.max(astronomicalErrors.max, astronomicalError);
+        }
+      }
+    });
+    
+    // Predictions with nothing to measure against are as uncertain as the tabular calendar
+    const tabularRange = months > 0 ? toErrorRange(tabularErrors.min, tabularErrors.max) : UNMEASURED_ERROR;
+    const astronomicalRange = astronomicalErrors.min <= astronomicalErrors.max
+      ? toErrorRange(astronomicalErrors.min, astronomicalErrors.max)
+      : tabularRange;
+    
+    errors = {
+      months,
+      tabular: tabularRange,
+      astronomical: calendar ? astronomicalRange : null
+    };
+    return errors;
+  }
+  
+  /**
+   * Helper: Count the months between a Hijri month and the nearest month of the provider's data
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @returns {number} Number of months (Infinity if the provider has no placed months)
+   */
+  function getDistance(hy, hm) {
+    const monthNumber = hy * 12 + hm - 1;
+    
+    return getPlacedMonths().reduce((nearest, { firstMonth, endMonth }) => {
+      if (monthNumber < firstMonth) {
+        return Math.min(nearest, firstMonth - monthNumber);
+      }
+      if (monthNumber >= endMonth) {
+        return Math.min(nearest, monthNumber - endMonth + 1);
+      }
+      return 0;
+    }, Infinity);
+  }
+  
+  // Estimate of the last month described, reused while results stay in that month
+  let lastMonth = null;
+  
+  /**
+   * Helper: Get the error range, margin and length of a month the provider lacks
+   * @param {number} hy - Hijri year
+   * @param {number} hm - Hijri month (1-12)
+   * @param {string} source - Source of the month ('astronomical' or 'tabular')
+   * @returns {Object} Object with hy, hm, source, range ({ min, max }), distant and length
+   */
+  function getMonthEstimate(hy, hm, source) {
+    const segments = getPlacedMonths();
+    if (lastMonth && lastMonth.segments === segments &&
+        lastMonth.hy === hy && lastMonth.hm === hm && lastMonth.source === source) {
+      return lastMonth;
+    }
+    
+    const errors = getErrorRanges();
+    lastMonth = {
+      hy,
+      hm,
+      source,
+      segments,
+      range: errors[source] || errors.tabular,
+      distant: getDistance(hy, hm) > DISTANT_MONTHS,
+      length: core.getHijriMonthLength(hy, hm).length
+    };
+    return lastMonth;
+  }
+  
+  /**
+   * Describe the confidence and uncertainty window of a conversion result
+   * 
+   * The window is given in the result's calendar: before and after are the
+   * days the true date may lie before and after the result, and earliest
+   * and latest the dates at either end. approximate is true whenever the
+   * window is not empty.
+   * 
+   * @param {number} julianDay - Julian Day Number of the converted day
+   * @param {Object} hijri - Hijri date of the day with its source ({ hy, hm, hd, source })
+   * @param {Function|null} fromJulian - Converts a Julian Day Number to a date of the result's
+   *   calendar; null when the result is the Hijri date
+   * @returns {Object} Object with confidence ('high', 'medium' or 'low') and uncertainty
+   *   ({ before, after, earliest, latest, approximate })
+   */
+  function describe(julianDay, hijri, fromJulian) {
+    if (hijri.source === 'official' || hijri.source === 'override') {
+      const earliest = fromJulian ? fromJulian(julianDay) : { hy: hijri.hy, hm: hijri.hm, hd: hijri.hd };
+      const latest = fromJulian ? fromJulian(julianDay) : { hy: hijri.hy, hm: hijri.hm, hd: hijri.hd };
+      return {
+        confidence: 'high',
+        uncertainty: { before: 0, after: 0, earliest, latest, approximate: false }
+      };
+    }
+    
+    const month = getMonthEstimate(hijri.hy, hijri.hm, hijri.source);
+    const margin = month.distant ? 1 : 0;
+    
+    // A month that starts late puts the Hijri date behind the true one, and the solar date ahead of it
+    const before = (fromJulian ? month.range.max : -month.range.min) + margin;
+    const after = (fromJulian ? -month.range.min : month.range.max) + margin;
+    
+    // Hijri days inside the result's month are counted from it; others need a conversion
+    const toDate = fromJulian || (day => {
+      const hd = hijri.hd + day - julianDay;
+      if (hd >= 1 && hd <= month.length) {
+        return { hy: hijri.hy, hm: hijri.hm, hd };
+      }
+      const date = core.julianToHijri(day);
+      return { hy: date.hy, hm: date.hm, hd: date.hd };
+    });
+    
+    return {
+      confidence: month.distant ? 'low' : 'medium',
+      uncertainty: {
+        before,
+        after,
+        earliest: toDate(julianDay - before),
+        latest: toDate(julianDay + after),
+        approximate: before > 0 || after > 0
+      }
+    };
+  }
+  
+  return {
+    getErrorRanges,
+    describe
+  };
+}
+
+module.exports = {
+  DISTANT_MONTHS,
+  createUncertainty
+};
@@ -2,36 +2,61 @@
  * Utility functions for date conversions and validations
  */
 
+const locale = require('./locale');
+
 /**
- * Check if a Jalaali (Persian/Solar Hijri) year is a leap year
+ * Break years of the 2820-year Jalaali cycle approximation (valid for years -61 to 3177)
+ */
+const JALAALI_BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+
+/**
+ * Calculate leap status and the March day of Nowruz for a Jalaali year
  * @param {number} jy - Jalaali year
- * @returns {boolean} True if leap year
+ * @returns {Object} Object with leap (0 when leap year), gy and march properties
  */
-function isJalaaliLeapYear(jy) {
-  const breaks = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
-  let jp = breaks[0];
+function jalaaliCalendar(jy) {
+  const gy = jy + 621;
+  let leapJ = -14;
+  let jp = JALAALI_BREAKS[0];
   let jump = 0;
   
-  for (let i = 1; i < breaks.length; i++) {
-    const jm = breaks[i];
+  for (let i = 1; i < JALAALI_BREAKS.length; i++) {
+    const jm = JALAALI_BREAKS[i];
     jump = jm - jp;
     if (jy < jm) break;
+    leapJ += Math.floor(jump / 33) * 8 + Math.floor((jump % 33) / 4);
     jp = jm;
   }
   
   let n = jy - jp;
   
-  if (jump - n < 6) {
-    n = n - jump + ((jump + 4) - Math.floor((jump + 4) / 33) * 33);
+  // Leap years since the start of the cycle, and the matching Gregorian leap count
+  leapJ += Math.floor(n / 33) * 8 + Math.floor(((n % 33) + 3) / 4);
+  if ((jump % 33) === 4 && jump - n === 4) {
+    leapJ += 1;
   }
+  const leapG = Math.floor(gy / 4) - Math.floor((Math.floor(gy / 100) + 1) * 3 / 4) - 150;
+  const march = 20 + leapJ - leapG;
   
-  let aux = (Math.floor(((n + 1) % 33 - 1) / 4) - Math.floor((n + 1) / 33)) === 0 ? 1 : 0;
+  if (jump - n < 6) {
+    n = n - jump + Math.floor((jump + 4) / 33) * 33;
+  }
   
-  if ((n % 33) === 0 && aux === 0) {
-    aux = 1;
+  let leap = (((n + 1) % 33) - 1) % 4;
+  if (leap === -1) {
+    leap = 4;
   }
   
-  return aux === 1;
+  return { leap, gy, march };
+}
+
+/**
+ * Check if a Jalaali (Persian/Solar Hijri) year is a leap year
+ * @param {number} jy - Jalaali year
+ * @returns {boolean} True if leap year
+ */
+function isJalaaliLeapYear(jy) {
+  return jalaaliCalendar(jy).leap === 0;
 }
 
 /**
@@ -121,41 +146,13 @@ function isValidGregorianDate(year, month, day) {
  * @returns {number} Julian Day Number
  */
 function jalaaliToJulian(jy, jm, jd) {
-  const breaks = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
-  let jp = breaks[0];
-  let jump = 0;
-  
-  for (let i = 1; i < breaks.length; i++) {
-    const jm_val = breaks[i];
-    jump = jm_val - jp;
-    if (jy < jm_val) break;
-    jp = jm_val;
-  }
-  
-  let n = jy - jp;
+  const { gy, march } = jalaaliCalendar(jy);
   
-  if (jump - n < 6) {
-    n = n - jump + ((jump + 4) - Math.floor((jump + 4) / 33) * 33);
-  }
-  
-  let leap = (Math.floor(((n + 1) % 33 - 1) / 4) - Math.floor((n + 1) / 33)) === 0 ? 1 : 0;
-  
-  if ((n % 33) === 0 && leap === 0) {
-    leap = 1;
-  }
-  
-  const gy = jy + 621;
-  const march = leap === 1 ? 20 : 21;
-  
-  let sal = 0;
-  for (let i = 1; i < jm; i++) {
-    sal += getJalaaliMonthDays(jy, i);
-  }
+  // Julian Day of 1 Farvardin, then the days of the preceding months
+  const farvardin1 = gregorianToJulian(gy, 3, march);
+  const daysBeforeMonth = jm <= 7 ? (jm - 1) * 31 : (jm - 7) * 30 + 186;
   
-  const julianDay = Math.floor((gy - 1) * 365.25 + Math.floor((gy - 1) / 400) - Math.floor((gy - 1) / 100)) + 
-                    march + sal + jd + 1948321;
-  
-  return julianDay;
+  return farvardin1 + daysBeforeMonth + jd - 1;
 }
 
 /**
@@ -164,29 +161,24 @@ function jalaaliToJulian(jy, jm, jd) {
  * @returns {Object} Object with jy, jm, jd properties
  */
 function julianToJalaali(julianDay) {
-  let gy = Math.floor((julianDay - 1948321) / 365.25);
-  let sal1 = Math.floor((gy - 1) * 365.25 + Math.floor((gy - 1) / 400) - Math.floor((gy - 1) / 100)) + 1948321;
+  const gy = julianToGregorian(julianDay).gy;
+  let jy = gy - 621;
+  let { march } = jalaaliCalendar(jy);
+  let dayOfYear = julianDay - gregorianToJulian(gy, 3, march);
   
-  while (sal1 > julianDay) {
-    gy--;
-    sal1 = Math.floor((gy - 1) * 365.25 + Math.floor((gy - 1) / 400) - Math.floor((gy - 1) / 100)) + 1948321;
+  // Before Nowruz the date belongs to the previous Jalaali year
+  if (dayOfYear < 0) {
+    jy--;
+    march = jalaaliCalendar(jy).march;
+    dayOfYear = julianDay - gregorianToJulian(gy - 1, 3, march);
   }
   
-  const jy = gy - 621;
-  const march = isJalaaliLeapYear(jy) ? 20 : 21;
-  const farvardin1 = Math.floor((gy - 1) * 365.25 + Math.floor((gy - 1) / 400) - Math.floor((gy - 1) / 100)) + march + 1948321;
-  
-  let dayOfYear = julianDay - farvardin1 + 1;
-  
-  let jm = 1;
-  while (jm <= 12) {
-    const monthDays = getJalaaliMonthDays(jy, jm);
-    if (dayOfYear <= monthDays) break;
-    dayOfYear -= monthDays;
-    jm++;
+  if (dayOfYear < 186) {
+    return { jy, jm: Math.floor(dayOfYear / 31) + 1, jd: (dayOfYear % 31) + 1 };
   }
   
-  return { jy, jm, jd: dayOfYear };
+  dayOfYear -= 186;
+  return { jy, jm: Math.floor(dayOfYear / 30) + 7, jd: (dayOfYear % 30) + 1 };
 }
 
 /**
@@ -248,23 +240,36 @@ function gregorianToJalaali(gy, gm, gd) {
   return julianToJalaali(julianDay);
 }
 
+/**
+ * Convert a Jalaali or Gregorian date object to a Julian Day Number
+ * @param {Object} date - Object with jy, jm, jd or gy, gm, gd properties
+ * @returns {number} Julian Day Number
+ */
+function solarDateToJulian(date) {
+  if (date && date.jy !== undefined) {
+    if (!isValidJalaaliDate(date.jy, date.jm, date.jd)) {
+      throw new Error(`Invalid Jalaali date: ${date.jy}/${date.jm}/${date.jd}`);
+    }
+    return jalaaliToJulian(date.jy, date.jm, date.jd);
+  }
+  
+  if (date && date.gy !== undefined) {
+    if (!isValidGregorianDate(date.gy, date.gm, date.gd)) {
+      throw new Error(`Invalid Gregorian date: ${date.gy}/${date.gm}/${date.gd}`);
+    }
+    return gregorianToJulian(date.gy, date.gm, date.gd);
+  }
+  
+  throw new Error('Expected a Jalaali { jy, jm, jd } or Gregorian { gy, gm, gd } date');
+}
+
 /**
  * Get Arabic weekday name from Julian Day Number
  * @param {number} julianDay - Julian Day Number
  * @returns {string} Arabic weekday name
  */
 function getArabicWeekday(julianDay) {
-  const arabicDays = [
-    'الاثنين',     // Monday (JD % 7 = 0)
-    'الثلاثاء',    // Tuesday
-    'الأربعاء',    // Wednesday
-    'الخميس',      // Thursday
-    'الجمعة',      // Friday
-    'السبت',       // Saturday
-    'الأحد'        // Sunday
-  ];
-  
-  return arabicDays[julianDay % 7];
+  return locale.WEEKDAY_NAMES.ar[getWeekdayNumber(julianDay)];
 }
 
 /**
@@ -273,17 +278,7 @@ function getArabicWeekday(julianDay) {
  * @returns {string} Persian weekday name
  */
 function getPersianWeekday(julianDay) {
-  const persianDays = [
-    'دوشنبه',      // Monday (JD % 7 = 0)
-    'سه‌شنبه',     // Tuesday
-    'چهارشنبه',    // Wednesday
-    'پنج‌شنبه',    // Thursday
-    'جمعه',        // Friday
-    'شنبه',        // Saturday
-    'یکشنبه'       // Sunday
-  ];
-  
-  return persianDays[julianDay % 7];
+  return locale.WEEKDAY_NAMES.fa[getWeekdayNumber(julianDay)];
 }
 
 /**
@@ -292,17 +287,7 @@ function getPersianWeekday(julianDay) {
  * @returns {string} English weekday name
  */
 function getEnglishWeekday(julianDay) {
-  const englishDays = [
-    'Monday',      // JD % 7 = 0
-    'Tuesday',
-    'Wednesday',
-    'Thursday',
-    'Friday',
-    'Saturday',
-    'Sunday'
-  ];
-  
-  return englishDays[julianDay % 7];
+  return locale.WEEKDAY_NAMES.en[getWeekdayNumber(julianDay)];
 }
 
 /**
@@ -328,6 +313,7 @@ module.exports = {
   julianToGregorian,
   jalaaliToGregorian,
   gregorianToJalaali,
+  solarDateToJulian,
   getArabicWeekday,
   getPersianWeekday,
   getEnglishWeekday,
@@ -0,0 +1,191 @@
+/**
+ * Hijri Calendar Variants
+ * 
+ * Converts Hijri dates between the systems that name the same day
+ * differently: the Iranian calendar ('iran': the official data with its
+ * runtime overrides, then the tabular calendar), Saudi Arabia's Umm al-Qura
+ * calendar ('umm-al-qura', Hijri years 1300-1600; see ummAlQura.js) and the
+ * tabular calendar ('tabular', any scheme of tabular.js).
+ * 
+ * A month's offset is the number of days its first day falls later in the
+ * target system than in the source system. 1 Ramadan 1447 began a day
+ * earlier in Saudi Arabia than in Iran, so converting any day of it from
+ * 'iran' to 'umm-al-qura' gives an offset of -1.
+ */
+
+const utils = require('./utils');
+const tabular = require('./tabular');
+const conversion = require('./conversion');
+const { UMM_AL_QURA_RANGE, getUmmAlQuraProvider } = require('./ummAlQura');
+
+const VARIANTS = ['iran', 'umm-al-qura', 'tabular'];
+
+// Conversion functions for the Umm al-Qura provider, created on first use
+let ummAlQuraConversion = null;
+
+/**
+ * Helper: Get the conversion functions of the Umm al-Qura calendar
+ * @returns {Object} Result of createConversion for the Umm al-Qura provider
+ */
+function getUmmAlQuraConversion() {
+  if (!ummAlQuraConversion) {
+    ummAlQuraConversion = conversion.createConversion(getUmmAlQuraProvider());
+  }
+  return ummAlQuraConversion;
+}
+
+/**
+ * Helper: Check that a Hijri year is in the Umm al-Qura table
+ * @param {number} hy - Hijri year
+ */
+function assertUmmAlQuraYear(hy) {
+  if (hy < UMM_AL_QURA_RANGE.minYear || hy > UMM_AL_QURA_RANGE.maxYear) {
+    throw new Error(
+      `Umm al-Qura dates are only available for Hijri years ${UMM_AL_QURA_RANGE.minYear} to ${UMM_AL_QURA_RANGE.maxYear}, not ${hy}`
+    );
+  }
+}
+
+/**
+ * Helper: Get the month starts, month lengths and day conversion of a variant
+ * @param {string} name - 'iran', 'umm-al-qura' or 'tabular'
+ * @param {string} [scheme] - Tabular scheme of the 'tabular' variant
+ * @returns {Object} Object with getMonthStart, getMonthLength and fromJulian, each result with a source
+ */
+function getVariant(name, scheme) {
+  if (name === 'iran') {
+    return {
+      getMonthStart: (hy, hm) => conversion.hijriToJulian(hy, hm, 1),
+      getMonthLength: conversion.getHijriMonthLength,
+      fromJulian: julianDay => {
+        const { hy, hm, hd, source } = conversion.julianToHijri(julianDay);
+        return { hy, hm, hd, source };
+      }
+    };
+  }
+  
+  if (name === 'umm-al-qura') {
+    return {
+      getMonthStart: (hy, hm) => {
+        assertUmmAlQuraYear(hy);
+        return { julianDay: getUmmAlQuraConversion().hijriToJulian(hy, hm, 1).julianDay, source: name };
+      },
+      getMonthLength: (hy, hm) => {
+        assertUmmAlQuraYear(hy);
+        return { length: getUmmAlQuraConversion().getHijriMonthLength(hy, hm).length, source: name };
+      },
+      fromJulian: julianDay => {
+        const { hy, hm, hd } = getUmmAlQuraConversion().julianToHijri(julianDay);
+        assertUmmAlQuraYear(hy);
+        return { hy, hm, hd, source: name };
+      }
+    };
+  }
+  
+  if (name === 'tabular') {
+    tabular.getTabularScheme(scheme);
+    return {
+      getMonthStart: (hy, hm) => ({ julianDay: tabular.hijriToJulianTabular(hy, hm, 1, scheme), source: name }),
+      getMonthLength: (hy, hm) => ({ length: tabular.getTabularMonthLength(hy, hm, scheme), source: name }),
+      fromJulian: julianDay => Object.assign(tabular.julianToHijriTabular(julianDay, scheme), { source: name })
+    };
+  }
+  
+  throw new Error(`Unknown Hijri calendar variant: ${name} (expected ${VARIANTS.join(', ')})`);
+}
+
+/**
+ * Helper: Describe the first day of a month in one variant
+ * @param {Object} variant - Result of getVariant
+ * @param {number} hy - Hijri year
+ * @param {number} hm - Hijri month (1-12)
+ * @returns {Object} Object with julianDay, gregorian, length and source
+ */
+function describeMonthStart(variant, hy, hm) {
+  const { julianDay, source } = variant.getMonthStart(hy, hm);
+  return {
+    julianDay,
+    gregorian: utils.julianToGregorian(julianDay),
+    length: variant.getMonthLength(hy, hm).length,
+    source
+  };
+}
+
+/**
+ * Convert a Hijri date from one calendar variant to another
+ * @param {Object} date - Object with hy, hm, hd properties, a date of the from variant
+ * @param {Object} [options] - Options
+ * @param {string} [options.from='iran'] - Variant of the date: 'iran', 'umm-al-qura' or 'tabular'
+ * @param {string} [options.to='umm-al-qura'] - Variant to convert to
+ * @param {string} [options.scheme='leap16-civil'] - Tabular scheme of the 'tabular' variant
+ * @returns {Object} The same day in the to variant: hy, hm, hd, source, variant, julianDay,
+ *   gregorian and offset (days the input's month starts later in the to variant), plus from
+ *   ({ variant, hy, hm, hd, source })
+ */
+function convertHijriVariant({ hy, hm, hd }, options = {}) {
+  const { from = 'iran', to = 'umm-al-qura', scheme } = options;
+  const fromVariant = getVariant(from, scheme);
+  const toVariant = getVariant(to, scheme);
+  
+  if (!utils.isValidHijriDate(hy, hm, hd)) {
+    throw new Error(`Invalid Hijri date: ${hy}/${hm}/${hd}`);
+  }
+  const { length } = fromVariant.getMonthLength(hy, hm);
+  if (hd > length) {
+    throw new Error(`Invalid ${from} Hijri date: ${hy}/${hm}/${hd} (the month has ${length} days)`);
+  }
+  
+  const start = fromVariant.getMonthStart(hy, hm);
+  const julianDay = start.julianDay + hd - 1;
+  const target = toVariant.fromJulian(julianDay);
+  
+  return {
+    hy: target.hy,
+    hm: target.hm,
+    hd: target.hd,
+    source: target.source,
+    variant: to,
+    julianDay,
+    gregorian: utils.julianToGregorian(julianDay),
+    offset: toVariant.getMonthStart(hy, hm).julianDay - start.julianDay,
+    from: { variant: from, hy, hm, hd, source: start.source }
+  };
+}
+
+/**
+ * Compare the month starts of a Hijri year in two calendar variants
+ * @param {number} hy - Hijri year
+ * @param {Object} [options] - Same options as convertHijriVariant
+ * @returns {Object} Object with hy, from and to (variant names), months (each with hm, offset and
+ *   from and to: { julianDay, gregorian, length, source }) and differing (the months whose
+ *   first days differ, as month numbers)
+ */
+function compareHijriVariants(hy, options = {}) {
+  const { from = 'iran', to = 'umm-al-qura', scheme } = options;
+  const fromVariant = getVariant(from, scheme);
+  const toVariant = getVariant(to, scheme);
+  if (!utils.isValidHijriDate(hy, 1, 1)) {
+    throw new Error(`Invalid Hijri year: ${hy}`);
+  }
+  
+  const months = [];
+  for (let hm = 1; hm <= 12; hm++) {
+    const fromStart = describeMonthStart(fromVariant, hy, hm);
+    const toStart = describeMonthStart(toVariant, hy, hm);
+    months.push({ hm, offset: toStart.julianDay - fromStart.julianDay, from: fromStart, to: toStart });
+  }
+  
+  return {
+    hy,
+    from,
+    to,
+    months,
+    differing: months.filter(month => month.offset !== 0).map(month => month.hm)
+  };
+}
+
+module.exports = {
+  VARIANTS,
+  convertHijriVariant,
+  compareHijriVariants
+};
@@ -0,0 +1,269 @@
+/**
+ * Round-trip Verifier
+ * 
+ * Self-test for a converter and its data, meant to run in CI after every
+ * data update (`npx iran-hijri verify`). It sweeps every day from a margin
+ * before the first official month to a margin after the last one and checks:
+ * 
+ * - round-trips: Gregorian -> Hijri -> Gregorian, Hijri -> Jalaali -> Hijri
+ *   and Jalaali -> Gregorian agree on the same day
+ * - continuity: each day's Hijri date follows the previous day's, and exists
+ *   in its month (no skipped, repeated or impossible days where the official
+ *   data meets the tabular calendar)
+ * - data: every official month has 29 or 30 days and every complete official
+ *   year 354 or 355
+ * 
+ * A few observed years fall outside 354-355 days because a sighting moved
+ * the boundary between two years by a day. These are listed, with their
+ * source, in YEAR_LENGTH_EXCEPTIONS; the check accepts exactly the listed
+ * length and the report names every exception it applied, so the rule is
+ * never relaxed for other years or other lengths.
+ * 
+ * The boundaries of the official data are also reported with the exact dates
+ * on either side, continuous or not.
+ */
+
+const utils = require('./utils');
+const format = require('./format');
+const { createConverter } = require('./converter');
+
+const DEFAULT_MARGIN_DAYS = 365;
+const DEFAULT_MAX_FAILURES = 100;
+
+// Observed year lengths outside 354-355 days, by provider name
+const YEAR_LENGTH_EXCEPTIONS = Object.freeze({
+  'iran-official': Object.freeze([
+    Object.freeze({
+      hy: 1401,
+      days: 353,
+      source: 'bahesab (retrieved 2025-11-11)',
+      note: '1 Muharram 1401 is 1980-11-10 in the source, a day after the astronomical prediction, ' +
+        'which gives 1400 355 days and 1401 353; 1400 and 1402 start on their predicted days'
+    })
+  ])
+});
+
+/**
+ * Helper: Check if one Hijri date is the day after another
+ * @param {Object} previous - Object with hy, hm, hd properties
+ * @param {Object} next - Object with hy, hm, hd properties
+ * @returns {boolean} True if next directly follows previous
+ */
+function isNextDay(previous, next) {
+  if (next.hy === previous.hy && next.hm === previous.hm) {
+    return next.hd === previous.hd + 1;
+  }
+  
+  // A new month may only start after day 29 or 30 of the previous one
+  const followingMonth = previous.hm === 12
+    ? { hy: previous.hy + 1, hm: 1 }
+    : { hy: previous.hy, hm: previous.hm + 1 };
+  
+  return next.hy === followingMonth.hy && next.hm === followingMonth.hm && next.hd === 1 && previous.hd >= 29;
+}
+
+/**
+ * Helper: Describe a day in all three calendars for reports
+ * @param {number} julianDay - Julian Day Number
+ * @param {Object} hijriDate - Hijri date of the day, with source
+ * @returns {string} Description such as '1448/10/29 (official) = 2027/04/07 = 1406/01/18'
+ */
+function describeDay(julianDay, hijriDate) {
+  const gregorian = utils.julianToGregorian(julianDay);
+  const jalaali = utils.julianToJalaali(julianDay);
+  
+  return `${format.formatHijri(hijriDate)} (${hijriDate.source}) = ` +
+    `${format.formatGregorian(gregorian)} = ${format.formatJalaali(jalaali)}`;
+}
+
+/**
+ * Helper: Convert a Julian Day Number to Hijri with a converter
+ * @param {Object} converter - Result of createConverter
+ * @param {number} julianDay - Julian Day Number
+ * @returns {Object} Conversion result
+ */
+function julianToHijri(converter, julianDay) {
+  const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+  return converter.gregorianToHijri(gy, gm, gd);
+}
+
+/**
+ * Helper: Find the listed exception for a year length
+ * @param {Array<Object>} exceptions - Exceptions ({ hy, days, source, note })
+ * @param {number} hy - Hijri year
+ * @param {number} days - Number of days in the year
+ * @returns {Object|null} The exception, or null if the year and length are not listed
+ */
+function findYearLengthException(exceptions, hy, days) {
+  return exceptions.find(exception => exception.hy === hy && exception.days === days) || null;
+}
+
+/**
+ * Verify a converter over its official range plus a margin on both sides
+ * @param {Object} [options] - Verifier options
+ * @param {Object} [options.converter] - Result of createConverter; defaults to the bundled Iranian data
+ * @param {number} [options.marginDays=365] - Days to check before and after the official data
+ * @param {number} [options.maxFailures=100] - Failures to list in the report (all are counted)
+ * @param {Array<Object>} [options.yearLengthExceptions] - Years allowed another length ({ hy, days,
+ *   source, note }); defaults to YEAR_LENGTH_EXCEPTIONS for the converter's provider
+ * @returns {Object} Object with ok, provider, from, to, daysChecked, monthsChecked, failureCount,
+ *   failures ({ type, julianDay, message }), exceptions (the year length exceptions applied) and
+ *   boundaries ({ type, julianDay, before, after, continuous })
+ */
+function verify(options = {}) {
+  const {
+    converter = createConverter(),
+    marginDays = DEFAULT_MARGIN_DAYS,
+    maxFailures = DEFAULT_MAX_FAILURES
+  } = options;
+  const yearLengthExceptions = options.yearLengthExceptions ||
+    YEAR_LENGTH_EXCEPTIONS[converter.provider.name] || [];
+  
+  if (!Number.isInteger(marginDays) || marginDays < 0) {
+    throw new Error(`Invalid marginDays: ${marginDays} (expected a non-negative integer)`);
+  }
+  
+  const segments = converter.getCoverage().filter(segment => segment.placed);
+  const failures = [];
+  const exceptions = [];
+  let failureCount = 0;
+  
+  const fail = (type, julianDay, message) => {
+    failureCount++;
+    if (failures.length < maxFailures) {
+      failures.push({ type, julianDay, message });
+    }
+  };
+  
+  // Official data: month and year lengths
+  let monthsChecked = 0;
+  segments.forEach(({ start, months }) => {
+    let hy = start.hy;
+    let hm = start.hm;
+    let yearDays = 0;
+    
+    for (let i = 0; i < months; i++) {
+      const { length } = converter.getHijriMonthLength(hy, hm);
+      monthsChecked++;
+      yearDays += length;
+      
+      if (length !== 29 && length !== 30) {
+        fail('monthLength', null, `Month ${hy}/${hm} has ${length} days (expected 29 or 30)`);
+      }
+      
+      // Only years the segment covers from Muharram to Dhu al-Hijjah have a known total
+      if (hm === 12) {
+        const coversYear = hy > start.hy || start.hm === 1;
+        if (coversYear && yearDays !== 354 && yearDays !== 355) {
+          const exception = findYearLengthException(yearLengthExceptions, hy, yearDays);
+          if (exception) {
+            exceptions.push(exception);
+          } else {
+            fail('yearLength', null, `Year ${hy} has ${yearDays} days (expected 354 or 355)`);
+          }
+        }
+        yearDays = 0;
+        hy++;
+        hm = 1;
+      } else {
+        hm++;
+      }
+    }
+  });
+  
+  if (segments.length === 0) {
+    return {
+      ok: failureCount === 0,
+      provider: converter.provider.name,
+      from: null,
+      to: null,
+      daysChecked: 0,
+      monthsChecked,
+      failureCount,
+      failures,
+      exceptions,
+      boundaries: []
+    };
+  }
+  
+  // Every day in the range: round-trips and continuity
+  const firstDay = segments[0].startJulianDay - marginDays;
+  const lastDay = segments[segments.length - 1].endJulianDay - 1 + marginDays;
+  let previousHijri = null;
+  
+  for (let julianDay = firstDay; julianDay <= lastDay; julianDay++) {
+    const gregorian = utils.julianToGregorian(julianDay);
+    const jalaali = utils.julianToJalaali(julianDay);
+    const hijri = julianToHijri(converter, julianDay);
+    const day = describeDay(julianDay, hijri);
+    
+    const backToGregorian = converter.hijriToGregorian(hijri.hy, hijri.hm, hijri.hd);
+    if (backToGregorian.gy !== gregorian.gy || backToGregorian.gm !== gregorian.gm || backToGregorian.gd !== gregorian.gd) {
+      fail('roundTrip', julianDay, `Hijri -> Gregorian gives ${format.formatGregorian(backToGregorian)} for ${day}`);
+    }
+    
+    const toJalaali = converter.hijriToJalaali(hijri.hy, hijri.hm, hijri.hd);
+    if (toJalaali.jy !== jalaali.jy || toJalaali.jm !== jalaali.jm || toJalaali.jd !== jalaali.jd) {
+      fail('roundTrip', julianDay, `Hijri -> Jalaali gives ${format.formatJalaali(toJalaali)} for ${day}`);
+    }
+    
+    const fromJalaali = converter.jalaaliToHijri(jalaali.jy, jalaali.jm, jalaali.jd);
+    if (fromJalaali.hy !== hijri.hy || fromJalaali.hm !== hijri.hm || fromJalaali.hd !== hijri.hd) {
+      fail('roundTrip', julianDay, `Jalaali -> Hijri gives ${format.formatHijri(fromJalaali)} for ${day}`);
+    }
+    
+    const jalaaliToGregorian = utils.jalaaliToGregorian(jalaali.jy, jalaali.jm, jalaali.jd);
+    if (jalaaliToGregorian.gy !== gregorian.gy || jalaaliToGregorian.gm !== gregorian.gm ||
+        jalaaliToGregorian.gd !== gregorian.gd) {
+      fail('roundTrip', julianDay, `Jalaali -> Gregorian gives ${format.formatGregorian(jalaaliToGregorian)} for ${day}`);
+    }
+    
+    const validation = converter.validateHijriDate(hijri.hy, hijri.hm, hijri.hd);
+    if (!validation.valid) {
+      fail('discontinuity', julianDay, `${day} does not exist: ${validation.error}`);
+    }
+    
+    if (previousHijri && !isNextDay(previousHijri, hijri)) {
+      fail('discontinuity', julianDay, `${describeDay(julianDay - 1, previousHijri)} is followed by ${day}`);
+    }
+    
+    previousHijri = hijri;
+  }
+  
+  // The days on either side of each edge of the official data
+  const boundaries = [];
+  segments.forEach(segment => {
+    [['start', segment.startJulianDay], ['end', segment.endJulianDay]].forEach(([type, julianDay]) => {
+      const before = julianToHijri(converter, julianDay - 1);
+      const after = julianToHijri(converter, julianDay);
+      boundaries.push({
+        type,
+        julianDay,
+        before: describeDay(julianDay - 1, before),
+        after: describeDay(julianDay, after),
+        continuous: isNextDay(before, after) &&
+          converter.isValidHijriDateStrict(before.hy, before.hm, before.hd) &&
+          converter.isValidHijriDateStrict(after.hy, after.hm, after.hd)
+      });
+    });
+  });
+  
+  return {
+    ok: failureCount === 0,
+    provider: converter.provider.name,
+    from: { julianDay: firstDay, gregorian: utils.julianToGregorian(firstDay) },
+    to: { julianDay: lastDay, gregorian: utils.julianToGregorian(lastDay) },
+    daysChecked: lastDay - firstDay + 1,
+    monthsChecked,
+    failureCount,
+    failures,
+    exceptions,
+    boundaries
+  };
+}
+
+module.exports = {
+  DEFAULT_MARGIN_DAYS,
+  YEAR_LENGTH_EXCEPTIONS,
+  verify
+};
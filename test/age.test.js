@@ -0,0 +1,111 @@
+/**
+ * Age and Duration Tests
+ * 
+ * Whole months and days between Hijri dates, the 'last-day' and 'next-day'
+ * rules for a 30th in a 29-day month, negative durations and input checks.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+
+/**
+ * Helper: Pick the counts of a duration
+ * @param {Object} duration - Result of hijriDuration or hijriAge
+ * @returns {Array<number>} years, months, days, totalMonths and totalDays
+ */
+function counts({ years, months, days, totalMonths, totalDays }) {
+  return [years, months, days, totalMonths, totalDays];
+}
+
+// Sha'ban 1446 has 30 days and Ramadan 1446 has 29
+const SHABAN_30 = { hy: 1446, hm: 8, hd: 30 };
+
+module.exports = {
+  'a duration counts whole months, then days'() {
+    const duration = iranHijri.hijriDuration({ hy: 1446, hm: 1, hd: 10 }, { hy: 1447, hm: 3, hd: 12 });
+    
+    assert.deepStrictEqual(counts(duration), [1, 2, 2, 14, 416]);
+    assert.strictEqual(duration.approximate, false);
+    
+    // Dates may be given in any calendar
+    const mixed = iranHijri.hijriDuration({ gy: 2025, gm: 3, gd: 1 }, { jy: 1404, jm: 1, jd: 1 });
+    assert.deepStrictEqual(counts(mixed), [0, 0, 20, 0, 20]);
+  },
+  
+  'the 30th of a month across a 29-day month'() {
+    const lastDay = { shortMonths: 'last-day' };
+    const nextDay = { shortMonths: 'next-day' };
+    
+    // 'last-day': the month is complete on 29 Ramadan
+    assert.deepStrictEqual(counts(iranHijri.hijriDuration(SHABAN_30, { hy: 1446, hm: 9, hd: 29 })), [0, 1, 0, 1, 29]);
+    assert.deepStrictEqual(counts(iranHijri.hijriDuration(SHABAN_30, { hy: 1446, hm: 10, hd: 1 }, lastDay)),
+      [0, 1, 1, 1, 30]);
+    
+    // 'next-day': the month is only complete on 1 Shawwal
+    assert.deepStrictEqual(counts(iranHijri.hijriDuration(SHABAN_30, { hy: 1446, hm: 9, hd: 29 }, nextDay)),
+      [0, 0, 29, 0, 29]);
+    assert.deepStrictEqual(counts(iranHijri.hijriDuration(SHABAN_30, { hy: 1446, hm: 10, hd: 1 }, nextDay)),
+      [0, 1, 0, 1, 30]);
+    
+    assert.throws(() => iranHijri.hijriDuration(SHABAN_30, SHABAN_30, { shortMonths: 'round' }),
+      /Invalid shortMonths option: round/);
+  },
+  
+  'later birthdays are counted from the date of birth'() {
+    // Ramadan has 30 days in 1444 and 1447, 29 in 1445 and 1446
+    const birth = { hy: 1444, hm: 9, hd: 30 };
+    const age = (on, shortMonths) => iranHijri.hijriAge(birth, on, { shortMonths });
+    const nextBirthday = ({ nextBirthday: { hy, hm, hd } }) => [hy, hm, hd];
+    
+    const first = age({ hy: 1445, hm: 9, hd: 29 }, 'last-day');
+    assert.deepStrictEqual(counts(first).slice(0, 3), [1, 0, 0]);
+    assert.deepStrictEqual(nextBirthday(first), [1446, 9, 29]);
+    assert.deepStrictEqual(nextBirthday(age({ hy: 1446, hm: 9, hd: 29 }, 'last-day')), [1447, 9, 30]);
+    
+    const early = age({ hy: 1445, hm: 9, hd: 29 }, 'next-day');
+    assert.deepStrictEqual(counts(early).slice(0, 3), [0, 11, 29]);
+    assert.deepStrictEqual(nextBirthday(early), [1445, 10, 1]);
+    assert.deepStrictEqual(counts(age({ hy: 1445, hm: 10, hd: 1 }, 'next-day')).slice(0, 3), [1, 0, 0]);
+    
+    // Both rules agree once Ramadan has 30 days again
+    ['last-day', 'next-day'].forEach(rule => {
+      assert.deepStrictEqual(counts(age({ hy: 1447, hm: 9, hd: 30 }, rule)), [3, 0, 0, 36, 1064]);
+    });
+    
+    const described = age({ hy: 1445, hm: 9, hd: 29 });
+    assert.deepStrictEqual(described.birthDate, {
+      hy: 1444,
+      hm: 9,
+      hd: 30,
+      julianDay: 2460056,
+      source: 'official',
+      jalaali: { jy: 1402, jm: 2, jd: 1 },
+      gregorian: { gy: 2023, gm: 4, gd: 21 }
+    });
+    assert.throws(() => iranHijri.hijriAge({ hy: 1447, hm: 1, hd: 1 }, { hy: 1446, hm: 1, hd: 1 }),
+      /the date is before the date of birth/);
+  },
+  
+  'a duration backwards is negative'() {
+    const forwards = iranHijri.hijriDuration(SHABAN_30, { hy: 1446, hm: 10, hd: 1 });
+    const backwards = iranHijri.hijriDuration({ hy: 1446, hm: 10, hd: 1 }, SHABAN_30);
+    
+    assert.deepStrictEqual(counts(backwards), counts(forwards).map(count => (count === 0 ? 0 : -count)));
+    
+    // No -0 for counts that are zero
+    const month = iranHijri.hijriDuration({ hy: 1447, hm: 2, hd: 1 }, { hy: 1447, hm: 1, hd: 1 });
+    assert.deepStrictEqual(counts(month), [0, -1, 0, -1, -29]);
+    assert.ok(!Object.is(month.years, -0) && !Object.is(month.days, -0));
+  },
+  
+  'dates must have integer fields'() {
+    const end = { hy: 1447, hm: 1, hd: 1 };
+    
+    assert.throws(() => iranHijri.hijriDuration({ hy: 'x', hm: 1, hd: 1 }, end),
+      /Invalid Hijri date: x\/1\/1 \(expected integer year, month and day\)/);
+    assert.throws(() => iranHijri.hijriDuration({ hy: 1446.5, hm: 1, hd: 1 }, end), /Invalid Hijri date/);
+    assert.throws(() => iranHijri.hijriDuration({ jy: '1404', jm: 1, jd: 1 }, end), /Invalid Jalaali date/);
+    assert.throws(() => iranHijri.hijriAge({ gy: 2000, gm: 1, gd: 1.5 }, end), /Invalid Gregorian date/);
+    assert.throws(() => iranHijri.hijriDuration({ hy: 1446, hm: 9, hd: 30 }, end), /has 29 days/);
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Astronomical Prediction Tests
+ * 
+ * New moons, crescent visibility and the astronomical fallback tier of
+ * createConverter.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const astronomical = require('../src/astronomical');
+
+const { gregorianToJulian } = iranHijri.utils;
+
+module.exports = {
+  'the new moon of April 2027 is found to the minute'() {
+    // 2027-04-06 23:51 UT
+    const conjunction = astronomical.findNewMoon(gregorianToJulian(2027, 4, 5));
+    const expected = gregorianToJulian(2027, 4, 6) + (23 * 60 + 51) / 1440 - 0.5;
+    
+    assert.ok(Math.abs(conjunction - expected) * 1440 < 2);
+  },
+  
+  'the crescent is judged after sunset in Tehran'() {
+    const evening = iranHijri.getCrescentVisibility(gregorianToJulian(2027, 4, 7));
+    assert.strictEqual(evening.criterion, 'yallop');
+    assert.strictEqual(evening.zone, 'D');
+    assert.strictEqual(evening.opticalAid, true);
+    assert.strictEqual(evening.nakedEye, false);
+    assert.ok(evening.moonset > evening.sunset);
+    
+    // The evening before the conjunction there is no crescent
+    const before = iranHijri.getCrescentVisibility(gregorianToJulian(2027, 4, 6), { criterion: 'odeh' });
+    assert.ok(before.moonAge < 0);
+    assert.strictEqual(before.opticalAid, false);
+  },
+  
+  'non-finite days and bad options are rejected'() {
+    [NaN, Infinity, '2461503', undefined].forEach(julianDay => {
+      assert.throws(() => iranHijri.getCrescentVisibility(julianDay), /Invalid Julian Day: .* \(expected a finite number\)/);
+    });
+    assert.throws(() => astronomical.findNewMoon(NaN), /Invalid Julian Date/);
+    assert.throws(() => iranHijri.getCrescentVisibility(2461503, { criterion: 'danjon' }), /Unknown crescent visibility criterion/);
+    assert.throws(() => iranHijri.getCrescentVisibility(2461503, { location: { latitude: NaN, longitude: 0 } }), /Invalid location/);
+  },
+  
+  'predicted months continue from the end of the official data'() {
+    const converter = iranHijri.createConverter({ astronomical: true });
+    const lastOfficial = iranHijri.hijriToGregorian(1448, 10, 29);
+    const first = converter.hijriToGregorian(1448, 11, 1);
+    
+    assert.strictEqual(lastOfficial.source, 'official');
+    assert.strictEqual(first.source, 'astronomical');
+    assert.strictEqual(gregorianToJulian(first.gy, first.gm, first.gd), gregorianToJulian(2027, 4, 7) + 1);
+    
+    // Official data is unchanged, and the default converter stays tabular
+    assert.deepStrictEqual(converter.hijriToGregorian(1447, 9, 1), iranHijri.hijriToGregorian(1447, 9, 1));
+    assert.strictEqual(iranHijri.hijriToGregorian(1449, 9, 1).source, 'tabular');
+  },
+  
+  'predicted months have 29 or 30 days and round-trip'() {
+    const converter = iranHijri.createConverter({ astronomical: { range: { minYear: 1440, maxYear: 1452 } } });
+    
+    for (let hy = 1449; hy <= 1452; hy++) {
+      for (let hm = 1; hm <= 12; hm++) {
+        const { length, source } = converter.getHijriMonthLength(hy, hm);
+        assert.strictEqual(source, 'astronomical');
+        assert.ok(length === 29 || length === 30);
+        
+        const { gy, gm, gd } = converter.hijriToGregorian(hy, hm, length);
+        const back = converter.gregorianToHijri(gy, gm, gd);
+        assert.deepStrictEqual([back.hy, back.hm, back.hd, back.source], [hy, hm, length, 'astronomical']);
+      }
+    }
+    
+    // The run ends where the tabular month after the range starts
+    const lastDay = converter.hijriToGregorian(1452, 12, converter.getHijriMonthLength(1452, 12).length);
+    const next = converter.hijriToGregorian(1453, 1, 1);
+    assert.strictEqual(next.source, 'tabular');
+    assert.strictEqual(gregorianToJulian(next.gy, next.gm, next.gd), gregorianToJulian(lastDay.gy, lastDay.gm, lastDay.gd) + 1);
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * Bulk Conversion Tests
+ * 
+ * convertMany and createConvertStream against the single-date functions,
+ * error handling and counts.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const utils = require('../src/utils');
+
+/**
+ * Helper: Jalaali dates of consecutive days
+ * @param {number} firstDay - Julian Day Number of the first day
+ * @param {number} count - Number of days
+ * @returns {Array<Object>} Objects with jy, jm, jd properties
+ */
+function jalaaliDays(firstDay, count) {
+  const dates = [];
+  for (let i = 0; i < count; i++) {
+    dates.push(utils.julianToJalaali(firstDay + i));
+  }
+  return dates;
+}
+
+/**
+ * Helper: Deterministic shuffle of a copy of an array
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(items) {
+  const copy = items.slice();
+  let seed = 7;
+  for (let i = copy.length - 1; i > 0; i--) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const j = seed % (i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// 1446/01/01 to past the end of the official data, across a year boundary
+const DAYS = jalaaliDays(utils.gregorianToJulian(2024, 7, 7), 1200);
+
+module.exports = {
+  'convertMany matches jalaaliToHijri in order and shuffled'() {
+    [DAYS, shuffle(DAYS)].forEach(dates => {
+      const { results, counts } = iranHijri.convertMany(dates, { from: 'jalaali', to: 'hijri' });
+      
+      assert.deepStrictEqual(results, dates.map(({ jy, jm, jd }) => iranHijri.jalaaliToHijri(jy, jm, jd)));
+      assert.strictEqual(counts.total, dates.length);
+      assert.strictEqual(counts.official + counts.tabular, dates.length);
+      assert.ok(counts.official > 0 && counts.tabular > 0);
+    });
+  },
+  
+  'convertMany matches the other single-date functions'() {
+    const hijriDates = DAYS.map(({ jy, jm, jd }) => iranHijri.jalaaliToHijri(jy, jm, jd));
+    const gregorianDates = hijriDates.map(({ hy, hm, hd }) => iranHijri.hijriToGregorian(hy, hm, hd));
+    
+    assert.deepStrictEqual(
+      iranHijri.convertMany(hijriDates, { from: 'hijri', to: 'jalaali' }).results,
+      hijriDates.map(({ hy, hm, hd }) => iranHijri.hijriToJalaali(hy, hm, hd))
+    );
+    assert.deepStrictEqual(
+      iranHijri.convertMany(gregorianDates, { from: 'gregorian', to: 'hijri' }).results,
+      gregorianDates.map(({ gy, gm, gd }) => iranHijri.gregorianToHijri(gy, gm, gd))
+    );
+  },
+  
+  'dates can be strings, arrays or objects'() {
+    const { results } = iranHijri.convertMany(['1404/06/14', [1404, 6, 14], { jy: 1404, jm: 6, jd: 14 }], {
+      from: 'jalaali',
+      to: 'hijri',
+      weekday: false,
+      uncertainty: false
+    });
+    
+    results.forEach(result => assert.deepStrictEqual(result, { hy: 1447, hm: 3, hd: 12, source: 'official' }));
+  },
+  
+  'onError throws, skips or annotates'() {
+    const dates = ['1447/12/29', '1447/13/01', '1447/12/30'];
+    const options = { from: 'hijri', to: 'gregorian', strict: true };
+    
+    assert.throws(() => iranHijri.convertMany(dates, options), /Date at index 1: Invalid Hijri date/);
+    
+    const skipped = iranHijri.convertMany(dates, Object.assign({ onError: 'skip' }, options));
+    assert.strictEqual(skipped.results.length, 1);
+    assert.deepStrictEqual(skipped.counts, {
+      total: 3,
+      official: 1,
+      override: 0,
+      astronomical: 0,
+      tabular: 0,
+      gapAdjacent: 0,
+      failed: 2
+    });
+    
+    const annotated = iranHijri.convertMany(dates, Object.assign({ onError: 'annotate' }, options));
+    assert.strictEqual(annotated.results.length, 3);
+    assert.strictEqual(annotated.results[2].input, '1447/12/30');
+    assert.ok(/has 29 days/.test(annotated.results[2].error));
+    
+    // Without strict, day 30 passes as in hijriToGregorian
+    const lenient = iranHijri.convertMany(['1447/12/30'], { from: 'hijri', to: 'gregorian' });
+    assert.strictEqual(lenient.counts.failed, 0);
+  },
+  
+  'invalid options are rejected'() {
+    assert.throws(() => iranHijri.convertMany([], { from: 'jalaali', to: 'gregorian' }), /one side must be Hijri/);
+    assert.throws(() => iranHijri.convertMany([], { from: 'julian', to: 'hijri' }), /Unknown calendar/);
+    assert.throws(() => iranHijri.convertMany([], { from: 'hijri', to: 'jalaali', onError: 'ignore' }), /onError/);
+    assert.throws(() => iranHijri.convertMany(null, { from: 'hijri', to: 'jalaali' }), /iterable/);
+  },
+  
+  'the stream converts fields of each record'() {
+    const records = [
+      { name: 'a', birth: '1404/06/14', hired: [1400, 1, 1] },
+      { name: 'b', birth: '1404/13/01', hired: [1401, 1, 1] }
+    ];
+    const stream = iranHijri.createConvertStream({
+      fields: { birth: { as: 'birthHijri' }, hired: {} },
+      from: 'jalaali',
+      to: 'hijri',
+      onError: 'annotate',
+      weekday: false,
+      uncertainty: false
+    });
+    const output = [];
+    let counts = null;
+    
+    return new Promise((resolve, reject) => {
+      stream.on('data', record => output.push(record));
+      stream.on('counts', result => {
+        counts = result;
+      });
+      stream.on('error', reject);
+      stream.on('end', resolve);
+      records.forEach(record => stream.write(record));
+      stream.end();
+    }).then(() => {
+      assert.strictEqual(output.length, 2);
+      assert.strictEqual(output[0].birth, '1404/06/14');
+      assert.deepStrictEqual(output[0].birthHijri, { hy: 1447, hm: 3, hd: 12, source: 'official' });
+      assert.deepStrictEqual(output[0].hired, iranHijri.convertMany([[1400, 1, 1]], {
+        from: 'jalaali',
+        to: 'hijri',
+        weekday: false,
+        uncertainty: false
+      }).results[0]);
+      assert.ok(output[1].birthHijri.error);
+      assert.deepStrictEqual(counts, {
+        total: 4,
+        official: 3,
+        override: 0,
+        astronomical: 0,
+        tabular: 0,
+        gapAdjacent: 0,
+        failed: 1
+      });
+    });
+  }
+};
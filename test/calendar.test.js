@@ -0,0 +1,64 @@
+/**
+ * Month Calendar Tests
+ * 
+ * Week layout, weekday headers and the cells of Hijri and Jalaali month views.
+ */
+
+const assert = require('assert');
+const { getHijriMonthCalendar, getJalaaliMonthCalendar, hijriToGregorian } = require('../src/index');
+
+/**
+ * Helper: List the non-empty cells of a month view
+ * @param {Object} calendar - Month view
+ * @returns {Array<Object>} Cells in order
+ */
+function getCells(calendar) {
+  return calendar.weeks.reduce((cells, week) => cells.concat(week.filter(cell => cell !== null)), []);
+}
+
+module.exports = {
+  'a Hijri month has one cell per day in weeks of seven'() {
+    const calendar = getHijriMonthCalendar(1447, 9);
+    const cells = getCells(calendar);
+    
+    assert.strictEqual(calendar.weekStart, 5);
+    assert.strictEqual(calendar.weekdays[0].en, 'Saturday');
+    assert.strictEqual(cells.length, calendar.monthLength);
+    calendar.weeks.forEach(week => assert.strictEqual(week.length, 7));
+    
+    cells.forEach((cell, index) => {
+      assert.deepStrictEqual(cell.hijri, { hy: 1447, hm: 9, hd: index + 1 });
+      assert.strictEqual(cell.julianDay, cells[0].julianDay + index);
+    });
+    const { gy, gm, gd } = hijriToGregorian(1447, 9, 1);
+    assert.deepStrictEqual(cells[0].gregorian, { gy, gm, gd });
+  },
+  
+  'cells sit under their weekday'() {
+    [0, 5, 6].forEach(weekStart => {
+      const calendar = getHijriMonthCalendar(1447, 9, { weekStart });
+      calendar.weeks.forEach(week => week.forEach((cell, column) => {
+        if (cell) {
+          assert.strictEqual(cell.weekday.number, calendar.weekdays[column].number);
+        }
+      }));
+    });
+  },
+  
+  'a Jalaali month overlays the Hijri dates'() {
+    const calendar = getJalaaliMonthCalendar(1403, 12, { weekStart: 0 });
+    const cells = getCells(calendar);
+    
+    assert.strictEqual(calendar.monthLength, 30);
+    assert.strictEqual(calendar.weekdays[0].en, 'Monday');
+    assert.deepStrictEqual(cells[29].jalaali, { jy: 1403, jm: 12, jd: 30 });
+    assert.deepStrictEqual(cells[29].gregorian, { gy: 2025, gm: 3, gd: 20 });
+    cells.forEach(cell => assert.ok(cell.hijri.hy === 1446 && cell.hijri.hm >= 8 && cell.hijri.hm <= 9));
+  },
+  
+  'invalid months and options are rejected'() {
+    assert.throws(() => getHijriMonthCalendar(1447, 13), /Invalid Hijri month/);
+    assert.throws(() => getJalaaliMonthCalendar(1404, 0), /Invalid Jalaali month/);
+    assert.throws(() => getHijriMonthCalendar(1447, 9, { weekStart: 7 }), /Invalid weekStart/);
+  }
+};
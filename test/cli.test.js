@@ -0,0 +1,92 @@
+/**
+ * Command Line Tests
+ * 
+ * Runs bin/iran-hijri.js as a child process: single dates, month tables,
+ * batch mode over CSV input and errors.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'iran-hijri.js');
+
+/**
+ * Helper: Run the command line
+ * @param {Array<string>} args - Arguments
+ * @param {string} [input] - Text piped to stdin
+ * @returns {Object} Object with status, stdout and stderr
+ */
+function run(args, input) {
+  const result = spawnSync(process.execPath, [BIN].concat(args), { input: input || '', encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+module.exports = {
+  'a single date is printed in all three calendars'() {
+    const { status, stdout } = run(['h2j', '1447/3/12']);
+    
+    assert.strictEqual(status, 0);
+    assert.ok(stdout.includes('Jalaali    1404/06/14'));
+    assert.ok(stdout.includes('Gregorian  2025/09/05'));
+    assert.ok(stdout.includes('Source     official'));
+    
+    const day = JSON.parse(run(['g2h', '2025-09-05', '--json']).stdout);
+    assert.deepStrictEqual(day.hijri, { hy: 1447, hm: 3, hd: 12 });
+  },
+  
+  'a month table can be asked for by year and month'() {
+    const days = JSON.parse(run(['h2j', '--month', '1447/12', '--json']).stdout);
+    
+    assert.strictEqual(days.length, 29);
+    assert.deepStrictEqual(days[0].hijri, { hy: 1447, hm: 12, hd: 1 });
+    assert.deepStrictEqual(days[28].hijri, { hy: 1447, hm: 12, hd: 29 });
+    assert.deepStrictEqual(JSON.parse(run(['h2j', '--month', '1447/12/10', '--json']).stdout), days);
+    
+    const { status, stdout } = run(['h2j', '--month', '1447/9']);
+    assert.strictEqual(status, 0);
+    assert.ok(stdout.startsWith('Ramadan 1447 (Hijri)'));
+  },
+  
+  'batch mode reads quoted CSV fields'() {
+    const input = 'name,date\n"Smith, J",1447/3/12\n"two\nlines",1447/9/1\nbad,1447/12/30\n';
+    const { status, stdout, stderr } = run(['h2g', '--column', '2', '--header'], input);
+    
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, [
+      'name,date,gregorian,source',
+      '"Smith, J",1447/3/12,2025/09/05,official',
+      '"two\nlines",1447/9/1,2026/02/19,official',
+      'bad,1447/12/30,,',
+      ''
+    ].join('\n'));
+    assert.ok(stderr.includes('line 5: Invalid Hijri date: 1447/12/30'));
+  },
+  
+  'batch mode takes other delimiters'() {
+    const { status, stdout } = run(['j2h', '--delimiter', ';'], '1404/06/14;x\n');
+    
+    assert.strictEqual(status, 0);
+    assert.strictEqual(stdout, '1404/06/14;x;1447/03/12;official\n');
+    assert.strictEqual(run(['j2h', '--delimiter', '::'], '1404/06/14\n').status, 1);
+  },
+  
+  'unknown commands are reported'() {
+    const { status, stdout, stderr } = run(['convert', '1447/3/12']);
+    
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, '');
+    assert.ok(stderr.startsWith('iran-hijri: unknown command: convert\n'));
+    assert.ok(stderr.includes('Usage: iran-hijri'));
+    
+    assert.strictEqual(run([]).status, 1);
+    assert.strictEqual(run(['--help']).status, 0);
+  },
+  
+  'invalid dates are reported'() {
+    const { status, stderr } = run(['h2j', '1447/12/30']);
+    
+    assert.strictEqual(status, 1);
+    assert.ok(stderr.includes('has 29 days'));
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Converter Tests
+ * 
+ * Which converters share the top-level overrides, and how converters treat
+ * dates in a gap in their provider's data.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const { createProvider } = require('../src/provider');
+const { createConverter } = require('../src/converter');
+
+const YEAR = [30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29];
+
+/**
+ * Helper: Create a provider for 1440 and 1442, with 1441 missing
+ * @returns {Object} Provider
+ */
+function createGappedProvider() {
+  return createProvider({
+    name: 'gapped',
+    data: { 1440: YEAR, 1442: YEAR },
+    anchorJulianDay: 2458373,
+    segmentAnchors: [{ hy: 1442, hm: 1, julianDay: 2458373 + 354 + 354 }]
+  });
+}
+
+module.exports = {
+  'converters with other settings keep their own overrides'() {
+    const converter = createConverter({ gaps: 'throw' });
+    
+    try {
+      converter.setMonthLength(1448, 11, 30);
+      assert.strictEqual(converter.getHijriMonthLength(1448, 11).source, 'override');
+      assert.notStrictEqual(iranHijri.getHijriMonthLength(1448, 11).source, 'override');
+      assert.deepStrictEqual(iranHijri.exportOverrides().months, []);
+    } finally {
+      converter.clearOverrides();
+    }
+  },
+  
+  'the default converter shares the top-level overrides'() {
+    const converter = createConverter();
+    
+    try {
+      converter.setMonthLength(1448, 11, 30);
+      assert.strictEqual(iranHijri.getHijriMonthLength(1448, 11).source, 'override');
+    } finally {
+      iranHijri.clearOverrides();
+    }
+  },
+  
+  'tabular dates in a gap are flagged'() {
+    const converter = createConverter({ provider: createGappedProvider() });
+    
+    const inGap = converter.hijriToGregorian(1441, 6, 1);
+    assert.strictEqual(inGap.source, 'tabular');
+    assert.strictEqual(inGap.gapAdjacent, true);
+    
+    const back = converter.gregorianToHijri(inGap.gy, inGap.gm, inGap.gd);
+    assert.strictEqual(back.gapAdjacent, true);
+    
+    assert.strictEqual(converter.hijriToGregorian(1442, 1, 1).source, 'official');
+    assert.strictEqual(converter.hijriToGregorian(1442, 1, 1).gapAdjacent, undefined);
+  },
+  
+  'converters can refuse dates in a gap'() {
+    const converter = createConverter({ provider: createGappedProvider(), gaps: 'throw' });
+    
+    assert.throws(() => converter.hijriToGregorian(1441, 6, 1), Error);
+    assert.strictEqual(converter.hijriToGregorian(1440, 6, 1).source, 'official');
+    assert.throws(() => createConverter({ gaps: 'ignore' }), /gaps/);
+  },
+  
+  'coverage lists the segments'() {
+    const coverage = createConverter({ provider: createGappedProvider() }).getCoverage();
+    
+    assert.deepStrictEqual(coverage.map(segment => [segment.start, segment.end, segment.placed]), [
+      [{ hy: 1440, hm: 1 }, { hy: 1440, hm: 12 }, true],
+      [{ hy: 1442, hm: 1 }, { hy: 1442, hm: 12 }, true]
+    ]);
+    assert.strictEqual(iranHijri.getCoverage().length, 1);
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * CSV Tests
+ * 
+ * Quoting fields on the way out and reading them back.
+ */
+
+const assert = require('assert');
+const csv = require('../src/csv');
+
+module.exports = {
+  'fields are quoted only when needed'() {
+    assert.strictEqual(csv.formatRow(['1447/03/12', 'a, b', 'say "hi"', null, 30]),
+      '1447/03/12,"a, b","say ""hi""",,30');
+    assert.strictEqual(csv.formatRow(['a,b', 'c;d'], ';'), 'a,b;"c;d"');
+    assert.strictEqual(csv.formatField('two\nlines'), '"two\nlines"');
+  },
+  
+  'quoted fields are read back'() {
+    const rows = [['date', 'note'], ['1447/03/12', 'a, "b"'], ['1447/09/01', 'two\nlines']];
+    const text = rows.map(row => csv.formatRow(row)).join('\r\n') + '\r\n\r\n';
+    
+    assert.deepStrictEqual(csv.parseCsv(text), rows);
+    assert.deepStrictEqual(csv.parseCsv('a;"b;c"', ';'), [['a', 'b;c']]);
+  },
+  
+  'open quotes are detected'() {
+    assert.strictEqual(csv.hasOpenQuote('"two'), true);
+    assert.strictEqual(csv.hasOpenQuote('"two\nlines",x'), false);
+    assert.strictEqual(csv.hasOpenQuote('"say ""hi""'), true);
+  },
+  
+  'delimiters must be a single character'() {
+    assert.throws(() => csv.parseCsv('a', '::'), /Invalid CSV delimiter/);
+    assert.throws(() => csv.formatRow(['a'], '"'), /Invalid CSV delimiter/);
+  }
+};
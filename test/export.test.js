@@ -0,0 +1,79 @@
+/**
+ * Export Tests
+ * 
+ * Month-start exports and loading them back as a provider, day tables and
+ * the iCalendar feed.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const { officialData } = require('../src/officialData');
+
+module.exports = {
+  'a month-start export loads back as the same data'() {
+    ['json', 'csv'].forEach(format => {
+      const provider = iranHijri.loadProvider(iranHijri.exportMonthStarts({ format }), { name: 'reloaded' });
+      const converter = iranHijri.createConverter({ provider });
+      
+      assert.deepStrictEqual(provider.getRange(), iranHijri.getSourceInfo(1447).officialDataRange);
+      assert.deepStrictEqual(provider.getMonthLengths(1447), officialData[1447]);
+      assert.deepStrictEqual(provider.getMonthProvenance(1447, 1), iranHijri.getSourceInfo(1447, 1).provenance);
+      assert.deepStrictEqual(converter.gregorianToHijri(2026, 2, 19), iranHijri.gregorianToHijri(2026, 2, 19));
+    });
+  },
+  
+  'estimates in a whole-year export are not loaded as data'() {
+    const exported = JSON.parse(iranHijri.exportMonthStarts({ from: 1447, to: 1449 }));
+    assert.strictEqual(exported.months.filter(month => month.source !== 'official').length, 14);
+    
+    ['json', 'csv'].forEach(format => {
+      const provider = iranHijri.loadProvider(iranHijri.exportMonthStarts({ format, from: 1447, to: 1449 }));
+      const converter = iranHijri.createConverter({ provider });
+      
+      assert.deepStrictEqual(provider.getRange(), { minYear: 1447, maxYear: 1448 });
+      assert.strictEqual(provider.getMonthLengths(1448).length, 10);
+      assert.strictEqual(converter.getHijriMonthLength(1448, 11).source, 'tabular');
+      assert.strictEqual(converter.getHijriMonthLength(1448, 10).source, 'official');
+    });
+  },
+  
+  'loadProvider refuses broken exports'() {
+    const months = JSON.parse(iranHijri.exportMonthStarts({ from: 1447, to: 1447 })).months;
+    const load = changed => iranHijri.loadProvider({ format: 'iran-hijri/month-starts', version: 1, months: changed });
+    
+    assert.throws(() => load(months.slice(1)), /first month must be Muharram/);
+    assert.throws(() => load(months.map(month => month.hm === 2 ? Object.assign({}, month, { julianDay: month.julianDay + 1 }) : month)),
+      /1447\/1 starts on Julian Day \d+ with 29 days, but 1447\/2 starts on \d+/);
+    assert.throws(() => load(months.filter(month => month.hm !== 5)), /year 1447 has a gap between months/);
+    assert.throws(() => iranHijri.loadProvider({ format: 'iran-hijri/month-starts', version: 2, months }),
+      /Unsupported month-start export version: 2/);
+  },
+  
+  'a day table lists every day of the range'() {
+    const csv = iranHijri.exportDayTable({ hy: 1447, hm: 9, hd: 1 }, { gy: 2026, gm: 2, gd: 21 }, { format: 'csv' });
+    
+    assert.deepStrictEqual(csv.split('\n'), [
+      'julian_day,weekday,hy,hm,hd,jy,jm,jd,gy,gm,gd,source',
+      '2461091,Thursday,1447,9,1,1404,11,30,2026,2,19,official',
+      '2461092,Friday,1447,9,2,1404,12,1,2026,2,20,official',
+      '2461093,Saturday,1447,9,3,1404,12,2,2026,2,21,official',
+      ''
+    ]);
+    assert.strictEqual(JSON.parse(iranHijri.exportDayTable({ hy: 1447, hm: 9, hd: 1 }, { hy: 1447, hm: 9, hd: 30 })).length, 30);
+  },
+  
+  'the iCalendar feed has an event per month start with stable UIDs'() {
+    const ics = iranHijri.exportICalendar({ from: 1447, to: 1447, occasions: false, now: new Date(Date.UTC(2026, 0, 1)) });
+    const lines = ics.split('\r\n');
+    
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 12);
+    assert.ok(lines.includes('UID:hijri-1447-09@iran-hijri'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260219'));
+    assert.ok(lines.includes('DTSTAMP:20260101T000000Z'));
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    
+    const withOccasions = iranHijri.exportICalendar({ from: 1447, to: 1447, now: new Date(Date.UTC(2026, 0, 1)) });
+    assert.ok(withOccasions.includes('CATEGORIES:Holiday'));
+  }
+};
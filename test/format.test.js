@@ -0,0 +1,46 @@
+/**
+ * Formatting Tests
+ * 
+ * Pattern tokens, locales, spellings and numerals.
+ */
+
+const assert = require('assert');
+const { formatHijri, formatJalaali, formatGregorian } = require('../src/index');
+
+module.exports = {
+  'numeric tokens and literal text'() {
+    const date = { gy: 2025, gm: 9, gd: 5 };
+    
+    assert.strictEqual(formatGregorian(date), '2025/09/05');
+    assert.strictEqual(formatGregorian(date, 'YY-M-D'), '25-9-5');
+    assert.strictEqual(formatGregorian(date, 'DD.MM.YYYY [at] YYYY'), '05.09.2025 at 2025');
+    assert.strictEqual(formatJalaali({ jy: 1404, jm: 6, jd: 14 }, 'YYYY/MM/DD'), '1404/06/14');
+  },
+  
+  'month, weekday and era names per locale'() {
+    const date = { gy: 2025, gm: 9, gd: 5 };
+    
+    assert.strictEqual(formatGregorian(date, 'dddd D MMMM YYYY'), 'Friday 5 September 2025');
+    assert.strictEqual(formatGregorian(date, 'dddd', { locale: 'fa' }), 'جمعه');
+    assert.strictEqual(formatGregorian(date, 'dddd', { locale: 'ar' }), 'الجمعة');
+    assert.strictEqual(formatJalaali({ jy: 1404, jm: 6, jd: 14 }, 'D MMMM', { locale: 'fa' }), '14 شهریور');
+    
+    const hijri = { hy: 1447, hm: 3, hd: 12, weekday: { number: 4 } };
+    assert.strictEqual(formatHijri(hijri, 'dddd, D MMMM YYYY E'), 'Friday, 12 Rabi al-Awwal 1447 AH');
+    assert.strictEqual(formatHijri(hijri, 'MMMM', { locale: 'fa' }), 'ربیع‌الاول');
+    assert.strictEqual(formatHijri(hijri, 'MMMM', { locale: 'en', spelling: 'iranian' }), 'Rabi-ol-Avval');
+    assert.strictEqual(formatHijri({ hy: 1447, hm: 6, hd: 1 }, 'MMMM', { locale: 'fa', spelling: 'iranian' }), 'جمادی‌الثانی');
+  },
+  
+  'Persian and Arabic-Indic numerals'() {
+    const date = { jy: 1404, jm: 6, jd: 14 };
+    
+    assert.strictEqual(formatJalaali(date, 'YYYY/MM/DD', { numerals: 'arabext' }), '۱۴۰۴/۰۶/۱۴');
+    assert.strictEqual(formatJalaali(date, 'D', { numerals: 'arab' }), '١٤');
+  },
+  
+  'invalid dates are rejected'() {
+    assert.throws(() => formatJalaali({ jy: 1404, jm: 13, jd: 1 }), /Invalid Jalaali date/);
+    assert.throws(() => formatHijri({ hy: 1447, hm: 1, hd: 31 }), /Invalid Hijri date/);
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * HijriDate Tests
+ * 
+ * Construction, arithmetic over real month lengths, comparison, and
+ * conversions matching the top-level functions.
+ */
+
+const assert = require('assert');
+const { HijriDate, hijriToJalaali, hijriToGregorian } = require('../src/index');
+
+module.exports = {
+  'the constructor rejects days the month lacks'() {
+    assert.throws(() => new HijriDate(1447, 12, 30), /has 29 days/);
+    assert.throws(() => new HijriDate(1447, 13, 1), /Invalid Hijri date/);
+    assert.strictEqual(new HijriDate(1447, 2, 30).source, 'official');
+  },
+  
+  'dates are immutable'() {
+    const date = new HijriDate(1447, 2, 30);
+    assert.ok(Object.isFrozen(date));
+    assert.strictEqual(date.addDays(1).toString(), '1447/03/01');
+    assert.strictEqual(date.toString(), '1447/02/30');
+  },
+  
+  'month arithmetic clamps to the real month length'() {
+    const start = new HijriDate(1447, 2, 30);
+    
+    assert.strictEqual(start.addDays(40).toString(), '1447/04/10');
+    assert.strictEqual(start.addMonths(2).toString(), '1447/04/29');
+    assert.strictEqual(start.addMonths(-1).toString(), '1447/01/29');
+    assert.strictEqual(start.addYears(1).diffInDays(start), 354);
+    assert.strictEqual(start.addDays(-40).addDays(40).equals(start), true);
+  },
+  
+  'results report crossing from official data to the tabular calendar'() {
+    const start = new HijriDate(1447, 2, 30);
+    const later = start.addMonths(24);
+    
+    assert.strictEqual(later.toString(), '1449/02/29');
+    assert.strictEqual(later.source, 'tabular');
+    assert.strictEqual(later.crossedSourceBoundary, true);
+    assert.strictEqual(start.addMonths(1).crossedSourceBoundary, false);
+  },
+  
+  'conversions and comparisons agree with Julian Day Numbers'() {
+    const date = new HijriDate(1447, 9, 1);
+    const next = date.addDays(1);
+    
+    assert.ok(HijriDate.fromJulianDay(date.julianDay).equals(date));
+    const { jy, jm, jd } = date.toJalaali();
+    assert.ok(HijriDate.fromJalaali(jy, jm, jd).equals(date));
+    const { gy, gm, gd } = date.toGregorian();
+    assert.ok(HijriDate.fromGregorian(gy, gm, gd).equals(date));
+    
+    assert.strictEqual(date.isBefore(next), true);
+    assert.strictEqual(next.isAfter(date), true);
+    assert.strictEqual(date.compare(next), -1);
+    assert.deepStrictEqual([next, date].sort(HijriDate.compare), [date, next]);
+    assert.ok(date < next);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(date)), { hy: 1447, hm: 9, hd: 1, source: 'official' });
+  },
+  
+  'toJalaali and toGregorian report confidence and uncertainty'() {
+    [[1447, 3, 12], [1460, 1, 1], [1300, 9, 30]].forEach(([hy, hm, hd]) => {
+      const date = new HijriDate(hy, hm, hd);
+      
+      assert.deepStrictEqual(date.toJalaali(), hijriToJalaali(hy, hm, hd));
+      assert.deepStrictEqual(date.toGregorian(), hijriToGregorian(hy, hm, hd));
+    });
+    
+    const distant = new HijriDate(1460, 1, 1).toGregorian();
+    assert.strictEqual(distant.source, 'tabular');
+    assert.strictEqual(distant.uncertainty.approximate, true);
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * Bahesab Ingestion Tests
+ * 
+ * Offline runs over the committed fixtures in fixtures/bahesab, the
+ * checkpoint's origin check and cleanup, and the HTTP fetcher against a
+ * local server.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const ingestion = require('../scripts/bahesab-ingest');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'bahesab');
+const YEAR_1447 = { from: { hy: 1447, hm: 1 }, to: { hy: 1447, hm: 12 } };
+
+/**
+ * Helper: Get a checkpoint path in a new temporary directory
+ * @returns {string} Path of a file that does not exist yet
+ */
+function temporaryCheckpoint() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'iran-hijri-')), 'checkpoint.json');
+}
+
+module.exports = {
+  'the fixtures for 1447 match the bundled data'() {
+    const options = Object.assign({ fetcher: ingestion.createFixtureFetcher(FIXTURES), delay: 0 }, YEAR_1447);
+    
+    return ingestion.ingest(options).then(report => {
+      assert.strictEqual(report.ok, true);
+      assert.deepStrictEqual(report.diff.changed, []);
+      assert.deepStrictEqual(report.diff.added, []);
+      assert.strictEqual(report.written, false);
+    });
+  },
+  
+  'a checkpoint from another origin is refused'() {
+    const checkpoint = temporaryCheckpoint();
+    ingestion.saveCheckpoint(checkpoint, {
+      origin: 'GET http://localhost:8080/convert?year={hy}&month={hm}&day={hd}',
+      monthStarts: { '1447/1': { jy: 1404, jm: 4, jd: 6 } }
+    });
+    const options = Object.assign({ fetcher: ingestion.createFixtureFetcher(FIXTURES), checkpoint, delay: 0 }, YEAR_1447);
+    
+    return ingestion.ingest(options).then(
+      () => assert.fail('expected the checkpoint to be refused'),
+      error => {
+        assert.ok(/was collected from GET http:\/\/localhost:8080/.test(error.message), error.message);
+        assert.ok(fs.existsSync(checkpoint));
+        fs.unlinkSync(checkpoint);
+        fs.rmdirSync(path.dirname(checkpoint));
+      }
+    );
+  },
+  
+  'a checkpoint from the same origin is resumed, then deleted'() {
+    const checkpoint = temporaryCheckpoint();
+    const fetcher = ingestion.createFixtureFetcher(FIXTURES);
+    ingestion.saveCheckpoint(checkpoint, { origin: fetcher.origin, monthStarts: { '1447/1': { jy: 1404, jm: 4, jd: 5 } } });
+    const cached = [];
+    const options = Object.assign({
+      fetcher,
+      checkpoint,
+      delay: 0,
+      onMonth: (month, date, fromCheckpoint) => fromCheckpoint && cached.push(`${month.hy}/${month.hm}`)
+    }, YEAR_1447);
+    
+    return ingestion.ingest(options).then(report => {
+      assert.deepStrictEqual(cached, ['1447/1']);
+      assert.strictEqual(report.diff.changed.length, 1);
+      assert.strictEqual(fs.existsSync(checkpoint), false);
+      fs.rmdirSync(path.dirname(checkpoint));
+    });
+  },
+  
+  'the HTTP fetcher fills in the date and records the pages'() {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, body });
+        response.statusCode = request.url.includes('month=13') ? 404 : 200;
+        response.end(`<p>${request.url}</p>`);
+      });
+    });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'iran-hijri-'));
+    const pages = path.join(directory, 'pages', '1447');
+    
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+      const template = `http://127.0.0.1:${server.address().port}/convert?year={hy}&month={hm}&day={hd}`;
+      const fetcher = ingestion.createHttpFetcher(template, { method: 'POST', body: 'date={hy}-{hm}-{hd}' });
+      const recorder = ingestion.recordFixtures(fetcher, pages);
+      
+      assert.strictEqual(recorder.origin, `POST ${template} date={hy}-{hm}-{hd}`);
+      return recorder({ hy: 1447, hm: 9, hd: 1 }).then(html => {
+        assert.strictEqual(html, '<p>/convert?year=1447&month=9&day=1</p>');
+        assert.deepStrictEqual(requests, [{ method: 'POST', url: '/convert?year=1447&month=9&day=1', body: 'date=1447-9-1' }]);
+        assert.deepStrictEqual(fs.readdirSync(pages), ['1447-09-01.html']);
+        
+        return fetcher({ hy: 1447, hm: 13, hd: 1 });
+      }).then(
+        () => assert.fail('expected an HTTP error'),
+        error => assert.ok(/^HTTP 404 for http:\/\/127\.0\.0\.1:\d+\/convert\?year=1447&month=13/.test(error.message), error.message)
+      );
+    }).then(() => {
+      fs.unlinkSync(path.join(pages, '1447-09-01.html'));
+      fs.rmdirSync(pages);
+      fs.rmdirSync(path.dirname(pages));
+      fs.rmdirSync(directory);
+      return new Promise(resolve => server.close(resolve));
+    }, error => new Promise(resolve => server.close(resolve)).then(() => {
+      throw error;
+    }));
+  }
+};
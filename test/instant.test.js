@@ -0,0 +1,78 @@
+/**
+ * Moment Conversion Tests
+ * 
+ * Dates and ISO timestamps in a time zone, the sunset day boundary, Hijri
+ * day intervals and sunset times.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+
+const { gregorianToJulian } = iranHijri.utils;
+
+module.exports = {
+  'the Hijri day changes at sunset'() {
+    // Sunset in Tehran on 2025-07-05 is at 19:23:49 local time (+03:30)
+    const before = iranHijri.instantToHijri('2025-07-05T19:23');
+    const after = iranHijri.instantToHijri('2025-07-05T19:24');
+    
+    assert.deepStrictEqual([before.hy, before.hm, before.hd, before.afterSunset], [1447, 1, 9, false]);
+    assert.deepStrictEqual([after.hy, after.hm, after.hd, after.afterSunset], [1447, 1, 10, true]);
+    assert.strictEqual(after.weekday.en, 'Sunday');
+    assert.deepStrictEqual(after.civil, { gy: 2025, gm: 7, gd: 5, hour: 19, minute: 24, second: 0 });
+    assert.strictEqual(after.sunset.toISOString().slice(0, 16), '2025-07-05T15:53');
+  },
+  
+  'the midnight boundary keeps the civil day'() {
+    const result = iranHijri.instantToHijri('2025-07-05T23:59', { dayBoundary: 'midnight' });
+    
+    assert.deepStrictEqual([result.hy, result.hm, result.hd], [1447, 1, 9]);
+    assert.strictEqual(result.sunset, null);
+    assert.strictEqual(result.afterSunset, false);
+  },
+  
+  'Dates, offsets and time zones give the same moment'() {
+    const expected = iranHijri.instantToHijri('2025-07-05T20:30');
+    
+    [new Date('2025-07-05T17:00:00Z'), '2025-07-05T17:00Z', '2025-07-05T20:30:00+03:30', '2025-07-05 20:30:00.000+0330']
+      .forEach(input => assert.deepStrictEqual(iranHijri.instantToHijri(input), expected));
+    
+    // Civil date in another time zone, sunset still in Tehran
+    const utc = iranHijri.instantToHijri('2025-07-05T17:00Z', { timeZone: 'UTC' });
+    assert.deepStrictEqual(utc.civil, { gy: 2025, gm: 7, gd: 5, hour: 17, minute: 0, second: 0 });
+    assert.strictEqual(utc.hd, expected.hd);
+  },
+  
+  'a Hijri day runs from sunset to sunset'() {
+    const { start, end, source } = iranHijri.getHijriDayInterval(1447, 1, 10);
+    
+    assert.strictEqual(source, 'official');
+    assert.strictEqual(iranHijri.instantToHijri(start).hd, 10);
+    assert.strictEqual(iranHijri.instantToHijri(new Date(start.getTime() - 1)).hd, 9);
+    assert.strictEqual(iranHijri.instantToHijri(new Date(end.getTime() - 1)).hd, 10);
+    assert.strictEqual(iranHijri.instantToHijri(end).hd, 11);
+    
+    const midnight = iranHijri.getHijriDayInterval(1447, 1, 10, { dayBoundary: 'midnight', timeZone: 'UTC' });
+    assert.strictEqual(midnight.start.toISOString(), '2025-07-06T00:00:00.000Z');
+    assert.strictEqual(midnight.end.toISOString(), '2025-07-07T00:00:00.000Z');
+  },
+  
+  'sunset is checked and computed for a location'() {
+    const julianDay = gregorianToJulian(2025, 7, 5);
+    const mashhad = iranHijri.getSunset(julianDay, { latitude: 36.2605, longitude: 59.6168 });
+    
+    // Mashhad lies east of Tehran, so the Sun sets there earlier
+    assert.ok(mashhad < iranHijri.getSunset(julianDay));
+    assert.throws(() => iranHijri.getSunset(NaN), /Invalid Julian Day: NaN \(expected a finite number\)/);
+    assert.throws(() => iranHijri.getSunset('2460862'), /expected a finite number/);
+    assert.throws(() => iranHijri.getSunset(julianDay, { latitude: 80, longitude: 0 }), /does not set/);
+  },
+  
+  'invalid input is rejected'() {
+    assert.throws(() => iranHijri.instantToHijri('2025-13-01T10:00'), /Invalid timestamp/);
+    assert.throws(() => iranHijri.instantToHijri('yesterday'), /Invalid timestamp/);
+    assert.throws(() => iranHijri.instantToHijri(new Date(NaN)), /Invalid Date/);
+    assert.throws(() => iranHijri.instantToHijri('2025-07-05', { timeZone: 'Mars/Olympus' }), /Invalid time zone/);
+    assert.throws(() => iranHijri.instantToHijri('2025-07-05', { dayBoundary: 'dawn' }), /Invalid dayBoundary/);
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Data Integrity Tests
+ * 
+ * Reports on gaps between coverage segments and segments that cannot be placed.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const tabular = require('../src/tabular');
+
+const YEAR = [30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29];
+
+/**
+ * Helper: Problem types reported for a provider
+ * @param {Object} options - createProvider options
+ * @returns {Object} Result of checkDataIntegrity
+ */
+function check(options) {
+  return iranHijri.checkDataIntegrity(iranHijri.createProvider(Object.assign({ name: 'test' }, options)));
+}
+
+module.exports = {
+  'the bundled data is one continuous segment'() {
+    const report = iranHijri.checkDataIntegrity();
+    
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.segments.length, 1);
+    assert.deepStrictEqual(report.gaps, []);
+    assert.deepStrictEqual(report.problems, []);
+  },
+  
+  'a gap the tabular calendar fills exactly is seamless'() {
+    const anchorJulianDay = tabular.hijriToJulianTabular(1440, 1, 1);
+    const report = check({
+      data: { 1440: YEAR, 1442: YEAR },
+      anchorJulianDay,
+      segmentAnchors: [{ hy: 1442, hm: 1, julianDay: tabular.hijriToJulianTabular(1442, 1, 1) }]
+    });
+    
+    assert.deepStrictEqual(report.gaps, [{ from: { hy: 1441, hm: 1 }, to: { hy: 1441, hm: 12 }, months: 12 }]);
+    assert.deepStrictEqual(report.problems.map(problem => problem.type), []);
+    assert.strictEqual(report.ok, true);
+  },
+  
+  'unanchored segments and discontinuities are reported'() {
+    const unanchored = check({ data: { 1440: YEAR, 1442: YEAR }, anchorJulianDay: 2458373 });
+    assert.strictEqual(unanchored.ok, false);
+    assert.deepStrictEqual(unanchored.problems.map(problem => [problem.type, problem.hy, problem.hm]),
+      [['unanchored', 1442, 1]]);
+    
+    const shifted = check({
+      data: { 1440: YEAR, 1442: YEAR },
+      anchorJulianDay: tabular.hijriToJulianTabular(1440, 1, 1) + 1,
+      segmentAnchors: [{ hy: 1442, hm: 1, julianDay: tabular.hijriToJulianTabular(1442, 1, 1) }]
+    });
+    assert.strictEqual(shifted.ok, false);
+    assert.ok(shifted.problems.some(problem => problem.type === 'discontinuity'));
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Date and Temporal Interop Tests
+ * 
+ * Civil dates in a time zone, Temporal objects and property bags, and the
+ * calendars getCalendarDate reads.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const { INTL_CALENDARS } = require('../src/interop');
+
+// 01:30 on 6 July 2025 in Tehran
+const MOMENT = new Date('2025-07-05T22:00:00Z');
+
+// Dates of MOMENT in each Intl calendar getCalendarDate reads
+const EXPECTED_DATES = {
+  gregory: [2025, 7, 6],
+  iso8601: [2025, 7, 6],
+  persian: [1404, 4, 15],
+  islamic: [1447, 1, 11],
+  'islamic-civil': [1447, 1, 10],
+  'islamic-tbla': [1447, 1, 11],
+  'islamic-umalqura': [1447, 1, 11],
+  'islamic-rgsa': [1447, 1, 11]
+};
+
+module.exports = {
+  'fromDate and toDate use the civil date in the time zone'() {
+    assert.strictEqual(iranHijri.fromDate(MOMENT).hd, 10);
+    assert.strictEqual(iranHijri.fromDate(MOMENT, { timeZone: 'UTC' }).hd, 9);
+    
+    assert.strictEqual(iranHijri.toDate({ hy: 1447, hm: 1, hd: 10 }).toISOString(), '2025-07-05T20:30:00.000Z');
+    assert.strictEqual(
+      iranHijri.toDate({ calendar: 'islamic-iran', year: 1447, month: 1, day: 10 }, { timeZone: 'Europe/London' })
+        .toISOString(),
+      '2025-07-05T23:00:00.000Z'
+    );
+    assert.throws(() => iranHijri.toDate({ year: 1447, month: 1, day: 10 }), /Unrecognized Hijri date/);
+  },
+  
+  'getCalendarDate reads islamic-iran'() {
+    assert.deepStrictEqual(iranHijri.getCalendarDate(MOMENT), {
+      calendar: 'islamic-iran',
+      year: 1447,
+      month: 1,
+      day: 10,
+      source: 'official'
+    });
+  },
+  
+  'getCalendarDate reads every supported Intl calendar'() {
+    assert.deepStrictEqual(Object.keys(EXPECTED_DATES).sort(), INTL_CALENDARS.slice().sort());
+    
+    INTL_CALENDARS.forEach(calendar => {
+      const [year, month, day] = EXPECTED_DATES[calendar];
+      assert.deepStrictEqual(iranHijri.getCalendarDate(MOMENT, { calendar }), { calendar, year, month, day }, calendar);
+    });
+  },
+  
+  'calendars without numbered years and months are refused'() {
+    ['hebrew', 'chinese', 'japanese', 'klingon'].forEach(calendar => {
+      assert.throws(() => iranHijri.getCalendarDate(MOMENT, { calendar }), /Unsupported calendar/);
+    });
+  },
+  
+  'toTemporal and fromTemporal work with property bags'() {
+    assert.deepStrictEqual(iranHijri.toTemporal({ hy: 1447, hm: 1, hd: 10 }), {
+      year: 2025,
+      month: 7,
+      day: 6,
+      calendar: 'iso8601'
+    });
+    
+    const fromIso = iranHijri.fromTemporal({ year: 2025, month: 7, day: 6 });
+    assert.deepStrictEqual([fromIso.hy, fromIso.hm, fromIso.hd], [1447, 1, 10]);
+    
+    const fromHijri = iranHijri.fromTemporal({ calendar: 'islamic-iran', year: 1447, month: 1, day: 10 });
+    assert.deepStrictEqual(fromHijri, fromIso);
+    assert.throws(() => iranHijri.fromTemporal({ calendar: 'islamic-iran', year: 1447, month: 12, day: 30 }), /29 days/);
+    assert.throws(() => iranHijri.fromTemporal({ calendar: 'hebrew', year: 5785, month: 10, day: 10 }), /Unsupported calendar/);
+  },
+  
+  'Temporal objects are used when given'() {
+    const created = [];
+    const temporal = {
+      PlainDate: {
+        from(fields) {
+          created.push(fields);
+          return Object.assign({ calendarId: fields.calendar }, fields);
+        }
+      }
+    };
+    
+    const plainDate = iranHijri.toTemporal({ hy: 1447, hm: 1, hd: 10 }, { temporal });
+    assert.strictEqual(created.length, 1);
+    assert.strictEqual(plainDate.calendarId, 'iso8601');
+    
+    // A date in another calendar is read through withCalendar('iso8601')
+    const persianDate = {
+      calendarId: 'persian',
+      year: 1404,
+      month: 4,
+      day: 15,
+      withCalendar: calendar => ({ calendarId: calendar, year: 2025, month: 7, day: 6 })
+    };
+    const zoned = { toPlainDate: () => persianDate };
+    assert.strictEqual(iranHijri.fromTemporal(zoned).hd, 10);
+  }
+};
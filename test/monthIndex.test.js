@@ -0,0 +1,82 @@
+/**
+ * Month Index Tests
+ * 
+ * The month start index against a plain walk over the provider's table,
+ * segments around gaps, and rebuilding the index when overrides change the data.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const officialData = require('../src/officialData');
+const monthIndex = require('../src/monthIndex');
+
+module.exports = {
+  'the index agrees with a walk over the official table'() {
+    const { provider } = officialData;
+    const index = monthIndex.createMonthIndex(provider);
+    const range = provider.getRange();
+    let julianDay = provider.anchorJulianDay;
+    
+    for (let hy = range.minYear; hy <= range.maxYear; hy++) {
+      provider.getMonthLengths(hy).forEach((length, position) => {
+        const hm = position + 1;
+        assert.strictEqual(monthIndex.getMonthStart(index, hy, hm), julianDay);
+        assert.deepStrictEqual(monthIndex.findMonth(index, julianDay), { hy, hm, hd: 1 });
+        assert.deepStrictEqual(monthIndex.findMonth(index, julianDay + length - 1), { hy, hm, hd: length });
+        julianDay += length;
+      });
+    }
+    
+    assert.strictEqual(index.segments.length, 1);
+    assert.strictEqual(index.segments[0].endJulianDay, julianDay);
+    assert.strictEqual(monthIndex.findMonth(index, julianDay), null);
+    assert.strictEqual(monthIndex.findMonth(index, provider.anchorJulianDay - 1), null);
+    assert.strictEqual(monthIndex.getMonthStart(index, range.maxYear, 12), null);
+  },
+  
+  'data after a gap is placed only by a segment anchor'() {
+    const data = { 1446: [30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29], 1448: [30] };
+    const unanchored = monthIndex.createMonthIndex(iranHijri.createProvider({
+      name: 'gap',
+      data,
+      anchorJulianDay: 2460499
+    }));
+    
+    assert.deepStrictEqual(unanchored.segments.map(segment => segment.placed), [true, false]);
+    assert.strictEqual(unanchored.segments[0].endJulianDay, 2460499 + 354);
+    assert.strictEqual(monthIndex.getMonthStart(unanchored, 1448, 1), null);
+    assert.strictEqual(monthIndex.isInGap(unanchored, 1447, 5), true);
+    assert.strictEqual(monthIndex.isInGap(unanchored, 1448, 1), true);
+    assert.strictEqual(monthIndex.findMonth(unanchored, 2460499 + 354), null);
+    
+    const anchored = monthIndex.createMonthIndex(iranHijri.createProvider({
+      name: 'gap',
+      data,
+      anchorJulianDay: 2460499,
+      segmentAnchors: [{ hy: 1448, hm: 1, julianDay: 2461207 }]
+    }));
+    
+    assert.strictEqual(monthIndex.getMonthStart(anchored, 1448, 1), 2461207);
+    assert.deepStrictEqual(monthIndex.findMonth(anchored, 2461208), { hy: 1448, hm: 1, hd: 2 });
+    assert.strictEqual(monthIndex.isInGap(anchored, 1448, 1), false);
+    assert.strictEqual(monthIndex.isDayInGap(anchored, 2460499 + 400), true);
+  },
+  
+  'conversions follow overrides as they change'() {
+    try {
+      const before = iranHijri.hijriToGregorian(1448, 11, 1);
+      iranHijri.registerMonthStart(1448, 11, { gy: 2027, gm: 4, gd: 9 });
+      const after = iranHijri.hijriToGregorian(1448, 11, 1);
+      
+      assert.strictEqual(before.source, 'tabular');
+      assert.deepStrictEqual([after.gy, after.gm, after.gd, after.source], [2027, 4, 9, 'override']);
+      const back = iranHijri.gregorianToHijri(2027, 4, 9);
+      assert.deepStrictEqual([back.hy, back.hm, back.hd], [1448, 11, 1]);
+    } finally {
+      iranHijri.clearOverrides();
+    }
+    
+    const restored = iranHijri.hijriToGregorian(1448, 11, 1);
+    assert.strictEqual(restored.source, 'tabular');
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Occasions Tests
+ * 
+ * Occasion lookup on Hijri and Jalaali dates, and the official holiday calendar.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+
+/**
+ * Helper: Ids of the occasions falling on a date
+ * @param {Object} date - { hy, hm, hd }, { jy, jm, jd } or { gy, gm, gd }
+ * @returns {Array<string>} Occasion ids
+ */
+function occasionIds(date) {
+  return iranHijri.getOccasions(date).map(occasion => occasion.id);
+}
+
+module.exports = {
+  'Hijri occasions are found from any calendar'() {
+    const [ashura] = iranHijri.getOccasions({ hy: 1447, hm: 1, hd: 10 });
+    assert.strictEqual(ashura.id, 'ashura');
+    assert.strictEqual(ashura.calendar, 'hijri');
+    assert.strictEqual(ashura.holiday, true);
+    assert.strictEqual(ashura.names.en, 'Ashura');
+    
+    const jalaali = iranHijri.hijriToJalaali(1447, 1, 10);
+    assert.deepStrictEqual(occasionIds(jalaali), ['ashura']);
+    assert.strictEqual(iranHijri.isHoliday(jalaali, { includeFridays: false }), true);
+  },
+  
+  'Jalaali occasions recur on the same Jalaali day'() {
+    assert.deepStrictEqual(occasionIds({ jy: 1404, jm: 1, jd: 1 }), ['nowruz-1']);
+    assert.deepStrictEqual(occasionIds({ jy: 1404, jm: 11, jd: 22 }), ['revolution-day']);
+    assert.deepStrictEqual(occasionIds({ gy: 2025, gm: 3, gd: 21 }), ['nowruz-1']);
+  },
+  
+  'end-of-month occasions follow the real month length'() {
+    // Safar 1447 has 30 days, Dhu al-Qadah 1447 has 29 or 30
+    assert.deepStrictEqual(occasionIds({ hy: 1447, hm: 2, hd: 30 }), ['martyrdom-imam-reza']);
+    assert.deepStrictEqual(occasionIds({ hy: 1447, hm: 2, hd: 29 }), []);
+    
+    const length = iranHijri.getHijriMonthLength(1447, 11).length;
+    assert.ok(occasionIds({ hy: 1447, hm: 11, hd: length }).includes('martyrdom-imam-jawad'));
+  },
+  
+  'Fridays count as holidays unless excluded'() {
+    // 2026-10-23 is a Friday with no occasion
+    const friday = { gy: 2026, gm: 10, gd: 23 };
+    assert.strictEqual(iranHijri.isHoliday(friday), true);
+    assert.strictEqual(iranHijri.isHoliday(friday, { includeFridays: false }), false);
+    assert.strictEqual(iranHijri.isHoliday({ gy: 2026, gm: 10, gd: 22 }), false);
+  },
+  
+  'the holiday calendar lists each holiday once in date order'() {
+    const holidays = iranHijri.getHolidaysInJalaaliYear(1404);
+    
+    assert.deepStrictEqual(holidays[0].jalaali, { jy: 1404, jm: 1, jd: 1 });
+    assert.strictEqual(holidays[0].occasions[0].id, 'nowruz-1');
+    assert.ok(holidays.every(day => day.holiday && day.jalaali.jy === 1404));
+    for (let i = 1; i < holidays.length; i++) {
+      assert.ok(holidays[i].julianDay > holidays[i - 1].julianDay);
+    }
+    
+    const ids = [].concat(...holidays.map(day => day.occasions.map(occasion => occasion.id)));
+    ['ashura', 'eid-al-fitr', 'eid-al-adha', 'oil-nationalization-day'].forEach(id => {
+      assert.ok(ids.includes(id), id);
+    });
+  },
+  
+  'occasion lists include non-holidays'() {
+    const all = iranHijri.getOccasionsInJalaaliYear(1404);
+    const holidays = iranHijri.getHolidaysInJalaaliYear(1404);
+    assert.ok(all.length > holidays.length);
+    assert.ok(all.some(day => !day.holiday));
+    assert.throws(() => iranHijri.getOccasionsInJalaaliYear(-100), /Invalid Jalaali year/);
+  }
+};
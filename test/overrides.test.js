@@ -0,0 +1,175 @@
+/**
+ * Override Tests
+ * 
+ * Registering announced month starts and month lengths at runtime, how
+ * conversions continue after the months they add, and override layers over
+ * providers whose data has gaps between anchored segments.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const utils = require('../src/utils');
+const { createProvider } = require('../src/provider');
+const { createConverter } = require('../src/converter');
+
+const YEAR = [30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29];
+
+/**
+ * Helper: Run a check against the default converter, then remove its overrides
+ * @param {Function} check - Check to run
+ */
+function withOverrides(check) {
+  try {
+    check();
+  } finally {
+    iranHijri.clearOverrides();
+  }
+}
+
+/**
+ * Helper: Hijri date of a Gregorian date as [hy, hm, hd, source]
+ * @param {number} gy - Gregorian year
+ * @param {number} gm - Gregorian month
+ * @param {number} gd - Gregorian day
+ * @returns {Array} Hijri date and source
+ */
+function hijriOf(gy, gm, gd) {
+  const date = iranHijri.gregorianToHijri(gy, gm, gd);
+  return [date.hy, date.hm, date.hd, date.source];
+}
+
+/**
+ * Helper: Create a converter for 1440 and 1442, with 1441 missing
+ * @returns {Object} Result of createConverter
+ */
+function createGappedConverter() {
+  return createConverter({
+    provider: createProvider({
+      name: 'gapped',
+      data: { 1440: YEAR, 1442: YEAR },
+      anchorJulianDay: 2458373,
+      segmentAnchors: [{ hy: 1442, hm: 1, julianDay: 2458373 + 354 + 354 }]
+    })
+  });
+}
+
+module.exports = {
+  'registering a month start extends the table'() {
+    withOverrides(() => {
+      const result = iranHijri.registerMonthStart(1448, 11, { gy: 2027, gm: 4, gd: 8 });
+      
+      assert.deepStrictEqual(result.previousMonth, { hy: 1448, hm: 10, length: 29 });
+      assert.deepStrictEqual(hijriOf(2027, 4, 10), [1448, 11, 3, 'override']);
+      assert.deepStrictEqual(iranHijri.getHijriMonthLength(1448, 11), { length: 30, source: 'override' });
+      assert.strictEqual(iranHijri.getSourceInfo(1448, 11).source, 'override');
+    });
+    
+    assert.strictEqual(iranHijri.getSourceInfo(1448, 11).source, 'tabular');
+  },
+  
+  'the tabular calendar continues from a registered month'() {
+    withOverrides(() => {
+      // A day later than the tabular start: 1448/10 gets 30 days, 1448/11 a provisional 30
+      iranHijri.registerMonthStart(1448, 11, { gy: 2027, gm: 4, gd: 9 });
+      
+      assert.deepStrictEqual(hijriOf(2027, 5, 8), [1448, 11, 30, 'override']);
+      assert.deepStrictEqual(hijriOf(2027, 5, 9), [1448, 12, 1, 'tabular']);
+      const start = iranHijri.hijriToGregorian(1448, 12, 1);
+      assert.deepStrictEqual([start.gy, start.gm, start.gd], [2027, 5, 9]);
+    });
+  },
+  
+  'the tabular calendar continues from a month length set past the end'() {
+    withOverrides(() => {
+      iranHijri.setMonthLength(1448, 11, 29);
+      
+      const lastDay = iranHijri.hijriToGregorian(1448, 11, 29);
+      assert.deepStrictEqual([lastDay.gy, lastDay.gm, lastDay.gd], [2027, 5, 6]);
+      
+      const next = iranHijri.gregorianToHijri(2027, 5, 7);
+      assert.deepStrictEqual([next.hy, next.hm, next.hd, next.source], [1448, 12, 1, 'tabular']);
+      assert.strictEqual(iranHijri.validateHijriDate(next.hy, next.hm, next.hd).valid, true);
+      
+      // Every day of the following months converts back to itself
+      for (let day = 0; day < 120; day++) {
+        const date = new Date(Date.UTC(2027, 4, 7 + day));
+        const hijri = iranHijri.gregorianToHijri(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+        assert.strictEqual(iranHijri.validateHijriDate(hijri.hy, hijri.hm, hijri.hd).valid, true);
+        const back = iranHijri.hijriToGregorian(hijri.hy, hijri.hm, hijri.hd);
+        assert.strictEqual(Date.UTC(back.gy, back.gm - 1, back.gd), date.getTime());
+      }
+    });
+  },
+  
+  'inconsistent changes are rejected'() {
+    withOverrides(() => {
+      assert.throws(() => iranHijri.registerMonthStart(1448, 11, { gy: 2027, gm: 5, gd: 7 }), /would have 58 days/);
+      assert.throws(() => iranHijri.setMonthLength(1449, 3, 29), Error);
+      assert.throws(() => iranHijri.setMonthLength(1448, 11, 31), Error);
+      assert.strictEqual(iranHijri.exportOverrides().months.length, 0);
+    });
+  },
+  
+  'overrides round-trip through JSON'() {
+    withOverrides(() => {
+      iranHijri.registerMonthStart(1448, 11, { gy: 2027, gm: 4, gd: 8 });
+      iranHijri.setMonthLength(1448, 11, 29);
+      const exported = JSON.parse(JSON.stringify(iranHijri.exportOverrides()));
+      
+      iranHijri.clearOverrides();
+      assert.strictEqual(iranHijri.getHijriMonthLength(1448, 11).source, 'tabular');
+      
+      iranHijri.loadOverrides(exported);
+      assert.deepStrictEqual(iranHijri.getHijriMonthLength(1448, 11), { length: 29, source: 'override' });
+      assert.deepStrictEqual(iranHijri.exportOverrides(), exported);
+    });
+  },
+  
+  'overrides work on both sides of a gap'() {
+    const converter = createGappedConverter();
+    
+    converter.clearOverrides();
+    converter.setMonthLength(1442, 2, 30);
+    assert.deepStrictEqual(converter.getHijriMonthLength(1442, 2), { length: 30, source: 'override' });
+    
+    converter.setMonthLength(1441, 1, 30);
+    assert.deepStrictEqual(converter.getHijriMonthLength(1441, 1), { length: 30, source: 'override' });
+    assert.strictEqual(converter.hijriToGregorian(1442, 1, 1).source, 'official');
+    
+    converter.clearOverrides();
+    assert.deepStrictEqual(converter.exportOverrides().months, []);
+  },
+  
+  'a month start after the second segment is registered'() {
+    const converter = createGappedConverter();
+    const lastDay = converter.hijriToGregorian(1442, 12, 29);
+    const start = utils.julianToGregorian(utils.gregorianToJulian(lastDay.gy, lastDay.gm, lastDay.gd) + 1);
+    
+    const result = converter.registerMonthStart(1443, 1, start);
+    assert.deepStrictEqual(result.previousMonth, { hy: 1442, hm: 12, length: 29 });
+    assert.strictEqual(converter.getHijriMonthLength(1443, 1).source, 'override');
+  },
+  
+  'overrides cannot open a new gap'() {
+    const converter = createGappedConverter();
+    
+    assert.throws(
+      () => converter.loadOverrides({ months: [{ hy: 1441, hm: 5, length: 30 }], starts: [] }),
+      /Gap in month data: 1441\/1 is missing/
+    );
+    assert.throws(() => converter.setMonthLength(1441, 3, 30), /1441\/2 has no official or override data/);
+  },
+  
+  'filling a gap must meet the segment anchor'() {
+    const converter = createGappedConverter();
+    const months = [];
+    for (let hm = 1; hm <= 12; hm++) {
+      months.push({ hy: 1441, hm, length: 30 });
+    }
+    
+    assert.throws(
+      () => converter.loadOverrides({ months, starts: [] }),
+      /segment anchor of 1442\/1/
+    );
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Parsing Tests
+ * 
+ * Formats, digits and month names, error codes, and round-trips through the formatters.
+ */
+
+const assert = require('assert');
+const { parseHijri, parseJalaali, parseGregorian, formatHijri, formatJalaali, formatGregorian } = require('../src/index');
+
+module.exports = {
+  'numeric and month-name dates in every script'() {
+    const expected = { valid: true, date: { hy: 1447, hm: 3, hd: 12 }, error: null };
+    
+    ['1447/03/12', '1447-3-12', '12.03.1447', '۱۴۴۷/۰۳/۱۲', '١٤٤٧-٠٣-١٢', '12 Rabi al-Awwal 1447',
+      'Rabi al-Awwal 12, 1447', '۱۲ ربیع‌الاول ۱۴۴۷ ه‍.ق'].forEach(input => {
+      assert.deepStrictEqual(parseHijri(input), expected, input);
+    });
+    assert.deepStrictEqual(parseJalaali('14 شهریور ۱۴۰۴').date, { jy: 1404, jm: 6, jd: 14 });
+    assert.deepStrictEqual(parseGregorian('5 September 2025').date, { gy: 2025, gm: 9, gd: 5 });
+  },
+  
+  'formatted dates parse back to the same date'() {
+    const patterns = ['YYYY/MM/DD', 'D MMMM YYYY', 'D MMMM YYYY E'];
+    const options = [{}, { locale: 'fa', numerals: 'arabext' }, { locale: 'ar', numerals: 'arab' }, { locale: 'fa', spelling: 'iranian' }];
+    
+    for (let hm = 1; hm <= 12; hm++) {
+      const hijri = { hy: 1447, hm, hd: 29 };
+      const jalaali = { jy: 1404, jm: hm, jd: 29 };
+      const gregorian = { gy: 2025, gm: hm, gd: 28 };
+      patterns.forEach(pattern => options.forEach(option => {
+        assert.deepStrictEqual(parseHijri(formatHijri(hijri, pattern, option)).date, hijri);
+        assert.deepStrictEqual(parseJalaali(formatJalaali(jalaali, pattern, option)).date, jalaali);
+        assert.deepStrictEqual(parseGregorian(formatGregorian(gregorian, pattern, option)).date, gregorian);
+      }));
+    }
+  },
+  
+  'Hijri days are checked against the month length'() {
+    const result = parseHijri('30 Dhu al-Hijjah 1447');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.error.code, 'INVALID_DATE');
+    assert.ok(/has 29 days/.test(result.error.message));
+    
+    assert.strictEqual(parseHijri('1447/12/30', { strict: false }).valid, true);
+    assert.strictEqual(parseHijri('1447/12/31', { strict: false }).valid, false);
+  },
+  
+  'failures carry error codes instead of throwing'() {
+    assert.strictEqual(parseHijri('').error.code, 'EMPTY_INPUT');
+    assert.strictEqual(parseHijri(null).error.code, 'EMPTY_INPUT');
+    assert.strictEqual(parseHijri('next tuesday').error.code, 'UNRECOGNIZED_FORMAT');
+    assert.strictEqual(parseHijri('12 Brumaire 1447').error.code, 'UNKNOWN_MONTH');
+    assert.strictEqual(parseJalaali('1404/12/30').error.code, 'INVALID_DATE');
+  }
+};
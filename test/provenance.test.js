@@ -0,0 +1,34 @@
+/**
+ * Provenance Tests
+ * 
+ * Expanding provenance runs into per-month records and joining them back.
+ */
+
+const assert = require('assert');
+const { expandProvenance, compactProvenance } = require('../src/provenance');
+const { provenance } = require('../src/officialData');
+
+module.exports = {
+  'compacting expanded provenance gives the same runs'() {
+    const runs = [
+      { from: { hy: 1400, hm: 1 }, to: { hy: 1401, hm: 12 }, source: 'bahesab', retrieved: '2025-11-11', status: 'provisional' },
+      { from: { hy: 1401, hm: 5 }, to: { hy: 1401, hm: 5 }, source: 'geophysics', retrieved: '2025-12-01', status: 'verified', sources: ['geophysics', 'bahesab'] }
+    ];
+    
+    assert.deepStrictEqual(compactProvenance(expandProvenance(runs)), [
+      { from: { hy: 1400, hm: 1 }, to: { hy: 1401, hm: 4 }, source: 'bahesab', retrieved: '2025-11-11', status: 'provisional' },
+      { from: { hy: 1401, hm: 5 }, to: { hy: 1401, hm: 5 }, source: 'geophysics', retrieved: '2025-12-01', status: 'verified', sources: ['geophysics', 'bahesab'] },
+      { from: { hy: 1401, hm: 6 }, to: { hy: 1401, hm: 12 }, source: 'bahesab', retrieved: '2025-11-11', status: 'provisional' }
+    ]);
+    assert.deepStrictEqual(compactProvenance(expandProvenance(provenance)), provenance);
+  },
+  
+  'invalid runs are refused'() {
+    const run = { from: { hy: 1401, hm: 1 }, to: { hy: 1401, hm: 12 }, source: 'bahesab', retrieved: null, status: 'provisional' };
+    
+    assert.throws(() => expandProvenance(null), /Provenance must be an array/);
+    assert.throws(() => expandProvenance([Object.assign({}, run, { to: { hy: 1400, hm: 12 } })]), /Invalid provenance run/);
+    assert.throws(() => expandProvenance([Object.assign({}, run, { status: 'confirmed' })]), /Invalid provenance status/);
+    assert.throws(() => expandProvenance([Object.assign({}, run, { retrieved: '11/11/2025' })]), /Invalid provenance retrieved date/);
+  }
+};
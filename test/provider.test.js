@@ -0,0 +1,124 @@
+/**
+ * Provider Tests
+ * 
+ * Building data providers and converting with several providers side by side.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+
+const UMM_AL_QURA_1447 = [30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29];
+
+/**
+ * Helper: A provider with one year of Umm al-Qura month lengths
+ * @returns {Object} Provider
+ */
+function ummAlQura() {
+  return iranHijri.createProvider({
+    name: 'umm-al-qura',
+    data: { 1447: UMM_AL_QURA_1447 },
+    anchorJulianDay: 2460853
+  });
+}
+
+module.exports = {
+  'createProvider checks its input'() {
+    assert.throws(() => iranHijri.createProvider({ data: {}, anchorJulianDay: 1 }), /name is required/);
+    assert.throws(() => iranHijri.createProvider({ name: 'x', anchorJulianDay: 1 }), /data must be an object/);
+    assert.throws(() => iranHijri.createProvider({ name: 'x', data: {} }), /anchorJulianDay/);
+    assert.throws(() => iranHijri.createProvider({ name: 'x', data: { 1447: [31] }, anchorJulianDay: 1 }),
+      /month 1 of 1447 has 31 days/);
+    assert.throws(() => iranHijri.createProvider({ name: 'x', data: { abc: [30] }, anchorJulianDay: 1 }),
+      /invalid Hijri year abc/);
+  },
+  
+  'providers copy their table'() {
+    const data = { 1447: UMM_AL_QURA_1447.slice() };
+    const provider = iranHijri.createProvider({ name: 'copy', data, anchorJulianDay: 2460853 });
+    data[1447][0] = 29;
+    
+    assert.deepStrictEqual(provider.getRange(), { minYear: 1447, maxYear: 1447 });
+    assert.strictEqual(provider.getMonthLengths(1447)[0], 30);
+    assert.strictEqual(provider.getMonthLengths(1446), null);
+  },
+  
+  'converters run side by side on different providers'() {
+    const saudi = iranHijri.createConverter({ provider: ummAlQura() });
+    
+    const saudiDate = saudi.gregorianToHijri(2025, 7, 5);
+    assert.deepStrictEqual([saudiDate.hy, saudiDate.hm, saudiDate.hd, saudiDate.source], [1447, 1, 10, 'official']);
+    
+    const iranDate = iranHijri.gregorianToHijri(2025, 7, 5);
+    assert.deepStrictEqual([iranDate.hy, iranDate.hm, iranDate.hd], [1447, 1, 9]);
+    
+    assert.strictEqual(saudi.getSourceInfo(1447).provider, 'umm-al-qura');
+    assert.strictEqual(saudi.getHijriMonthLength(1447, 1).length, 30);
+    assert.strictEqual(iranHijri.getHijriMonthLength(1447, 1).length, 29);
+  },
+  
+  'converters fall back to the tabular calendar outside their data'() {
+    const saudi = iranHijri.createConverter({ provider: ummAlQura() });
+    const date = saudi.hijriToGregorian(1448, 1, 1);
+    
+    assert.strictEqual(date.source, 'tabular');
+    const back = saudi.gregorianToHijri(date.gy, date.gm, date.gd);
+    assert.deepStrictEqual([back.hy, back.hm, back.hd], [1448, 1, 1]);
+    
+    // The tabular calendar continues from the end of the provider's data
+    const lastDay = saudi.hijriToGregorian(1447, 12, 29);
+    assert.strictEqual(lastDay.source, 'official');
+    assert.strictEqual(Date.UTC(date.gy, date.gm - 1, date.gd) - Date.UTC(lastDay.gy, lastDay.gm - 1, lastDay.gd),
+      24 * 60 * 60 * 1000);
+  },
+  
+  'anchors can be dates and are checked against an end anchor'() {
+    const provider = iranHijri.createProvider({
+      name: 'anchored',
+      data: { 1447: UMM_AL_QURA_1447, 1448: [30] },
+      anchor: { gy: 2025, gm: 6, gd: 26 },
+      endAnchor: { hy: 1448, hm: 1, date: { gy: 2026, gm: 6, gd: 15 } }
+    });
+    
+    assert.strictEqual(provider.anchorJulianDay, 2460853);
+    assert.deepStrictEqual(provider.anchors.end, { hy: 1448, hm: 1, julianDay: 2461207 });
+    
+    assert.throws(() => iranHijri.createProvider({
+      name: 'miscounted',
+      data: { 1447: UMM_AL_QURA_1447, 1448: [30] },
+      anchor: { gy: 2025, gm: 6, gd: 26 },
+      endAnchor: { hy: 1448, hm: 1, date: { gy: 2026, gm: 6, gd: 16 } }
+    }), /off by -1 day/);
+    assert.throws(() => iranHijri.createProvider({
+      name: 'both',
+      data: { 1447: UMM_AL_QURA_1447 },
+      anchor: { gy: 2025, gm: 6, gd: 26 },
+      anchorJulianDay: 2460853
+    }), /either anchor or anchorJulianDay/);
+  },
+  
+  'the bundled data reports its published anchors'() {
+    const { anchor } = iranHijri.getSourceInfo(1447);
+    
+    assert.deepStrictEqual(anchor.start.jalaali, { jy: 1300, jm: 6, jd: 13 });
+    assert.deepStrictEqual(anchor.end.jalaali, { jy: 1405, jm: 3, jd: 26 });
+    const start = iranHijri.hijriToJalaali(1340, 1, 1);
+    assert.deepStrictEqual([start.jy, start.jm, start.jd], [1300, 6, 13]);
+    const end = iranHijri.hijriToJalaali(1448, 1, 1);
+    assert.deepStrictEqual([end.jy, end.jm, end.jd], [1405, 3, 26]);
+  },
+  
+  'overrides may not move the end anchor'() {
+    try {
+      assert.throws(() => iranHijri.setMonthLength(1447, 12, 30), /end anchor/);
+    } finally {
+      iranHijri.clearOverrides();
+    }
+  },
+  
+  'the default converter uses the bundled data'() {
+    const converter = iranHijri.createConverter();
+    
+    assert.strictEqual(converter.provider, iranHijri.officialData.provider);
+    assert.deepStrictEqual(converter.hijriToJalaali(1447, 1, 10), iranHijri.hijriToJalaali(1447, 1, 10));
+  }
+};
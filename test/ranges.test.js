@@ -0,0 +1,66 @@
+/**
+ * Date Range Tests
+ * 
+ * Day iterators and month range mapping across calendars.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+
+module.exports = {
+  'Ramadan 1447 spans its official 30 days'() {
+    const range = iranHijri.hijriMonthToGregorianRange(1447, 9);
+    
+    assert.strictEqual(range.days, 30);
+    assert.strictEqual(range.source, 'official');
+    assert.deepStrictEqual(range.start, { gy: 2026, gm: 2, gd: 19, julianDay: 2461091, source: 'official' });
+    assert.deepStrictEqual(range.end, { gy: 2026, gm: 3, gd: 20, julianDay: 2461120, source: 'official' });
+  },
+  
+  'months past the official data are tabular'() {
+    const range = iranHijri.hijriMonthToJalaaliRange(1448, 11);
+    
+    assert.strictEqual(range.source, 'tabular');
+    assert.strictEqual(range.start.source, 'tabular');
+    assert.deepStrictEqual([range.start.jy, range.start.jm, range.start.jd], [1406, 1, 19]);
+  },
+  
+  'a Jalaali month lists the Hijri months it overlaps'() {
+    const esfand = iranHijri.jalaaliMonthToHijriRange(1404, 12);
+    assert.strictEqual(esfand.days, 29);
+    assert.deepStrictEqual(esfand.months, [{ hy: 1447, hm: 9, length: 30, from: 2, to: 30, days: 29, source: 'official' }]);
+    
+    const range = iranHijri.gregorianMonthToHijriRange(2026, 3);
+    assert.strictEqual(range.days, 31);
+    assert.strictEqual(range.months.reduce((sum, month) => sum + month.days, 0), 31);
+    assert.deepStrictEqual(range.months.map(month => month.hm), [9, 10]);
+    assert.strictEqual(range.months[1].from, 1);
+  },
+  
+  'eachDayOfHijriMonth matches the range and the converter'() {
+    const days = Array.from(iranHijri.eachDayOfHijriMonth(1447, 9));
+    
+    assert.strictEqual(days.length, 30);
+    assert.strictEqual(days[0].julianDay, 2461091);
+    assert.strictEqual(days[29].julianDay, 2461120);
+    days.forEach((day, index) => {
+      assert.strictEqual(day.hijri.hd, index + 1);
+      const { gy, gm, gd } = iranHijri.hijriToGregorian(1447, 9, index + 1);
+      assert.deepStrictEqual(day.gregorian, { gy, gm, gd });
+    });
+  },
+  
+  'eachDay mixes calendars and crosses the end of the data'() {
+    const days = Array.from(iranHijri.eachDay({ gy: 2027, gm: 4, gd: 6 }, { hy: 1448, hm: 11, hd: 2 }));
+    
+    assert.deepStrictEqual(days.map(day => `${day.hijri.hm}/${day.hijri.hd}`), ['10/28', '10/29', '11/1', '11/2']);
+    assert.deepStrictEqual(days.map(day => day.source), ['official', 'official', 'tabular', 'tabular']);
+  },
+  
+  'invalid ranges and months are rejected'() {
+    assert.throws(() => iranHijri.eachDay({ hy: 1447, hm: 2, hd: 1 }, { hy: 1447, hm: 1, hd: 1 }), /end is before start/);
+    assert.throws(() => iranHijri.hijriMonthToGregorianRange(1447, 13), /Invalid Hijri month/);
+    assert.throws(() => iranHijri.jalaaliMonthToHijriRange(1404, 0), /Invalid Jalaali month/);
+    assert.throws(() => iranHijri.gregorianMonthToHijriRange(2026, 13), /Invalid Gregorian month/);
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * Source Reconciliation Tests
+ * 
+ * Agreement and disagreement between sources, --prefer and --choose, and
+ * the checks that keep scripts/reconcile-sources.js from writing an
+ * unresolved or broken table.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const reconciliation = require('../scripts/reconcile-sources');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'reconcile-sources.js');
+const OFFICIAL_DATA = require.resolve('../src/officialData');
+
+/**
+ * Helper: Read a source giving lengths for the first months of 1401
+ * @param {string} name - Source name
+ * @param {Array<number>} lengths - Month lengths from 1401/1
+ * @param {string} [status] - Source status
+ * @returns {Object} Source as from readSource
+ */
+function source(name, lengths, status) {
+  return reconciliation.readSource({ name, retrieved: '2025-12-01', status, data: { 1401: lengths } });
+}
+
+/**
+ * Helper: Copy src/officialData.js into a new temporary directory
+ * @returns {string} Path of the copy
+ */
+function temporaryTarget() {
+  const target = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'iran-hijri-')), 'officialData.js');
+  fs.copyFileSync(OFFICIAL_DATA, target);
+  return target;
+}
+
+module.exports = {
+  'months the sources agree on are verified'() {
+    const { months, disagreements } = reconciliation.reconcile([
+      source('bahesab', [30, 29]),
+      source('geophysics', [30])
+    ]);
+    
+    assert.deepStrictEqual(disagreements, []);
+    assert.deepStrictEqual(months[0], {
+      hy: 1401,
+      hm: 1,
+      length: 30,
+      provenance: { source: 'bahesab', retrieved: '2025-12-01', status: 'verified', sources: ['bahesab', 'geophysics'] }
+    });
+    // A month given by one source keeps that source's status
+    assert.deepStrictEqual(months[1].provenance, { source: 'bahesab', retrieved: '2025-12-01', status: 'provisional' });
+  },
+  
+  'a disagreement is resolved by --prefer or --choose'() {
+    const sources = [source('bahesab', [30]), source('geophysics', [29], 'verified')];
+    
+    const unresolved = reconciliation.reconcile(sources);
+    assert.strictEqual(unresolved.months[0].length, null);
+    assert.deepStrictEqual(unresolved.disagreements, [
+      { hy: 1401, hm: 1, values: { bahesab: 30, geophysics: 29 }, chosen: null, resolvedBy: null }
+    ]);
+    
+    const preferred = reconciliation.reconcile(sources, { prefer: ['geophysics'] });
+    assert.strictEqual(preferred.months[0].length, 29);
+    assert.strictEqual(preferred.months[0].provenance.status, 'provisional');
+    assert.strictEqual(preferred.disagreements[0].resolvedBy, 'prefer');
+    
+    // A maintainer's choice wins over --prefer and verifies the month
+    const chosen = reconciliation.reconcile(sources, { prefer: ['geophysics'], choices: { '1401/1': 'bahesab' } });
+    assert.strictEqual(chosen.months[0].length, 30);
+    assert.strictEqual(chosen.months[0].provenance.status, 'verified');
+    assert.strictEqual(chosen.disagreements[0].resolvedBy, 'choice');
+    
+    assert.throws(() => reconciliation.reconcile(sources, { prefer: ['calendar-pdf'] }), /Unknown source: calendar-pdf/);
+  },
+  
+  'unresolved disagreements are not written'() {
+    const target = temporaryTarget();
+    const before = fs.readFileSync(target, 'utf8');
+    // The bundled table has 29 days for 1447/1
+    const geophysics = { name: 'geophysics', retrieved: '2025-12-01', status: 'verified', data: { 1447: [30] } };
+    
+    const report = reconciliation.reconcileSources([geophysics], { write: true, target });
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(report.written, false);
+    assert.deepStrictEqual(report.problems.map(problem => problem.type), ['disagreement']);
+    assert.strictEqual(fs.readFileSync(target, 'utf8'), before);
+    
+    const chosen = reconciliation.reconcileSources([geophysics], { write: true, target, choices: { '1447/1': 'bahesab' } });
+    assert.strictEqual(chosen.ok, true);
+    assert.strictEqual(chosen.written, true);
+    assert.deepStrictEqual(chosen.diff.changed, []);
+    assert.ok(fs.readFileSync(target, 'utf8').includes(
+      "{ from: { hy: 1447, hm: 1 }, to: { hy: 1447, hm: 1 }, source: 'bahesab', retrieved: '2025-11-11', status: 'verified' }"
+    ));
+  },
+  
+  'unknown options are refused'() {
+    const result = spawnSync(process.execPath, [SCRIPT, 'geophysics.json', '--prefered', 'geophysics'], { encoding: 'utf8' });
+    
+    assert.strictEqual(result.status, 1);
+    assert.ok(result.stderr.includes('unknown option --prefered'));
+    
+    const missing = spawnSync(process.execPath, [SCRIPT, 'geophysics.json', '--choose'], { encoding: 'utf8' });
+    assert.strictEqual(missing.status, 1);
+    assert.ok(missing.stderr.includes('--choose needs a value'));
+  }
+};
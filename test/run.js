@@ -0,0 +1,35 @@
+/**
+ * Test Runner
+ * 
+ * Runs the checks in every *.test.js file of this directory, one after
+ * another. A test file exports an object of named checks; a check passes
+ * when it returns (or its returned promise resolves) without throwing (use
+ * the assert module). Run with `npm test`, after the data verifier.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const checks = [];
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => {
+    const fileChecks = require(path.join(__dirname, file));
+    Object.keys(fileChecks).forEach(name => checks.push({ file, name, check: fileChecks[name] }));
+  });
+
+let failed = 0;
+
+checks
+  .reduce((previous, { file, name, check }) => previous
+    .then(() => check())
+    .catch(error => {
+      failed++;
+      console.log(`FAIL ${file}: ${name}`);
+      console.log(`  ${String(error.stack).split('\n').join('\n  ')}`);
+    }), Promise.resolve())
+  .then(() => {
+    console.log(`\n${checks.length - failed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  });
@@ -0,0 +1,73 @@
+/**
+ * Tabular Scheme Tests
+ * 
+ * Named leap patterns and epochs, the per-converter fallback scheme and
+ * matching schemes against the official data.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const tabular = require('../src/tabular');
+
+module.exports = {
+  'every pattern comes with both epochs'() {
+    assert.strictEqual(Object.keys(tabular.TABULAR_SCHEMES).length, 8);
+    assert.strictEqual(tabular.getTabularScheme().name, 'leap16-civil');
+    assert.strictEqual(tabular.getTabularScheme('indian-astronomical').epochJulianDay, tabular.HIJRI_EPOCH - 1);
+    assert.throws(() => tabular.getTabularScheme('leap17-civil'), /Unknown tabular scheme/);
+  },
+  
+  'schemes differ in leap years and epoch'() {
+    // Year 15 of the cycle is leap in leap15 only, year 16 in leap16 only
+    assert.strictEqual(tabular.getTabularMonthLength(1455, 12, 'leap15-civil'), 30);
+    assert.strictEqual(tabular.getTabularMonthLength(1455, 12, 'leap16-civil'), 29);
+    assert.strictEqual(tabular.getTabularYearLength(1456, 'leap16-civil'), 355);
+    
+    assert.strictEqual(
+      tabular.hijriToJulianTabular(1, 1, 1, 'habash-astronomical'),
+      tabular.hijriToJulianTabular(1, 1, 1, 'habash-civil') - 1
+    );
+    
+    // Round-trips hold in every scheme
+    Object.keys(tabular.TABULAR_SCHEMES).forEach(scheme => {
+      const julianDay = tabular.hijriToJulianTabular(1455, 12, 29, scheme);
+      assert.deepStrictEqual(tabular.julianToHijriTabular(julianDay, scheme), { hy: 1455, hm: 12, hd: 29 });
+    });
+  },
+  
+  'a converter falls back to its own scheme'() {
+    const leap15 = iranHijri.createConverter({ tabularScheme: 'leap15-civil' });
+    const astronomical = iranHijri.createConverter({ tabularScheme: 'leap16-astronomical' });
+    
+    assert.strictEqual(leap15.getSourceInfo(1456, 1).tabularScheme, 'leap15-civil');
+    assert.strictEqual(leap15.getHijriMonthLength(1455, 12).length, 30);
+    assert.strictEqual(iranHijri.getHijriMonthLength(1455, 12).length, 29);
+    
+    // After the data, months continue from the last official month; only lengths differ
+    assert.strictEqual(leap15.hijriToGregorian(1456, 1, 1).gd, iranHijri.hijriToGregorian(1456, 1, 1).gd + 1);
+    assert.strictEqual(astronomical.hijriToGregorian(1456, 1, 1).gd, iranHijri.hijriToGregorian(1456, 1, 1).gd);
+    
+    // Before the data, the epoch decides
+    assert.strictEqual(astronomical.hijriToGregorian(1300, 1, 1).gd, iranHijri.hijriToGregorian(1300, 1, 1).gd - 1);
+    
+    // Official data is the same under every scheme
+    assert.deepStrictEqual(leap15.hijriToGregorian(1447, 9, 1), iranHijri.hijriToGregorian(1447, 9, 1));
+    assert.throws(() => iranHijri.createConverter({ tabularScheme: 'lunar' }), /Unknown tabular scheme/);
+  },
+  
+  'findBestTabularScheme ranks the schemes'() {
+    const match = iranHijri.findBestTabularScheme({ from: { hy: 1440, hm: 1 }, to: { hy: 1447, hm: 12 } });
+    
+    assert.strictEqual(match.months, 96);
+    assert.deepStrictEqual(match.from, { hy: 1440, hm: 1 });
+    assert.strictEqual(match.schemes.length, 8);
+    assert.strictEqual(match.best, match.schemes[0].scheme);
+    for (let i = 1; i < match.schemes.length; i++) {
+      assert.ok(match.schemes[i - 1].matchingStarts >= match.schemes[i].matchingStarts);
+    }
+    
+    const none = iranHijri.findBestTabularScheme({ from: { hy: 1500, hm: 1 }, to: { hy: 1500, hm: 12 } });
+    assert.strictEqual(none.best, null);
+    assert.throws(() => iranHijri.findBestTabularScheme({ schemes: ['lunar'] }), /Unknown tabular scheme/);
+  }
+};
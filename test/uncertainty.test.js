@@ -0,0 +1,85 @@
+/**
+ * Confidence and Uncertainty Tests
+ * 
+ * Windows of official and fallback results, the margin far from the data,
+ * and estimates following changes to the data.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+
+const { gregorianToJulian } = iranHijri.utils;
+
+module.exports = {
+  'official dates are exact'() {
+    const result = iranHijri.hijriToGregorian(1447, 1, 1);
+    
+    assert.strictEqual(result.confidence, 'high');
+    assert.deepStrictEqual(result.uncertainty, {
+      before: 0,
+      after: 0,
+      earliest: { gy: 2025, gm: 6, gd: 27 },
+      latest: { gy: 2025, gm: 6, gd: 27 },
+      approximate: false
+    });
+  },
+  
+  'tabular dates get a window from the measured errors'() {
+    const result = iranHijri.hijriToGregorian(1460, 1, 1);
+    const julianDay = gregorianToJulian(result.gy, result.gm, result.gd);
+    const { earliest, latest, before, after } = result.uncertainty;
+    
+    assert.strictEqual(result.confidence, 'medium');
+    assert.strictEqual(result.uncertainty.approximate, true);
+    assert.strictEqual(gregorianToJulian(earliest.gy, earliest.gm, earliest.gd), julianDay - before);
+    assert.strictEqual(gregorianToJulian(latest.gy, latest.gm, latest.gd), julianDay + after);
+    
+    // The same day seen from the Hijri side has the window the other way round
+    const hijri = iranHijri.gregorianToHijri(result.gy, result.gm, result.gd);
+    assert.strictEqual(hijri.uncertainty.before, after);
+    assert.strictEqual(hijri.uncertainty.after, before);
+  },
+  
+  'Hijri windows cross month boundaries'() {
+    const { gy, gm, gd } = iranHijri.hijriToGregorian(1460, 1, 1);
+    const { earliest, latest, before } = iranHijri.gregorianToHijri(gy, gm, gd).uncertainty;
+    const julianDay = gregorianToJulian(gy, gm, gd);
+    
+    const expectedEarliest = iranHijri.jalaaliToHijri(...Object.values(iranHijri.utils.julianToJalaali(julianDay - before)));
+    assert.deepStrictEqual(earliest, { hy: expectedEarliest.hy, hm: expectedEarliest.hm, hd: expectedEarliest.hd });
+    assert.strictEqual(earliest.hy, 1459);
+    assert.deepStrictEqual([latest.hy, latest.hm], [1460, 1]);
+  },
+  
+  'dates far from the data get low confidence and an extra day'() {
+    const near = iranHijri.hijriToGregorian(1478, 10, 1);
+    const far = iranHijri.hijriToGregorian(1478, 11, 1);
+    
+    assert.strictEqual(near.confidence, 'medium');
+    assert.strictEqual(far.confidence, 'low');
+    assert.strictEqual(far.uncertainty.before, near.uncertainty.before + 1);
+    assert.strictEqual(far.uncertainty.after, near.uncertainty.after + 1);
+  },
+  
+  'estimates follow overrides'() {
+    try {
+      iranHijri.registerMonthStart(1448, 11, { gy: 2027, gm: 4, gd: 8 });
+      iranHijri.setMonthLength(1448, 11, 30);
+      
+      assert.strictEqual(iranHijri.hijriToGregorian(1448, 11, 5).confidence, 'high');
+      assert.strictEqual(iranHijri.hijriToGregorian(1478, 11, 1).confidence, 'medium');
+    } finally {
+      iranHijri.clearOverrides();
+    }
+    assert.strictEqual(iranHijri.hijriToGregorian(1478, 11, 1).confidence, 'low');
+  },
+  
+  'bulk results carry the same estimates'() {
+    const dates = [[1447, 1, 1], [1460, 1, 1], [1460, 1, 2], [1478, 11, 1]];
+    const { results } = iranHijri.convertMany(dates, { from: 'hijri', to: 'gregorian' });
+    
+    assert.deepStrictEqual(results, dates.map(([hy, hm, hd]) => iranHijri.hijriToGregorian(hy, hm, hd)));
+    assert.strictEqual(iranHijri.convertMany(dates, { from: 'hijri', to: 'gregorian', uncertainty: false })
+      .results.every(result => result.confidence === undefined && result.uncertainty === undefined), true);
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Utility Tests
+ * 
+ * Jalaali leap years and conversions through Julian Day Numbers.
+ */
+
+const assert = require('assert');
+const utils = require('../src/utils');
+
+module.exports = {
+  'Jalaali leap years follow the break years'() {
+    [1399, 1403, 1408].forEach(jy => assert.strictEqual(utils.isJalaaliLeapYear(jy), true, jy));
+    [1400, 1401, 1402, 1404].forEach(jy => assert.strictEqual(utils.isJalaaliLeapYear(jy), false, jy));
+    assert.strictEqual(utils.isValidJalaaliDate(1403, 12, 30), true);
+    assert.strictEqual(utils.isValidJalaaliDate(1404, 12, 30), false);
+  },
+  
+  'Jalaali dates convert to the right Gregorian days'() {
+    assert.deepStrictEqual(utils.jalaaliToGregorian(1404, 1, 1), { gy: 2025, gm: 3, gd: 21 });
+    assert.deepStrictEqual(utils.jalaaliToGregorian(1403, 12, 30), { gy: 2025, gm: 3, gd: 20 });
+    assert.deepStrictEqual(utils.jalaaliToGregorian(1300, 6, 13), { gy: 1921, gm: 9, gd: 4 });
+    assert.deepStrictEqual(utils.gregorianToJalaali(2024, 3, 20), { jy: 1403, jm: 1, jd: 1 });
+  },
+  
+  'Julian Day Numbers round-trip through both calendars'() {
+    for (let julianDay = 2422937; julianDay < 2470000; julianDay += 97) {
+      const jalaali = utils.julianToJalaali(julianDay);
+      const gregorian = utils.julianToGregorian(julianDay);
+      assert.strictEqual(utils.jalaaliToJulian(jalaali.jy, jalaali.jm, jalaali.jd), julianDay);
+      assert.strictEqual(utils.gregorianToJulian(gregorian.gy, gregorian.gm, gregorian.gd), julianDay);
+    }
+    assert.strictEqual(utils.gregorianToJulian(2000, 1, 1), 2451545);
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Hijri Validation Tests
+ * 
+ * Month-aware validation and the strict conversion mode.
+ */
+
+const assert = require('assert');
+const { validateHijriDate, isValidHijriDateStrict, hijriToGregorian } = require('../src/index');
+
+module.exports = {
+  'day 30 is checked against the month length'() {
+    const official = validateHijriDate(1447, 12, 30);
+    assert.strictEqual(official.valid, false);
+    assert.strictEqual(official.source, 'official');
+    assert.strictEqual(official.monthLength, 29);
+    
+    assert.strictEqual(isValidHijriDateStrict(1447, 12, 29), true);
+    assert.strictEqual(isValidHijriDateStrict(1460, 1, 30), true);
+    assert.strictEqual(isValidHijriDateStrict(1460, 2, 30), false);
+    assert.strictEqual(validateHijriDate(1447, 13, 1).valid, false);
+  },
+  
+  'strict conversions reject days the month lacks'() {
+    assert.throws(() => hijriToGregorian(1447, 12, 30, { strict: true }), /has 29 days/);
+    assert.strictEqual(hijriToGregorian(1447, 12, 30).source, 'official');
+  }
+};
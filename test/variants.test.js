@@ -0,0 +1,83 @@
+/**
+ * Calendar Variant Tests
+ * 
+ * The Umm al-Qura provider against the Intl calendar it is read from, and
+ * conversions and comparisons between the Iranian, Umm al-Qura and tabular
+ * calendars.
+ */
+
+const assert = require('assert');
+const iranHijri = require('../src/index');
+const utils = require('../src/utils');
+
+module.exports = {
+  'the Umm al-Qura provider matches the Intl calendar'() {
+    const provider = iranHijri.getUmmAlQuraProvider();
+    assert.strictEqual(iranHijri.getUmmAlQuraProvider(), provider);
+    assert.deepStrictEqual(provider.getRange(), { minYear: 1300, maxYear: 1600 });
+    
+    const saudi = iranHijri.createConverter({ provider });
+    const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+      timeZone: 'UTC', year: 'numeric', month: 'numeric', day: 'numeric'
+    });
+    const toJulian = hy => {
+      const { gy, gm, gd } = saudi.hijriToGregorian(hy, 1, 1);
+      return utils.gregorianToJulian(gy, gm, gd);
+    };
+    const start = toJulian(1446);
+    const end = toJulian(1447);
+    for (let julianDay = start; julianDay < end; julianDay++) {
+      const { gy, gm, gd } = utils.julianToGregorian(julianDay);
+      const { hy, hm, hd, source } = saudi.gregorianToHijri(gy, gm, gd);
+      assert.strictEqual(source, 'official');
+      assert.strictEqual(formatter.format(new Date(Date.UTC(gy, gm - 1, gd, 12))), `${hm}/${hd}/${hy} AH`);
+    }
+  },
+  
+  'a date converts to the same day in another variant'() {
+    const saudi = iranHijri.convertHijriVariant({ hy: 1447, hm: 9, hd: 1 });
+    assert.deepStrictEqual(saudi, {
+      hy: 1447,
+      hm: 9,
+      hd: 2,
+      source: 'umm-al-qura',
+      variant: 'umm-al-qura',
+      julianDay: 2461091,
+      gregorian: { gy: 2026, gm: 2, gd: 19 },
+      offset: -1,
+      from: { variant: 'iran', hy: 1447, hm: 9, hd: 1, source: 'official' }
+    });
+    
+    const back = iranHijri.convertHijriVariant({ hy: 1447, hm: 9, hd: 2 }, { from: 'umm-al-qura', to: 'iran' });
+    assert.deepStrictEqual([back.hy, back.hm, back.hd, back.source, back.offset], [1447, 9, 1, 'official', 1]);
+    
+    const tabular = iranHijri.convertHijriVariant({ hy: 1447, hm: 9, hd: 1 }, { to: 'tabular' });
+    assert.deepStrictEqual([tabular.hy, tabular.hm, tabular.hd, tabular.source], [1447, 9, 2, 'tabular']);
+  },
+  
+  'a year comparison lists the months that start on different days'() {
+    const comparison = iranHijri.compareHijriVariants(1446);
+    
+    assert.deepStrictEqual([comparison.hy, comparison.from, comparison.to], [1446, 'iran', 'umm-al-qura']);
+    assert.strictEqual(comparison.months.length, 12);
+    assert.deepStrictEqual(comparison.differing, [2, 3, 4, 6, 7, 9, 10]);
+    assert.deepStrictEqual(comparison.months[0], {
+      hm: 1,
+      offset: 0,
+      from: { julianDay: 2460499, gregorian: { gy: 2024, gm: 7, gd: 7 }, length: 30, source: 'official' },
+      to: { julianDay: 2460499, gregorian: { gy: 2024, gm: 7, gd: 7 }, length: 29, source: 'umm-al-qura' }
+    });
+    
+    assert.deepStrictEqual(iranHijri.compareHijriVariants(1446, { from: 'umm-al-qura' }).differing, []);
+  },
+  
+  'variant conversions check their input'() {
+    assert.throws(() => iranHijri.convertHijriVariant({ hy: 1447, hm: 1, hd: 1 }, { to: 'saudi' }),
+      /Unknown Hijri calendar variant: saudi/);
+    assert.throws(() => iranHijri.convertHijriVariant({ hy: 1447, hm: 1, hd: 30 }),
+      /Invalid iran Hijri date: 1447\/1\/30 \(the month has 29 days\)/);
+    assert.throws(() => iranHijri.convertHijriVariant({ hy: 1299, hm: 1, hd: 1 }),
+      /Umm al-Qura dates are only available for Hijri years 1300 to 1600, not 1299/);
+    assert.throws(() => iranHijri.compareHijriVariants(1447, { to: 'tabular', scheme: 'leap17' }), /scheme/);
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Round-trip Verifier Tests
+ * 
+ * Year length exceptions: the listed years pass, nothing else does.
+ */
+
+const assert = require('assert');
+const { createProvider } = require('../src/provider');
+const { createConverter } = require('../src/converter');
+const { verify } = require('../src/verify');
+
+// 1440 has 353 days: 1440/1/1 is 2018-09-11
+const SHORT_YEAR = [29, 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 29];
+
+/**
+ * Helper: Create a converter for a single year of month lengths
+ * @param {string} name - Provider name
+ * @param {Array<number>} lengths - Month lengths of 1440
+ * @returns {Object} Result of createConverter
+ */
+function createYearConverter(name, lengths) {
+  return createConverter({
+    provider: createProvider({ name, data: { 1440: lengths }, anchorJulianDay: 2458373 })
+  });
+}
+
+module.exports = {
+  'bundled data passes with 1401 reported as a known exception'() {
+    const report = verify({ marginDays: 0 });
+    
+    assert.strictEqual(report.ok, true);
+    assert.deepStrictEqual(report.exceptions.map(({ hy, days }) => ({ hy, days })), [{ hy: 1401, days: 353 }]);
+    assert.ok(report.exceptions[0].source);
+  },
+  
+  'unlisted short years still fail'() {
+    const report = verify({ converter: createYearConverter('test', SHORT_YEAR), marginDays: 0 });
+    
+    assert.strictEqual(report.ok, false);
+    assert.deepStrictEqual(report.failures.map(failure => failure.type), ['yearLength']);
+    assert.deepStrictEqual(report.exceptions, []);
+  },
+  
+  'exceptions match the year and the length exactly'() {
+    const converter = createYearConverter('test', SHORT_YEAR);
+    const exception = { hy: 1440, days: 353, source: 'test', note: 'test' };
+    
+    assert.deepStrictEqual(verify({ converter, marginDays: 0, yearLengthExceptions: [exception] }).exceptions, [exception]);
+    assert.strictEqual(verify({ converter, marginDays: 0, yearLengthExceptions: [exception] }).ok, true);
+    assert.strictEqual(
+      verify({ converter, marginDays: 0, yearLengthExceptions: [Object.assign({}, exception, { days: 356 })] }).ok,
+      false
+    );
+    assert.strictEqual(
+      verify({ converter, marginDays: 0, yearLengthExceptions: [Object.assign({}, exception, { hy: 1441 })] }).ok,
+      false
+    );
+  }
+};